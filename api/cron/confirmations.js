@@ -0,0 +1,173 @@
+/**
+ * Confirmation Worker
+ *
+ * Scheduled job (Vercel Cron) that follows up on broadcast transactions:
+ * - Checks pending payments in batches and updates their status
+ * - Tells sender and recipient when a payment confirms, fails or is dropped
+ * - Marks payment requests paid once their payment confirms
+ * - Reports which of a payment and its speed up / cancel confirmed
+ * - Captures contract IDs of newly confirmed escrows
+ * - Settles escrow releases, refunds and cancels and tells both parties
+ * - Forwards claimed escrows once their release confirms
+ * - Expires signing requests nobody signed in time
+ * - Deletes processed message records past their retention
+ *
+ * Still-pending transactions are re-checked with exponential backoff.
+ *
+ * Deployed on Vercel as serverless function
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import transactionService from '../../lib/services/transaction.service.js';
+import stacksService from '../../lib/services/stacks.service.js';
+import claimService from '../../lib/services/claim.service.js';
+import signingService from '../../lib/services/signing.service.js';
+import processedMessageService from '../../lib/services/processed-message.service.js';
+import { whatsappService } from '../../lib/services/whatsapp.service.js';
+import escrowHandler from '../../lib/handlers/escrow.handler.js';
+import requestHandler from '../../lib/handlers/request.handler.js';
+
+// Records checked per run of each job (keeps a run within the function timeout)
+const BATCH_SIZE = parseInt(process.env.CONFIRMATION_BATCH_SIZE || '25', 10);
+
+/**
+ * Cron handler
+ */
+export default async function handler(req, res) {
+  // Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    console.error('CRON_SECRET not configured - rejecting cron request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const summary = {};
+
+  // Each job runs even if another fails
+  const jobs = {
+    transactions: () => transactionService.checkPendingTransactions({
+      batchSize: BATCH_SIZE,
+      onUpdate: async (update) => {
+        await notifyTransactionUpdate(update);
+        await requestHandler.handleTransactionUpdate(requestUpdateFor(update));
+      },
+    }),
+    escrows: () => escrowHandler.reconcileEscrows(BATCH_SIZE),
+    escrowActions: () => escrowHandler.reconcileEscrowActions(BATCH_SIZE),
+    claims: () => claimService.checkPendingClaims(BATCH_SIZE),
+    signing: () => signingService.expireStaleRequests(),
+    processedMessages: () => processedMessageService.cleanOldMessages(),
+  };
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      // Jobs return their updates, or just a count
+      const updates = await job();
+      summary[name] = { updated: Array.isArray(updates) ? updates.length : updates };
+    } catch (error) {
+      console.error(`❌ Confirmation job "${name}" failed:`, error);
+      summary[name] = { error: error.message };
+    }
+  }
+
+  console.log('⏱️  Confirmation worker run:', summary);
+
+  return res.status(200).json({
+    success: true,
+    summary,
+  });
+}
+
+/**
+ * Tell sender and recipient about a payment status change
+ * @param {Object} update - { txId, status, transaction }
+ */
+async function notifyTransactionUpdate({ txId, status, transaction }) {
+  if (transaction.replacement_type === 'cancel') {
+    await notifyCancelUpdate({ txId, status, transaction });
+    return;
+  }
+
+  // "5 STX" or "100 USDA"
+  const amount = transactionService.formatTransaction(transaction).amountStx;
+  const recipient = transaction.recipient_phone || shortAddress(transaction.recipient_address);
+  const sender = transaction.sender_phone || shortAddress(transaction.sender_address);
+  const link = `View: https://explorer.hiro.so/txid/${txId}?chain=${stacksService.network}`;
+
+  const messages = {
+    confirmed: {
+      sender: `✅ *Payment Confirmed*\n\n${amount} to ${recipient} is confirmed on the blockchain.\n\n${link}`,
+      recipient: `💰 *Payment Received*\n\n${amount} from ${sender} is confirmed.\n\n${link}`,
+    },
+    failed: {
+      sender: `❌ *Payment Failed*\n\n${amount} to ${recipient} was rejected by the network. Nothing was sent (the fee may still be charged).\n\n${link}`,
+      recipient: `⚠️ A payment of ${amount} from ${sender} failed and was not delivered.`,
+    },
+    dropped: {
+      sender: `⚠️ *Payment Dropped*\n\n${amount} to ${recipient} was dropped by the network and will not confirm. Nothing was sent - please try again.`,
+      recipient: `⚠️ A payment of ${amount} from ${sender} was dropped and will not arrive.`,
+    },
+  }[status];
+
+  if (!messages) {
+    return;
+  }
+
+  if (transaction.sender_phone) {
+    await whatsappService.sendMessage(transaction.sender_phone, messages.sender);
+  }
+
+  if (transaction.recipient_phone) {
+    await whatsappService.sendMessage(transaction.recipient_phone, messages.recipient);
+  }
+}
+
+/**
+ * Tell the sender how their cancel went
+ * @param {Object} update - { txId, status, transaction } of the cancel transaction
+ */
+async function notifyCancelUpdate({ txId, status, transaction }) {
+  const original = await transactionService.getTransactionById(transaction.replaces_tx_id);
+  const payment = original
+    ? `${transactionService.formatTransaction(original).amountStx} to ${original.recipient_phone || shortAddress(original.recipient_address)}`
+    : 'your payment';
+
+  const message = status === 'confirmed'
+    ? `🛑 *Payment Cancelled*\n\n${payment} will not go through. Only the network fee was charged.`
+    : `⚠️ *Cancel Didn't Go Through*\n\nThe cancel for ${payment} was ${status}. The payment may still confirm.\n\n` +
+      `View: https://explorer.hiro.so/txid/${txId}?chain=${stacksService.network}`;
+
+  if (transaction.sender_phone) {
+    await whatsappService.sendMessage(transaction.sender_phone, message);
+  }
+}
+
+/**
+ * The update a payment request should see for a transaction
+ * Requests are linked to the first transaction of a replacement chain.
+ * @param {Object} update - { txId, status, transaction }
+ * @returns {Object} { txId, status }
+ */
+function requestUpdateFor({ txId, status, transaction }) {
+  if (!transaction.replaces_tx_id) {
+    return { txId, status };
+  }
+
+  // A confirmed cancel means the request's payment didn't happen
+  const cancelled = transaction.replacement_type === 'cancel' && status === 'confirmed';
+  return { txId: transaction.replaces_tx_id, status: cancelled ? 'dropped' : status };
+}
+
+/**
+ * Shorten an STX address for display
+ * @param {string} address - STX address
+ * @returns {string} "SP2J6ZY4...V9EJ7"
+ */
+function shortAddress(address) {
+  return address ? `${address.substring(0, 8)}...${address.substring(address.length - 5)}` : 'unknown';
+}
@@ -0,0 +1,65 @@
+/**
+ * Scheduled Payment Runner
+ *
+ * Scheduled job (Vercel Cron) for recurring and one-off payments:
+ * - Sends every due payment through TransactionService.sendTransaction
+ * - Tells senders (and recipients) about sent or skipped payments
+ * - Warns senders whose balance won't cover a payment in the next 24 hours
+ *
+ * Deployed on Vercel as serverless function
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import scheduleService from '../../lib/services/schedule.service.js';
+import scheduleHandler from '../../lib/handlers/schedule.handler.js';
+
+// Schedules handled per run of each job (keeps a run within the function timeout)
+const BATCH_SIZE = parseInt(process.env.SCHEDULE_BATCH_SIZE || '25', 10);
+
+/**
+ * Cron handler
+ */
+export default async function handler(req, res) {
+  // Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    console.error('CRON_SECRET not configured - rejecting cron request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const summary = {};
+
+  // Each job runs even if another fails
+  const jobs = {
+    payments: () => scheduleService.runDue({
+      batchSize: BATCH_SIZE,
+      onResult: (result) => scheduleHandler.notifyRunResult(result),
+    }),
+    warnings: () => scheduleService.checkUpcoming({
+      batchSize: BATCH_SIZE,
+      onWarning: (warning) => scheduleHandler.notifyLowBalance(warning),
+    }),
+  };
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      const results = await job();
+      summary[name] = { processed: results.length };
+    } catch (error) {
+      console.error(`❌ Schedule job "${name}" failed:`, error);
+      summary[name] = { error: error.message };
+    }
+  }
+
+  console.log('📅 Schedule runner run:', summary);
+
+  return res.status(200).json({
+    success: true,
+    summary,
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Batch Payout API
+ *
+ * Lets a merchant pay many recipients from one CSV:
+ * - Authenticated with "Authorization: Bearer <key>" (PAYOUT_API_KEYS)
+ * - Dry run by default: validates every row and returns totals and fees
+ *   (each row priced at the merchant's fee tier)
+ * - With "dryRun": false, sends the transfers and returns a per-row
+ *   report (txId or error) and a CSV of failed rows to retry
+ * - Sends need a "batchId": repeating a request with the same batchId
+ *   (e.g. after a timeout) doesn't pay the rows it already sent
+ *
+ * Deployed on Vercel as serverless function
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import payoutService from '../../lib/services/payout.service.js';
+import { userService } from '../../lib/services/user.service.js';
+import { whatsappService } from '../../lib/services/whatsapp.service.js';
+
+// Merchant-chosen batch IDs, e.g. "riders-2026-w42"
+const BATCH_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Batch payout handler
+ * Body: { csv: string ("recipient,amount,memo" rows), dryRun?: boolean (default true),
+ *         batchId?: string (required to send) }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const merchantPhone = payoutService.authenticate(req.headers.authorization);
+  if (!merchantPhone) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { csv, dryRun = true, batchId } = req.body || {};
+
+    // Validate required fields
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (dryRun === false && !BATCH_ID_PATTERN.test(batchId || '')) {
+      return res.status(400).json({ error: 'batchId is required to send (letters, digits, - and _, up to 64)' });
+    }
+
+    const merchant = await userService.getByPhone(merchantPhone);
+    if (!merchant.success) {
+      return res.status(400).json({ error: 'Merchant is not registered' });
+    }
+
+    const senderAddress = merchant.user.stxAddress;
+    const feeTier = merchant.user.feeTier || 'normal';
+
+    if (dryRun !== false) {
+      const { rows, summary } = await payoutService.dryRun({ senderAddress, csv, feeTier });
+
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        summary,
+        rows,
+      });
+    }
+
+    const result = await payoutService.execute({ senderPhone: merchantPhone, senderAddress, csv, batchId, feeTier });
+
+    if (!result.sent) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        summary: result.summary,
+        rows: result.results,
+      });
+    }
+
+    await whatsappService.sendMessage(
+      merchantPhone,
+      `📦 *Batch Payout Sent*\n\n` +
+      `Sent: ${result.summary.sent} of ${result.summary.rows} payments\n` +
+      `Batch total: ${result.summary.totalStx} STX\n` +
+      (result.summary.failed > 0 ? `Failed: ${result.summary.failed} - retry them with the returned CSV\n` : '') +
+      `\n⏳ Confirming on blockchain...`
+    );
+
+    return res.status(200).json({
+      success: true,
+      dryRun: false,
+      batchId,
+      summary: result.summary,
+      results: result.results,
+      retryCsv: result.retryCsv,
+    });
+  } catch (error) {
+    console.error('❌ Batch payout error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
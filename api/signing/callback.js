@@ -0,0 +1,64 @@
+/**
+ * Signing Callback
+ *
+ * Receives transactions signed in the user's own wallet:
+ * - Verifies the signed transaction against the saved signing request
+ * - Broadcasts it to the Stacks network
+ * - Hands the result back to the handler that started the flow
+ *
+ * Deployed on Vercel as serverless function
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import signingService from '../../lib/services/signing.service.js';
+import paymentHandler from '../../lib/services/payment.handler.js';
+import escrowHandler from '../../lib/handlers/escrow.handler.js';
+
+/**
+ * Signing callback handler
+ * Body: { token: string, signedTx: string (hex) }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, signedTx } = req.body || {};
+
+    // Validate required fields
+    if (!token || !signedTx) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const result = await signingService.completeRequest(token, signedTx);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    // Let the originating handler record the transaction and notify users
+    if (result.request.handler === 'payment') {
+      await paymentHandler.completeSignedSend(result.request, result);
+    } else if (result.request.handler === 'escrow') {
+      await escrowHandler.completeSignedAction(result.request, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      txId: result.txId,
+    });
+  } catch (error) {
+    console.error('❌ Signing callback error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
@@ -1,10 +1,16 @@
 /**
  * WhatsApp Webhook - Main Entry Point
  * 
- * Receives WhatsApp messages from Twilio and routes them to appropriate handlers:
+ * Receives WhatsApp messages through the messaging transport (Twilio or the
+ * Meta Cloud API, see lib/transports), answers Meta's verification GET,
+ * verifies the request signature, processes each message ID at most once
+ * and routes to appropriate handlers:
+ * - Conversation engine for replies to an open flow (confirmations, registration)
  * - Registration handler for new users
  * - Payment handler for payment commands
  * - Escrow handler for escrow commands
+ * - Request handler for payment requests
+ * - Schedule handler for scheduled payments
  * - Help commands
  * 
  * Deployed on Vercel as serverless function
@@ -13,45 +19,61 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-import registrationHandler from '../lib/handlers/registration.handler.js';
-import paymentHandler from '../lib/handlers/payment.handler.js';
+import { registrationHandler } from '../lib/handlers/registration.handler.js';
+import paymentHandler from '../lib/services/payment.handler.js';
 import escrowHandler from '../lib/handlers/escrow.handler.js';
-import userService from '../lib/services/user.service.js';
-import whatsappService from '../lib/services/whatsapp.service.js';
+import requestHandler from '../lib/handlers/request.handler.js';
+import scheduleHandler from '../lib/handlers/schedule.handler.js';
+import { userService } from '../lib/services/user.service.js';
+import { whatsappService } from '../lib/services/whatsapp.service.js';
+import webhookSecurityService from '../lib/services/webhook-security.service.js';
+import processedMessageService from '../lib/services/processed-message.service.js';
+import conversationService from '../lib/services/conversation.service.js';
 
 /**
  * Main webhook handler
  */
 export default async function handler(req, res) {
+  const { transport } = whatsappService;
+
+  // Webhook verification handshake (Meta sends a GET when the URL is registered)
+  if (req.method === 'GET') {
+    const handshake = transport.verifyHandshake(req);
+    if (handshake) {
+      return res.status(handshake.status).send(handshake.body);
+    }
+  }
+
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Reject spoofed (bad signature) requests
+  const verification = await webhookSecurityService.verifyRequest(req);
+  if (!verification.valid) {
+    return res.status(verification.status).json({ error: 'Request rejected' });
+  }
+
   try {
-    console.log('📨 Incoming WhatsApp message:', req.body);
+    console.log(`📨 Incoming WhatsApp webhook (${transport.name}):`, req.body);
 
-    // Extract message data from Twilio webhook
-    const from = req.body.From; // Format: "whatsapp:+2349012345678"
-    const body = req.body.Body; // Message text
-    const messageId = req.body.MessageSid;
+    // Extract messages from the transport's webhook format
+    // (Meta delivery status callbacks carry none)
+    const messages = transport.parseInbound(req);
 
     // Validate required fields
-    if (!from || !body) {
-      console.error('Missing required fields:', { from, body });
+    const invalid = messages.find(({ from, text }) => !from || !text);
+    if (invalid) {
+      console.error('Missing required fields:', invalid);
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Extract phone number (remove "whatsapp:" prefix)
-    const phoneNumber = from.replace('whatsapp:', '');
-    
-    console.log('Processing message from:', phoneNumber);
-    console.log('Message:', body);
-
-    // Process the message
-    await processMessage(phoneNumber, body, messageId);
+    for (const message of messages) {
+      await receiveMessage(req, message);
+    }
 
-    // Respond to Twilio (200 OK acknowledges receipt)
+    // Acknowledge receipt (200 OK)
     return res.status(200).json({ 
       success: true,
       message: 'Message received and processing'
@@ -60,7 +82,7 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Webhook error:', error);
     
-    // Still return 200 to Twilio to prevent retries
+    // Still return 200 to prevent retries
     return res.status(200).json({ 
       success: false,
       error: error.message 
@@ -68,6 +90,35 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Process one inbound message at most once per message ID
+ */
+async function receiveMessage(req, message) {
+  const { from: phoneNumber, text: body, messageId } = message;
+
+  console.log('Processing message from:', phoneNumber);
+  console.log('Message:', body);
+
+  if (!messageId) {
+    await processMessage(phoneNumber, body, messageId);
+    return;
+  }
+
+  const result = await processedMessageService.processOnce(
+    messageId,
+    phoneNumber,
+    () => processMessage(phoneNumber, body, messageId)
+  );
+
+  if (result.duplicate) {
+    // Provider retry or replay - resend the stored reply, never re-run handlers
+    await webhookSecurityService.recordRejection(req, 'replay', message);
+    for (const reply of result.replies) {
+      await whatsappService.sendMessage(phoneNumber, reply.message);
+    }
+  }
+}
+
 /**
  * Process incoming WhatsApp message
  */
@@ -81,8 +132,17 @@ async function processMessage(phoneNumber, messageText, messageId) {
       return;
     }
 
+    // Replies to an open conversation ("yes", an address, "cancel") go to its flow
+    const reply = await conversationService.handleMessage(phoneNumber, messageText);
+    if (reply) {
+      if (reply.message) {
+        await whatsappService.sendMessage(phoneNumber, reply.message);
+      }
+      return;
+    }
+
     // Check if user exists
-    const user = await userService.getByPhone(phoneNumber);
+    const { user } = await userService.getByPhone(phoneNumber);
 
     // Registration flow - for new users or explicit register command
     if (!user || normalizedMessage.startsWith('register')) {
@@ -103,7 +163,8 @@ async function processMessage(phoneNumber, messageText, messageId) {
       normalizedMessage.startsWith('cancel escrow') ||
       normalizedMessage.includes('escrow status') ||
       normalizedMessage === 'my escrows' ||
-      normalizedMessage === 'escrows'
+      normalizedMessage === 'escrows' ||
+      normalizedMessage.startsWith('claim')
     ) {
       console.log('Routing to escrow handler');
       const result = await escrowHandler.handleMessage(phoneNumber, messageText);
@@ -116,6 +177,44 @@ async function processMessage(phoneNumber, messageText, messageId) {
       return;
     }
 
+    // Scheduled payments - before payment commands, which also start with "send"
+    if (
+      scheduleHandler.isScheduleCommand(messageText) ||
+      normalizedMessage === 'my schedules' ||
+      normalizedMessage === 'schedules' ||
+      normalizedMessage.startsWith('cancel schedule')
+    ) {
+      console.log('Routing to schedule handler');
+      const result = await scheduleHandler.handleMessage(phoneNumber, messageText);
+
+      if (result === null) {
+        await sendUnknownCommandMessage(phoneNumber);
+      } else if (result && result.message) {
+        await whatsappService.sendMessage(phoneNumber, result.message);
+      }
+      return;
+    }
+
+    // Payment request commands
+    if (
+      normalizedMessage.startsWith('request ') ||
+      normalizedMessage === 'requests' ||
+      normalizedMessage.startsWith('split request ') ||
+      /^split\s+(status\s+)?#?\d+$/.test(normalizedMessage) ||
+      /^pay\s+#?\d+$/.test(normalizedMessage) ||
+      /^decline\s+#?\d+$/.test(normalizedMessage)
+    ) {
+      console.log('Routing to request handler');
+      const result = await requestHandler.handleMessage(phoneNumber, messageText);
+
+      if (result === null) {
+        await sendUnknownCommandMessage(phoneNumber);
+      } else if (result && result.message) {
+        await whatsappService.sendMessage(phoneNumber, result.message);
+      }
+      return;
+    }
+
     // Payment commands - for registered users
     console.log('Routing to payment handler');
     const result = await paymentHandler.handleMessage(phoneNumber, messageText);
@@ -144,7 +243,7 @@ async function processMessage(phoneNumber, messageText, messageId) {
 async function sendHelpMessage(phoneNumber) {
   try {
     // Check if user is registered
-    const user = await userService.getByPhone(phoneNumber);
+    const { user } = await userService.getByPhone(phoneNumber);
 
     if (!user) {
       // Help for new users
@@ -164,24 +263,50 @@ async function sendHelpMessage(phoneNumber) {
         `💸 *STX WhatsApp Bot - Commands*\n\n` +
         `*Balance & History*\n` +
         `• balance - Check your balance\n` +
+        `• balance [token] - Details for one asset\n` +
         `• history - View transactions\n\n` +
         `*Sending STX*\n` +
-        `• send [amount] to [name/address]\n` +
-        `  Example: send 5 to John\n\n` +
+        `• send [amount] to [name/phone/address]\n` +
+        `  Example: send 5 to John\n` +
+        `  Example: send 5 to muneeb.btc\n` +
+        `  Unregistered numbers can claim it after registering\n` +
+        `• send [amount] [token] to [name/address]\n` +
+        `  Example: send 100 USDA to John\n` +
+        `• send ₦[amount] to [name/address]\n` +
+        `  Example: send ₦5000 to John\n` +
+        `• send 5 to John fast - Pick the fee (slow/normal/fast)\n` +
+        `• fees / fee fast - See fees, set your default\n` +
+        `• split [amount] between [names]\n` +
+        `  Example: split 30 between John, Ada, Tunde\n` +
+        `• speed up [tx id] / cancel tx [tx id] - Stuck payments\n\n` +
         `*Escrow (NEW!)* 🔒\n` +
         `• escrow [amount] to [name] for [time] hours/days\n` +
         `  Example: escrow 5 to John for 24 hours\n` +
         `• release escrow #[id]\n` +
         `• refund escrow #[id]\n` +
         `• cancel escrow #[id]\n` +
-        `• my escrows - List all escrows\n\n` +
+        `• my escrows - List all escrows\n` +
+        `• claim [code] - Claim an escrow sent to you\n\n` +
+        `*Scheduled Payments*\n` +
+        `• send [amount] to [name] every [day]\n` +
+        `  Example: send 5 to John every friday\n` +
+        `  Also: daily, monthly, on 2026-12-24\n` +
+        `• my schedules / cancel schedule #[id]\n\n` +
+        `*Requests*\n` +
+        `• request [amount] from [name/phone] for [what]\n` +
+        `  Example: request 10 from John for lunch\n` +
+        `• requests - Requests waiting for you\n` +
+        `• pay #[id] / decline #[id]\n` +
+        `• split request [amount] between [names] for [what]\n` +
+        `• split #[id] - See who has paid\n\n` +
         `*Contacts*\n` +
         `• contacts - List your contacts\n` +
         `• add contact [name] [address]\n` +
         `  Example: add contact John SP2J6ZY...\n\n` +
         `*Other*\n` +
-        `• help - Show this menu\n\n` +
-        `Your address: ${user.stx_address.substring(0, 10)}...`;
+        `• help - Show this menu\n` +
+        `• cancel - Drop a payment or escrow waiting for *yes*\n\n` +
+        `Your address: ${user.stxAddress.substring(0, 10)}...`;
       
       await whatsappService.sendMessage(phoneNumber, message);
     }
@@ -215,6 +340,7 @@ export async function healthCheck(req, res) {
     status: 'ok',
     service: 'stx-whatsapp-bot',
     timestamp: new Date().toISOString(),
-    features: ['payments', 'escrow', 'contacts']
+    features: ['payments', 'escrow', 'contacts'],
+    rejectedRequests: webhookSecurityService.getCounters(),
   });
 }
\ No newline at end of file
@@ -0,0 +1,697 @@
+/**
+ * Chain Simulator
+ *
+ * Deterministic in-process Stacks chain, used as StacksService's chain
+ * adapter to run payments end to end with no network:
+ * - Tracks STX (and SIP-010) balances and account nonces
+ * - Accepts serialized STX transfers and contract calls into a mempool
+ *   (wrong nonce, missing funds, zero-amount or self transfers and a
+ *   lower-fee replacement are rejected, a higher-fee transaction with the
+ *   same nonce replaces the old one)
+ * - Checks contract calls' post conditions (Deny mode fails on any
+ *   transfer they don't cover)
+ * - Mines blocks on demand (mineBlock), in nonce order per sender
+ * - Runs the escrow contract (escrow/contracts/escrow.clar): create,
+ *   release, refund and cancel, plus its read-only functions
+ * - Answers the Hiro API endpoints StacksService uses
+ *
+ * Usage:
+ *   const chain = new ChainSimulator();
+ *   chain.fund('ST...', 100_000_000);
+ *   stacksService.setChainAdapter(chain);
+ *   ...send...
+ *   chain.mineBlock();
+ */
+
+import transactionsPkg from '@stacks/transactions';
+const {
+  deserializeTransaction,
+  addressToString,
+  addressFromVersionHash,
+  addressHashModeToVersion,
+  PayloadType,
+  PostConditionMode,
+  wireToPostCondition,
+  cvToValue,
+  cvToString,
+  cvToHex,
+  hexToCV,
+  uintCV,
+  boolCV,
+  principalCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  tupleCV,
+  someCV,
+  noneCV,
+  responseOkCV,
+  responseErrorCV,
+} = transactionsPkg;
+
+// Testnet transactions carry version 0x80, mainnet 0x00
+const TESTNET_VERSION = 0x80;
+
+// Errors of stx-transfer?
+const STX_TRANSFER_ERRORS = {
+  notEnoughBalance: 1,
+  senderIsRecipient: 2,
+  nonPositiveAmount: 3,
+};
+
+// Error constants of the escrow contract
+const ESCROW_ERRORS = {
+  notFound: 101,
+  notAuthorized: 103,
+  invalidAmount: 104,
+  timeoutNotReached: 107,
+  alreadyReleased: 108,
+  alreadyRefunded: 109,
+};
+
+const ESCROW_FUNCTIONS = ['create-escrow', 'release-escrow', 'refund-escrow', 'cancel-escrow'];
+
+/**
+ * Error thrown like the Hiro API's (StacksService checks for "404")
+ */
+function apiError(status, message) {
+  return new Error(`Hiro API error (${status}): ${JSON.stringify({ error: message })}`);
+}
+
+function ok(value) {
+  return { ok: true, result: responseOkCV(value) };
+}
+
+function err(code) {
+  return { ok: false, result: responseErrorCV(uintCV(code)) };
+}
+
+export class ChainSimulator {
+  /**
+   * @param {Object} options
+   * @param {string} options.escrowContractId - Escrow contract (defaults match EscrowService)
+   * @param {number} options.startingBalance - microSTX every new account starts with (default: 0)
+   * @param {boolean} options.autoMine - Mine a block after every broadcast (default: false)
+   * @param {Object} options.fees - Fee estimates { low, medium, high } in microSTX
+   */
+  constructor({
+    escrowContractId = `${process.env.ESCROW_CONTRACT_ADDRESS || 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM'}.${process.env.ESCROW_CONTRACT_NAME || 'escrow'}`,
+    startingBalance = 0,
+    autoMine = false,
+    fees = { low: 180, medium: 250, high: 360 },
+  } = {}) {
+    this.escrowContractId = escrowContractId;
+    this.startingBalance = BigInt(startingBalance);
+    this.autoMine = autoMine;
+    this.fees = fees;
+
+    this.height = 1;
+    // address -> { balance, nonce, totalSent, totalReceived, totalFees }
+    this.accounts = new Map();
+    // "contract::asset" -> address -> balance
+    this.tokens = new Map();
+    // txId -> transaction, in broadcast order
+    this.transactions = new Map();
+
+    // Escrow contract state
+    this.escrowNonce = 0;
+    this.escrows = new Map();
+  }
+
+  /**
+   * Get (or open) an account
+   */
+  account(address) {
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, {
+        balance: address.includes('.') ? 0n : this.startingBalance,
+        nonce: 0,
+        totalSent: 0n,
+        totalReceived: 0n,
+        totalFees: 0n,
+      });
+    }
+    return this.accounts.get(address);
+  }
+
+  /**
+   * Give an address STX
+   * @param {string} address - Stacks address
+   * @param {number|bigint} microStx - Amount in microSTX
+   */
+  fund(address, microStx) {
+    this.account(address).balance += BigInt(microStx);
+  }
+
+  /**
+   * Give an address SIP-010 tokens
+   * @param {string} assetId - "SP...contract::asset-name"
+   * @param {string} address - Stacks address
+   * @param {number|bigint} amount - Amount in base units
+   */
+  fundToken(assetId, address, amount) {
+    if (!this.tokens.has(assetId)) {
+      this.tokens.set(assetId, new Map());
+    }
+    const holders = this.tokens.get(assetId);
+    holders.set(address, (holders.get(address) || 0n) + BigInt(amount));
+  }
+
+  /**
+   * STX balance of an address
+   * @param {string} address - Stacks address
+   * @returns {number} Balance in microSTX
+   */
+  balanceOf(address) {
+    return Number(this.account(address).balance);
+  }
+
+  /**
+   * Accept a signed transaction into the mempool
+   * @param {string} serializedTx - Signed transaction (hex)
+   * @returns {Promise<Object>} { txid } or { error, reason, reason_data, txid }
+   */
+  async broadcast(serializedTx) {
+    let decoded;
+    try {
+      decoded = deserializeTransaction(serializedTx.replace(/^0x/, ''));
+    } catch (error) {
+      return { error: 'transaction rejected', reason: 'Serialization', reason_data: { message: error.message } };
+    }
+
+    const txId = decoded.txid();
+    if (this.transactions.has(txId)) {
+      return { txid: txId };
+    }
+
+    const tx = this.decode(decoded, txId);
+    const reject = (reason, data = {}) => ({ error: 'transaction rejected', reason, reason_data: data, txid: txId });
+    const sender = this.account(tx.sender);
+
+    if (tx.nonce < sender.nonce) {
+      return reject('BadNonce', { expected: sender.nonce, actual: tx.nonce });
+    }
+
+    // The node checks STX transfers before they reach the mempool
+    if (tx.type === 'token_transfer' && tx.amount <= 0n) {
+      return reject('TransferAmountMustBePositive');
+    }
+
+    if (tx.type === 'token_transfer' && tx.tokenTransfer.recipient === tx.sender) {
+      return reject('TransferRecipientCannotEqualSender', { principal: tx.sender });
+    }
+
+    if (tx.type === 'contract_call' && !this.hasFunction(tx.contractCall)) {
+      return reject('NoSuchPublicFunction', tx.contractCall);
+    }
+
+    if (sender.balance < tx.fee + tx.amount) {
+      return reject('NotEnoughFunds', { expected: String(tx.fee + tx.amount), actual: String(sender.balance) });
+    }
+
+    const conflicting = [...this.transactions.values()]
+      .find(other => other.status === 'pending' && other.sender === tx.sender && other.nonce === tx.nonce);
+
+    if (conflicting) {
+      if (tx.fee <= conflicting.fee) {
+        return reject('ConflictingNonceInMempool');
+      }
+      conflicting.status = 'dropped_replace_by_fee';
+    }
+
+    this.transactions.set(txId, tx);
+
+    if (this.autoMine) {
+      this.mineBlock();
+    }
+
+    return { txid: txId };
+  }
+
+  /**
+   * Read what the simulator needs from a deserialized transaction
+   */
+  decode(decoded, txId) {
+    const condition = decoded.auth.spendingCondition;
+    const network = decoded.transactionVersion === TESTNET_VERSION ? 'testnet' : 'mainnet';
+    const payload = decoded.payload;
+
+    const tx = {
+      txId,
+      sender: addressToString(addressFromVersionHash(addressHashModeToVersion(condition.hashMode, network), condition.signer)),
+      nonce: Number(condition.nonce),
+      fee: BigInt(condition.fee),
+      amount: 0n,
+      postConditionMode: decoded.postConditionMode,
+      postConditions: decoded.postConditions.values.map(wire => wireToPostCondition(wire)),
+      status: 'pending',
+      blockHeight: null,
+      result: null,
+    };
+
+    if (payload.payloadType === PayloadType.TokenTransfer) {
+      tx.type = 'token_transfer';
+      tx.amount = BigInt(payload.amount);
+      tx.tokenTransfer = {
+        recipient: cvToValue(payload.recipient),
+        amount: tx.amount,
+        memo: payload.memo.content.replace(/\0+$/, ''),
+      };
+    } else if (payload.payloadType === PayloadType.ContractCall) {
+      tx.type = 'contract_call';
+      tx.contractCall = {
+        contractId: `${addressToString(payload.contractAddress)}.${payload.contractName.content}`,
+        functionName: payload.functionName.content,
+        functionArgs: payload.functionArgs,
+      };
+    } else {
+      tx.type = 'unsupported';
+    }
+
+    return tx;
+  }
+
+  /**
+   * Check a contract call targets something the simulator can run
+   */
+  hasFunction({ contractId, functionName }) {
+    if (contractId === this.escrowContractId) {
+      return ESCROW_FUNCTIONS.includes(functionName);
+    }
+
+    // SIP-010 tokens funded with fundToken
+    return functionName === 'transfer'
+      && [...this.tokens.keys()].some(assetId => assetId.startsWith(`${contractId}::`));
+  }
+
+  /**
+   * Mine one block: run every pending transaction whose nonce is next
+   * for its sender, in broadcast order
+   * @returns {Array} Transactions included in the block
+   */
+  mineBlock() {
+    this.height++;
+    const mined = [];
+
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const tx of this.transactions.values()) {
+        if (tx.status === 'pending' && tx.nonce === this.account(tx.sender).nonce) {
+          this.execute(tx);
+          mined.push(tx);
+          progressed = true;
+        }
+      }
+    }
+
+    return mined;
+  }
+
+  /**
+   * Mine several blocks
+   * @param {number} count - Blocks to mine
+   */
+  mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      this.mineBlock();
+    }
+  }
+
+  /**
+   * Run a transaction (fee and nonce are spent even if it aborts)
+   */
+  execute(tx) {
+    const sender = this.account(tx.sender);
+
+    if (sender.balance < tx.fee) {
+      tx.status = 'dropped_stale_garbage_collect';
+      return;
+    }
+
+    sender.nonce++;
+    sender.balance -= tx.fee;
+    sender.totalFees += tx.fee;
+
+    // Rolled back to here if the post conditions fail
+    const snapshot = structuredClone({
+      accounts: this.accounts,
+      tokens: this.tokens,
+      escrows: this.escrows,
+      escrowNonce: this.escrowNonce,
+    });
+    this.movements = new Map();
+
+    let outcome;
+    if (tx.type === 'token_transfer') {
+      outcome = this.transferStx(tx.sender, tx.tokenTransfer.recipient, tx.amount);
+      if (outcome.ok) outcome = ok(boolCV(true));
+    } else if (tx.type === 'contract_call') {
+      outcome = this.callContract(tx.sender, tx.contractCall);
+    } else {
+      outcome = err(0);
+    }
+
+    tx.status = outcome.ok ? 'success' : 'abort_by_response';
+    tx.result = outcome.result;
+    tx.blockHeight = this.height;
+
+    // Like the node, only contract calls are held to post conditions
+    if (outcome.ok && tx.type === 'contract_call' && !this.checkPostConditions(tx, this.movements)) {
+      Object.assign(this, snapshot);
+      tx.status = 'abort_by_post_condition';
+    }
+  }
+
+  /**
+   * Record an asset leaving an address (for post conditions)
+   * @param {string} from - Sending address
+   * @param {string} asset - 'stx' or "SP...contract::asset-name"
+   * @param {bigint} amount - Amount sent
+   */
+  recordMovement(from, asset, amount) {
+    const key = `${from}|${asset}`;
+    this.movements.set(key, (this.movements.get(key) || 0n) + amount);
+  }
+
+  /**
+   * Check a transaction's post conditions against what it sent
+   * @param {Object} tx - Executed transaction
+   * @param {Map} movements - "address|asset" -> amount sent
+   * @returns {boolean} True if they hold
+   */
+  checkPostConditions(tx, movements) {
+    const assetOf = (condition) => (condition.type === 'stx-postcondition' ? 'stx' : condition.asset);
+    const compare = {
+      eq: (sent, amount) => sent === amount,
+      gt: (sent, amount) => sent > amount,
+      gte: (sent, amount) => sent >= amount,
+      lt: (sent, amount) => sent < amount,
+      lte: (sent, amount) => sent <= amount,
+    };
+
+    const hold = tx.postConditions.every(condition => {
+      if (condition.type !== 'stx-postcondition' && condition.type !== 'ft-postcondition') {
+        // No NFTs move on the simulator
+        return condition.condition !== 'sent';
+      }
+
+      const sent = movements.get(`${condition.address}|${assetOf(condition)}`) || 0n;
+      return compare[condition.condition](sent, BigInt(condition.amount));
+    });
+
+    if (!hold || tx.postConditionMode !== PostConditionMode.Deny) {
+      return hold;
+    }
+
+    // Deny mode: every transfer needs a condition on its sender and asset
+    return [...movements.keys()].every(key => tx.postConditions.some(
+      condition => key === `${condition.address}|${assetOf(condition)}`
+    ));
+  }
+
+  /**
+   * stx-transfer?
+   */
+  transferStx(from, to, amount) {
+    if (amount <= 0n) return err(STX_TRANSFER_ERRORS.nonPositiveAmount);
+    if (from === to) return err(STX_TRANSFER_ERRORS.senderIsRecipient);
+
+    const sender = this.account(from);
+    if (sender.balance < amount) return err(STX_TRANSFER_ERRORS.notEnoughBalance);
+
+    const recipient = this.account(to);
+    this.recordMovement(from, 'stx', amount);
+    sender.balance -= amount;
+    sender.totalSent += amount;
+    recipient.balance += amount;
+    recipient.totalReceived += amount;
+
+    return { ok: true };
+  }
+
+  /**
+   * Run a public contract function
+   * Every function checks before it changes anything, so an (err ...)
+   * leaves state untouched like Clarity's rollback.
+   */
+  callContract(caller, { contractId, functionName, functionArgs }) {
+    const args = functionArgs.map(arg => cvToValue(arg));
+
+    if (contractId !== this.escrowContractId) {
+      return this.transferToken(contractId, args);
+    }
+
+    if (functionName === 'create-escrow') {
+      const [recipient, amount, timeoutBlocks, memo] = args;
+      if (amount <= 0n) return err(ESCROW_ERRORS.invalidAmount);
+
+      const transfer = this.transferStx(caller, this.escrowContractId, amount);
+      if (!transfer.ok) return transfer;
+
+      const escrowId = this.escrowNonce++;
+      this.escrows.set(escrowId, {
+        sender: caller,
+        recipient,
+        amount,
+        timeoutHeight: BigInt(this.height) + timeoutBlocks,
+        status: 'active',
+        memo,
+        createdAt: BigInt(this.height),
+      });
+
+      return ok(uintCV(escrowId));
+    }
+
+    const escrow = this.escrows.get(Number(args[0]));
+    if (!escrow) return err(ESCROW_ERRORS.notFound);
+
+    if (functionName === 'release-escrow') {
+      if (caller !== escrow.sender && caller !== escrow.recipient) return err(ESCROW_ERRORS.notAuthorized);
+      if (escrow.status !== 'active') return err(ESCROW_ERRORS.alreadyReleased);
+      return this.settleEscrow(escrow, 'released', escrow.recipient);
+    }
+
+    if (caller !== escrow.sender) return err(ESCROW_ERRORS.notAuthorized);
+
+    if (functionName === 'refund-escrow') {
+      if (escrow.status !== 'active') return err(ESCROW_ERRORS.alreadyRefunded);
+      if (BigInt(this.height) < escrow.timeoutHeight) return err(ESCROW_ERRORS.timeoutNotReached);
+      return this.settleEscrow(escrow, 'refunded', escrow.sender);
+    }
+
+    // cancel-escrow
+    if (escrow.status !== 'active') return err(ESCROW_ERRORS.alreadyReleased);
+    return this.settleEscrow(escrow, 'cancelled', escrow.sender);
+  }
+
+  /**
+   * Pay an escrow out of the contract and close it
+   */
+  settleEscrow(escrow, status, to) {
+    const transfer = this.transferStx(this.escrowContractId, to, escrow.amount);
+    if (!transfer.ok) return transfer;
+
+    escrow.status = status;
+    return ok(boolCV(true));
+  }
+
+  /**
+   * SIP-010 transfer (amount, sender, recipient, memo)
+   */
+  transferToken(contractId, [amount, from, to]) {
+    const assetId = [...this.tokens.keys()].find(id => id.startsWith(`${contractId}::`));
+    // Nobody holds a token that was never funded
+    const holders = this.tokens.get(assetId) || new Map();
+    const balance = holders.get(from) || 0n;
+
+    if (amount <= 0n) return err(STX_TRANSFER_ERRORS.nonPositiveAmount);
+    if (balance < amount) return err(STX_TRANSFER_ERRORS.notEnoughBalance);
+
+    this.recordMovement(from, assetId, amount);
+    holders.set(from, balance - amount);
+    holders.set(to, (holders.get(to) || 0n) + amount);
+    return ok(boolCV(true));
+  }
+
+  /**
+   * Run an escrow read-only function
+   */
+  callReadOnly(contractId, functionName, functionArgs) {
+    if (contractId !== this.escrowContractId) {
+      throw apiError(404, `No contract ${contractId}`);
+    }
+
+    if (functionName === 'get-escrow-nonce') {
+      return responseOkCV(uintCV(this.escrowNonce));
+    }
+
+    const escrow = this.escrows.get(Number(cvToValue(functionArgs[0])));
+    const notFound = responseErrorCV(responseErrorCV(uintCV(ESCROW_ERRORS.notFound)));
+
+    switch (functionName) {
+      case 'get-escrow':
+        return escrow
+          ? someCV(tupleCV({
+            sender: principalCV(escrow.sender),
+            recipient: principalCV(escrow.recipient),
+            amount: uintCV(escrow.amount),
+            'timeout-height': uintCV(escrow.timeoutHeight),
+            status: stringAsciiCV(escrow.status),
+            memo: stringUtf8CV(escrow.memo),
+            'created-at': uintCV(escrow.createdAt),
+          }))
+          : noneCV();
+      case 'get-status':
+        return escrow ? responseOkCV(stringAsciiCV(escrow.status)) : notFound;
+      case 'can-refund':
+        return escrow
+          ? responseOkCV(boolCV(escrow.status === 'active' && BigInt(this.height) >= escrow.timeoutHeight))
+          : notFound;
+      default:
+        throw apiError(404, `No read-only function ${functionName}`);
+    }
+  }
+
+  /**
+   * Transaction as /extended/v1/tx returns it
+   */
+  toApiTransaction(tx) {
+    return {
+      tx_id: tx.txId,
+      tx_status: tx.status,
+      tx_type: tx.type,
+      nonce: tx.nonce,
+      fee_rate: String(tx.fee),
+      sender_address: tx.sender,
+      sponsored: false,
+      post_condition_mode: tx.postConditionMode === 1 ? 'allow' : 'deny',
+      block_height: tx.blockHeight,
+      block_hash: tx.blockHeight ? `0x${tx.blockHeight.toString(16).padStart(64, '0')}` : null,
+      canonical: true,
+      tx_result: tx.result ? { hex: cvToHex(tx.result), repr: cvToString(tx.result) } : null,
+      contract_call: tx.contractCall ? {
+        contract_id: tx.contractCall.contractId,
+        function_name: tx.contractCall.functionName,
+      } : undefined,
+      token_transfer: tx.tokenTransfer ? {
+        recipient_address: tx.tokenTransfer.recipient,
+        amount: String(tx.tokenTransfer.amount),
+        memo: tx.tokenTransfer.memo,
+      } : undefined,
+    };
+  }
+
+  /**
+   * Hiro API GET
+   * @param {string} endpoint - e.g. /extended/v1/tx/0x...
+   * @returns {Promise<Object>}
+   */
+  async get(endpoint) {
+    const [path, query = ''] = endpoint.split('?');
+    const params = new URLSearchParams(query);
+    let match;
+
+    if ((match = /^\/extended\/v1\/address\/([^/]+)\/balances$/.exec(path))) {
+      const address = match[1];
+      const account = this.account(address);
+      const fungibleTokens = {};
+      for (const [assetId, holders] of this.tokens) {
+        if (holders.has(address)) {
+          fungibleTokens[assetId] = { balance: String(holders.get(address)) };
+        }
+      }
+
+      return {
+        stx: {
+          balance: String(account.balance),
+          total_sent: String(account.totalSent),
+          total_received: String(account.totalReceived),
+          total_fees_sent: String(account.totalFees),
+          locked: '0',
+        },
+        fungible_tokens: fungibleTokens,
+        non_fungible_tokens: {},
+      };
+    }
+
+    if ((match = /^\/v2\/accounts\/([^/]+)$/.exec(path))) {
+      const account = this.account(match[1]);
+      return { balance: String(account.balance), locked: '0', unlock_height: 0, nonce: account.nonce };
+    }
+
+    if ((match = /^\/extended\/v1\/address\/([^/]+)\/nonces$/.exec(path))) {
+      const address = match[1];
+      const account = this.account(address);
+      const pending = [...this.transactions.values()]
+        .filter(tx => tx.status === 'pending' && tx.sender === address)
+        .map(tx => tx.nonce);
+      const lastMempoolNonce = pending.length > 0 ? Math.max(...pending) : null;
+
+      return {
+        possible_next_nonce: Math.max(account.nonce, lastMempoolNonce === null ? 0 : lastMempoolNonce + 1),
+        last_executed_tx_nonce: account.nonce > 0 ? account.nonce - 1 : null,
+        last_mempool_tx_nonce: lastMempoolNonce,
+        detected_missing_nonces: [],
+      };
+    }
+
+    if ((match = /^\/extended\/v1\/tx\/(0x)?([0-9a-f]+)$/i.exec(path))) {
+      const tx = this.transactions.get(match[2].toLowerCase());
+      if (!tx) {
+        throw apiError(404, `could not find transaction by ID ${match[2]}`);
+      }
+      return this.toApiTransaction(tx);
+    }
+
+    if ((match = /^\/extended\/v1\/address\/([^/]+)\/transactions$/.exec(path))) {
+      const address = match[1];
+      const results = [...this.transactions.values()]
+        .filter(tx => tx.blockHeight && (tx.sender === address || tx.tokenTransfer?.recipient === address))
+        .reverse();
+
+      return {
+        total: results.length,
+        results: results.slice(0, Number(params.get('limit') || 50)).map(tx => this.toApiTransaction(tx)),
+      };
+    }
+
+    if (path === '/extended/v1/block') {
+      return { results: [{ height: this.height }] };
+    }
+
+    if (path === '/v2/info') {
+      return { stacks_tip_height: this.height };
+    }
+
+    throw apiError(404, `Not found: ${endpoint}`);
+  }
+
+  /**
+   * Hiro API POST
+   * @param {string} endpoint - e.g. /v2/fees/transaction
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>}
+   */
+  async post(endpoint, body) {
+    if (endpoint === '/v2/fees/transaction') {
+      return {
+        estimations: [
+          { fee_rate: 1, fee: this.fees.low },
+          { fee_rate: 1, fee: this.fees.medium },
+          { fee_rate: 1, fee: this.fees.high },
+        ],
+      };
+    }
+
+    const match = /^\/v2\/contracts\/call-read\/([^/]+)\/([^/]+)\/([^/?]+)/.exec(endpoint);
+    if (match) {
+      const args = (body.arguments || []).map(arg => hexToCV(arg));
+      const result = this.callReadOnly(`${match[1]}.${match[2]}`, match[3], args);
+      return { okay: true, result: cvToHex(result) };
+    }
+
+    throw apiError(404, `Not found: ${endpoint}`);
+  }
+}
+
+export default ChainSimulator;
@@ -3,20 +3,20 @@
  * Configures network settings for Stacks blockchain interactions
  */
 
-import { StacksTestnet, StacksMainnet, StacksNetwork } from '@stacks/network';
+import { STACKS_TESTNET, STACKS_MAINNET, StacksNetwork } from '@stacks/network';
 
 // Get network from environment variable
 const networkType = process.env.STACKS_NETWORK || 'testnet';
 
 /**
  * Returns the configured Stacks network
- * @returns StacksNetwork instance (testnet or mainnet)
+ * @returns StacksNetwork (testnet or mainnet)
  */
 export function getNetwork(): StacksNetwork {
   if (networkType === 'mainnet') {
-    return new StacksMainnet();
+    return STACKS_MAINNET;
   }
-  return new StacksTestnet();
+  return STACKS_TESTNET;
 }
 
 /**
@@ -8,16 +8,46 @@
  * - "cancel escrow #1" - Cancel escrow
  * - "escrow status #1" - Check escrow status
  * - "my escrows" - List user's escrows
+ * - "claim K7M2QX9P" - Claim an escrow sent before registering
  */
 
-import userService from '../services/user.service.js';
+import { userService } from '../services/user.service.js';
 import contactService from '../services/contact.service.js';
 import escrowService from '../services/escrow.service.js';
 import stacksService from '../services/stacks.service.js';
-import stateService from '../services/state.service.js';
-import whatsappService from '../services/whatsapp.service.js';
+import conversationService from '../services/conversation.service.js';
+import { whatsappService } from '../services/whatsapp.service.js';
+import signingService from '../services/signing.service.js';
+import keyVaultService from '../services/key-vault.service.js';
+import claimService from '../services/claim.service.js';
+import { normalizePhone, getPhoneCountry } from '../utils/validator.js';
+
+// How a release/refund/cancel reads in messages
+const ACTIONS = {
+  release: { icon: '🔓', label: 'Release', done: 'released' },
+  refund: { icon: '💰', label: 'Refund', done: 'refunded' },
+  cancel: { icon: '❌', label: 'Cancel', done: 'cancelled' },
+};
 
 class EscrowHandler {
+  constructor() {
+    // Replies to confirmation prompts are answered by the conversation engine
+    conversationService.defineFlow('escrow', {
+      steps: {
+        confirm_create: conversationService.confirmStep((phoneNumber, state) => this.executeCreateEscrow(phoneNumber, state)),
+        confirm_release: conversationService.confirmStep((phoneNumber, state) => this.executeReleaseEscrow(phoneNumber, state)),
+        confirm_refund: conversationService.confirmStep((phoneNumber, state) => this.executeRefundEscrow(phoneNumber, state)),
+        confirm_cancel: conversationService.confirmStep((phoneNumber, state) => this.executeCancelEscrow(phoneNumber, state)),
+        // "escrow 5 to jo for 2 days" with no contact called jo: pick from a list
+        choose_recipient: conversationService.choiceStep(
+          (phoneNumber, choice, state) => this.handleCreateEscrow(phoneNumber, state.data.command, state.data.user, {
+            recipientName: choice.title,
+          })
+        ),
+      },
+    });
+  }
+
   /**
    * Handle incoming escrow-related messages
    * @param {string} phoneNumber - User's phone number
@@ -29,7 +59,7 @@ class EscrowHandler {
       const normalizedMessage = message.toLowerCase().trim();
 
       // Check if user is registered
-      const user = await userService.getByPhone(phoneNumber);
+      const { user } = await userService.getByPhone(phoneNumber);
       if (!user) {
         return {
           success: false,
@@ -37,12 +67,6 @@ class EscrowHandler {
         };
       }
 
-      // Check conversation state (for multi-step flows)
-      const state = await stateService.getState(phoneNumber);
-      if (state && state.handler === 'escrow') {
-        return await this.handleStateFlow(phoneNumber, message, state);
-      }
-
       // Route to appropriate handler
       if (normalizedMessage.startsWith('escrow') && !normalizedMessage.includes('status')) {
         // "escrow 5 to John for 24 hours"
@@ -74,6 +98,11 @@ class EscrowHandler {
         return await this.handleListEscrows(phoneNumber);
       }
 
+      if (normalizedMessage.startsWith('claim')) {
+        // "claim K7M2QX9P"
+        return await this.handleClaim(phoneNumber, message, user);
+      }
+
       // Not an escrow command
       return null;
     } catch (error) {
@@ -87,8 +116,9 @@ class EscrowHandler {
 
   /**
    * Handle "escrow X to Y for Z hours/days" command
+   * @param {Object} options - { recipientName } for the contact picked in place of Y
    */
-  async handleCreateEscrow(phoneNumber, message, user) {
+  async handleCreateEscrow(phoneNumber, message, user, { recipientName = null } = {}) {
     try {
       // Parse: "escrow 5 to John for 24 hours"
       const escrowMatch = message.match(
@@ -103,7 +133,7 @@ class EscrowHandler {
       }
 
       const amount = parseFloat(escrowMatch[1]);
-      const recipientInput = escrowMatch[2].trim();
+      const recipientInput = recipientName || escrowMatch[2].trim();
       const timeValue = parseInt(escrowMatch[3]);
       const timeUnit = escrowMatch[4].toLowerCase();
 
@@ -123,23 +153,32 @@ class EscrowHandler {
         timeoutBlocks = timeValue * 144; // 144 blocks per day
       }
 
-      // Check balance
-      const balance = await stacksService.getBalance(user.stx_address);
-      const fees = await stacksService.estimateFee();
-      const totalNeeded = amount + fees.mediumStx;
-
-      if (balance.stx.balanceStx < totalNeeded) {
-        return {
-          success: false,
-          message: `❌ Insufficient balance.\n\nYou have: ${balance.stx.balanceStx.toFixed(6)} STX\nNeed: ${totalNeeded.toFixed(6)} STX (including ~${fees.mediumStx.toFixed(6)} STX fee)`,
-        };
-      }
-
-      // Resolve recipient
+      // Resolve recipient (phone numbers may belong to unregistered people)
+      // National numbers (0...) are read in the sender's country
+      const recipientPhone = normalizePhone(recipientInput, getPhoneCountry(phoneNumber));
       let recipient;
       try {
-        recipient = await contactService.resolveRecipient(phoneNumber, recipientInput);
+        recipient = recipientPhone
+          ? await this.resolvePhoneRecipient(recipientPhone)
+          : await contactService.resolveRecipient(phoneNumber, recipientInput);
       } catch (error) {
+        // Not an exact contact name - offer the contacts it partly matches
+        const choices = recipientPhone ? [] : await contactService.getRecipientChoices(phoneNumber, recipientInput);
+        if (choices.length > 0) {
+          await conversationService.start(phoneNumber, 'escrow', 'choose_recipient', {
+            command: message,
+            user: { stxAddress: user.stxAddress, feeTier: user.feeTier || null },
+            choices,
+          });
+          await whatsappService.sendList(
+            phoneNumber,
+            `👥 No contact is called "${recipientInput}". Who did you mean?`,
+            'Choose contact',
+            choices
+          );
+          return { success: true };
+        }
+
         return {
           success: false,
           message: `❌ ${error.message}`,
@@ -151,33 +190,61 @@ class EscrowHandler {
         ? `${timeValue} hour${timeValue > 1 ? 's' : ''}`
         : `${timeValue} day${timeValue > 1 ? 's' : ''}`;
 
+      // Price this exact contract call at the user's fee tier, then check balance
+      const amountMicroStx = stacksService.stxToMicroStx(amount);
+      const feeTier = user.feeTier || 'normal';
+      const call = escrowService.buildCreateEscrowCall(
+        user.stxAddress,
+        recipient.address,
+        amountMicroStx,
+        timeoutBlocks,
+        this.getEscrowMemo(timeDescription)
+      );
+      const { fee, feeStx } = stacksService.getFeeForTier(
+        await stacksService.estimateFee(stacksService.buildContractCallPayload(call)),
+        feeTier
+      );
+
+      const balance = await stacksService.getBalance(user.stxAddress);
+      const totalNeeded = amount + feeStx;
+
+      if (balance.stx.balanceStx < totalNeeded) {
+        return {
+          success: false,
+          message: `❌ Insufficient balance.\n\nYou have: ${balance.stx.balanceStx.toFixed(6)} STX\nNeed: ${totalNeeded.toFixed(6)} STX (including ${feeStx.toFixed(6)} STX ${feeTier} fee)`,
+        };
+      }
+
       // Save state for confirmation
-      await stateService.setState(phoneNumber, 'escrow', 'confirm_create', {
+      await conversationService.start(phoneNumber, 'escrow', 'confirm_create', {
         amount,
-        amountMicroStx: stacksService.stxToMicroStx(amount),
+        amountMicroStx,
         recipient,
-        senderAddress: user.stx_address,
+        senderAddress: user.stxAddress,
         timeoutBlocks,
         timeDescription,
-        fee: fees.medium,
-        feeStx: fees.mediumStx,
+        feeTier,
+        fee,
+        feeStx,
       });
 
       // Send confirmation prompt
+      const recipientLine = recipient.claimToken
+        ? `Not registered yet - they'll get a claim code\n`
+        : `${recipient.address.substring(0, 10)}...${recipient.address.substring(recipient.address.length - 6)}\n`;
       const confirmMessage =
         `🔒 *Confirm Escrow*\n\n` +
         `Amount: *${amount} STX*\n` +
         `To: ${recipient.name || recipient.address}\n` +
-        `${recipient.address.substring(0, 10)}...${recipient.address.substring(recipient.address.length - 6)}\n` +
+        recipientLine +
         `Timeout: ${timeDescription}\n` +
-        `Fee: ~${fees.mediumStx.toFixed(6)} STX\n` +
-        `Total: *${(amount + fees.mediumStx).toFixed(6)} STX*\n\n` +
+        `Fee: ${feeStx.toFixed(6)} STX (${feeTier})\n` +
+        `Total: *${totalNeeded.toFixed(6)} STX*\n\n` +
         `⚠️ Funds will be locked until:\n` +
         `• You or recipient release them\n` +
-        `• Timeout expires (${timeDescription})\n\n` +
-        `Reply:\n*yes* to confirm\n*no* to cancel`;
+        `• Timeout expires (${timeDescription})`;
 
-      await whatsappService.sendMessage(phoneNumber, confirmMessage);
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage);
 
       return { success: true };
     } catch (error) {
@@ -228,6 +295,18 @@ class EscrowHandler {
         };
       }
 
+      // Escrows to unregistered numbers are held for the claim wallet -
+      // releasing them on-chain would strand the funds there
+      if (escrow.claim_token) {
+        return {
+          success: false,
+          message: isRecipient
+            ? `❌ Escrow #${escrowId} was sent before you registered.\n\nClaim it with: claim ${escrow.claim_token}`
+            : `❌ Escrow #${escrowId} is waiting for ${escrow.recipient_phone} to claim it and can't be released.\n\n` +
+              `Use "cancel escrow #${escrowId}" or "refund escrow #${escrowId}" instead.`,
+        };
+      }
+
       // Check if escrow is active
       if (escrow.status !== 'active') {
         return {
@@ -236,11 +315,19 @@ class EscrowHandler {
         };
       }
 
+      // One release/refund/cancel at a time
+      if (escrow.pending_action) {
+        return {
+          success: false,
+          message: `⏳ Escrow #${escrowId} is already being ${ACTIONS[escrow.pending_action].done}. You'll get a message once it confirms.`,
+        };
+      }
+
       // Save state for confirmation
-      await stateService.setState(phoneNumber, 'escrow', 'confirm_release', {
+      await conversationService.start(phoneNumber, 'escrow', 'confirm_release', {
         escrowId,
         escrow,
-        userAddress: user.stx_address,
+        userAddress: user.stxAddress,
       });
 
       // Send confirmation
@@ -251,10 +338,9 @@ class EscrowHandler {
         `Amount: ${amount} STX\n` +
         `To: ${escrow.recipient_phone || escrow.recipient_stx_address}\n` +
         `Memo: ${escrow.memo}\n\n` +
-        `This will release the funds to the recipient.\n\n` +
-        `Reply:\n*yes* to confirm\n*no* to cancel`;
+        `This will release the funds to the recipient.`;
 
-      await whatsappService.sendMessage(phoneNumber, confirmMessage);
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage);
 
       return { success: true };
     } catch (error) {
@@ -302,6 +388,14 @@ class EscrowHandler {
         };
       }
 
+      // One release/refund/cancel at a time
+      if (escrow.pending_action) {
+        return {
+          success: false,
+          message: `⏳ Escrow #${escrowId} is already being ${ACTIONS[escrow.pending_action].done}. You'll get a message once it confirms.`,
+        };
+      }
+
       // Check if timeout has been reached
       const canRefund = await escrowService.canRefund(escrowId);
       if (!canRefund) {
@@ -312,10 +406,10 @@ class EscrowHandler {
       }
 
       // Save state for confirmation
-      await stateService.setState(phoneNumber, 'escrow', 'confirm_refund', {
+      await conversationService.start(phoneNumber, 'escrow', 'confirm_refund', {
         escrowId,
         escrow,
-        senderAddress: user.stx_address,
+        senderAddress: user.stxAddress,
       });
 
       // Send confirmation
@@ -325,10 +419,9 @@ class EscrowHandler {
         `Escrow ID: #${escrowId}\n` +
         `Amount: ${amount} STX\n` +
         `Memo: ${escrow.memo}\n\n` +
-        `⏰ Timeout reached. You can now get your refund.\n\n` +
-        `Reply:\n*yes* to confirm\n*no* to cancel`;
+        `⏰ Timeout reached. You can now get your refund.`;
 
-      await whatsappService.sendMessage(phoneNumber, confirmMessage);
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage);
 
       return { success: true };
     } catch (error) {
@@ -376,11 +469,19 @@ class EscrowHandler {
         };
       }
 
+      // One release/refund/cancel at a time
+      if (escrow.pending_action) {
+        return {
+          success: false,
+          message: `⏳ Escrow #${escrowId} is already being ${ACTIONS[escrow.pending_action].done}. You'll get a message once it confirms.`,
+        };
+      }
+
       // Save state for confirmation
-      await stateService.setState(phoneNumber, 'escrow', 'confirm_cancel', {
+      await conversationService.start(phoneNumber, 'escrow', 'confirm_cancel', {
         escrowId,
         escrow,
-        senderAddress: user.stx_address,
+        senderAddress: user.stxAddress,
       });
 
       // Send confirmation
@@ -390,10 +491,9 @@ class EscrowHandler {
         `Escrow ID: #${escrowId}\n` +
         `Amount: ${amount} STX\n` +
         `Memo: ${escrow.memo}\n\n` +
-        `This will cancel the escrow and return funds to you.\n\n` +
-        `Reply:\n*yes* to confirm\n*no* to cancel`;
+        `This will cancel the escrow and return funds to you.`;
 
-      await whatsappService.sendMessage(phoneNumber, confirmMessage);
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage);
 
       return { success: true };
     } catch (error) {
@@ -449,6 +549,10 @@ class EscrowHandler {
         `Timeout: ${escrow.timeout_blocks} blocks\n` +
         `Memo: ${escrow.memo}\n`;
 
+      if (escrow.pending_action) {
+        statusMessage += `\n⏳ Being ${ACTIONS[escrow.pending_action].done} - confirming on blockchain\n`;
+      }
+
       if (escrow.tx_id) {
         statusMessage += `\nTX: ${escrow.tx_id.substring(0, 10)}...`;
       }
@@ -517,41 +621,35 @@ class EscrowHandler {
   }
 
   /**
-   * Handle multi-step conversation flows
+   * Handle "claim <token>" command
    */
-  async handleStateFlow(phoneNumber, message, state) {
+  async handleClaim(phoneNumber, message, user) {
     try {
-      const normalizedMessage = message.toLowerCase().trim();
+      // Parse: "claim K7M2QX9P"
+      const match = message.match(/^claim\s+([a-z0-9\s]+)$/i);
 
-      if (normalizedMessage !== 'yes' && normalizedMessage !== 'no') {
-        await whatsappService.sendMessage(
-          phoneNumber,
-          '⚠️ Please reply *yes* to confirm or *no* to cancel.'
-        );
-        return { success: true };
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: claim [code]\n\nExample: claim K7M2QX9P',
+        };
       }
 
-      if (normalizedMessage === 'no') {
-        await stateService.clearState(phoneNumber);
-        await whatsappService.sendMessage(phoneNumber, '❌ Cancelled.');
-        return { success: true };
-      }
+      const { escrow } = await claimService.claimEscrow(match[1], phoneNumber, user.stxAddress);
 
-      // User said yes - execute the action
-      if (state.step === 'confirm_create') {
-        return await this.executeCreateEscrow(phoneNumber, state);
-      } else if (state.step === 'confirm_release') {
-        return await this.executeReleaseEscrow(phoneNumber, state);
-      } else if (state.step === 'confirm_refund') {
-        return await this.executeRefundEscrow(phoneNumber, state);
-      } else if (state.step === 'confirm_cancel') {
-        return await this.executeCancelEscrow(phoneNumber, state);
-      }
+      const amount = stacksService.microStxToStx(escrow.amount_microstx);
+      await whatsappService.sendMessage(
+        phoneNumber,
+        `🎁 *Claim Accepted!*\n\n` +
+        `Amount: ${amount} STX\n` +
+        `From: ${escrow.sender_phone}\n\n` +
+        `⏳ Releasing from escrow...\n` +
+        `You'll get a message when the STX reaches your address.`
+      );
 
-      return null;
+      return { success: true };
     } catch (error) {
-      console.error('Error in state flow:', error);
-      await stateService.clearState(phoneNumber);
+      console.error('Error handling claim:', error);
       return {
         success: false,
         message: `❌ ${error.message}`,
@@ -559,73 +657,96 @@ class EscrowHandler {
     }
   }
 
+  /**
+   * Resolve a phone number to an escrow recipient
+   * Unregistered numbers get the claim wallet as recipient plus a claim token.
+   * @param {string} phone - Recipient's phone number
+   * @returns {Promise<Object>} Recipient
+   */
+  async resolvePhoneRecipient(phone) {
+    const { user: recipientUser } = await userService.getByPhone(phone);
+    if (recipientUser) {
+      return {
+        type: 'phone',
+        address: recipientUser.stxAddress,
+        name: phone,
+        phone,
+      };
+    }
+
+    if (!claimService.isConfigured()) {
+      throw new Error(`${phone} is not registered yet. Ask them to register first.`);
+    }
+
+    return {
+      type: 'claim',
+      address: claimService.claimAddress,
+      name: phone,
+      phone,
+      claimToken: claimService.generateToken(),
+    };
+  }
+
   /**
    * Execute create escrow after confirmation
+   * Custodial users (key in the vault) are signed by the bot;
+   * everyone else gets a signing request for their own wallet.
    */
   async executeCreateEscrow(phoneNumber, state) {
     try {
-      const { amount, amountMicroStx, recipient, senderAddress, timeoutBlocks, timeDescription } = state.data;
+      const { amount, amountMicroStx, recipient, senderAddress, timeoutBlocks, timeDescription, fee } = state.data;
+      const memo = this.getEscrowMemo(timeDescription);
+      const details = { amount, amountMicroStx, recipient, timeoutBlocks, timeDescription, memo };
+
+      if (await keyVaultService.hasKey(phoneNumber)) {
+        // Send processing message
+        await whatsappService.sendMessage(
+          phoneNumber,
+          '⏳ Creating escrow...\n\nThis may take a few moments.'
+        );
+
+        // Create escrow (key decrypted only while signing)
+        const result = await escrowService.createEscrow(
+          senderAddress,
+          recipient.address,
+          amountMicroStx,
+          timeoutBlocks,
+          memo,
+          phoneNumber,
+          recipient.phone || null,
+          recipient.claimToken || null,
+          fee
+        );
 
-      // Get user for private key
-      const user = await userService.getByPhone(phoneNumber);
-      const senderKey = user.private_key; // NOTE: Implement secure key storage
+        await this.notifyEscrowCreated(phoneNumber, details, result.txId);
 
-      if (!senderKey) {
-        throw new Error('Private key not available. Please contact support.');
+        return { success: true };
       }
 
-      // Send processing message
-      await whatsappService.sendMessage(
+      const signingRequest = await signingService.createContractCallRequest({
         phoneNumber,
-        '⏳ Creating escrow...\n\nThis may take a few moments.'
-      );
-
-      // Create escrow
-      const result = await escrowService.createEscrow(
         senderAddress,
-        senderKey,
-        recipient.address,
-        amountMicroStx,
-        timeoutBlocks,
-        `Escrow via WhatsApp - ${timeDescription}`,
+        call: escrowService.buildCreateEscrowCall(
+          senderAddress,
+          recipient.address,
+          amountMicroStx,
+          timeoutBlocks,
+          memo
+        ),
+        fee,
+        handler: 'escrow',
+        action: 'create',
+        metadata: details,
+      });
+
+      await whatsappService.sendMessage(
         phoneNumber,
-        recipient.phone || null
+        this.formatSigningMessage('Create Escrow', `Amount: ${amount} STX\nTo: ${recipient.name || recipient.address}\nTimeout: ${timeDescription}`, signingRequest)
       );
 
-      // Clear state
-      await stateService.clearState(phoneNumber);
-
-      // Send success message
-      const successMessage =
-        `🔒 *Escrow Created!*\n\n` +
-        `Amount: ${amount} STX\n` +
-        `To: ${recipient.name || 'Address'}\n` +
-        `Timeout: ${timeDescription}\n` +
-        `TX ID: ${result.txId.substring(0, 10)}...${result.txId.substring(result.txId.length - 6)}\n\n` +
-        `⏳ Confirming on blockchain...\n` +
-        `View: ${result.explorerUrl}`;
-
-      await whatsappService.sendMessage(phoneNumber, successMessage);
-
-      // Notify recipient if they have a phone number
-      if (recipient.phone) {
-        const recipientUser = await userService.getByPhone(recipient.phone);
-        if (recipientUser) {
-          await whatsappService.sendMessage(
-            recipient.phone,
-            `🔒 *Escrow Received!*\n\n` +
-            `Amount: ${amount} STX\n` +
-            `From: ${phoneNumber}\n` +
-            `Timeout: ${timeDescription}\n\n` +
-            `Release: "release escrow #${result.escrowId}"`
-          );
-        }
-      }
-
       return { success: true };
     } catch (error) {
       console.error('Error executing create escrow:', error);
-      await stateService.clearState(phoneNumber);
       return {
         success: false,
         message: `❌ Failed to create escrow: ${error.message}`,
@@ -633,123 +754,325 @@ class EscrowHandler {
     }
   }
 
+  /**
+   * Memo of a create-escrow call (also used to price it before confirmation)
+   * @param {string} timeDescription - e.g. "24 hours"
+   * @returns {string} Memo
+   */
+  getEscrowMemo(timeDescription) {
+    return `Escrow via WhatsApp - ${timeDescription}`;
+  }
+
   /**
    * Execute release escrow after confirmation
    */
   async executeReleaseEscrow(phoneNumber, state) {
+    return await this.executeEscrowAction(phoneNumber, state, 'release', state.data.userAddress);
+  }
+
+  /**
+   * Execute refund escrow after confirmation
+   */
+  async executeRefundEscrow(phoneNumber, state) {
+    return await this.executeEscrowAction(phoneNumber, state, 'refund', state.data.senderAddress);
+  }
+
+  /**
+   * Execute cancel escrow after confirmation
+   */
+  async executeCancelEscrow(phoneNumber, state) {
+    return await this.executeEscrowAction(phoneNumber, state, 'cancel', state.data.senderAddress);
+  }
+
+  /**
+   * Sign (custodial) or build a signing request for release/refund/cancel
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} state - Conversation state
+   * @param {string} action - 'release' | 'refund' | 'cancel'
+   * @param {string} signerAddress - Address that must sign
+   */
+  async executeEscrowAction(phoneNumber, state, action, signerAddress) {
     try {
-      const { escrowId, userAddress } = state.data;
+      const { escrowId } = state.data;
 
-      const user = await userService.getByPhone(phoneNumber);
-      const userKey = user.private_key;
+      if (await keyVaultService.hasKey(phoneNumber)) {
+        const progress = { release: 'Releasing', refund: 'Refunding', cancel: 'Cancelling' }[action];
+        await whatsappService.sendMessage(phoneNumber, `⏳ ${progress} escrow...`);
 
-      if (!userKey) {
-        throw new Error('Private key not available.');
-      }
+        // releaseEscrow / refundEscrow / cancelEscrow record the pending action themselves
+        const result = await escrowService[`${action}Escrow`](escrowId, signerAddress, phoneNumber);
 
-      await whatsappService.sendMessage(phoneNumber, '⏳ Releasing escrow...');
+        await this.notifyEscrowAction(phoneNumber, action, escrowId, result.txId);
 
-      const result = await escrowService.releaseEscrow(escrowId, userAddress, userKey);
+        return { success: true };
+      }
 
-      await stateService.clearState(phoneNumber);
+      const signingRequest = await signingService.createContractCallRequest({
+        phoneNumber,
+        senderAddress: signerAddress,
+        call: escrowService.buildEscrowActionCall(`${action}-escrow`, escrowId),
+        handler: 'escrow',
+        action,
+        metadata: { escrowId },
+      });
 
+      const title = action.charAt(0).toUpperCase() + action.slice(1);
       await whatsappService.sendMessage(
         phoneNumber,
-        `🔓 *Escrow Released!*\n\n` +
-        `Escrow ID: #${escrowId}\n` +
-        `TX ID: ${result.txId.substring(0, 10)}...\n\n` +
-        `View: ${result.explorerUrl}`
+        this.formatSigningMessage(`${title} Escrow`, `Escrow ID: #${escrowId}`, signingRequest)
       );
 
       return { success: true };
     } catch (error) {
-      console.error('Error executing release:', error);
-      await stateService.clearState(phoneNumber);
+      console.error(`Error executing ${action}:`, error);
       return {
         success: false,
-        message: `❌ Failed to release escrow: ${error.message}`,
+        message: `❌ Failed to ${action} escrow: ${error.message}`,
       };
     }
   }
 
   /**
-   * Execute refund escrow after confirmation
+   * Finish an escrow action after the user signed it and it was broadcast
+   * @param {Object} request - Completed signing request
+   * @param {Object} result - Broadcast result ({ txId, fee })
+   * @returns {Promise<Object>} Handler result
    */
-  async executeRefundEscrow(phoneNumber, state) {
+  async completeSignedAction(request, { txId }) {
     try {
-      const { escrowId, senderAddress } = state.data;
+      const phoneNumber = request.phone_number;
+
+      if (request.action === 'create') {
+        const { recipient, amountMicroStx, timeoutBlocks, memo } = request.metadata;
+
+        await escrowService.saveEscrowToDatabase({
+          senderPhone: phoneNumber,
+          senderAddress: request.sender_address,
+          recipientPhone: recipient.phone || null,
+          recipientAddress: recipient.address,
+          amountMicroStx,
+          timeoutBlocks,
+          memo,
+          txId,
+          status: 'pending',
+          claimToken: recipient.claimToken || null,
+        });
+
+        await this.notifyEscrowCreated(phoneNumber, request.metadata, txId);
 
-      const user = await userService.getByPhone(phoneNumber);
-      const senderKey = user.private_key;
-
-      if (!senderKey) {
-        throw new Error('Private key not available.');
+        return { success: true };
       }
 
-      await whatsappService.sendMessage(phoneNumber, '⏳ Refunding escrow...');
-
-      const result = await escrowService.refundEscrow(escrowId, senderAddress, senderKey);
+      if (!ACTIONS[request.action]) {
+        throw new Error(`Unknown escrow action: ${request.action}`);
+      }
 
-      await stateService.clearState(phoneNumber);
+      // Settled by the confirmation worker once the transaction confirms
+      const { escrowId } = request.metadata;
+      await escrowService.recordEscrowAction(escrowId, request.action, txId);
 
-      await whatsappService.sendMessage(
-        phoneNumber,
-        `💰 *Escrow Refunded!*\n\n` +
-        `Escrow ID: #${escrowId}\n` +
-        `TX ID: ${result.txId.substring(0, 10)}...\n\n` +
-        `View: ${result.explorerUrl}`
-      );
+      await this.notifyEscrowAction(phoneNumber, request.action, escrowId, txId);
 
       return { success: true };
     } catch (error) {
-      console.error('Error executing refund:', error);
-      await stateService.clearState(phoneNumber);
+      console.error('Error completing signed escrow action:', error);
       return {
         success: false,
-        message: `❌ Failed to refund escrow: ${error.message}`,
+        message: `❌ ${error.message}`,
       };
     }
   }
 
   /**
-   * Execute cancel escrow after confirmation
+   * Tell sender (and recipient, if registered) that an escrow was created
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} details - { amount, amountMicroStx, recipient, timeDescription }
+   * @param {string} txId - Transaction ID
+   *
+   * The contract escrow ID is only known once the transaction confirms,
+   * so release/cancel commands are sent by notifyEscrowLive
    */
-  async executeCancelEscrow(phoneNumber, state) {
-    try {
-      const { escrowId, senderAddress } = state.data;
+  async notifyEscrowCreated(phoneNumber, { amount, amountMicroStx, recipient, timeDescription }, txId) {
+    await whatsappService.sendMessage(
+      phoneNumber,
+      `🔒 *Escrow Created!*\n\n` +
+      `Amount: ${amount} STX\n` +
+      `To: ${recipient.name || 'Address'}\n` +
+      `Timeout: ${timeDescription}\n` +
+      `TX ID: ${txId.substring(0, 10)}...${txId.substring(txId.length - 6)}\n\n` +
+      `⏳ Confirming on blockchain...\n` +
+      `View: ${escrowService.getExplorerUrl(txId)}`
+    );
 
-      const user = await userService.getByPhone(phoneNumber);
-      const senderKey = user.private_key;
+    // Unregistered recipient - send the claim code
+    if (recipient.claimToken) {
+      await whatsappService.sendEscrowNotification(recipient.phone, {
+        amount: amountMicroStx,
+        claimToken: recipient.claimToken,
+        timeDescription,
+      });
+      return;
+    }
 
-      if (!senderKey) {
-        throw new Error('Private key not available.');
+    // Notify recipient if they have a phone number
+    if (recipient.phone) {
+      const { user: recipientUser } = await userService.getByPhone(recipient.phone);
+      if (recipientUser) {
+        await whatsappService.sendMessage(
+          recipient.phone,
+          `🔒 *Escrow Received!*\n\n` +
+          `Amount: ${amount} STX\n` +
+          `From: ${phoneNumber}\n` +
+          `Timeout: ${timeDescription}\n\n` +
+          `You'll get the escrow number once it confirms.`
+        );
       }
+    }
+  }
 
-      await whatsappService.sendMessage(phoneNumber, '⏳ Cancelling escrow...');
+  /**
+   * Reconcile pending escrows and tell creators which ones went live
+   * @param {number} batchSize - Maximum escrows to check
+   * @returns {Promise<Array>} Updates from EscrowService
+   */
+  async reconcileEscrows(batchSize = 25) {
+    return await escrowService.reconcilePendingEscrows(
+      update => this.notifyEscrowLive(update),
+      batchSize
+    );
+  }
 
-      const result = await escrowService.cancelEscrow(escrowId, senderAddress, senderKey);
+  /**
+   * Tell the creator (and registered recipient) that an escrow confirmed or failed
+   * @param {Object} update - { escrow, status, contractEscrowId }
+   */
+  async notifyEscrowLive({ escrow, status, contractEscrowId }) {
+    const amount = stacksService.microStxToStx(escrow.amount_microstx);
 
-      await stateService.clearState(phoneNumber);
+    if (status === 'failed') {
+      await whatsappService.sendMessage(
+        escrow.sender_phone,
+        `❌ *Escrow Failed*\n\n` +
+        `Amount: ${amount} STX\n` +
+        `To: ${escrow.recipient_phone || escrow.recipient_stx_address}\n\n` +
+        `The transaction did not go through, so no funds were locked.\n` +
+        `View: ${escrowService.getExplorerUrl(escrow.tx_id)}`
+      );
+      return;
+    }
+
+    await whatsappService.sendMessage(
+      escrow.sender_phone,
+      `🟢 *Escrow #${contractEscrowId} is live!*\n\n` +
+      `Amount: ${amount} STX\n` +
+      `To: ${escrow.recipient_phone || escrow.recipient_stx_address}\n\n` +
+      // Claim escrows are released by the recipient's claim, not by the sender
+      (escrow.claim_token ? '' : `• release escrow #${contractEscrowId}\n`) +
+      `• cancel escrow #${contractEscrowId}\n` +
+      `• escrow status #${contractEscrowId}`
+    );
 
+    // Unregistered recipients already have their claim code
+    if (escrow.recipient_phone && !escrow.claim_token) {
       await whatsappService.sendMessage(
-        phoneNumber,
-        `❌ *Escrow Cancelled!*\n\n` +
-        `Escrow ID: #${escrowId}\n` +
-        `TX ID: ${result.txId.substring(0, 10)}...\n\n` +
-        `View: ${result.explorerUrl}`
+        escrow.recipient_phone,
+        `🟢 *Escrow #${contractEscrowId} is live!*\n\n` +
+        `Amount: ${amount} STX\n` +
+        `From: ${escrow.sender_phone}\n\n` +
+        `Release: "release escrow #${contractEscrowId}"`
       );
+    }
+  }
 
-      return { success: true };
-    } catch (error) {
-      console.error('Error executing cancel:', error);
-      await stateService.clearState(phoneNumber);
-      return {
-        success: false,
-        message: `❌ Failed to cancel escrow: ${error.message}`,
+  /**
+   * Tell the user a release/refund/cancel was broadcast
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} action - 'release' | 'refund' | 'cancel'
+   * @param {number} escrowId - Contract escrow ID
+   * @param {string} txId - Transaction ID
+   */
+  async notifyEscrowAction(phoneNumber, action, escrowId, txId) {
+    const { icon, label } = ACTIONS[action];
+
+    await whatsappService.sendMessage(
+      phoneNumber,
+      `${icon} *Escrow ${label} Sent*\n\n` +
+      `Escrow ID: #${escrowId}\n` +
+      `TX ID: ${txId.substring(0, 10)}...\n\n` +
+      `⏳ Confirming on blockchain...\n` +
+      `View: ${escrowService.getExplorerUrl(txId)}`
+    );
+  }
+
+  /**
+   * Settle escrows whose release/refund/cancel confirmed or failed and tell both parties
+   * @param {number} batchSize - Maximum escrows to check
+   * @returns {Promise<Array>} Updates from EscrowService
+   */
+  async reconcileEscrowActions(batchSize = 25) {
+    return await escrowService.reconcileEscrowActions(
+      update => this.notifyEscrowActionUpdate(update),
+      batchSize
+    );
+  }
+
+  /**
+   * Tell sender and recipient how a release/refund/cancel went
+   * @param {Object} update - { escrow, action, status, txId }
+   */
+  async notifyEscrowActionUpdate({ escrow, action, status, txId }) {
+    // A claim's release is reported by the ClaimService when it forwards the funds
+    if (action === 'release' && escrow.claim_token) {
+      return;
+    }
+
+    const escrowId = escrow.contract_escrow_id;
+    const amount = stacksService.microStxToStx(escrow.amount_microstx);
+    const { icon, label, done } = ACTIONS[action];
+
+    let messages;
+    if (status === 'confirmed') {
+      const toRecipient = action === 'release';
+      messages = {
+        sender: `${icon} *Escrow #${escrowId} ${done.charAt(0).toUpperCase() + done.slice(1)}*\n\n` +
+          (toRecipient
+            ? `${amount} STX went to ${escrow.recipient_phone || escrow.recipient_stx_address}.`
+            : `${amount} STX is back in your wallet.`),
+        recipient: toRecipient
+          ? `💰 *Escrow #${escrowId} Released*\n\n${amount} STX from ${escrow.sender_phone} is in your wallet.`
+          : `${icon} Escrow #${escrowId} of ${amount} STX from ${escrow.sender_phone} was ${done} and returned to the sender.`,
       };
+    } else {
+      const message = `⚠️ *Escrow #${escrowId} ${label} Didn't Go Through*\n\n` +
+        `The ${action} was ${status}, so escrow #${escrowId} (${amount} STX) is still active.\n\n` +
+        `View: ${escrowService.getExplorerUrl(txId)}`;
+      messages = { sender: message, recipient: message };
+    }
+
+    await whatsappService.sendMessage(escrow.sender_phone, messages.sender);
+
+    if (escrow.recipient_phone) {
+      await whatsappService.sendMessage(escrow.recipient_phone, messages.recipient);
     }
   }
 
+  /**
+   * Format the "sign in your wallet" message
+   * @param {string} title - Action title
+   * @param {string} details - Action details
+   * @param {Object} signingRequest - Signing request from SigningService
+   * @returns {string} Message text
+   */
+  formatSigningMessage(title, details, signingRequest) {
+    return (
+      `✍️ *Sign: ${title}*\n\n` +
+      `${details}\n\n` +
+      `Open this link and approve in your wallet:\n` +
+      `${signingRequest.link}\n\n` +
+      `⏰ Link expires in ${signingService.expiryMinutes} minutes.`
+    );
+  }
+
   /**
    * Get help text for escrow commands
    */
@@ -758,13 +1081,16 @@ class EscrowHandler {
       `🔒 *Escrow Commands*\n\n` +
       `*Create Escrow*\n` +
       `• escrow [amount] to [name/address] for [time] hours/days\n` +
-      `  Example: escrow 5 to John for 24 hours\n\n` +
+      `  Example: escrow 5 to John for 24 hours\n` +
+      `• escrow [amount] to [phone] for [time] hours/days\n` +
+      `  Works even if they haven't registered yet\n\n` +
       `*Manage Escrows*\n` +
       `• release escrow #[id] - Release funds\n` +
       `• refund escrow #[id] - Refund after timeout\n` +
       `• cancel escrow #[id] - Cancel escrow\n` +
       `• escrow status #[id] - Check status\n` +
-      `• my escrows - List all escrows\n\n` +
+      `• my escrows - List all escrows\n` +
+      `• claim [code] - Claim an escrow sent to you\n\n` +
       `Need help? Reply *help*`
     );
   }
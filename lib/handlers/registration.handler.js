@@ -4,11 +4,37 @@
  */
 
 import { userService } from '../services/user.service.js';
-import { stateService } from '../services/state.service.js';
+import conversationService from '../services/conversation.service.js';
 import { whatsappService } from '../services/whatsapp.service.js';
-import { validateStxAddress, validatePhone } from '../utils/validator.js';
+import claimService from '../services/claim.service.js';
+import { validateStxAddress, parsePhone, getSupportedCountries, PHONE_COUNTRIES } from '../utils/validator.js';
 
 class RegistrationHandler {
+  constructor() {
+    // The address reply is answered by the conversation engine
+    conversationService.defineFlow('registration', {
+      timeoutMinutes: 30,
+      cancelMessage: 'Registration cancelled. Type "register" to start again.',
+      timeoutMessage: 'Registration timed out.',
+      steps: {
+        address: {
+          validate: (message) => this.validateAddressReply(message),
+          run: (phoneNumber, stxAddress) => this.completeRegistration(phoneNumber, stxAddress),
+        },
+      },
+    });
+  }
+
+  /**
+   * Handle a message from an unregistered user (or "register")
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} message - Message text
+   * @returns {Promise<{success: boolean, message?: string, error?: string}>}
+   */
+  async handleMessage(phoneNumber, message) {
+    return await this.handleRegistration(phoneNumber, message);
+  }
+
   /**
    * Handle registration process for a user
    * @param {string} phoneNumber - User's phone number
@@ -17,11 +43,14 @@ class RegistrationHandler {
    */
   async handleRegistration(phoneNumber, messageBody) {
     try {
-      // Validate phone number
-      if (!validatePhone(phoneNumber)) {
-        await whatsappService.sendErrorMessage(
-          phoneNumber,
-          'Invalid phone number format'
+      // Validate phone number (E.164 from a supported country)
+      // Outbound sends only go to supported numbers, so there's no one to
+      // reply to - the attempt is logged instead
+      const phone = parsePhone(phoneNumber);
+      if (!phone.valid || phone.e164 !== phoneNumber) {
+        const supported = getSupportedCountries().map(country => PHONE_COUNTRIES[country].name).join(', ');
+        console.warn(
+          `Registration from ${phoneNumber} ignored: ${phone.error || 'Invalid phone number format'}. Supported countries: ${supported}`
         );
         return {
           success: false,
@@ -42,16 +71,14 @@ class RegistrationHandler {
         };
       }
 
-      // Check if there's an active registration state
-      const stateResult = await stateService.getState(phoneNumber);
-      
-      if (!stateResult.success) {
-        // No active state - this is the start of registration
-        return await this.startRegistration(phoneNumber);
+      // An address reply to an active registration
+      const reply = await conversationService.handleMessage(phoneNumber, messageBody);
+      if (reply) {
+        return reply;
       }
 
-      // User has active registration state - expecting STX address
-      return await this.completeRegistration(phoneNumber, messageBody);
+      // No active registration - this is the start of it
+      return await this.startRegistration(phoneNumber);
     } catch (error) {
       console.error('Registration handler error:', error);
       await whatsappService.sendErrorMessage(
@@ -71,10 +98,8 @@ class RegistrationHandler {
    * @returns {Promise<{success: boolean}>}
    */
   async startRegistration(phoneNumber) {
-    // Set registration state
-    await stateService.setState(phoneNumber, 'registration', {
-      step: 1,
-      awaitingAddress: true,
+    // Wait for the address
+    await conversationService.start(phoneNumber, 'registration', 'address', {
       startedAt: new Date().toISOString(),
     });
 
@@ -88,28 +113,32 @@ class RegistrationHandler {
   }
 
   /**
-   * Complete registration with STX address
-   * @param {string} phoneNumber
-   * @param {string} stxAddress
-   * @returns {Promise<{success: boolean, message?: string, error?: string}>}
+   * Validate the address reply (the registration step's validator)
+   * @param {string} message - Reply text
+   * @returns {{valid: boolean, value?: string, error?: string}}
    */
-  async completeRegistration(phoneNumber, stxAddress) {
+  validateAddressReply(message) {
     // Clean up the address (remove whitespace)
-    const cleanAddress = stxAddress.trim();
+    const cleanAddress = message.trim();
 
-    // Validate STX address format
     const addressValidation = validateStxAddress(cleanAddress);
     if (!addressValidation.valid) {
-      await whatsappService.sendErrorMessage(
-        phoneNumber,
-        `Invalid STX address: ${addressValidation.error}\n\nPlease send a valid Stacks address (starting with SP or ST).`
-      );
       return {
-        success: false,
-        error: addressValidation.error,
+        valid: false,
+        error: `❌ Invalid STX address: ${addressValidation.error}\n\nPlease send a valid Stacks address (starting with SP or ST), or *cancel*.`,
       };
     }
 
+    return { valid: true, value: cleanAddress };
+  }
+
+  /**
+   * Complete registration with a validated STX address
+   * @param {string} phoneNumber
+   * @param {string} cleanAddress - From validateAddressReply
+   * @returns {Promise<{success: boolean, message?: string, error?: string}>}
+   */
+  async completeRegistration(phoneNumber, cleanAddress) {
     // Check if address is already registered
     const addressExists = await userService.addressExists(cleanAddress);
     if (addressExists) {
@@ -117,7 +146,6 @@ class RegistrationHandler {
         phoneNumber,
         'This STX address is already registered to another account.'
       );
-      await stateService.clearState(phoneNumber);
       return {
         success: false,
         error: 'Address already registered',
@@ -135,22 +163,17 @@ class RegistrationHandler {
         phoneNumber,
         'Registration failed. Please try again later.'
       );
-      await stateService.clearState(phoneNumber);
       return {
         success: false,
         error: createResult.error,
       };
     }
 
-    // Clear registration state
-    await stateService.clearState(phoneNumber);
-
     // Send welcome message
     await whatsappService.sendWelcomeMessage(phoneNumber, cleanAddress);
 
-    // Check for pending escrows for this phone number
-    // (This will be implemented in Phase 3)
-    // await this.checkPendingEscrows(phoneNumber);
+    // Tell the user about escrows sent to them before they registered
+    await this.checkPendingEscrows(phoneNumber);
 
     return {
       success: true,
@@ -187,9 +210,10 @@ class RegistrationHandler {
    * @returns {Promise<{success: boolean}>}
    */
   async cancelRegistration(phoneNumber) {
-    const cleared = await stateService.clearState(phoneNumber);
-    
-    if (cleared.success) {
+    const active = await conversationService.getActive(phoneNumber);
+
+    if (active && active.flow === 'registration') {
+      await conversationService.end(phoneNumber);
       await whatsappService.sendMessage(
         phoneNumber,
         'Registration cancelled. Type "register" to start again.'
@@ -213,25 +237,37 @@ class RegistrationHandler {
    */
   async getRegistrationStatus(phoneNumber) {
     const userExists = await userService.exists(phoneNumber);
-    const stateResult = await stateService.getState(phoneNumber);
+    const state = await conversationService.getActive(phoneNumber);
 
     return {
       registered: userExists,
-      inProgress: stateResult.success && stateResult.state.stateType === 'registration',
-      state: stateResult.success ? stateResult.state : null,
+      inProgress: state !== null && state.flow === 'registration',
+      state,
     };
   }
 
   /**
    * Check for pending escrows and notify user
-   * (To be implemented in Phase 3)
    * @param {string} phoneNumber
+   * @returns {Promise<Array>} Unclaimed escrows
    */
   async checkPendingEscrows(phoneNumber) {
-    // TODO: Implement in Phase 3
-    // Query escrows table for pending escrows sent to this phone number
-    // Notify user about available claims
-    console.log(`TODO: Check pending escrows for ${phoneNumber}`);
+    try {
+      const claims = await claimService.getPendingClaims(phoneNumber);
+
+      if (claims.length > 0) {
+        await whatsappService.sendMessage(
+          phoneNumber,
+          claimService.formatPendingClaims(claims)
+        );
+      }
+
+      return claims;
+    } catch (error) {
+      // Registration already succeeded - don't fail it over this
+      console.error('Error checking pending escrows:', error);
+      return [];
+    }
   }
 }
 
@@ -0,0 +1,456 @@
+/**
+ * Request Handler
+ *
+ * Handles payment request WhatsApp commands:
+ * - "request 10 from John for lunch" - Ask someone for money
+ * - "requests" - List requests waiting for you to pay
+ * - "pay #3" - Pay a request (normal payment confirmation)
+ * - "decline #3" - Decline a request
+ * - "split request 30 between John, Ada for dinner" - Collect a bill from several people
+ * - "split #2" - See who has paid a split
+ */
+
+import { userService } from '../services/user.service.js';
+import contactService from '../services/contact.service.js';
+import stacksService from '../services/stacks.service.js';
+import { whatsappService } from '../services/whatsapp.service.js';
+import paymentRequestService from '../services/payment-request.service.js';
+import splitService from '../services/split.service.js';
+import paymentHandler from '../services/payment.handler.js';
+
+class RequestHandler {
+  /**
+   * Handle incoming payment request messages
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} Handler result
+   */
+  async handleMessage(phoneNumber, message) {
+    try {
+      const normalizedMessage = message.toLowerCase().trim();
+
+      // Check if user is registered
+      const { user } = await userService.getByPhone(phoneNumber);
+      if (!user) {
+        return {
+          success: false,
+          message: '❌ You need to register first.\n\nSend: register [your-stx-address]',
+        };
+      }
+
+      if (normalizedMessage.startsWith('request ')) {
+        // "request 10 from John for lunch"
+        return await this.handleCreateRequest(phoneNumber, message, user);
+      }
+
+      if (normalizedMessage.startsWith('split request ')) {
+        // "split request 30 between John, Ada for dinner"
+        return await this.handleSplitRequest(phoneNumber, message, user);
+      }
+
+      if (/^split\s+(status\s+)?#?\d+$/.test(normalizedMessage)) {
+        // "split #2" or "split status 2"
+        return await this.handleSplitStatus(phoneNumber, message);
+      }
+
+      if (normalizedMessage === 'requests') {
+        return await this.handleListRequests(phoneNumber);
+      }
+
+      if (normalizedMessage.startsWith('pay ')) {
+        // "pay #3"
+        return await this.handlePayRequest(phoneNumber, message, user);
+      }
+
+      if (normalizedMessage.startsWith('decline ')) {
+        // "decline #3"
+        return await this.handleDeclineRequest(phoneNumber, message);
+      }
+
+      // Not a request command
+      return null;
+    } catch (error) {
+      console.error('Error in request handler:', error);
+      return {
+        success: false,
+        message: `❌ Error: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "request X from Y [for memo]" command
+   */
+  async handleCreateRequest(phoneNumber, message, user) {
+    try {
+      // Parse: "request 10 from John for lunch" or "request 10 from +2348012345678"
+      const match = message.match(/^request\s+(\d+(?:\.\d+)?)\s+from\s+(.+?)(?:\s+for\s+(.+))?$/i);
+
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: request [amount] from [name/phone] for [what]\n\nExample: request 10 from John for lunch',
+        };
+      }
+
+      const amount = parseFloat(match[1]);
+      const payerInput = match[2].trim();
+      const memo = match[3] ? match[3].trim() : null;
+
+      if (amount <= 0) {
+        return {
+          success: false,
+          message: '❌ Amount must be greater than 0.',
+        };
+      }
+
+      // The payer is messaged on WhatsApp, so we need their number
+      let payer;
+      try {
+        payer = await contactService.resolveRecipient(phoneNumber, payerInput);
+      } catch (error) {
+        return {
+          success: false,
+          message: `❌ ${error.message}`,
+        };
+      }
+
+      if (!payer.phone) {
+        return {
+          success: false,
+          message: `❌ No WhatsApp number for ${payer.name || payerInput}.\n\nUse their phone number, or save it on the contact.`,
+        };
+      }
+
+      if (payer.phone === phoneNumber) {
+        return {
+          success: false,
+          message: '❌ You can\'t request money from yourself.',
+        };
+      }
+
+      if (payer.type === 'unregistered' || !(await userService.exists(payer.phone))) {
+        return {
+          success: false,
+          message: `❌ ${payer.phone} isn't registered yet. Ask them to register first.`,
+        };
+      }
+
+      const request = await paymentRequestService.createRequest({
+        requesterPhone: phoneNumber,
+        requesterAddress: user.stxAddress,
+        payerPhone: payer.phone,
+        amountMicroStx: stacksService.stxToMicroStx(amount),
+        memo,
+      });
+
+      await whatsappService.sendMessage(payer.phone, paymentRequestService.formatRequest(request));
+
+      await whatsappService.sendMessage(
+        phoneNumber,
+        `🧾 *Request #${request.id} Sent*\n\n` +
+        `Amount: ${amount} STX\n` +
+        `From: ${payer.name || payer.phone}\n` +
+        (memo ? `For: ${memo}\n` : '') +
+        `Expires in ${paymentRequestService.expiryDays} days.\n\n` +
+        `You'll get a message when it's paid.`
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error creating payment request:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "split request X between A, B [for memo]" command
+   * Creates one payment request per person, linked by the split.
+   */
+  async handleSplitRequest(phoneNumber, message, user) {
+    try {
+      const match = message.match(/^split\s+request\s+(\d+(?:\.\d+)?)\s+between\s+(.+?)(?:\s+for\s+(.+))?$/i);
+
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: split request [amount] between [names] for [what]\n\nExample: split request 30 between John, Ada for dinner',
+        };
+      }
+
+      const totalMicroStx = stacksService.stxToMicroStx(match[1]);
+      const memo = match[3] ? match[3].trim() : null;
+
+      if (totalMicroStx <= 0) {
+        return {
+          success: false,
+          message: '❌ Amount must be greater than 0.',
+        };
+      }
+
+      // Every payer is messaged on WhatsApp, so each needs a registered number
+      const participants = [];
+      try {
+        const parsed = splitService.parseParticipants(match[2]);
+        const amounts = splitService.computeAmounts(totalMicroStx, parsed.map(({ share }) => share));
+
+        for (const [i, { input }] of parsed.entries()) {
+          const payer = await contactService.resolveRecipient(phoneNumber, input);
+
+          if (!payer.phone) {
+            throw new Error(`No WhatsApp number for ${payer.name || input}.`);
+          }
+          if (payer.phone === phoneNumber) {
+            throw new Error('Leave yourself out - only list the people who owe you.');
+          }
+          if (payer.type === 'unregistered' || !(await userService.exists(payer.phone))) {
+            throw new Error(`${payer.phone} isn't registered yet. Ask them to register first.`);
+          }
+
+          participants.push({ phone: payer.phone, name: payer.name, amountMicroStx: amounts[i] });
+        }
+      } catch (error) {
+        return {
+          success: false,
+          message: `❌ ${error.message}`,
+        };
+      }
+
+      const { split, requests } = await splitService.createSplitRequest({
+        requesterPhone: phoneNumber,
+        requesterAddress: user.stxAddress,
+        totalMicroStx,
+        participants,
+        memo,
+      });
+
+      for (const request of requests) {
+        await whatsappService.sendMessage(request.payer_phone, paymentRequestService.formatRequest(request));
+      }
+
+      let summary = `🍽️ *Split #${split.id} Sent*\n\n` +
+        (memo ? `For: ${memo}\n` : '') +
+        `Total: ${stacksService.microStxToStx(totalMicroStx)} STX\n\n`;
+      participants.forEach(({ name, phone, amountMicroStx }) => {
+        summary += `• ${name || phone}: ${stacksService.microStxToStx(amountMicroStx)} STX\n`;
+      });
+      summary += `\nReply *split #${split.id}* to see who has paid.`;
+
+      await whatsappService.sendMessage(phoneNumber, summary);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error creating split request:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "split #X" command
+   */
+  async handleSplitStatus(phoneNumber, message) {
+    try {
+      const match = message.match(/(\d+)\s*$/);
+      const result = await splitService.getSplit(parseInt(match[1], 10));
+
+      // Only the person collecting can see the split
+      if (!result || result.split.requester_phone !== phoneNumber) {
+        return {
+          success: false,
+          message: '❌ Split not found.',
+        };
+      }
+
+      await whatsappService.sendMessage(phoneNumber, splitService.formatSplitStatus(result.split, result.requests));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error getting split status:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "requests" command
+   */
+  async handleListRequests(phoneNumber) {
+    try {
+      const requests = await paymentRequestService.getPendingForPayer(phoneNumber);
+
+      if (requests.length === 0) {
+        await whatsappService.sendMessage(phoneNumber, '🧾 No payment requests waiting for you.');
+        return { success: true };
+      }
+
+      let message = `🧾 *Payment Requests* (${requests.length})\n\n`;
+      requests.forEach(request => {
+        message += `#${request.id} - ${stacksService.microStxToStx(request.amount_micro_stx)} STX to ${request.requester_phone}\n`;
+        if (request.memo) {
+          message += `   For: ${request.memo}\n`;
+        }
+      });
+      message += `\nReply *pay #[id]* or *decline #[id]*`;
+
+      await whatsappService.sendMessage(phoneNumber, message);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error listing payment requests:', error);
+      return {
+        success: false,
+        message: '❌ Failed to get payment requests.',
+      };
+    }
+  }
+
+  /**
+   * Handle "pay #X" command
+   * Hands over to the normal payment confirmation flow.
+   */
+  async handlePayRequest(phoneNumber, message, user) {
+    try {
+      const match = message.match(/pay\s+#?(\d+)/i);
+
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: pay #[id]\n\nExample: pay #3',
+        };
+      }
+
+      const request = await paymentRequestService.getById(parseInt(match[1], 10));
+      const reason = await paymentRequestService.checkOpen(request, phoneNumber);
+      if (reason) {
+        return {
+          success: false,
+          message: `❌ ${reason}`,
+        };
+      }
+
+      // Pay the requester's number so they're notified like any other payment
+      const amount = stacksService.microStxToStx(request.amount_micro_stx);
+      return await paymentHandler.handleSend(
+        phoneNumber,
+        `send ${amount} to ${request.requester_phone}`,
+        user,
+        { paymentRequestId: request.id }
+      );
+    } catch (error) {
+      console.error('Error paying request:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "decline #X" command
+   */
+  async handleDeclineRequest(phoneNumber, message) {
+    try {
+      const match = message.match(/decline\s+#?(\d+)/i);
+
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: decline #[id]\n\nExample: decline #3',
+        };
+      }
+
+      const request = await paymentRequestService.getById(parseInt(match[1], 10));
+      const reason = await paymentRequestService.checkOpen(request, phoneNumber);
+      if (reason) {
+        return {
+          success: false,
+          message: `❌ ${reason}`,
+        };
+      }
+
+      await paymentRequestService.updateRequest(request.id, { status: 'declined' });
+
+      await whatsappService.sendMessage(phoneNumber, `❌ Request #${request.id} declined.`);
+      await whatsappService.sendMessage(
+        request.requester_phone,
+        `❌ *Request #${request.id} Declined*\n\n` +
+        `${phoneNumber} declined your request for ${stacksService.microStxToStx(request.amount_micro_stx)} STX` +
+        (request.memo ? ` (${request.memo}).` : '.')
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error declining request:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Mark requests paid (or payable again) when their payment settles
+   * Used as a confirmation worker callback, like notifyTransactionUpdate.
+   * @param {Object} update - { txId, status }
+   * @returns {Promise<Object|null>} Updated request, or null if the tx didn't pay a request
+   */
+  async handleTransactionUpdate({ txId, status }) {
+    const request = await paymentRequestService.getByTxId(txId);
+    if (!request || request.status !== 'paying') {
+      return null;
+    }
+
+    const updated = await paymentRequestService.applyPaymentStatus(request, status);
+    const amount = stacksService.microStxToStx(request.amount_micro_stx);
+
+    if (updated.status === 'paid') {
+      let message = `✅ *Request #${request.id} Paid*\n\n` +
+        `${request.payer_phone} paid ${amount} STX` +
+        (request.memo ? ` for ${request.memo}.` : '.');
+
+      if (request.split_id) {
+        const result = await splitService.getSplit(request.split_id);
+        if (result) {
+          message += `\n\n${splitService.formatSplitStatus(result.split, result.requests)}`;
+        }
+      }
+
+      await whatsappService.sendMessage(request.requester_phone, message);
+    } else {
+      await whatsappService.sendMessage(
+        request.payer_phone,
+        `⚠️ Your payment for request #${request.id} did not go through.\n\nReply *pay #${request.id}* to try again.`
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get help text for payment request commands
+   */
+  getHelpText() {
+    return `🧾 *Payment Requests*\n\n` +
+      `*request [amount] from [name/phone] for [what]* - Ask for money\n` +
+      `  Example: request 10 from John for lunch\n` +
+      `*requests* - Requests waiting for you\n` +
+      `*pay #[id]* - Pay a request\n` +
+      `*decline #[id]* - Decline a request\n` +
+      `*split request [amount] between [names] for [what]* - Collect a bill\n` +
+      `  Example: split request 30 between John, Ada for dinner\n` +
+      `*split #[id]* - See who has paid\n\n` +
+      `Need help? Reply *help*`;
+  }
+}
+
+// Export singleton instance
+const requestHandler = new RequestHandler();
+export default requestHandler;
@@ -0,0 +1,307 @@
+/**
+ * Schedule Handler
+ *
+ * Handles scheduled payment WhatsApp commands:
+ * - "send 5 to John every friday" - Recurring payment
+ *   (daily, weekly, every [weekday], monthly, every month on the 15th)
+ * - "send 20 to Ada on 2026-12-24" - One-off payment on a date
+ * - "my schedules" - List active schedules
+ * - "cancel schedule #4" - Stop a schedule
+ *
+ * Also sends the scheduler's run results and low balance warnings.
+ */
+
+import { userService } from '../services/user.service.js';
+import contactService from '../services/contact.service.js';
+import stacksService from '../services/stacks.service.js';
+import { whatsappService } from '../services/whatsapp.service.js';
+import keyVaultService from '../services/key-vault.service.js';
+import scheduleService from '../services/schedule.service.js';
+import paymentHandler from '../services/payment.handler.js';
+
+// "send 5 to John every friday" / "send 5 STX to Ada on 2026-12-24"
+const SCHEDULE_PATTERN = /^send\s+(\d+(?:\.\d+)?)\s*(?:stx\s+)?to\s+(.+?)\s+((?:every|on)\s+.+|daily|weekly|monthly)$/i;
+
+class ScheduleHandler {
+  /**
+   * Check whether a message creates a scheduled payment
+   * @param {string} message - Message text
+   * @returns {boolean}
+   */
+  isScheduleCommand(message) {
+    return SCHEDULE_PATTERN.test(message.trim());
+  }
+
+  /**
+   * Handle incoming schedule messages
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} Handler result
+   */
+  async handleMessage(phoneNumber, message) {
+    try {
+      const normalizedMessage = message.toLowerCase().trim();
+
+      // Check if user is registered
+      const { user } = await userService.getByPhone(phoneNumber);
+      if (!user) {
+        return {
+          success: false,
+          message: '❌ You need to register first.\n\nSend: register [your-stx-address]',
+        };
+      }
+
+      if (this.isScheduleCommand(message)) {
+        // "send 5 to John every friday"
+        return await this.handleCreateSchedule(phoneNumber, message, user);
+      }
+
+      if (normalizedMessage === 'my schedules' || normalizedMessage === 'schedules') {
+        return await this.handleListSchedules(phoneNumber);
+      }
+
+      if (normalizedMessage.startsWith('cancel schedule')) {
+        // "cancel schedule #4"
+        return await this.handleCancelSchedule(phoneNumber, message);
+      }
+
+      // Not a schedule command
+      return null;
+    } catch (error) {
+      console.error('Error in schedule handler:', error);
+      return {
+        success: false,
+        message: `❌ Error: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "send X to Y every ..." command
+   */
+  async handleCreateSchedule(phoneNumber, message, user) {
+    try {
+      const match = message.trim().match(SCHEDULE_PATTERN);
+      const amountMicroStx = stacksService.stxToMicroStx(match[1]);
+      const recipientInput = match[2].trim();
+
+      if (amountMicroStx <= 0) {
+        return {
+          success: false,
+          message: '❌ Amount must be greater than 0.',
+        };
+      }
+
+      // Nobody is around to sign when a schedule runs
+      if (!(await keyVaultService.hasKey(phoneNumber))) {
+        return {
+          success: false,
+          message: '❌ Scheduled payments need a bot-managed wallet.\n\nSend payments yourself with: send [amount] to [name]',
+        };
+      }
+
+      let rule;
+      let recipient;
+      try {
+        rule = scheduleService.parseRule(match[3]);
+        recipient = await contactService.resolveRecipient(phoneNumber, recipientInput);
+      } catch (error) {
+        return {
+          success: false,
+          message: `❌ ${error.message}`,
+        };
+      }
+
+      if (recipient.type === 'unregistered') {
+        return {
+          success: false,
+          message: `❌ ${recipient.phone} isn't registered yet. Ask them to register first.`,
+        };
+      }
+
+      let schedule;
+      try {
+        schedule = await scheduleService.createSchedule({
+          senderPhone: phoneNumber,
+          senderAddress: user.stxAddress,
+          recipientAddress: recipient.address,
+          recipientPhone: recipient.phone || null,
+          recipientName: recipient.name || null,
+          amountMicroStx,
+          rule,
+        });
+      } catch (error) {
+        return {
+          success: false,
+          message: `❌ ${error.message.replace('Failed to create scheduled payment: ', '')}`,
+        };
+      }
+
+      await whatsappService.sendMessage(
+        phoneNumber,
+        `📅 *Payment Scheduled (#${schedule.id})*\n\n` +
+        `Amount: ${stacksService.microStxToStx(amountMicroStx)} STX\n` +
+        `To: ${recipient.name || recipient.address}\n` +
+        `When: ${scheduleService.describeRule(schedule)}\n` +
+        `Next: ${scheduleService.formatRunTime(schedule.next_run_at)}\n\n` +
+        `We'll warn you the day before if your balance is too low.\n` +
+        `Stop it any time: *cancel schedule #${schedule.id}*`
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "my schedules" command
+   */
+  async handleListSchedules(phoneNumber) {
+    try {
+      const schedules = await scheduleService.getActiveForSender(phoneNumber);
+
+      if (schedules.length === 0) {
+        await whatsappService.sendMessage(
+          phoneNumber,
+          '📅 No scheduled payments.\n\nCreate one: send 5 to John every friday'
+        );
+        return { success: true };
+      }
+
+      let message = `📅 *Scheduled Payments* (${schedules.length})\n\n`;
+      schedules.forEach(schedule => {
+        message += `${scheduleService.formatSchedule(schedule)}\n`;
+      });
+      message += `\nReply *cancel schedule #[id]* to stop one`;
+
+      await whatsappService.sendMessage(phoneNumber, message);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error listing schedules:', error);
+      return {
+        success: false,
+        message: '❌ Failed to get scheduled payments.',
+      };
+    }
+  }
+
+  /**
+   * Handle "cancel schedule #X" command
+   */
+  async handleCancelSchedule(phoneNumber, message) {
+    try {
+      const match = message.match(/cancel\s+schedule\s+#?(\d+)/i);
+
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: cancel schedule #[id]\n\nExample: cancel schedule #4',
+        };
+      }
+
+      const schedule = await scheduleService.cancelSchedule(parseInt(match[1], 10), phoneNumber);
+      if (!schedule) {
+        return {
+          success: false,
+          message: '❌ Scheduled payment not found.',
+        };
+      }
+
+      await whatsappService.sendMessage(
+        phoneNumber,
+        `🛑 Schedule #${schedule.id} cancelled. No more payments will be sent.`
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error cancelling schedule:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Tell the sender (and recipient) how a scheduled run went
+   * Used as the runner's onResult callback.
+   * @param {Object} result - From scheduleService.runDue
+   */
+  async notifyRunResult({ schedule, status, txId, error, balanceStx, neededStx }) {
+    const amount = stacksService.microStxToStx(schedule.amount_micro_stx);
+    const recipient = schedule.recipient_name || schedule.recipient_phone || schedule.recipient_address;
+    const next = schedule.status === 'active'
+      ? `\n\nNext payment: ${scheduleService.formatRunTime(schedule.next_run_at)}`
+      : '';
+
+    if (status === 'sent') {
+      await whatsappService.sendMessage(
+        schedule.sender_phone,
+        `📅 *Scheduled Payment Sent (#${schedule.id})*\n\n` +
+        `${amount} STX to ${recipient}\n` +
+        `TX: ${txId.substring(0, 10)}...\n\n` +
+        `⏳ Confirming on blockchain...` + next
+      );
+
+      await paymentHandler.notifyRecipient(
+        schedule.sender_phone,
+        { amount, recipientPhone: schedule.recipient_phone },
+        txId
+      );
+      return;
+    }
+
+    const reason = status === 'insufficient'
+      ? `Your balance was ${balanceStx.toFixed(6)} STX; this payment needs ${neededStx.toFixed(6)} STX with fees.`
+      : error;
+
+    await whatsappService.sendMessage(
+      schedule.sender_phone,
+      `⚠️ *Scheduled Payment Skipped (#${schedule.id})*\n\n` +
+      `${amount} STX to ${recipient} was not sent.\n${reason}` + next
+    );
+  }
+
+  /**
+   * Warn a sender their balance won't cover an upcoming payment
+   * Used as the runner's onWarning callback.
+   * @param {Object} warning - { schedule, balanceStx, neededStx }
+   */
+  async notifyLowBalance({ schedule, balanceStx, neededStx }) {
+    const recipient = schedule.recipient_name || schedule.recipient_phone || schedule.recipient_address;
+
+    await whatsappService.sendMessage(
+      schedule.sender_phone,
+      `⚠️ *Low Balance*\n\n` +
+      `Scheduled payment #${schedule.id} (${stacksService.microStxToStx(schedule.amount_micro_stx)} STX to ${recipient}) ` +
+      `runs ${scheduleService.formatRunTime(schedule.next_run_at)}.\n\n` +
+      `Balance: ${balanceStx.toFixed(6)} STX\n` +
+      `Needed: ${neededStx.toFixed(6)} STX (with fees)\n\n` +
+      `Top up before then, or it will be skipped.`
+    );
+  }
+
+  /**
+   * Get help text for schedule commands
+   */
+  getHelpText() {
+    return `📅 *Scheduled Payments*\n\n` +
+      `*send [amount] to [name] every [day]* - Recurring payment\n` +
+      `  Example: send 5 to John every friday\n` +
+      `  Also: daily, weekly, monthly, every month on the 15th\n` +
+      `*send [amount] to [name] on [YYYY-MM-DD]* - Pay on a date\n` +
+      `*my schedules* - List scheduled payments\n` +
+      `*cancel schedule #[id]* - Stop a schedule\n\n` +
+      `Need help? Reply *help*`;
+  }
+}
+
+// Export singleton instance
+const scheduleHandler = new ScheduleHandler();
+export default scheduleHandler;
@@ -0,0 +1,43 @@
+/**
+ * Repository Filters
+ *
+ * The `where` objects every repository backend understands:
+ *   { status: 'pending' }                  column equals value
+ *   { contract_escrow_id: null }           column is null
+ *   { tx_id: { not: null } }               column is not null
+ *   { status: { in: ['pending', 'active'] } }
+ *   { next_check_at: { lte: now } }        also gt, gte, lt
+ *   { tx_id: { like: '0xabc%' } }          also ilike (case-insensitive)
+ *   { or: [{ sender_phone: p }, { recipient_phone: p }] }
+ * Conditions on different columns must all match.
+ */
+
+export const OPERATORS = ['in', 'not', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike'];
+
+/**
+ * Check if a condition is an operator object rather than a value
+ * @param {*} condition - Value from a where object
+ * @returns {boolean}
+ */
+export function isOperator(condition) {
+  return Boolean(condition)
+    && typeof condition === 'object'
+    && !Array.isArray(condition)
+    && Object.keys(condition).length > 0
+    && Object.keys(condition).every(key => OPERATORS.includes(key));
+}
+
+/**
+ * Turn a LIKE pattern into a regular expression
+ * @param {string} pattern - Pattern using % and _
+ * @param {boolean} ignoreCase - ILIKE
+ * @returns {RegExp}
+ */
+export function likeToRegExp(pattern, ignoreCase = false) {
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+
+  return new RegExp(`^${source}$`, ignoreCase ? 'is' : 's');
+}
@@ -0,0 +1,53 @@
+/**
+ * Repositories
+ *
+ * One repository per table the services keep their data in. Every backend
+ * has the same methods:
+ *   insert(row), findOne(where), findMany(where, { orderBy, ascending, limit }),
+ *   count(where), update(where, changes), upsert(row, onConflict), delete(where)
+ * See filters.js for `where`. Errors are thrown, with Postgres' error code
+ * ('23505' for a duplicate) on `code`.
+ *
+ * STORAGE_BACKEND picks the backend: 'supabase' (default) or 'memory'
+ * to run without a database.
+ */
+
+import { db } from '../services/database.service.js';
+import SupabaseRepository from './supabase.repository.js';
+import MemoryRepository from './memory.repository.js';
+
+// Repository name -> table and the columns it keeps unique
+const TABLES = {
+  users: { table: 'users', unique: ['phone_number', 'stx_address'] },
+  contacts: { table: 'contacts' },
+  transactions: { table: 'transactions', unique: ['tx_id'] },
+  escrows: { table: 'escrows', unique: ['claim_token'] },
+  conversationStates: { table: 'conversation_states', unique: ['phone_number'] },
+  processedMessages: { table: 'processed_messages', unique: ['message_sid'] },
+  payoutRows: { table: 'payout_rows', unique: ['row_key'] },
+};
+
+/**
+ * Create a set of repositories
+ * @param {string} backend - 'supabase' or 'memory'
+ * @returns {Object} { users, contacts, transactions, escrows, conversationStates, processedMessages, payoutRows }
+ */
+export function createRepositories(backend = process.env.STORAGE_BACKEND || 'supabase') {
+  const repositories = {};
+
+  for (const [name, { table, unique = [] }] of Object.entries(TABLES)) {
+    if (backend === 'supabase') {
+      repositories[name] = new SupabaseRepository(table, () => db.getClient());
+    } else if (backend === 'memory') {
+      repositories[name] = new MemoryRepository(table, { unique });
+    } else {
+      throw new Error(`Unknown storage backend: ${backend}`);
+    }
+  }
+
+  return repositories;
+}
+
+// Shared by the service singletons
+export const repositories = createRepositories();
+export default repositories;
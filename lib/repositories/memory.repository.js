@@ -0,0 +1,157 @@
+/**
+ * Memory Repository
+ * Keeps a table's rows in the process - for local runs and tests,
+ * nothing is saved between runs
+ */
+
+import { isOperator, likeToRegExp } from './filters.js';
+
+/**
+ * Check one value against an operator object
+ */
+function compare(value, op, operand) {
+  switch (op) {
+    case 'in':
+      return operand.includes(value);
+    case 'not':
+      return value !== operand;
+    case 'like':
+    case 'ilike':
+      return value !== null && likeToRegExp(operand, op === 'ilike').test(String(value));
+    default:
+      if (value === null) return false;
+      if (op === 'gt') return value > operand;
+      if (op === 'gte') return value >= operand;
+      if (op === 'lt') return value < operand;
+      return value <= operand;
+  }
+}
+
+/**
+ * Check a row against a where object
+ */
+function matches(row, where = {}) {
+  return Object.entries(where).every(([column, condition]) => {
+    if (column === 'or') {
+      return condition.some(alternative => matches(row, alternative));
+    }
+
+    const value = row[column] ?? null;
+
+    if (!isOperator(condition)) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([op, operand]) => compare(value, op, operand));
+  });
+}
+
+class MemoryRepository {
+  /**
+   * @param {string} table - Table name (used in error messages)
+   * @param {Object} options
+   * @param {string[]} options.unique - Columns that can't hold duplicates
+   */
+  constructor(table, { unique = [] } = {}) {
+    this.table = table;
+    this.unique = unique;
+    this.rows = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Throw like Postgres does when a unique column is taken
+   */
+  checkUnique(candidate, current = null) {
+    for (const column of this.unique) {
+      const value = candidate[column] ?? null;
+      if (value !== null && this.rows.some(row => row !== current && row[column] === value)) {
+        const error = new Error(`duplicate key value violates unique constraint "${this.table}_${column}_key"`);
+        error.code = '23505';
+        throw error;
+      }
+    }
+  }
+
+  async insert(row) {
+    const record = {
+      id: this.nextId++,
+      created_at: new Date().toISOString(),
+      ...structuredClone(row),
+    };
+
+    this.checkUnique(record);
+    this.rows.push(record);
+    return structuredClone(record);
+  }
+
+  async findOne(where, options = {}) {
+    const [row] = await this.findMany(where, { ...options, limit: 1 });
+    return row || null;
+  }
+
+  async findMany(where = {}, { orderBy = null, ascending = true, limit = null } = {}) {
+    let rows = this.rows.filter(row => matches(row, where));
+
+    if (orderBy) {
+      // Nulls last, like Postgres
+      rows = [...rows].sort((a, b) => {
+        const left = a[orderBy] ?? null;
+        const right = b[orderBy] ?? null;
+        if (left === right) return 0;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+      });
+    }
+    if (limit) {
+      rows = rows.slice(0, limit);
+    }
+
+    return rows.map(row => structuredClone(row));
+  }
+
+  async count(where = {}) {
+    return this.rows.filter(row => matches(row, where)).length;
+  }
+
+  async update(where, changes) {
+    const rows = this.rows.filter(row => matches(row, where));
+
+    for (const row of rows) {
+      this.checkUnique({ ...row, ...changes }, row);
+    }
+    for (const row of rows) {
+      Object.assign(row, structuredClone(changes));
+    }
+
+    return rows.map(row => structuredClone(row));
+  }
+
+  async upsert(row, onConflict) {
+    const existing = this.rows.find(stored => stored[onConflict] === row[onConflict]);
+
+    if (!existing) {
+      return await this.insert(row);
+    }
+
+    const [updated] = await this.update({ [onConflict]: row[onConflict] }, row);
+    return updated;
+  }
+
+  async delete(where) {
+    const deleted = this.rows.filter(row => matches(row, where));
+    this.rows = this.rows.filter(row => !deleted.includes(row));
+    return deleted;
+  }
+
+  /**
+   * Remove every row (tests)
+   */
+  clear() {
+    this.rows = [];
+    this.nextId = 1;
+  }
+}
+
+export default MemoryRepository;
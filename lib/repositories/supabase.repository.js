@@ -0,0 +1,191 @@
+/**
+ * Supabase Repository
+ * Stores a table's rows in Supabase (PostgREST)
+ */
+
+import { isOperator } from './filters.js';
+
+/**
+ * Turn a Supabase error into a thrown Error, keeping its code
+ * (e.g. '23505' for a duplicate key)
+ */
+function toError(error) {
+  const wrapped = new Error(error.message);
+  wrapped.code = error.code;
+  return wrapped;
+}
+
+/**
+ * Format a value inside a PostgREST or() filter
+ */
+function formatValue(value) {
+  return /[,()"]/.test(String(value)) ? `"${String(value).replace(/"/g, '\\"')}"` : String(value);
+}
+
+/**
+ * Build the PostgREST filter for one where object, e.g. "status.eq.pending"
+ * (several columns are combined with and())
+ */
+function toFilterString(where) {
+  const filters = Object.entries(where).flatMap(([column, condition]) => {
+    if (column === 'or') {
+      return [`or(${condition.map(toFilterString).join(',')})`];
+    }
+    if (condition === null) {
+      return [`${column}.is.null`];
+    }
+    if (!isOperator(condition)) {
+      return [`${column}.eq.${formatValue(condition)}`];
+    }
+
+    return Object.entries(condition).map(([op, operand]) => {
+      if (op === 'in') {
+        return `${column}.in.(${operand.map(formatValue).join(',')})`;
+      }
+      if (op === 'not') {
+        return operand === null ? `${column}.not.is.null` : `${column}.neq.${formatValue(operand)}`;
+      }
+      return `${column}.${op}.${formatValue(operand)}`;
+    });
+  });
+
+  return filters.length === 1 ? filters[0] : `and(${filters.join(',')})`;
+}
+
+/**
+ * Add a where object's filters to a query
+ */
+function applyWhere(query, where = {}) {
+  for (const [column, condition] of Object.entries(where)) {
+    if (column === 'or') {
+      query = query.or(condition.map(toFilterString).join(','));
+    } else if (condition === null) {
+      query = query.is(column, null);
+    } else if (!isOperator(condition)) {
+      query = query.eq(column, condition);
+    } else {
+      for (const [op, operand] of Object.entries(condition)) {
+        if (op === 'not') {
+          query = operand === null ? query.not(column, 'is', null) : query.neq(column, operand);
+        } else {
+          query = query[op](column, operand);
+        }
+      }
+    }
+  }
+
+  return query;
+}
+
+class SupabaseRepository {
+  /**
+   * @param {string} table - Table name
+   * @param {Function} getClient - Returns the Supabase client; called per
+   *   query, so credentials are only needed once something is stored
+   */
+  constructor(table, getClient) {
+    this.table = table;
+    this.getClient = getClient;
+  }
+
+  from() {
+    return this.getClient().from(this.table);
+  }
+
+  /**
+   * Insert a row
+   * @param {Object} row - Column values
+   * @returns {Promise<Object>} Inserted row
+   */
+  async insert(row) {
+    const { data, error } = await this.from().insert(row).select().single();
+    if (error) throw toError(error);
+    return data;
+  }
+
+  /**
+   * Find the first matching row
+   * @param {Object} where - Filter (see filters.js)
+   * @param {Object} options - { orderBy, ascending }
+   * @returns {Promise<Object|null>}
+   */
+  async findOne(where, options = {}) {
+    const [row] = await this.findMany(where, { ...options, limit: 1 });
+    return row || null;
+  }
+
+  /**
+   * Find matching rows
+   * @param {Object} where - Filter (see filters.js)
+   * @param {Object} options
+   * @param {string} options.orderBy - Column to sort by
+   * @param {boolean} options.ascending - Sort direction (default true)
+   * @param {number} options.limit - Max rows
+   * @returns {Promise<Array>}
+   */
+  async findMany(where = {}, { orderBy = null, ascending = true, limit = null } = {}) {
+    let query = applyWhere(this.from().select('*'), where);
+
+    if (orderBy) {
+      query = query.order(orderBy, { ascending });
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw toError(error);
+    return data || [];
+  }
+
+  /**
+   * Count matching rows
+   * @param {Object} where - Filter (see filters.js)
+   * @returns {Promise<number>}
+   */
+  async count(where = {}) {
+    const { count, error } = await applyWhere(
+      this.from().select('*', { count: 'exact', head: true }),
+      where
+    );
+    if (error) throw toError(error);
+    return count || 0;
+  }
+
+  /**
+   * Update matching rows
+   * @param {Object} where - Filter (see filters.js)
+   * @param {Object} changes - Column values to set
+   * @returns {Promise<Array>} Updated rows
+   */
+  async update(where, changes) {
+    const { data, error } = await applyWhere(this.from().update(changes), where).select();
+    if (error) throw toError(error);
+    return data || [];
+  }
+
+  /**
+   * Insert a row, or update the row it conflicts with
+   * @param {Object} row - Column values
+   * @param {string} onConflict - Unique column
+   * @returns {Promise<Object>} Stored row
+   */
+  async upsert(row, onConflict) {
+    const { data, error } = await this.from().upsert(row, { onConflict }).select().single();
+    if (error) throw toError(error);
+    return data;
+  }
+
+  /**
+   * Delete matching rows
+   * @param {Object} where - Filter (see filters.js)
+   * @returns {Promise<Array>} Deleted rows
+   */
+  async delete(where) {
+    const { data, error } = await applyWhere(this.from().delete(), where).select();
+    if (error) throw toError(error);
+    return data || [];
+  }
+}
+
+export default SupabaseRepository;
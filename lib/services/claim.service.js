@@ -0,0 +1,317 @@
+/**
+ * Claim Service
+ *
+ * Lets people who are not registered yet receive escrows:
+ * - Escrows to an unregistered phone lock funds for a bot-held claim wallet
+ * - Each one gets a claim token tied to the recipient's phone number
+ * - After registering, "claim <token>" releases the escrow to the claim wallet
+ * - Once the release confirms, the funds are forwarded to the new address
+ *
+ * The claim wallet key lives in the key vault under ESCROW_CLAIM_VAULT_ID.
+ */
+
+import crypto from 'crypto';
+
+import { repositories } from '../repositories/index.js';
+import escrowService from './escrow.service.js';
+import stacksService from './stacks.service.js';
+import transactionService from './transaction.service.js';
+import { whatsappService } from './whatsapp.service.js';
+
+// No 0/O or 1/I - tokens are typed by hand
+const TOKEN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TOKEN_LENGTH = 8;
+
+class ClaimService {
+  /**
+   * @param {Object} escrows - Escrows repository
+   */
+  constructor(escrows = repositories.escrows) {
+    this.escrows = escrows;
+
+    // Escrow recipient for unregistered phone numbers
+    this.claimAddress = process.env.ESCROW_CLAIM_ADDRESS || null;
+
+    // Key vault entry holding the claim wallet key
+    this.claimVaultId = process.env.ESCROW_CLAIM_VAULT_ID || 'escrow-claims';
+  }
+
+  /**
+   * Check if escrows to unregistered numbers are enabled
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.claimAddress);
+  }
+
+  /**
+   * Generate a new claim token
+   * @returns {string} Token (e.g. "K7M2QX9P")
+   */
+  generateToken() {
+    let token = '';
+    for (let i = 0; i < TOKEN_LENGTH; i++) {
+      token += TOKEN_ALPHABET[crypto.randomInt(TOKEN_ALPHABET.length)];
+    }
+    return token;
+  }
+
+  /**
+   * Normalize a token typed by the user
+   * @param {string} token - Raw token
+   * @returns {string} Uppercase token without spaces
+   */
+  normalizeToken(token) {
+    return (token || '').replace(/\s+/g, '').toUpperCase();
+  }
+
+  /**
+   * Get escrows waiting to be claimed by a phone number
+   * @param {string} phoneNumber - Recipient's phone number
+   * @returns {Promise<Array>} Unclaimed escrows
+   */
+  async getPendingClaims(phoneNumber) {
+    try {
+      return await this.escrows.findMany(
+        {
+          recipient_phone: phoneNumber,
+          claim_status: 'unclaimed',
+          status: { in: ['pending', 'active'] },
+        },
+        { orderBy: 'created_at' }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get pending claims: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an escrow by claim token
+   * @param {string} token - Claim token
+   * @returns {Promise<Object|null>} Escrow or null
+   */
+  async getByToken(token) {
+    try {
+      return await this.escrows.findOne({ claim_token: this.normalizeToken(token) });
+    } catch (error) {
+      throw new Error(`Failed to get claim: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the claim columns of an escrow
+   * @param {number} id - Database escrow ID
+   * @param {Object} updates - Columns to update
+   */
+  async updateClaim(id, updates) {
+    try {
+      await this.escrows.update({ id }, {
+        ...updates,
+        updated_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      throw new Error(`Failed to update claim: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a claim on only if it is still in the expected status, so two
+   * concurrent runs can't both take it
+   * @param {number} id - Database escrow ID
+   * @param {string} fromStatus - Current claim_status
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<boolean>} True if this call made the change
+   */
+  async transitionClaim(id, fromStatus, updates) {
+    try {
+      const rows = await this.escrows.update({ id, claim_status: fromStatus }, {
+        ...updates,
+        updated_at: new Date().toISOString(),
+      });
+      return rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to update claim: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim an escrow: release it to the claim wallet and remember
+   * where to forward the funds
+   * @param {string} token - Claim token
+   * @param {string} phoneNumber - Claimant's phone number
+   * @param {string} stxAddress - Claimant's registered STX address
+   * @returns {Promise<Object>} { escrow, txId }
+   */
+  async claimEscrow(token, phoneNumber, stxAddress) {
+    const escrow = await this.getByToken(token);
+
+    // Same message for unknown tokens and other people's tokens
+    if (!escrow || escrow.recipient_phone !== phoneNumber) {
+      throw new Error('Claim code not found. Check the code and try again.');
+    }
+
+    if (escrow.claim_status !== 'unclaimed') {
+      throw new Error('This escrow has already been claimed.');
+    }
+
+    if (escrow.status === 'pending' || !escrow.contract_escrow_id) {
+      throw new Error('This escrow is still confirming on the blockchain. Try again in a few minutes.');
+    }
+
+    if (escrow.status !== 'active') {
+      throw new Error(`This escrow is ${escrow.status} and can no longer be claimed.`);
+    }
+
+    if (escrow.pending_action) {
+      throw new Error('The sender is taking this escrow back, so it can no longer be claimed.');
+    }
+
+    // Mark first so a second "claim" can't release twice
+    const claimed = await this.transitionClaim(escrow.id, 'unclaimed', {
+      claim_status: 'releasing',
+      claimant_address: stxAddress,
+      claimed_at: new Date().toISOString(),
+    });
+
+    if (!claimed) {
+      throw new Error('This escrow has already been claimed.');
+    }
+
+    try {
+      const result = await escrowService.releaseEscrow(
+        escrow.contract_escrow_id,
+        this.claimAddress,
+        this.claimVaultId
+      );
+
+      return { escrow, txId: result.txId };
+    } catch (error) {
+      await this.updateClaim(escrow.id, {
+        claim_status: 'unclaimed',
+        claimant_address: null,
+        claimed_at: null,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Forward released claims to their new owners (should be called periodically)
+   * @param {number} batchSize - Maximum claims to check (default: 25)
+   * @returns {Promise<Array>} Updated claims
+   */
+  async checkPendingClaims(batchSize = 25) {
+    try {
+      const claims = await this.escrows.findMany(
+        { claim_status: 'releasing' },
+        { orderBy: 'claimed_at', limit: batchSize }
+      );
+
+      const updates = [];
+      for (const escrow of claims) {
+        try {
+          const update = await this.processClaim(escrow);
+          if (update) {
+            updates.push(update);
+          }
+        } catch (err) {
+          console.error(`Error processing claim for escrow ${escrow.id}:`, err.message);
+        }
+      }
+
+      return updates;
+    } catch (error) {
+      console.error('Error checking pending claims:', error);
+      throw new Error(`Failed to check pending claims: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward one claim once its release transaction has confirmed
+   * @param {Object} escrow - Escrow with claim_status 'releasing'
+   * @returns {Promise<Object|null>} Update, or null if still pending
+   *   or another run already took it
+   */
+  async processClaim(escrow) {
+    const status = await stacksService.getTransactionStatus(escrow.release_tx_id);
+
+    if (status.failed || status.dropped) {
+      // Release didn't go through - the escrow is still active on-chain
+      const reset = await this.transitionClaim(escrow.id, 'releasing', {
+        claim_status: 'unclaimed',
+        claimant_address: null,
+        claimed_at: null,
+      });
+      if (!reset) {
+        return null;
+      }
+
+      await whatsappService.sendMessage(
+        escrow.recipient_phone,
+        `❌ Your claim could not be completed.\n\nPlease try again: claim ${escrow.claim_token}`
+      );
+      return { escrowId: escrow.id, status: 'unclaimed' };
+    }
+
+    if (!status.confirmed) {
+      return null;
+    }
+
+    // Take the claim before sending so overlapping runs can't forward twice
+    // (a run that dies mid-send leaves it 'forwarding' for manual review)
+    const taken = await this.transitionClaim(escrow.id, 'releasing', { claim_status: 'forwarding' });
+    if (!taken) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await transactionService.sendTransaction({
+        senderAddress: this.claimAddress,
+        senderPhone: this.claimVaultId,
+        recipientAddress: escrow.claimant_address,
+        recipientPhone: escrow.recipient_phone,
+        amountMicroStx: escrow.amount_microstx,
+        memo: `Escrow claim ${escrow.claim_token}`,
+      });
+    } catch (error) {
+      // Nothing was sent - let the next run retry
+      await this.updateClaim(escrow.id, { claim_status: 'releasing' });
+      throw error;
+    }
+
+    await this.updateClaim(escrow.id, {
+      claim_status: 'paid',
+      payout_tx_id: result.txId,
+    });
+
+    await whatsappService.sendMessage(
+      escrow.recipient_phone,
+      `✅ *Claim Complete!*\n\n` +
+      `${stacksService.microStxToStx(escrow.amount_microstx)} STX is on its way to your address.\n\n` +
+      `View: ${escrowService.getExplorerUrl(result.txId)}`
+    );
+
+    return { escrowId: escrow.id, status: 'paid', txId: result.txId };
+  }
+
+  /**
+   * Format the list of pending claims shown after registration
+   * @param {Array} claims - Unclaimed escrows
+   * @returns {string} Message text
+   */
+  formatPendingClaims(claims) {
+    let message = `🎁 *You have ${claims.length} escrow${claims.length > 1 ? 's' : ''} waiting!*\n\n`;
+
+    claims.forEach(escrow => {
+      message += `• ${stacksService.microStxToStx(escrow.amount_microstx)} STX from ${escrow.sender_phone}\n`;
+      message += `  Reply: claim ${escrow.claim_token}\n`;
+    });
+
+    return message.trimEnd();
+  }
+}
+
+// Export singleton instance
+const claimService = new ClaimService();
+export default claimService;
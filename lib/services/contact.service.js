@@ -2,7 +2,7 @@
  * Contact Service
  * 
  * Manages user contacts for easy payments:
- * - Add contacts with names and STX addresses
+ * - Add contacts with names and STX addresses (or BNS names)
  * - List user's contacts
  * - Get contact by name
  * - Update contact details
@@ -10,16 +10,25 @@
  * - Search contacts
  */
 
-import databaseService from './database.service.js';
+import { repositories } from '../repositories/index.js';
 import stacksService from './stacks.service.js';
+import { userService } from './user.service.js';
+import { parsePhone, normalizePhone, getPhoneCountry } from '../utils/validator.js';
 
 class ContactService {
+  /**
+   * @param {Object} contacts - Contacts repository
+   */
+  constructor(contacts = repositories.contacts) {
+    this.contacts = contacts;
+  }
+
   /**
    * Add a new contact for a user
    * @param {string} userPhone - User's phone number
    * @param {string} contactName - Contact's display name
-   * @param {string} contactStxAddress - Contact's STX address
-   * @param {string} contactPhone - Optional contact's phone number
+   * @param {string} contactStxAddress - Contact's STX address or BNS name (stored as the address)
+   * @param {string} contactPhone - Optional contact's phone number (stored as E.164)
    * @returns {Promise<Object>} Created contact
    */
   async addContact(userPhone, contactName, contactStxAddress, contactPhone = null) {
@@ -29,11 +38,30 @@ class ContactService {
         throw new Error('Missing required fields: userPhone, contactName, or contactStxAddress');
       }
 
+      // Resolve BNS name to its current owner
+      if (stacksService.isBnsName(contactStxAddress)) {
+        const bnsName = contactStxAddress.toLowerCase();
+        contactStxAddress = await stacksService.resolveBnsName(bnsName);
+        if (!contactStxAddress) {
+          throw new Error(`BNS name "${bnsName}" is not registered`);
+        }
+      }
+
       // Validate STX address
       if (!stacksService.isValidAddress(contactStxAddress)) {
         throw new Error('Invalid STX address');
       }
 
+      // Normalize phone (national numbers are read in the user's country)
+      let normalizedPhone = null;
+      if (contactPhone) {
+        const phone = parsePhone(contactPhone, getPhoneCountry(userPhone));
+        if (!phone.valid) {
+          throw new Error(`Invalid phone number: ${phone.error}`);
+        }
+        normalizedPhone = phone.e164;
+      }
+
       // Normalize contact name (trim and title case)
       const normalizedName = this.normalizeContactName(contactName);
 
@@ -44,25 +72,13 @@ class ContactService {
       }
 
       // Insert contact
-      const { data, error } = await databaseService.client
-        .from('contacts')
-        .insert([
-          {
-            user_phone: userPhone,
-            contact_name: normalizedName,
-            contact_stx_address: contactStxAddress,
-            contact_phone: contactPhone,
-            created_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        throw error;
-      }
-
-      return data;
+      return await this.contacts.insert({
+        user_phone: userPhone,
+        contact_name: normalizedName,
+        contact_stx_address: contactStxAddress,
+        contact_phone: normalizedPhone,
+        created_at: new Date().toISOString(),
+      });
     } catch (error) {
       console.error('Error adding contact:', error);
       throw new Error(`Failed to add contact: ${error.message}`);
@@ -76,17 +92,10 @@ class ContactService {
    */
   async getContacts(userPhone) {
     try {
-      const { data, error } = await databaseService.client
-        .from('contacts')
-        .select('*')
-        .eq('user_phone', userPhone)
-        .order('contact_name', { ascending: true });
-
-      if (error) {
-        throw error;
-      }
-
-      return data || [];
+      return await this.contacts.findMany(
+        { user_phone: userPhone },
+        { orderBy: 'contact_name' }
+      );
     } catch (error) {
       console.error('Error getting contacts:', error);
       throw new Error(`Failed to get contacts: ${error.message}`);
@@ -103,21 +112,10 @@ class ContactService {
     try {
       const normalizedName = this.normalizeContactName(contactName);
 
-      const { data, error } = await databaseService.client
-        .from('contacts')
-        .select('*')
-        .eq('user_phone', userPhone)
-        .ilike('contact_name', normalizedName)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return null; // Not found
-        }
-        throw error;
-      }
-
-      return data;
+      return await this.contacts.findOne({
+        user_phone: userPhone,
+        contact_name: { ilike: normalizedName },
+      });
     } catch (error) {
       console.error('Error getting contact by name:', error);
       throw new Error(`Failed to get contact: ${error.message}`);
@@ -131,20 +129,7 @@ class ContactService {
    */
   async getContactById(contactId) {
     try {
-      const { data, error } = await databaseService.client
-        .from('contacts')
-        .select('*')
-        .eq('id', contactId)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return null;
-        }
-        throw error;
-      }
-
-      return data;
+      return await this.contacts.findOne({ id: contactId });
     } catch (error) {
       console.error('Error getting contact by ID:', error);
       throw new Error(`Failed to get contact: ${error.message}`);
@@ -159,24 +144,33 @@ class ContactService {
    */
   async searchContacts(userPhone, searchTerm) {
     try {
-      const { data, error } = await databaseService.client
-        .from('contacts')
-        .select('*')
-        .eq('user_phone', userPhone)
-        .ilike('contact_name', `%${searchTerm}%`)
-        .order('contact_name', { ascending: true });
-
-      if (error) {
-        throw error;
-      }
-
-      return data || [];
+      return await this.contacts.findMany(
+        { user_phone: userPhone, contact_name: { ilike: `%${searchTerm}%` } },
+        { orderBy: 'contact_name' }
+      );
     } catch (error) {
       console.error('Error searching contacts:', error);
       throw new Error(`Failed to search contacts: ${error.message}`);
     }
   }
 
+  /**
+   * Contacts a recipient name may have meant (partial matches), as list
+   * picker rows for "send 5 to jo" when no contact is called "jo"
+   * @param {string} userPhone - User's phone number
+   * @param {string} name - Name as typed
+   * @returns {Promise<Array<{id: string, title: string, description: string}>>} Up to 10 rows, ids '1', '2', ...
+   */
+  async getRecipientChoices(userPhone, name) {
+    const matches = await this.searchContacts(userPhone, name.trim());
+
+    return matches.slice(0, 10).map((contact, index) => ({
+      id: String(index + 1),
+      title: contact.contact_name,
+      description: `${contact.contact_stx_address.substring(0, 10)}...${contact.contact_stx_address.slice(-6)}`,
+    }));
+  }
+
   /**
    * Update contact details
    * @param {number} contactId - Contact ID
@@ -192,6 +186,15 @@ class ContactService {
         }
       }
 
+      // Normalize phone if being updated
+      if (updates.contact_phone) {
+        const phone = parsePhone(updates.contact_phone);
+        if (!phone.valid) {
+          throw new Error(`Invalid phone number: ${phone.error}`);
+        }
+        updates.contact_phone = phone.e164;
+      }
+
       // Normalize contact name if being updated
       if (updates.contact_name) {
         updates.contact_name = this.normalizeContactName(updates.contact_name);
@@ -199,15 +202,10 @@ class ContactService {
 
       updates.updated_at = new Date().toISOString();
 
-      const { data, error } = await databaseService.client
-        .from('contacts')
-        .update(updates)
-        .eq('id', contactId)
-        .select()
-        .single();
+      const [data] = await this.contacts.update({ id: contactId }, updates);
 
-      if (error) {
-        throw error;
+      if (!data) {
+        throw new Error('Contact not found');
       }
 
       return data;
@@ -224,14 +222,7 @@ class ContactService {
    */
   async deleteContact(contactId) {
     try {
-      const { error } = await databaseService.client
-        .from('contacts')
-        .delete()
-        .eq('id', contactId);
-
-      if (error) {
-        throw error;
-      }
+      await this.contacts.delete({ id: contactId });
 
       return true;
     } catch (error) {
@@ -282,16 +273,7 @@ class ContactService {
    */
   async getContactCount(userPhone) {
     try {
-      const { count, error } = await databaseService.client
-        .from('contacts')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_phone', userPhone);
-
-      if (error) {
-        throw error;
-      }
-
-      return count || 0;
+      return await this.contacts.count({ user_phone: userPhone });
     } catch (error) {
       console.error('Error getting contact count:', error);
       throw new Error(`Failed to get contact count: ${error.message}`);
@@ -299,10 +281,12 @@ class ContactService {
   }
 
   /**
-   * Resolve a name to an STX address
+   * Resolve a name, phone number or address to an STX address
    * This is the main function used for payments: "send 5 to John"
+   * Phone numbers of unregistered people resolve to type 'unregistered'
+   * with no address - callers decide how to pay them (e.g. a claimable escrow).
    * @param {string} userPhone - User's phone number
-   * @param {string} nameOrAddress - Contact name or STX address
+   * @param {string} nameOrAddress - Contact name, phone number, BNS name or STX address
    * @returns {Promise<Object>} Resolved contact info
    */
   async resolveRecipient(userPhone, nameOrAddress) {
@@ -317,6 +301,44 @@ class ContactService {
         };
       }
 
+      // Phone number: pay the registered user's address
+      // (national numbers are read in the user's country)
+      const phone = normalizePhone(nameOrAddress, getPhoneCountry(userPhone));
+      if (phone) {
+        const result = await userService.getByPhone(phone);
+
+        // Only a missing user is unregistered - a failed lookup must not
+        // turn a payment to a registered user into a claim escrow
+        if (!result.success && result.error !== 'User not found') {
+          throw new Error(`Could not look up ${phone}: ${result.error}`);
+        }
+
+        return {
+          type: result.success ? 'phone' : 'unregistered',
+          address: result.success ? result.user.stxAddress : null,
+          name: phone,
+          phone,
+          isContact: false,
+        };
+      }
+
+      // BNS name: pay its current owner
+      if (stacksService.isBnsName(nameOrAddress)) {
+        const bnsName = nameOrAddress.toLowerCase();
+        const address = await stacksService.resolveBnsName(bnsName);
+        if (!address) {
+          throw new Error(`BNS name "${bnsName}" is not registered.`);
+        }
+
+        return {
+          type: 'bns',
+          address,
+          name: bnsName,
+          bnsName,
+          isContact: false,
+        };
+      }
+
       // Try to find as contact name
       const contact = await this.getContactByName(userPhone, nameOrAddress);
       if (contact) {
@@ -331,7 +353,7 @@ class ContactService {
       }
 
       // Not found
-      throw new Error(`Recipient "${nameOrAddress}" not found. Add them as a contact or use their STX address.`);
+      throw new Error(`Recipient "${nameOrAddress}" not found. Add them as a contact or use their phone number, BNS name or STX address.`);
     } catch (error) {
       console.error('Error resolving recipient:', error);
       throw error;
@@ -0,0 +1,230 @@
+/**
+ * Conversation Service
+ *
+ * Runs multi-step conversations (registration, payment and escrow
+ * confirmations) as declared flows:
+ * - A flow has named steps; each step waits for one reply
+ * - A step's validator checks the reply; an invalid reply is answered
+ *   with the validator's error and the step keeps waiting
+ * - A valid reply ends the conversation, then the step runs (a step that
+ *   needs another reply starts the next one with next())
+ * - Steps time out (per flow or per step); "cancel" leaves any flow
+ *
+ * State is stored by the StateService as { flow, step, data }.
+ */
+
+import { stateService } from './state.service.js';
+
+// Replies that leave whatever conversation is active
+const CANCEL_WORDS = ['cancel', 'stop'];
+
+/**
+ * Validator for yes/no confirmation steps
+ * @param {string} message - Reply text
+ * @returns {Object} { valid, value (true for yes), error }
+ */
+export function yesNo(message) {
+  const reply = message.toLowerCase().trim();
+
+  if (['yes', 'y', 'confirm'].includes(reply)) {
+    return { valid: true, value: true };
+  }
+  if (['no', 'n'].includes(reply)) {
+    return { valid: true, value: false };
+  }
+
+  return { valid: false, error: '⚠️ Please reply *yes* to confirm or *no* to cancel.' };
+}
+
+class ConversationService {
+  constructor() {
+    // How long a step waits for a reply unless its flow says otherwise
+    this.defaultTimeoutMinutes = 10;
+
+    // name -> { steps, timeoutMinutes, cancelMessage, timeoutMessage }
+    this.flows = new Map();
+  }
+
+  /**
+   * Declare a flow
+   * Steps look like:
+   *   { validate(message, data) -> { valid, value, error }, run(phoneNumber, value, state), timeoutMinutes }
+   * validate is optional (the trimmed reply is passed to run).
+   * @param {string} name - Flow name, e.g. 'payment'
+   * @param {Object} definition
+   * @param {Object} definition.steps - Step name -> step
+   * @param {number} definition.timeoutMinutes - Default timeout for the flow's steps
+   * @param {string} definition.cancelMessage - Reply to "cancel"
+   * @param {string} definition.timeoutMessage - Reply to a late answer
+   */
+  defineFlow(name, { steps, timeoutMinutes = this.defaultTimeoutMinutes, cancelMessage = '❌ Cancelled.', timeoutMessage = null }) {
+    this.flows.set(name, { steps, timeoutMinutes, cancelMessage, timeoutMessage });
+  }
+
+  /**
+   * Build a yes/no step
+   * @param {Function} onConfirm - async (phoneNumber, state) run on "yes"
+   * @param {string} declineMessage - Reply to "no"
+   * @returns {Object} Step definition
+   */
+  confirmStep(onConfirm, declineMessage = '❌ Cancelled.') {
+    return {
+      validate: yesNo,
+      run: async (phoneNumber, confirmed, state) => {
+        if (!confirmed) {
+          return { success: true, message: declineMessage };
+        }
+        return await onConfirm(phoneNumber, state);
+      },
+    };
+  }
+
+  /**
+   * Build a step that picks one of the choices offered in the prompt
+   * The state's data carries them as `choices: [{id, title}]`; the reply is
+   * a tapped list row / typed id, or a title.
+   * @param {Function} onChoose - async (phoneNumber, choice, state) run with the picked choice
+   * @returns {Object} Step definition
+   */
+  choiceStep(onChoose) {
+    return {
+      validate: (message, data) => {
+        const reply = message.toLowerCase().trim();
+        const choice = (data.choices || []).find(
+          ({ id, title }) => String(id).toLowerCase() === reply || title.toLowerCase() === reply
+        );
+
+        return choice
+          ? { valid: true, value: choice }
+          : { valid: false, error: '⚠️ Please pick one of the options, or reply *cancel*.' };
+      },
+      run: onChoose,
+    };
+  }
+
+  /**
+   * Start a flow at a step (replaces any active conversation)
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} flow - Flow name
+   * @param {string} step - Step waiting for the reply
+   * @param {Object} data - Data carried to the step
+   */
+  async start(phoneNumber, flow, step, data = {}) {
+    const definition = this.flows.get(flow);
+    if (!definition || !definition.steps[step]) {
+      throw new Error(`Unknown conversation step: ${flow}.${step}`);
+    }
+
+    const timeoutMinutes = definition.steps[step].timeoutMinutes || definition.timeoutMinutes;
+    const result = await stateService.setState(phoneNumber, flow, step, data, timeoutMinutes);
+
+    if (!result.success) {
+      throw new Error(`Failed to save conversation: ${result.error}`);
+    }
+  }
+
+  /**
+   * Move a running flow on to its next step
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} state - Current state (passed to run)
+   * @param {string} step - Next step
+   * @param {Object} data - Data to merge into the state's data
+   */
+  async next(phoneNumber, state, step, data = {}) {
+    await this.start(phoneNumber, state.flow, step, { ...state.data, ...data });
+  }
+
+  /**
+   * End the active conversation
+   * Given the state that was read, only that state is ended (a newer
+   * one is left alone) and delete errors are thrown.
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} state - State the caller read (optional)
+   * @returns {Promise<boolean>} False if the state was already ended
+   */
+  async end(phoneNumber, state = null) {
+    if (state) {
+      return await stateService.takeState(state);
+    }
+
+    await stateService.clearState(phoneNumber);
+    return true;
+  }
+
+  /**
+   * Get the active conversation
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<Object|null>} { flow, step, data, expiresAt } or null
+   */
+  async getActive(phoneNumber) {
+    const result = await stateService.getState(phoneNumber);
+    return result.success ? result.state : null;
+  }
+
+  /**
+   * Answer a message if it belongs to a conversation
+   * Returns null when there's no conversation to answer, so the message
+   * is routed as a command.
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} message - Message text
+   * @returns {Promise<Object|null>} Handler result
+   */
+  async handleMessage(phoneNumber, message) {
+    const result = await stateService.getState(phoneNumber, { includeExpired: true });
+    if (!result.success) {
+      return null;
+    }
+
+    const state = result.state;
+    const definition = this.flows.get(state.flow);
+    const step = definition && definition.steps[state.step];
+
+    if (!step) {
+      // Left over from an older version of a flow
+      await this.end(phoneNumber);
+      return null;
+    }
+
+    const reply = message.trim();
+    const validation = step.validate ? step.validate(reply, state.data) : { valid: true, value: reply };
+
+    if (state.expired) {
+      await this.end(phoneNumber);
+
+      // Only a reply meant for the step is told it came too late
+      return validation.valid
+        ? { success: false, message: `⏰ ${definition.timeoutMessage || 'That took too long, so it was cancelled.'} Please start again.` }
+        : null;
+    }
+
+    if (CANCEL_WORDS.includes(reply.toLowerCase())) {
+      await this.end(phoneNumber);
+      return { success: true, message: definition.cancelMessage };
+    }
+
+    if (!validation.valid) {
+      return { success: false, message: validation.error };
+    }
+
+    // Ended before running, and only by the reply that removed this state,
+    // so a repeated reply (a double-tapped button) can't run the step twice.
+    // A failed delete throws before the step runs
+    if (!(await this.end(phoneNumber, state))) {
+      return { success: false };
+    }
+
+    try {
+      return await step.run(phoneNumber, validation.value, state);
+    } catch (error) {
+      console.error(`Error in ${state.flow} conversation (${state.step}):`, error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+}
+
+// Export singleton instance
+const conversationService = new ConversationService();
+export default conversationService;
@@ -7,27 +7,32 @@ import { createClient } from '@supabase/supabase-js';
 
 class DatabaseService {
   constructor() {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-    if (!supabaseUrl || !supabaseKey) {
-      throw new Error(
-        'Missing Supabase credentials. Please check SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in .env'
-      );
-    }
-
-    this.supabase = createClient(supabaseUrl, supabaseKey, {
-      auth: {
-        autoRefreshToken: false,
-        persistSession: false,
-      },
-    });
+    // Created on first use, so importing this module doesn't need credentials
+    this.supabase = null;
   }
 
   /**
    * Get Supabase client
    */
   getClient() {
+    if (!this.supabase) {
+      const supabaseUrl = process.env.SUPABASE_URL;
+      const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+      if (!supabaseUrl || !supabaseKey) {
+        throw new Error(
+          'Missing Supabase credentials. Please check SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in .env'
+        );
+      }
+
+      this.supabase = createClient(supabaseUrl, supabaseKey, {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false,
+        },
+      });
+    }
+
     return this.supabase;
   }
 
@@ -37,7 +42,7 @@ class DatabaseService {
   async testConnection() {
     try {
       // Simple query to test connection
-      const { data, error } = await this.supabase
+      const { data, error } = await this.getClient()
         .from('users')
         .select('count')
         .limit(1);
@@ -66,7 +71,7 @@ class DatabaseService {
    * Should be called periodically (e.g., via cron job)
    */
   async cleanExpiredStates() {
-    const { data, error } = await this.supabase
+    const { data, error } = await this.getClient()
       .from('conversation_states')
       .delete()
       .lt('expires_at', new Date().toISOString())
@@ -85,11 +90,11 @@ class DatabaseService {
    */
   async getStats() {
     const [users, contacts, transactions, escrows, activeStates] = await Promise.all([
-      this.supabase.from('users').select('count', { count: 'exact', head: true }),
-      this.supabase.from('contacts').select('count', { count: 'exact', head: true }),
-      this.supabase.from('transactions').select('count', { count: 'exact', head: true }),
-      this.supabase.from('escrows').select('count', { count: 'exact', head: true }),
-      this.supabase
+      this.getClient().from('users').select('count', { count: 'exact', head: true }),
+      this.getClient().from('contacts').select('count', { count: 'exact', head: true }),
+      this.getClient().from('transactions').select('count', { count: 'exact', head: true }),
+      this.getClient().from('escrows').select('count', { count: 'exact', head: true }),
+      this.getClient()
         .from('conversation_states')
         .select('count', { count: 'exact', head: true })
         .gt('expires_at', new Date().toISOString()),
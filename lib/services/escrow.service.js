@@ -7,61 +7,146 @@
  * - Refund escrow to sender
  * - Check escrow status on blockchain
  * - Track escrows in database
+ * - Reconcile contract escrow IDs once create transactions confirm
+ * - Settle release/refund/cancel once their transactions confirm
  */
 
 import transactionsPkg from '@stacks/transactions';
 const {
   makeContractCall,
-  broadcastTransaction,
   AnchorMode,
   PostConditionMode,
   uintCV,
   principalCV,
   stringUtf8CV,
   cvToJSON,
-  makeStandardSTXPostCondition,
-  FungibleConditionCode,
+  Pc,
 } = transactionsPkg;
 
 import networkPkg from '@stacks/network';
-const { StacksMainnet, StacksTestnet, callReadOnlyFunction } = networkPkg;
+const { STACKS_MAINNET, STACKS_TESTNET } = networkPkg;
 
-import databaseService from './database.service.js';
+import { repositories } from '../repositories/index.js';
 import stacksService from './stacks.service.js';
+import keyVaultService from './key-vault.service.js';
+import nonceManager from './nonce-manager.service.js';
+import transactionService from './transaction.service.js';
+
+// Status an escrow settles in once its action confirms
+const ACTION_STATUS = {
+  release: 'released',
+  refund: 'refunded',
+  cancel: 'cancelled',
+};
 
 class EscrowService {
-  constructor() {
+  /**
+   * @param {Object} escrows - Escrows repository
+   */
+  constructor(escrows = repositories.escrows) {
+    this.escrows = escrows;
+
     // Contract details (UPDATE THESE after deployment)
     this.contractAddress = process.env.ESCROW_CONTRACT_ADDRESS || 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM';
     this.contractName = process.env.ESCROW_CONTRACT_NAME || 'escrow';
     
     // Network configuration
-    this.network = process.env.STACKS_NETWORK === 'mainnet' 
-      ? new StacksMainnet()
-      : new StacksTestnet();
+    this.isMainnet = process.env.STACKS_NETWORK === 'mainnet';
+    this.network = this.isMainnet ? STACKS_MAINNET : STACKS_TESTNET;
+  }
+
+  /**
+   * Build the unsigned create-escrow contract call
+   * @param {string} senderAddress - Sender's STX address
+   * @param {string} recipientAddress - Recipient's STX address
+   * @param {number} amountMicroStx - Amount in microSTX
+   * @param {number} timeoutBlocks - Timeout in blocks
+   * @param {string} memo - Description/memo for the escrow
+   * @returns {Object} Contract call options (without key, nonce or fee)
+   */
+  buildCreateEscrowCall(senderAddress, recipientAddress, amountMicroStx, timeoutBlocks, memo) {
+    return {
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      functionName: 'create-escrow',
+      functionArgs: [
+        principalCV(recipientAddress),
+        uintCV(amountMicroStx),
+        uintCV(timeoutBlocks),
+        stringUtf8CV(memo),
+      ],
+      postConditionMode: PostConditionMode.Deny,
+      // Post condition: sender must send exact amount
+      postConditions: [
+        Pc.principal(senderAddress).willSendEq(amountMicroStx).ustx(),
+      ],
+    };
+  }
+
+  /**
+   * Build the unsigned contract call for release/refund/cancel
+   * @param {string} functionName - 'release-escrow' | 'refund-escrow' | 'cancel-escrow'
+   * @param {number} contractEscrowId - Escrow ID from contract
+   * @returns {Object} Contract call options (without key, nonce or fee)
+   */
+  buildEscrowActionCall(functionName, contractEscrowId) {
+    return {
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      functionName,
+      functionArgs: [uintCV(contractEscrowId)],
+      postConditionMode: PostConditionMode.Allow,
+      postConditions: [],
+    };
+  }
+
+  /**
+   * Sign a contract call with the given fee, or the medium fee estimate for it
+   * @param {Object} call - Contract call options (from buildCreateEscrowCall / buildEscrowActionCall)
+   * @param {string} senderKey - Caller's private key
+   * @param {number} nonce - Caller's nonce
+   * @param {number} fee - Fee in microSTX (optional)
+   * @returns {Promise<Object>} Signed transaction
+   */
+  async signCall(call, senderKey, nonce, fee = null) {
+    if (!fee) {
+      fee = (await stacksService.estimateFee(stacksService.buildContractCallPayload(call))).medium;
+    }
+
+    return await makeContractCall({
+      ...call,
+      senderKey,
+      network: this.network,
+      anchorMode: AnchorMode.Any,
+      nonce,
+      fee,
+    });
   }
 
   /**
    * Create a new escrow transaction
+   * The sender's key is taken from the key vault only for the signing call.
    * @param {string} senderAddress - Sender's STX address
-   * @param {string} senderKey - Sender's private key
    * @param {string} recipientAddress - Recipient's STX address
    * @param {number} amountMicroStx - Amount in microSTX
    * @param {number} timeoutBlocks - Timeout in blocks (144 blocks ≈ 24 hours)
    * @param {string} memo - Description/memo for the escrow
-   * @param {string} senderPhone - Sender's phone number
+   * @param {string} senderPhone - Sender's phone number (key vault lookup)
    * @param {string} recipientPhone - Recipient's phone number (optional)
+   * @param {string} claimToken - Claim token for unregistered recipients (optional)
+   * @param {number} fee - Fee in microSTX (optional, default: medium estimate)
    * @returns {Promise<Object>} Transaction result with escrow ID
    */
   async createEscrow(
     senderAddress,
-    senderKey,
     recipientAddress,
     amountMicroStx,
     timeoutBlocks,
     memo,
     senderPhone,
-    recipientPhone = null
+    recipientPhone = null,
+    claimToken = null,
+    fee = null
   ) {
     try {
       console.log('Creating escrow:', {
@@ -82,47 +167,22 @@ class EscrowService {
         throw new Error('Amount must be greater than 0');
       }
 
-      // Get account nonce
-      const accountInfo = await stacksService.getAccountInfo(senderAddress);
-      const nonce = accountInfo.nonce;
-
-      // Post condition: sender must send exact amount
-      const postConditions = [
-        makeStandardSTXPostCondition(
-          senderAddress,
-          FungibleConditionCode.Equal,
-          amountMicroStx
-        ),
-      ];
-
-      // Build contract call transaction
-      const txOptions = {
-        contractAddress: this.contractAddress,
-        contractName: this.contractName,
-        functionName: 'create-escrow',
-        functionArgs: [
-          principalCV(recipientAddress),
-          uintCV(amountMicroStx),
-          uintCV(timeoutBlocks),
-          stringUtf8CV(memo),
-        ],
-        senderKey,
-        network: this.network,
-        anchorMode: AnchorMode.Any,
-        postConditionMode: PostConditionMode.Deny,
-        postConditions,
-        nonce,
-      };
+      // Build and sign contract call transaction, holding a nonce until it's broadcast
+      const txId = await nonceManager.withNonce(senderAddress, async (nonce) => {
+        const call = this.buildCreateEscrowCall(senderAddress, recipientAddress, amountMicroStx, timeoutBlocks, memo);
+        const transaction = await keyVaultService.withDecryptedKey(senderPhone, senderKey =>
+          this.signCall(call, senderKey, nonce, fee)
+        );
 
-      const transaction = await makeContractCall(txOptions);
+        // Broadcast transaction
+        const broadcastResult = await stacksService.broadcastTransaction(transaction);
 
-      // Broadcast transaction
-      const broadcastResponse = await broadcastTransaction(transaction, this.network);
-      const txId = broadcastResponse.txid;
+        if (!broadcastResult.success) {
+          throw new Error(`Broadcast failed: ${broadcastResult.error}`);
+        }
 
-      if (broadcastResponse.error) {
-        throw new Error(`Broadcast failed: ${broadcastResponse.error}`);
-      }
+        return broadcastResult.txId;
+      });
 
       console.log('Escrow transaction broadcasted:', txId);
 
@@ -139,6 +199,7 @@ class EscrowService {
         memo,
         txId,
         status: 'pending',
+        claimToken,
       });
 
       return {
@@ -148,7 +209,7 @@ class EscrowService {
         amount: stacksService.microStxToStx(amountMicroStx),
         recipient: recipientAddress,
         timeout: timeoutBlocks,
-        explorerUrl: `https://explorer.stacks.co/txid/${txId}?chain=${this.network.isMainnet() ? 'mainnet' : 'testnet'}`,
+        explorerUrl: this.getExplorerUrl(txId),
       };
     } catch (error) {
       console.error('Error creating escrow:', error);
@@ -160,50 +221,40 @@ class EscrowService {
    * Release escrow to recipient
    * @param {number} contractEscrowId - Escrow ID from contract
    * @param {string} callerAddress - Address calling release (sender or recipient)
-   * @param {string} callerKey - Private key
+   * @param {string} callerPhone - Caller's phone number (key vault lookup)
    * @returns {Promise<Object>} Transaction result
    */
-  async releaseEscrow(contractEscrowId, callerAddress, callerKey) {
+  async releaseEscrow(contractEscrowId, callerAddress, callerPhone) {
     try {
       console.log('Releasing escrow:', contractEscrowId);
 
-      // Get account nonce
-      const accountInfo = await stacksService.getAccountInfo(callerAddress);
-      const nonce = accountInfo.nonce;
-
-      // Build contract call transaction
-      const txOptions = {
-        contractAddress: this.contractAddress,
-        contractName: this.contractName,
-        functionName: 'release-escrow',
-        functionArgs: [uintCV(contractEscrowId)],
-        senderKey: callerKey,
-        network: this.network,
-        anchorMode: AnchorMode.Any,
-        postConditionMode: PostConditionMode.Allow,
-        nonce,
-      };
+      // Build contract call transaction, holding a nonce until it's broadcast
+      const txId = await nonceManager.withNonce(callerAddress, async (nonce) => {
+        const transaction = await keyVaultService.withDecryptedKey(callerPhone, senderKey =>
+          this.signCall(this.buildEscrowActionCall('release-escrow', contractEscrowId), senderKey, nonce)
+        );
 
-      const transaction = await makeContractCall(txOptions);
+        // Broadcast transaction
+        const broadcastResult = await stacksService.broadcastTransaction(transaction);
 
-      // Broadcast transaction
-      const broadcastResponse = await broadcastTransaction(transaction, this.network);
-      const txId = broadcastResponse.txid;
+        if (!broadcastResult.success) {
+          throw new Error(`Broadcast failed: ${broadcastResult.error}`);
+        }
 
-      if (broadcastResponse.error) {
-        throw new Error(`Broadcast failed: ${broadcastResponse.error}`);
-      }
+        return broadcastResult.txId;
+      });
 
       console.log('Escrow release transaction broadcasted:', txId);
 
-      // Update database status
-      await this.updateEscrowStatus(contractEscrowId, 'released', txId);
+      // The escrow stays active until the worker sees the transaction confirm
+      await this.recordEscrowAction(contractEscrowId, 'release', txId);
 
       return {
         success: true,
         txId,
-        status: 'released',
-        explorerUrl: `https://explorer.stacks.co/txid/${txId}?chain=${this.network.isMainnet() ? 'mainnet' : 'testnet'}`,
+        status: 'active',
+        pendingAction: 'release',
+        explorerUrl: this.getExplorerUrl(txId),
       };
     } catch (error) {
       console.error('Error releasing escrow:', error);
@@ -215,10 +266,10 @@ class EscrowService {
    * Refund escrow to sender (after timeout)
    * @param {number} contractEscrowId - Escrow ID from contract
    * @param {string} senderAddress - Sender's address
-   * @param {string} senderKey - Sender's private key
+   * @param {string} senderPhone - Sender's phone number (key vault lookup)
    * @returns {Promise<Object>} Transaction result
    */
-  async refundEscrow(contractEscrowId, senderAddress, senderKey) {
+  async refundEscrow(contractEscrowId, senderAddress, senderPhone) {
     try {
       console.log('Refunding escrow:', contractEscrowId);
 
@@ -228,43 +279,33 @@ class EscrowService {
         throw new Error('Timeout not reached or escrow not active');
       }
 
-      // Get account nonce
-      const accountInfo = await stacksService.getAccountInfo(senderAddress);
-      const nonce = accountInfo.nonce;
+      // Build contract call transaction, holding a nonce until it's broadcast
+      const txId = await nonceManager.withNonce(senderAddress, async (nonce) => {
+        const transaction = await keyVaultService.withDecryptedKey(senderPhone, senderKey =>
+          this.signCall(this.buildEscrowActionCall('refund-escrow', contractEscrowId), senderKey, nonce)
+        );
 
-      // Build contract call transaction
-      const txOptions = {
-        contractAddress: this.contractAddress,
-        contractName: this.contractName,
-        functionName: 'refund-escrow',
-        functionArgs: [uintCV(contractEscrowId)],
-        senderKey,
-        network: this.network,
-        anchorMode: AnchorMode.Any,
-        postConditionMode: PostConditionMode.Allow,
-        nonce,
-      };
-
-      const transaction = await makeContractCall(txOptions);
+        // Broadcast transaction
+        const broadcastResult = await stacksService.broadcastTransaction(transaction);
 
-      // Broadcast transaction
-      const broadcastResponse = await broadcastTransaction(transaction, this.network);
-      const txId = broadcastResponse.txid;
+        if (!broadcastResult.success) {
+          throw new Error(`Broadcast failed: ${broadcastResult.error}`);
+        }
 
-      if (broadcastResponse.error) {
-        throw new Error(`Broadcast failed: ${broadcastResponse.error}`);
-      }
+        return broadcastResult.txId;
+      });
 
       console.log('Escrow refund transaction broadcasted:', txId);
 
-      // Update database status
-      await this.updateEscrowStatus(contractEscrowId, 'refunded', txId);
+      // The escrow stays active until the worker sees the transaction confirm
+      await this.recordEscrowAction(contractEscrowId, 'refund', txId);
 
       return {
         success: true,
         txId,
-        status: 'refunded',
-        explorerUrl: `https://explorer.stacks.co/txid/${txId}?chain=${this.network.isMainnet() ? 'mainnet' : 'testnet'}`,
+        status: 'active',
+        pendingAction: 'refund',
+        explorerUrl: this.getExplorerUrl(txId),
       };
     } catch (error) {
       console.error('Error refunding escrow:', error);
@@ -276,50 +317,40 @@ class EscrowService {
    * Cancel escrow (sender only, before release)
    * @param {number} contractEscrowId - Escrow ID from contract
    * @param {string} senderAddress - Sender's address
-   * @param {string} senderKey - Sender's private key
+   * @param {string} senderPhone - Sender's phone number (key vault lookup)
    * @returns {Promise<Object>} Transaction result
    */
-  async cancelEscrow(contractEscrowId, senderAddress, senderKey) {
+  async cancelEscrow(contractEscrowId, senderAddress, senderPhone) {
     try {
       console.log('Cancelling escrow:', contractEscrowId);
 
-      // Get account nonce
-      const accountInfo = await stacksService.getAccountInfo(senderAddress);
-      const nonce = accountInfo.nonce;
-
-      // Build contract call transaction
-      const txOptions = {
-        contractAddress: this.contractAddress,
-        contractName: this.contractName,
-        functionName: 'cancel-escrow',
-        functionArgs: [uintCV(contractEscrowId)],
-        senderKey,
-        network: this.network,
-        anchorMode: AnchorMode.Any,
-        postConditionMode: PostConditionMode.Allow,
-        nonce,
-      };
+      // Build contract call transaction, holding a nonce until it's broadcast
+      const txId = await nonceManager.withNonce(senderAddress, async (nonce) => {
+        const transaction = await keyVaultService.withDecryptedKey(senderPhone, senderKey =>
+          this.signCall(this.buildEscrowActionCall('cancel-escrow', contractEscrowId), senderKey, nonce)
+        );
 
-      const transaction = await makeContractCall(txOptions);
+        // Broadcast transaction
+        const broadcastResult = await stacksService.broadcastTransaction(transaction);
 
-      // Broadcast transaction
-      const broadcastResponse = await broadcastTransaction(transaction, this.network);
-      const txId = broadcastResponse.txid;
+        if (!broadcastResult.success) {
+          throw new Error(`Broadcast failed: ${broadcastResult.error}`);
+        }
 
-      if (broadcastResponse.error) {
-        throw new Error(`Broadcast failed: ${broadcastResponse.error}`);
-      }
+        return broadcastResult.txId;
+      });
 
       console.log('Escrow cancel transaction broadcasted:', txId);
 
-      // Update database status
-      await this.updateEscrowStatus(contractEscrowId, 'cancelled', txId);
+      // The escrow stays active until the worker sees the transaction confirm
+      await this.recordEscrowAction(contractEscrowId, 'cancel', txId);
 
       return {
         success: true,
         txId,
-        status: 'cancelled',
-        explorerUrl: `https://explorer.stacks.co/txid/${txId}?chain=${this.network.isMainnet() ? 'mainnet' : 'testnet'}`,
+        status: 'active',
+        pendingAction: 'cancel',
+        explorerUrl: this.getExplorerUrl(txId),
       };
     } catch (error) {
       console.error('Error cancelling escrow:', error);
@@ -334,12 +365,11 @@ class EscrowService {
    */
   async getEscrowFromContract(escrowId) {
     try {
-      const result = await callReadOnlyFunction({
+      const result = await stacksService.callReadOnly({
         contractAddress: this.contractAddress,
         contractName: this.contractName,
         functionName: 'get-escrow',
         functionArgs: [uintCV(escrowId)],
-        network: this.network,
         senderAddress: this.contractAddress,
       });
 
@@ -363,12 +393,11 @@ class EscrowService {
    */
   async getEscrowStatus(escrowId) {
     try {
-      const result = await callReadOnlyFunction({
+      const result = await stacksService.callReadOnly({
         contractAddress: this.contractAddress,
         contractName: this.contractName,
         functionName: 'get-status',
         functionArgs: [uintCV(escrowId)],
-        network: this.network,
         senderAddress: this.contractAddress,
       });
 
@@ -387,12 +416,11 @@ class EscrowService {
    */
   async canRefund(escrowId) {
     try {
-      const result = await callReadOnlyFunction({
+      const result = await stacksService.callReadOnly({
         contractAddress: this.contractAddress,
         contractName: this.contractName,
         functionName: 'can-refund',
         functionArgs: [uintCV(escrowId)],
-        network: this.network,
         senderAddress: this.contractAddress,
       });
 
@@ -411,31 +439,21 @@ class EscrowService {
    */
   async saveEscrowToDatabase(escrowData) {
     try {
-      const { data, error } = await databaseService.client
-        .from('escrows')
-        .insert([
-          {
-            sender_phone: escrowData.senderPhone,
-            sender_stx_address: escrowData.senderAddress,
-            recipient_phone: escrowData.recipientPhone,
-            recipient_stx_address: escrowData.recipientAddress,
-            amount_microstx: escrowData.amountMicroStx,
-            timeout_blocks: escrowData.timeoutBlocks,
-            memo: escrowData.memo,
-            tx_id: escrowData.txId,
-            contract_escrow_id: escrowData.contractEscrowId || null,
-            status: escrowData.status,
-            created_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        throw error;
-      }
-
-      return data;
+      return await this.escrows.insert({
+        sender_phone: escrowData.senderPhone,
+        sender_stx_address: escrowData.senderAddress,
+        recipient_phone: escrowData.recipientPhone,
+        recipient_stx_address: escrowData.recipientAddress,
+        amount_microstx: escrowData.amountMicroStx,
+        timeout_blocks: escrowData.timeoutBlocks,
+        memo: escrowData.memo,
+        tx_id: escrowData.txId,
+        contract_escrow_id: escrowData.contractEscrowId || null,
+        status: escrowData.status,
+        claim_token: escrowData.claimToken || null,
+        claim_status: escrowData.claimToken ? 'unclaimed' : null,
+        created_at: new Date().toISOString(),
+      });
     } catch (error) {
       console.error('Error saving escrow to database:', error);
       throw new Error(`Failed to save escrow: ${error.message}`);
@@ -460,15 +478,10 @@ class EscrowService {
         updateData.release_tx_id = txId;
       }
 
-      const { data, error } = await databaseService.client
-        .from('escrows')
-        .update(updateData)
-        .eq('contract_escrow_id', contractEscrowId)
-        .select()
-        .single();
+      const [data] = await this.escrows.update({ contract_escrow_id: contractEscrowId }, updateData);
 
-      if (error) {
-        throw error;
+      if (!data) {
+        throw new Error('Escrow not found');
       }
 
       return data;
@@ -478,6 +491,37 @@ class EscrowService {
     }
   }
 
+  /**
+   * Record a broadcast release/refund/cancel on its escrow
+   * The status is left as is; reconcileEscrowActions settles it once the
+   * transaction confirms.
+   * @param {number} contractEscrowId - Contract escrow ID
+   * @param {string} action - 'release' | 'refund' | 'cancel'
+   * @param {string} txId - Action transaction ID
+   * @returns {Promise<Object>} Updated record
+   */
+  async recordEscrowAction(contractEscrowId, action, txId) {
+    try {
+      const [data] = await this.escrows.update({ contract_escrow_id: contractEscrowId }, {
+        pending_action: action,
+        release_tx_id: txId,
+        action_at: new Date().toISOString(),
+        check_attempts: 0,
+        next_check_at: null,
+        updated_at: new Date().toISOString(),
+      });
+
+      if (!data) {
+        throw new Error('Escrow not found');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error recording escrow action:', error);
+      throw new Error(`Failed to record escrow ${action}: ${error.message}`);
+    }
+  }
+
   /**
    * Get escrows by phone number
    * @param {string} phoneNumber - Phone number
@@ -486,27 +530,222 @@ class EscrowService {
    */
   async getEscrowsByPhone(phoneNumber, role = 'all') {
     try {
-      let query = databaseService.client.from('escrows').select('*');
-
+      let where;
       if (role === 'sender') {
-        query = query.eq('sender_phone', phoneNumber);
+        where = { sender_phone: phoneNumber };
       } else if (role === 'recipient') {
-        query = query.eq('recipient_phone', phoneNumber);
+        where = { recipient_phone: phoneNumber };
       } else {
-        query = query.or(`sender_phone.eq.${phoneNumber},recipient_phone.eq.${phoneNumber}`);
+        where = { or: [{ sender_phone: phoneNumber }, { recipient_phone: phoneNumber }] };
       }
 
-      const { data, error } = await query.order('created_at', { ascending: false });
+      return await this.escrows.findMany(where, { orderBy: 'created_at', ascending: false });
+    } catch (error) {
+      console.error('Error getting escrows:', error);
+      throw new Error(`Failed to get escrows: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write contract escrow IDs back once create-escrow transactions confirm
+   * (should be called periodically; still-pending escrows are re-checked with backoff)
+   * @param {Function} onUpdate - Optional async callback for each update
+   * @param {number} batchSize - Maximum escrows to check (default: 25)
+   * @returns {Promise<Array>} Updates ({ escrow, status, contractEscrowId })
+   */
+  async reconcilePendingEscrows(onUpdate = null, batchSize = 25) {
+    try {
+      const now = new Date().toISOString();
+      const pendingEscrows = await this.escrows.findMany(
+        {
+          status: 'pending',
+          contract_escrow_id: null,
+          tx_id: { not: null },
+          or: [{ next_check_at: null }, { next_check_at: { lte: now } }],
+        },
+        { orderBy: 'created_at', limit: batchSize }
+      );
+
+      if (pendingEscrows.length === 0) {
+        return [];
+      }
 
-      if (error) {
-        throw error;
+      console.log(`Reconciling ${pendingEscrows.length} pending escrows...`);
+
+      const updates = [];
+      for (const escrow of pendingEscrows) {
+        try {
+          const update = await this.reconcileEscrow(escrow);
+          if (!update) {
+            continue;
+          }
+
+          updates.push(update);
+          if (onUpdate) {
+            await onUpdate(update);
+          }
+        } catch (err) {
+          console.error(`Error reconciling escrow ${escrow.id}:`, err.message);
+        }
       }
 
-      return data || [];
+      return updates;
     } catch (error) {
-      console.error('Error getting escrows:', error);
-      throw new Error(`Failed to get escrows: ${error.message}`);
+      console.error('Error reconciling escrows:', error);
+      throw new Error(`Failed to reconcile escrows: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reconcile one pending escrow against its create-escrow transaction
+   * @param {Object} escrow - Escrow from database
+   * @returns {Promise<Object|null>} Update, or null if still pending
+   */
+  async reconcileEscrow(escrow) {
+    const status = await stacksService.getTransactionStatus(escrow.tx_id);
+    const txStatus = transactionService.resolveStatus(status, escrow.created_at);
+
+    if (txStatus === 'pending') {
+      await this.updateEscrowById(escrow.id, transactionService.getNextCheck(escrow));
+      return null;
+    }
+
+    if (txStatus !== 'confirmed') {
+      // Failed or dropped - nothing was locked
+      const failed = await this.updateEscrowById(escrow.id, { status: 'failed' });
+      return { escrow: failed, status: 'failed', contractEscrowId: null };
+    }
+
+    const contractEscrowId = this.parseEscrowId(status.txResult);
+    if (contractEscrowId === null) {
+      throw new Error(`Unexpected create-escrow result: ${status.txResult}`);
+    }
+
+    const active = await this.updateEscrowById(escrow.id, {
+      contract_escrow_id: contractEscrowId,
+      status: 'active',
+    });
+
+    return { escrow: active, status: 'active', contractEscrowId };
+  }
+
+  /**
+   * Settle escrows whose release/refund/cancel transaction confirmed or failed
+   * (should be called periodically; still-pending actions are re-checked with backoff)
+   * @param {Function} onUpdate - Optional async callback for each update
+   * @param {number} batchSize - Maximum escrows to check (default: 25)
+   * @returns {Promise<Array>} Updates ({ escrow, action, status, txId })
+   */
+  async reconcileEscrowActions(onUpdate = null, batchSize = 25) {
+    try {
+      const now = new Date().toISOString();
+      const escrows = await this.escrows.findMany(
+        {
+          pending_action: { not: null },
+          or: [{ next_check_at: null }, { next_check_at: { lte: now } }],
+        },
+        { orderBy: 'action_at', limit: batchSize }
+      );
+
+      const updates = [];
+      for (const escrow of escrows) {
+        try {
+          const update = await this.reconcileEscrowAction(escrow);
+          if (!update) {
+            continue;
+          }
+
+          updates.push(update);
+          if (onUpdate) {
+            await onUpdate(update);
+          }
+        } catch (err) {
+          console.error(`Error reconciling ${escrow.pending_action} of escrow ${escrow.id}:`, err.message);
+        }
+      }
+
+      return updates;
+    } catch (error) {
+      console.error('Error reconciling escrow actions:', error);
+      throw new Error(`Failed to reconcile escrow actions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Settle one escrow against its release/refund/cancel transaction
+   * @param {Object} escrow - Escrow with a pending_action
+   * @returns {Promise<Object|null>} Update, or null if still pending
+   *   or another run already settled it
+   */
+  async reconcileEscrowAction(escrow) {
+    const action = escrow.pending_action;
+    const txId = escrow.release_tx_id;
+    const status = await stacksService.getTransactionStatus(txId);
+    const txStatus = transactionService.resolveStatus(status, escrow.action_at);
+
+    if (txStatus === 'pending') {
+      await this.updateEscrowById(escrow.id, transactionService.getNextCheck(escrow));
+      return null;
+    }
+
+    // Failed or dropped - nothing moved, the escrow is still active
+    const changes = txStatus === 'confirmed'
+      ? { status: ACTION_STATUS[action], pending_action: null }
+      : { pending_action: null };
+
+    // Only for the action that was read, so overlapping runs settle it once
+    const [settled] = await this.escrows.update(
+      { id: escrow.id, pending_action: action, release_tx_id: txId },
+      { ...changes, updated_at: new Date().toISOString() }
+    );
+    if (!settled) {
+      return null;
+    }
+
+    return { escrow: settled, action, status: txStatus, txId };
+  }
+
+  /**
+   * Read the escrow ID from a create-escrow result
+   * @param {string} txResult - Clarity result, e.g. "(ok u5)"
+   * @returns {number|null} Escrow ID or null if not an (ok uN) result
+   */
+  parseEscrowId(txResult) {
+    const match = /^\(ok u(\d+)\)$/.exec((txResult || '').trim());
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Update an escrow by database ID
+   * @param {number} id - Database escrow ID
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object>} Updated record
+   */
+  async updateEscrowById(id, updates) {
+    let data;
+    try {
+      [data] = await this.escrows.update({ id }, {
+        ...updates,
+        updated_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      throw new Error(`Failed to update escrow: ${error.message}`);
+    }
+
+    if (!data) {
+      throw new Error('Failed to update escrow: not found');
     }
+
+    return data;
+  }
+
+  /**
+   * Get explorer link for a transaction on the configured network
+   * @param {string} txId - Transaction ID
+   * @returns {string} Explorer URL
+   */
+  getExplorerUrl(txId) {
+    return `https://explorer.stacks.co/txid/${txId}?chain=${this.isMainnet ? 'mainnet' : 'testnet'}`;
   }
 
   /**
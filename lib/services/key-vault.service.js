@@ -0,0 +1,393 @@
+/**
+ * Key Vault Service
+ *
+ * Envelope encryption for bot-held (custodial) private keys:
+ * - Each user key is encrypted with its own random data key (AES-256-GCM)
+ * - Data keys are wrapped by a master key from env or a KMS adapter
+ * - Decrypted keys only exist for the length of one signing call
+ * - Supports data key rotation and re-wrapping under a new master key
+ *
+ * Master key providers implement:
+ *   keyId: string                                   - current master key ID
+ *   wrapKey(dataKey: Buffer): Promise<string>       - wrap with current master key
+ *   unwrapKey(wrapped: string, keyId: string): Promise<Buffer>
+ */
+
+import crypto from 'crypto';
+
+import { db } from './database.service.js';
+import { repositories } from '../repositories/index.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {string} base64(iv | tag | ciphertext)
+ */
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {Buffer} key - 32-byte key
+ * @param {string} encoded - base64(iv | tag | ciphertext)
+ * @returns {Buffer} Plaintext
+ */
+function decrypt(key, encoded) {
+  const data = Buffer.from(encoded, 'base64');
+  const iv = data.subarray(0, IV_LENGTH);
+  const tag = data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = data.subarray(IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Master key provider backed by environment variables
+ * - KEY_VAULT_MASTER_KEY: base64 32-byte master key
+ * - KEY_VAULT_MASTER_KEY_ID: ID of the current master key (default: env-v1)
+ * - KEY_VAULT_PREVIOUS_KEYS: "id:base64,id:base64" - retired keys kept for unwrapping
+ */
+export class EnvMasterKeyProvider {
+  constructor(env = process.env) {
+    this.keyId = env.KEY_VAULT_MASTER_KEY_ID || 'env-v1';
+    this.keys = new Map();
+
+    if (env.KEY_VAULT_MASTER_KEY) {
+      this.keys.set(this.keyId, this.parseKey(env.KEY_VAULT_MASTER_KEY));
+    }
+
+    (env.KEY_VAULT_PREVIOUS_KEYS || '')
+      .split(',')
+      .filter(Boolean)
+      .forEach(entry => {
+        const [id, value] = entry.split(':');
+        this.keys.set(id.trim(), this.parseKey(value.trim()));
+      });
+  }
+
+  /**
+   * Parse and check a base64 master key
+   * @param {string} value - base64 key
+   * @returns {Buffer} 32-byte key
+   */
+  parseKey(value) {
+    const key = Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw new Error('Master key must be 32 bytes (base64 encoded)');
+    }
+    return key;
+  }
+
+  /**
+   * Check if the current master key is available
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.keys.has(this.keyId);
+  }
+
+  async wrapKey(dataKey) {
+    const masterKey = this.keys.get(this.keyId);
+    if (!masterKey) {
+      throw new Error('Master key not configured. Set KEY_VAULT_MASTER_KEY in .env');
+    }
+    return encrypt(masterKey, dataKey);
+  }
+
+  async unwrapKey(wrappedKey, keyId) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Master key "${keyId}" not available`);
+    }
+    return decrypt(masterKey, wrappedKey);
+  }
+}
+
+class KeyVaultService {
+  /**
+   * @param {Object} users - Users repository (plaintext key migration)
+   */
+  constructor(users = repositories.users) {
+    this.users = users;
+    this.provider = new EnvMasterKeyProvider();
+  }
+
+  /**
+   * Swap the master key provider (e.g. a KMS adapter)
+   * @param {Object} provider - Master key provider
+   */
+  setMasterKeyProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Encrypt and store a private key for a user
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} privateKey - Private key (hex)
+   * @returns {Promise<Object>} Stored key record (without secrets)
+   */
+  async storeKey(phoneNumber, privateKey) {
+    try {
+      if (!phoneNumber || !privateKey) {
+        throw new Error('Missing required fields: phoneNumber or privateKey');
+      }
+
+      const record = await this.sealKey(Buffer.from(privateKey, 'utf8'));
+
+      const { data, error } = await db.getClient()
+        .from('user_keys')
+        .upsert({
+          phone_number: phoneNumber,
+          ...record,
+          updated_at: new Date().toISOString(),
+        }, {
+          onConflict: 'phone_number'
+        })
+        .select('phone_number, master_key_id, created_at, updated_at')
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error storing key:', error.message);
+      throw new Error(`Failed to store key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a user has a key in the vault (i.e. is custodial)
+   * Lookup errors are thrown, so a vault outage isn't taken for a
+   * user without a key.
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<boolean>} False only when no key is stored
+   */
+  async hasKey(phoneNumber) {
+    const record = await this.getKeyRecord(phoneNumber);
+    return record !== null;
+  }
+
+  /**
+   * Decrypt a user's key for the length of one callback
+   * The data key and plaintext buffer are zeroed afterwards.
+   * @param {string} phoneNumber - User's phone number
+   * @param {Function} fn - async (privateKey: string) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async withDecryptedKey(phoneNumber, fn) {
+    const record = await this.getKeyRecord(phoneNumber);
+    if (!record) {
+      throw new Error('No key stored for this user');
+    }
+
+    const dataKey = await this.provider.unwrapKey(record.wrapped_data_key, record.master_key_id);
+    let plaintext = null;
+
+    try {
+      plaintext = decrypt(dataKey, record.encrypted_key);
+      return await fn(plaintext.toString('utf8'));
+    } finally {
+      dataKey.fill(0);
+      if (plaintext) {
+        plaintext.fill(0);
+      }
+    }
+  }
+
+  /**
+   * Re-encrypt a user's key under a fresh data key
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<boolean>} True if rotated
+   */
+  async rotateDataKey(phoneNumber) {
+    try {
+      const record = await this.getKeyRecord(phoneNumber);
+      if (!record) {
+        throw new Error('No key stored for this user');
+      }
+
+      const dataKey = await this.provider.unwrapKey(record.wrapped_data_key, record.master_key_id);
+      const plaintext = decrypt(dataKey, record.encrypted_key);
+      dataKey.fill(0);
+
+      let sealed;
+      try {
+        sealed = await this.sealKey(plaintext);
+      } finally {
+        plaintext.fill(0);
+      }
+
+      await this.updateKeyRecord(phoneNumber, sealed);
+      return true;
+    } catch (error) {
+      console.error('Error rotating data key:', error.message);
+      throw new Error(`Failed to rotate data key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-wrap every data key not under the current master key
+   * Run after changing KEY_VAULT_MASTER_KEY (keep the old key in KEY_VAULT_PREVIOUS_KEYS).
+   * @returns {Promise<{rewrapped: number, failed: Array}>}
+   */
+  async rewrapAll() {
+    const { data: records, error } = await db.getClient()
+      .from('user_keys')
+      .select('phone_number, wrapped_data_key, master_key_id')
+      .neq('master_key_id', this.provider.keyId);
+
+    if (error) {
+      throw new Error(`Failed to load keys: ${error.message}`);
+    }
+
+    const results = { rewrapped: 0, failed: [] };
+
+    for (const record of records || []) {
+      try {
+        const dataKey = await this.provider.unwrapKey(record.wrapped_data_key, record.master_key_id);
+        const wrapped = await this.provider.wrapKey(dataKey);
+        dataKey.fill(0);
+
+        await this.updateKeyRecord(record.phone_number, {
+          wrapped_data_key: wrapped,
+          master_key_id: this.provider.keyId,
+        });
+        results.rewrapped++;
+      } catch (err) {
+        console.error(`Error re-wrapping key for ${record.phone_number}:`, err.message);
+        results.failed.push({ phoneNumber: record.phone_number, error: err.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Move plaintext users.private_key values into the vault and clear them
+   * @returns {Promise<{migrated: number, failed: Array}>}
+   */
+  async migratePlaintextKeys() {
+    let users;
+    try {
+      users = await this.users.findMany({ private_key: { not: null } });
+    } catch (error) {
+      throw new Error(`Failed to load users: ${error.message}`);
+    }
+
+    const results = { migrated: 0, failed: [] };
+
+    for (const user of users) {
+      try {
+        await this.storeKey(user.phone_number, user.private_key);
+
+        await this.users.update({ phone_number: user.phone_number }, { private_key: null });
+        results.migrated++;
+      } catch (err) {
+        results.failed.push({ phoneNumber: user.phone_number, error: err.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove a user's key from the vault
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteKey(phoneNumber) {
+    try {
+      const { error } = await db.getClient()
+        .from('user_keys')
+        .delete()
+        .eq('phone_number', phoneNumber);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting key:', error.message);
+      throw new Error(`Failed to delete key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encrypt a plaintext key under a new data key
+   * @param {Buffer} plaintext - Private key bytes
+   * @returns {Promise<Object>} Columns for user_keys
+   */
+  async sealKey(plaintext) {
+    const dataKey = crypto.randomBytes(32);
+
+    try {
+      return {
+        encrypted_key: encrypt(dataKey, plaintext),
+        wrapped_data_key: await this.provider.wrapKey(dataKey),
+        master_key_id: this.provider.keyId,
+        rotated_at: new Date().toISOString(),
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Get the encrypted key record for a user
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<Object|null>} Key record or null
+   */
+  async getKeyRecord(phoneNumber) {
+    const { data, error } = await db.getClient()
+      .from('user_keys')
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      throw new Error(`Failed to get key: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update the encrypted key record for a user
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} updates - Columns to update
+   */
+  async updateKeyRecord(phoneNumber, updates) {
+    const { error } = await db.getClient()
+      .from('user_keys')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('phone_number', phoneNumber);
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const keyVaultService = new KeyVaultService();
+export default keyVaultService;
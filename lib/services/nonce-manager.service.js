@@ -0,0 +1,181 @@
+/**
+ * Nonce Manager
+ *
+ * Hands out nonces for transactions signed by the bot, so several sends
+ * from one account can be in flight at once:
+ * - Tracks nonces reserved locally per address
+ * - Reconciles with the chain (possible_next_nonce, mempool, missing nonces)
+ * - Frees a nonce when its broadcast fails, and reuses it for the next send
+ *
+ * Reservations live in memory. Across serverless instances the chain's
+ * possible_next_nonce (which counts the mempool) keeps nonces apart; the
+ * local reservations cover sends made before the API has indexed the last one.
+ */
+
+import stacksService from './stacks.service.js';
+
+class NonceManager {
+  constructor() {
+    // A nonce reserved but never broadcast is freed after 2 minutes
+    this.reservationTtlSeconds = 120;
+
+    // A broadcast nonce the API still hasn't seen is forgotten after 10 minutes
+    this.broadcastTtlSeconds = 600;
+
+    // address -> { reserved: Map<nonce, { at, broadcast }>, released: Set<nonce> }
+    this.accounts = new Map();
+
+    // address -> tail of the reservation queue
+    this.locks = new Map();
+  }
+
+  /**
+   * Get local state for an address
+   * @param {string} address - Stacks address
+   * @returns {Object} { reserved, released }
+   */
+  _account(address) {
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, { reserved: new Map(), released: new Set() });
+    }
+    return this.accounts.get(address);
+  }
+
+  /**
+   * Run reservations for one address one at a time
+   * @param {string} address - Stacks address
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  async _withLock(address, fn) {
+    const previous = this.locks.get(address) || Promise.resolve();
+    let unlock;
+    const current = new Promise(resolve => {
+      unlock = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.locks.set(address, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      unlock();
+      if (this.locks.get(address) === tail) {
+        this.locks.delete(address);
+      }
+    }
+  }
+
+  /**
+   * Drop reservations the chain has caught up with, and expire stale ones
+   * @param {Object} account - Local state
+   * @param {Object} chain - From stacksService.getNonceInfo
+   */
+  _reconcile(account, chain) {
+    const now = Date.now();
+    const executed = chain.lastExecutedNonce ?? -1;
+    const inMempool = chain.lastMempoolNonce ?? -1;
+
+    for (const [nonce, { at, broadcast }] of account.reserved) {
+      const missing = chain.missingNonces.includes(nonce);
+      const seen = nonce <= executed || (nonce <= inMempool && !missing);
+
+      if (seen) {
+        account.reserved.delete(nonce);
+      } else if (broadcast && missing) {
+        // Later nonces made it to the mempool but this one didn't - dropped
+        account.reserved.delete(nonce);
+      } else if (!broadcast && now - at > this.reservationTtlSeconds * 1000) {
+        // Reserved by a send that never finished
+        account.reserved.delete(nonce);
+        account.released.add(nonce);
+      } else if (broadcast && now - at > this.broadcastTtlSeconds * 1000) {
+        // Never reached the API - dropped; the chain will report the gap
+        account.reserved.delete(nonce);
+      }
+    }
+
+    for (const nonce of account.released) {
+      if (nonce <= executed) {
+        account.released.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Reserve the next nonce for an address
+   * Gaps (freed nonces, nonces the chain reports missing) are filled first.
+   * @param {string} address - Stacks address
+   * @returns {Promise<number>} Nonce to sign with
+   */
+  async reserve(address) {
+    return await this._withLock(address, async () => {
+      const chain = await stacksService.getNonceInfo(address);
+      const account = this._account(address);
+      this._reconcile(account, chain);
+
+      const next = Math.max(chain.possibleNextNonce, ...[...account.reserved.keys()].map(nonce => nonce + 1));
+      for (const nonce of account.released) {
+        if (nonce >= next) {
+          account.released.delete(nonce); // Not a gap any more
+        }
+      }
+
+      const gaps = [...new Set([...account.released, ...chain.missingNonces])]
+        .filter(nonce => nonce < next && nonce > (chain.lastExecutedNonce ?? -1) && !account.reserved.has(nonce))
+        .sort((a, b) => a - b);
+
+      const nonce = gaps.length > 0 ? gaps[0] : next;
+      account.released.delete(nonce);
+      account.reserved.set(nonce, { at: Date.now(), broadcast: false });
+
+      return nonce;
+    });
+  }
+
+  /**
+   * Mark a nonce as used by a broadcast transaction
+   * @param {string} address - Stacks address
+   * @param {number} nonce - Reserved nonce
+   */
+  confirm(address, nonce) {
+    this._account(address).reserved.set(nonce, { at: Date.now(), broadcast: true });
+  }
+
+  /**
+   * Free a nonce whose transaction was never broadcast
+   * @param {string} address - Stacks address
+   * @param {number} nonce - Reserved nonce
+   */
+  release(address, nonce) {
+    const account = this._account(address);
+    account.reserved.delete(nonce);
+    account.released.add(nonce);
+  }
+
+  /**
+   * Reserve a nonce for a sign-and-broadcast step
+   * The nonce is kept if fn resolves and freed if it throws, so fn should
+   * cover signing and broadcasting only.
+   * @param {string} address - Stacks address
+   * @param {Function} fn - Async function receiving the nonce
+   * @returns {Promise<*>} Result of fn
+   */
+  async withNonce(address, fn) {
+    const nonce = await this.reserve(address);
+
+    try {
+      const result = await fn(nonce);
+      this.confirm(address, nonce);
+      return result;
+    } catch (error) {
+      this.release(address, nonce);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const nonceManager = new NonceManager();
+export default nonceManager;
@@ -0,0 +1,301 @@
+/**
+ * Payment Request Service
+ *
+ * Stores requests for money between users (payment_requests table):
+ * - "request 10 from John for lunch" creates a pending request
+ * - The payer pays ("pay #id") or declines ("decline #id") before it expires
+ * - Paying links the payment transaction; the request is marked paid
+ *   once that transaction confirms
+ *
+ * Statuses: pending -> paying -> paid, or pending -> declined / expired
+ * A request is taken (paying, no tx_id yet) before its payment is signed,
+ * so it can't be paid twice.
+ */
+
+import { db } from './database.service.js';
+import stacksService from './stacks.service.js';
+import signingService from './signing.service.js';
+
+class PaymentRequestService {
+  constructor() {
+    // Requests can be paid for 7 days
+    this.expiryDays = 7;
+
+    // A request taken for a wallet signature is held while the signing link is open
+    this.holdMinutes = signingService.expiryMinutes + 1;
+  }
+
+  /**
+   * Create a payment request
+   * @param {Object} params - Request parameters
+   * @param {string} params.requesterPhone - Who is asking for money
+   * @param {string} params.requesterAddress - Where the money should go
+   * @param {string} params.payerPhone - Who is asked to pay
+   * @param {number} params.amountMicroStx - Amount in microSTX
+   * @param {string} params.memo - What it's for (optional)
+   * @param {number} params.splitId - Split the request belongs to (optional)
+   * @returns {Promise<Object>} Created request
+   */
+  async createRequest({ requesterPhone, requesterAddress, payerPhone, amountMicroStx, memo = null, splitId = null }) {
+    try {
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + this.expiryDays);
+
+      const { data, error } = await db.getClient()
+        .from('payment_requests')
+        .insert([
+          {
+            requester_phone: requesterPhone,
+            requester_address: requesterAddress,
+            payer_phone: payerPhone,
+            amount_micro_stx: amountMicroStx,
+            memo,
+            split_id: splitId,
+            status: 'pending',
+            expires_at: expiresAt.toISOString(),
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error creating payment request:', error);
+      throw new Error(`Failed to create payment request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a payment request by ID
+   * @param {number} id - Request ID
+   * @returns {Promise<Object|null>} Request or null
+   */
+  async getById(id) {
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      throw new Error(`Failed to get payment request: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the request paid by a transaction
+   * @param {string} txId - Payment transaction ID
+   * @returns {Promise<Object|null>} Request or null
+   */
+  async getByTxId(txId) {
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .select('*')
+      .eq('tx_id', txId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not a request payment
+      }
+      throw new Error(`Failed to get payment request: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get open requests a user has been asked to pay
+   * @param {string} payerPhone - Payer's phone number
+   * @returns {Promise<Array>} Pending, unexpired requests
+   */
+  async getPendingForPayer(payerPhone) {
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .select('*')
+      .eq('payer_phone', payerPhone)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to get payment requests: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update a payment request
+   * @param {number} id - Request ID
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object>} Updated request
+   */
+  async updateRequest(id, updates) {
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update payment request: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Check that a request can be paid or declined by this user
+   * Expired requests are marked as such on the way.
+   * @param {Object|null} request - Request from getById
+   * @param {string} payerPhone - Phone number acting on the request
+   * @returns {Promise<string|null>} Reason it can't, or null if it can
+   */
+  async checkOpen(request, payerPhone) {
+    // Same message for unknown requests and other people's requests
+    if (!request || request.payer_phone !== payerPhone) {
+      return 'Payment request not found.';
+    }
+
+    if (request.status === 'pending' && new Date(request.expires_at) <= new Date()) {
+      await this.updateRequest(request.id, { status: 'expired' });
+      return `Request #${request.id} has expired.`;
+    }
+
+    if (request.status !== 'pending' && !this.isHoldExpired(request)) {
+      return `Request #${request.id} is already ${request.status}.`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a request was taken for a payment that was never broadcast
+   * (the signing link ran out), so it can be paid again
+   * @param {Object} request - Payment request
+   * @returns {boolean}
+   */
+  isHoldExpired(request) {
+    return request.status === 'paying' && !request.tx_id &&
+      new Date(request.updated_at) <= new Date(Date.now() - this.holdMinutes * 60000);
+  }
+
+  /**
+   * Take a request before paying it (pending -> paying)
+   * Only one caller can take a request; a hold left by an unsigned
+   * payment can be taken again once it runs out.
+   * @param {number} id - Request ID
+   * @returns {Promise<Object|null>} Updated request, or null if it can't be paid now
+   */
+  async markPaying(id) {
+    const holdCutoff = new Date(Date.now() - this.holdMinutes * 60000).toISOString();
+
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .update({ status: 'paying', tx_id: null, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .or(`status.eq.pending,and(status.eq.paying,tx_id.is.null,updated_at.lte."${holdCutoff}")`)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to update payment request: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Link a broadcast payment to the request it took
+   * @param {number} id - Request ID
+   * @param {string} txId - Payment transaction ID
+   * @returns {Promise<Object|null>} Updated request, or null if the request was no longer held
+   */
+  async linkPayment(id, txId) {
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .update({ tx_id: txId, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'paying')
+      .is('tx_id', null)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to update payment request: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Give back a request whose payment wasn't sent (paying -> pending)
+   * @param {number} id - Request ID
+   * @returns {Promise<Object|null>} Updated request, or null if it was already paid
+   */
+  async releasePaying(id) {
+    const { data, error } = await db.getClient()
+      .from('payment_requests')
+      .update({ status: 'pending', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'paying')
+      .is('tx_id', null)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to update payment request: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Apply the outcome of a request's payment transaction
+   * @param {Object} request - Request with status 'paying'
+   * @param {string} txStatus - 'confirmed' | 'failed' | 'dropped'
+   * @returns {Promise<Object>} Updated request
+   */
+  async applyPaymentStatus(request, txStatus) {
+    if (txStatus === 'confirmed') {
+      return await this.updateRequest(request.id, {
+        status: 'paid',
+        paid_at: new Date().toISOString(),
+      });
+    }
+
+    // Payment didn't go through - the request can be paid again
+    return await this.updateRequest(request.id, { status: 'pending', tx_id: null });
+  }
+
+  /**
+   * Format a request for the payer
+   * @param {Object} request - Payment request
+   * @returns {string} Message text
+   */
+  formatRequest(request) {
+    return `🧾 *Payment Request #${request.id}*\n\n` +
+      `From: ${request.requester_phone}\n` +
+      `Amount: *${stacksService.microStxToStx(request.amount_micro_stx)} STX*\n` +
+      (request.memo ? `For: ${request.memo}\n` : '') +
+      (request.split_id ? `Your share of split #${request.split_id}\n` : '') +
+      `Expires: ${new Date(request.expires_at).toLocaleDateString()}\n\n` +
+      `Reply:\n*pay #${request.id}* to pay\n*decline #${request.id}* to decline`;
+  }
+}
+
+// Export singleton instance
+const paymentRequestService = new PaymentRequestService();
+export default paymentRequestService;
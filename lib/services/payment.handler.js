@@ -4,20 +4,73 @@
  * Handles payment-related WhatsApp commands:
  * - "send 5 to John" - Send STX to a contact
  * - "send 10 to SP2J6..." - Send to an address
- * - "balance" - Check balance
+ * - "send 5 to muneeb.btc" - Send to a BNS name
+ * - "send 5 to +2349012345678" - Send to a registered user's number
+ *   (unregistered numbers get a claimable escrow)
+ * - "send 100 USDA to John" - Send a SIP-010 token
+ * - "send ₦5000 to John" - Send STX worth a fiat amount (NGN or USD)
+ * - "send 5 to John fast" - Pick the fee tier (slow, normal, fast)
+ * - "split 30 between John, Ada, Tunde" - Pay several people at once
+ * - "balance" - Check balance (STX, tokens and NFTs)
+ * - "balance usda" - Details for one asset
  * - "history" - View transaction history
+ * - "speed up 0x1a2b3c4d" - Rebroadcast a stuck payment with a higher fee
+ * - "cancel tx 0x1a2b3c4d" - Replace a stuck payment with an empty one
+ * - "fees" - Current fees per tier
+ * - "fee fast" - Save a default fee tier
  * - "contacts" - List contacts
  * - "add contact Name SP..." - Add contact
  */
 
-import userService from '../services/user.service.js';
+import { userService } from '../services/user.service.js';
 import contactService from '../services/contact.service.js';
 import transactionService from '../services/transaction.service.js';
-import stacksService from '../services/stacks.service.js';
-import stateService from '../services/state.service.js';
-import whatsappService from '../services/whatsapp.service.js';
+import stacksService, { FEE_TIERS } from '../services/stacks.service.js';
+import conversationService from '../services/conversation.service.js';
+import { whatsappService } from '../services/whatsapp.service.js';
+import signingService from '../services/signing.service.js';
+import keyVaultService from '../services/key-vault.service.js';
+import tokenService from '../services/token.service.js';
+import priceService from '../services/price.service.js';
+import claimService from '../services/claim.service.js';
+import paymentRequestService from '../services/payment-request.service.js';
+import splitService from '../services/split.service.js';
+import escrowHandler from '../handlers/escrow.handler.js';
+
+// How long payments to unregistered numbers wait to be claimed
+const UNREGISTERED_ESCROW_DAYS = 7;
+
+// Stacks transfer memos are at most 34 bytes
+const MAX_MEMO_BYTES = 34;
 
 class PaymentHandler {
+  constructor() {
+    // Replies to confirmation prompts are answered by the conversation engine
+    conversationService.defineFlow('payment', {
+      steps: {
+        confirm_send: conversationService.confirmStep(
+          (phoneNumber, state) => this.executeSend(phoneNumber, state),
+          '❌ Payment cancelled.'
+        ),
+        confirm_split: conversationService.confirmStep(
+          (phoneNumber, state) => this.executeSplit(phoneNumber, state),
+          '❌ Payment cancelled.'
+        ),
+        confirm_replace: conversationService.confirmStep(
+          (phoneNumber, state) => this.executeReplace(phoneNumber, state),
+          '👍 Left as it is.'
+        ),
+        // "send 5 to jo" with no contact called jo: pick John or Joy from a list
+        choose_recipient: conversationService.choiceStep(
+          (phoneNumber, choice, state) => this.handleSend(phoneNumber, state.data.command, state.data.user, {
+            paymentRequestId: state.data.paymentRequestId,
+            recipientName: choice.title,
+          })
+        ),
+      },
+    });
+  }
+
   /**
    * Handle incoming payment-related messages
    * @param {string} phoneNumber - User's phone number
@@ -29,7 +82,7 @@ class PaymentHandler {
       const normalizedMessage = message.toLowerCase().trim();
 
       // Check if user is registered
-      const user = await userService.getByPhone(phoneNumber);
+      const { user } = await userService.getByPhone(phoneNumber);
       if (!user) {
         return {
           success: false,
@@ -37,17 +90,15 @@ class PaymentHandler {
         };
       }
 
-      // Check conversation state (for multi-step flows)
-      const state = await stateService.getState(phoneNumber);
-      if (state && state.handler === 'payment') {
-        return await this.handleStateFlow(phoneNumber, message, state);
-      }
-
       // Route to appropriate handler
       if (normalizedMessage === 'balance') {
         return await this.handleBalance(phoneNumber, user);
       }
 
+      if (normalizedMessage.startsWith('balance ')) {
+        return await this.handleAssetBalance(phoneNumber, user, normalizedMessage.slice('balance '.length).trim());
+      }
+
       if (normalizedMessage === 'history' || normalizedMessage.startsWith('history')) {
         return await this.handleHistory(phoneNumber, user);
       }
@@ -60,10 +111,22 @@ class PaymentHandler {
         return await this.handleAddContact(phoneNumber, message);
       }
 
+      if (normalizedMessage === 'fees' || normalizedMessage.startsWith('fee ')) {
+        return await this.handleFeeTier(phoneNumber, normalizedMessage, user);
+      }
+
+      if (normalizedMessage.startsWith('speed up ') || normalizedMessage.startsWith('cancel tx ')) {
+        return await this.handleReplace(phoneNumber, message);
+      }
+
       if (normalizedMessage.startsWith('send')) {
         return await this.handleSend(phoneNumber, message, user);
       }
 
+      if (normalizedMessage.startsWith('split ')) {
+        return await this.handleSplit(phoneNumber, message, user);
+      }
+
       // Not a payment command
       return null;
     } catch (error) {
@@ -80,12 +143,32 @@ class PaymentHandler {
    */
   async handleBalance(phoneNumber, user) {
     try {
-      const balance = await stacksService.getBalance(user.stx_address);
+      const balance = await stacksService.getBalance(user.stxAddress);
+      const tokenBalances = await tokenService.describeTokenBalances(balance);
+      const nftCounts = tokenService.getNftCounts(balance);
+      const fiat = await priceService.describeStx(balance.stx.balanceStx);
       
-      const message = `💰 *Your Balance*\n\n` +
+      let message = `💰 *Your Balance*\n\n` +
         `Available: *${balance.stx.balanceStx.toFixed(6)} STX*\n` +
-        `Locked: ${balance.stx.lockedStx.toFixed(6)} STX\n\n` +
-        `Address: ${user.stx_address.substring(0, 10)}...${user.stx_address.substring(user.stx_address.length - 6)}`;
+        (fiat ? `${fiat}\n` : '') +
+        `Locked: ${balance.stx.lockedStx.toFixed(6)} STX\n`;
+
+      if (tokenBalances.length > 0) {
+        message += `\n*Tokens*\n`;
+        tokenBalances.forEach(({ formatted }) => {
+          message += `• ${formatted}\n`;
+        });
+      }
+
+      if (nftCounts.length > 0) {
+        message += `\n*NFTs*\n`;
+        nftCounts.forEach(({ collection, count }) => {
+          message += `• ${collection}: ${count}\n`;
+        });
+      }
+
+      message += `\nDetails: "balance [token]"\n` +
+        `Address: ${user.stxAddress.substring(0, 10)}...${user.stxAddress.substring(user.stxAddress.length - 6)}`;
 
       await whatsappService.sendMessage(phoneNumber, message);
       
@@ -99,6 +182,57 @@ class PaymentHandler {
     }
   }
 
+  /**
+   * Handle "balance [token]" command
+   */
+  async handleAssetBalance(phoneNumber, user, symbol) {
+    try {
+      const balance = await stacksService.getBalance(user.stxAddress);
+      let message;
+
+      if (symbol.toUpperCase() === 'STX') {
+        const fiat = await priceService.describeStx(balance.stx.balanceStx);
+        message = `💰 *STX Balance*\n\n` +
+          `Available: *${balance.stx.balanceStx.toFixed(6)} STX*\n` +
+          (fiat ? `${fiat}\n` : '') +
+          `Locked: ${balance.stx.lockedStx.toFixed(6)} STX\n` +
+          `Total received: ${stacksService.microStxToStx(balance.stx.totalReceived)} STX\n` +
+          `Total sent: ${stacksService.microStxToStx(balance.stx.totalSent)} STX\n` +
+          `Fees paid: ${stacksService.microStxToStx(balance.stx.totalFeesSent)} STX`;
+      } else {
+        const tokenBalances = await tokenService.describeTokenBalances(balance);
+        const match = tokenBalances.find(({ token }) => token.symbol === symbol.toUpperCase());
+
+        if (!match) {
+          const registered = tokenService.getToken(symbol);
+          return {
+            success: false,
+            message: registered
+              ? `💰 You have no ${registered.symbol}.`
+              : `❌ You don't hold a token called "${symbol.toUpperCase()}".\n\nType *balance* to see all your assets.`,
+          };
+        }
+
+        const { token } = match;
+        message = `💰 *${token.name} Balance*\n\n` +
+          `Balance: *${match.formatted}*\n` +
+          `Total received: ${tokenService.formatAmount(match.totalReceived, token)}\n` +
+          `Total sent: ${tokenService.formatAmount(match.totalSent, token)}\n\n` +
+          `Contract: ${token.contractId}`;
+      }
+
+      await whatsappService.sendMessage(phoneNumber, message);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error getting asset balance:', error);
+      return {
+        success: false,
+        message: '❌ Failed to get balance. Please try again.',
+      };
+    }
+  }
+
   /**
    * Handle "history" command
    */
@@ -116,16 +250,45 @@ class PaymentHandler {
 
       let message = `📜 *Recent Transactions* (${transactions.length})\n\n`;
 
+      // STX amounts are valued at today's rate
+      let rates = null;
+      try {
+        rates = await priceService.getRates();
+      } catch (error) {
+        // Show history without fiat values
+      }
+
+      // Counterparties without a phone number are shown by BNS name where they have one
+      const names = new Map();
+      for (const tx of transactions) {
+        const isSent = tx.sender_phone === phoneNumber;
+        const address = isSent ? tx.recipient_address : tx.sender_address;
+        if (!(isSent ? tx.recipient_phone : tx.sender_phone) && address && !names.has(address)) {
+          names.set(address, await stacksService.lookupBnsName(address));
+        }
+      }
+
       transactions.forEach((tx, index) => {
         const formatted = transactionService.formatTransaction(tx);
         const isSent = tx.sender_phone === phoneNumber;
+        const counterpartyAddress = isSent ? tx.recipient_address : tx.sender_address;
+        const counterparty = (isSent ? tx.recipient_phone : tx.sender_phone) ||
+          names.get(counterpartyAddress) ||
+          `${counterpartyAddress.substring(0, 10)}...${counterpartyAddress.substring(counterpartyAddress.length - 6)}`;
         const icon = isSent ? '📤' : '📥';
         const statusIcon = tx.status === 'confirmed' ? '✅' : 
-                          tx.status === 'pending' ? '⏳' : '❌';
+                          tx.status === 'pending' ? '⏳' :
+                          tx.status === 'replaced' ? '🔁' : '❌';
 
         message += `${index + 1}. ${icon} ${isSent ? 'Sent' : 'Received'}\n`;
         message += `   ${formatted.amountStx} ${statusIcon}\n`;
-        message += `   ${isSent ? 'To' : 'From'}: ${isSent ? tx.recipient_phone : tx.sender_phone}\n`;
+        if (rates && formatted.token === 'STX') {
+          message += `   ≈ ${priceService.formatFiat(formatted.amount * rates.NGN, 'NGN')}\n`;
+        }
+        message += `   ${isSent ? 'To' : 'From'}: ${counterparty}\n`;
+        if (isSent && tx.status === 'pending') {
+          message += `   Stuck? *speed up ${tx.tx_id.substring(0, 10)}*\n`;
+        }
         message += `   ${new Date(tx.created_at).toLocaleDateString()}\n\n`;
       });
 
@@ -166,35 +329,40 @@ class PaymentHandler {
    */
   async handleAddContact(phoneNumber, message) {
     try {
-      // Parse: "add contact John SP2J6ZY..."
+      // Parse: "add contact John SP2J6ZY..." or "add contact John SP2J6ZY... +233241234567"
       const parts = message.split(/\s+/);
       
       if (parts.length < 4) {
         return {
           success: false,
-          message: '❌ Invalid format.\n\nUse: add contact [Name] [STX-Address]\n\nExample: add contact John SP2J6ZY48GV1EZ5V...',
+          message: '❌ Invalid format.\n\nUse: add contact [Name] [STX-Address] [phone (optional)]\n\nExample: add contact John SP2J6ZY48GV1EZ5V...',
         };
       }
 
       const contactName = parts[2];
       const contactAddress = parts[3];
+      const contactPhone = parts.slice(4).join(' ') || null;
 
-      // Validate address
-      if (!stacksService.isValidAddress(contactAddress)) {
+      // Validate address (BNS names are resolved by the contact service)
+      if (!stacksService.isValidAddress(contactAddress) && !stacksService.isBnsName(contactAddress)) {
         return {
           success: false,
-          message: '❌ Invalid STX address.\n\nAddress must start with SP for mainnet.',
+          message: '❌ Invalid STX address.\n\nUse an address starting with SP for mainnet, or a BNS name like muneeb.btc.',
         };
       }
 
       // Add contact
-      await contactService.addContact(phoneNumber, contactName, contactAddress);
+      const contact = await contactService.addContact(phoneNumber, contactName, contactAddress, contactPhone);
 
       const normalized = contactService.normalizeContactName(contactName);
       
       await whatsappService.sendMessage(
         phoneNumber,
-        `✅ Contact added!\n\n*${normalized}*\n${contactAddress}\n\nYou can now send: "send 5 to ${normalized}"`
+        `✅ Contact added!\n\n*${normalized}*\n` +
+        (contact.contact_stx_address !== contactAddress ? `${contactAddress.toLowerCase()}\n` : '') +
+        `${contact.contact_stx_address}\n` +
+        (contact.contact_phone ? `📱 ${contact.contact_phone}\n` : '') +
+        `\nYou can now send: "send 5 to ${normalized}"`
       );
 
       return { success: true };
@@ -209,21 +377,40 @@ class PaymentHandler {
 
   /**
    * Handle "send X to Y" command
+   * @param {Object} options - { paymentRequestId } when paying a payment request,
+   *   { recipientName } for the contact picked in place of Y
    */
-  async handleSend(phoneNumber, message, user) {
+  async handleSend(phoneNumber, message, user, { paymentRequestId = null, recipientName = null } = {}) {
     try {
-      // Parse: "send 5 to John" or "send 10 STX to SP2J6ZY..."
-      const sendMatch = message.match(/send\s+(\d+(?:\.\d+)?)\s*(?:stx)?\s+to\s+(.+)/i);
+      // Parse: "send 5 to John", "send 10 STX to SP2J6ZY...", "send 100 USDA to John",
+      // "send ₦5,000 to John" or "send 20 USD to John", optionally ending in a fee tier ("... fast")
+      const sendMatch = message.match(/send\s+([₦$])?\s*(\d[\d,]*(?:\.\d+)?)\s*([a-z][a-z0-9]*)?\s+to\s+(.+)/i);
       
       if (!sendMatch) {
         return {
           success: false,
-          message: '❌ Invalid format.\n\nUse: send [amount] to [name or address]\n\nExamples:\n• send 5 to John\n• send 10 to SP2J6ZY48GV1...',
+          message: '❌ Invalid format.\n\nUse: send [amount] [token] to [name or address]\n\nExamples:\n• send 5 to John\n• send 10 to SP2J6ZY48GV1...\n• send 100 USDA to John\n• send ₦5000 to John',
         };
       }
 
-      const amount = parseFloat(sendMatch[1]);
-      const recipientInput = sendMatch[2].trim();
+      let amountInput = sendMatch[2].replace(/,/g, '');
+      let amount = parseFloat(amountInput);
+      const currency = sendMatch[1] === '₦' ? 'NGN'
+        : sendMatch[1] === '$' ? 'USD'
+        : priceService.isSupported(sendMatch[3]) ? sendMatch[3].toUpperCase() : null;
+      const symbol = currency ? 'STX' : (sendMatch[3] || 'STX').toUpperCase();
+      let recipientInput = sendMatch[4].trim();
+
+      // Fee tier: named in the message, else the user's saved default
+      let feeTier = user.feeTier || 'normal';
+      const tierMatch = recipientInput.match(/^(.+?)\s+(slow|normal|fast)$/i);
+      if (tierMatch) {
+        recipientInput = tierMatch[1];
+        feeTier = tierMatch[2].toLowerCase();
+      }
+      if (recipientName) {
+        recipientInput = recipientName;
+      }
 
       // Validate amount
       if (amount <= 0) {
@@ -233,50 +420,176 @@ class PaymentHandler {
         };
       }
 
-      // Check balance
-      const balance = await stacksService.getBalance(user.stx_address);
-      const fees = await stacksService.estimateFee();
-      const totalNeeded = amount + fees.mediumStx;
+      // Fiat amounts are converted to STX at a quoted rate, locked until confirmation
+      let quote = null;
+      if (currency) {
+        try {
+          quote = await priceService.quote(amount, currency);
+        } catch (error) {
+          return {
+            success: false,
+            message: `❌ Couldn't get the STX price right now. Try again, or send an amount in STX.`,
+          };
+        }
 
-      if (balance.stx.balanceStx < totalNeeded) {
+        amount = quote.stxAmount;
+        amountInput = String(amount);
+      }
+
+      // Resolve token (STX unless a SIP-010 symbol is given)
+      const token = symbol === 'STX' ? null : tokenService.getToken(symbol);
+      if (symbol !== 'STX' && !token) {
+        const supported = ['STX', ...tokenService.listTokens().map(t => t.symbol)].join(', ');
         return {
           success: false,
-          message: `❌ Insufficient balance.\n\nYou have: ${balance.stx.balanceStx.toFixed(6)} STX\n` +
-                   `Need: ${totalNeeded.toFixed(6)} STX (including ~${fees.mediumStx.toFixed(6)} STX fee)`,
+          message: `❌ Unknown token "${symbol}".\n\nSupported: ${supported}`,
         };
       }
 
+      let tokenAmount = null;
+      if (token) {
+        try {
+          tokenAmount = tokenService.toBaseUnits(amountInput, token);
+        } catch (error) {
+          return {
+            success: false,
+            message: `❌ ${error.message}`,
+          };
+        }
+      }
+
       // Resolve recipient
       let recipient;
       try {
         recipient = await contactService.resolveRecipient(phoneNumber, recipientInput);
       } catch (error) {
+        // Not an exact contact name - offer the contacts it partly matches
+        const choices = await contactService.getRecipientChoices(phoneNumber, recipientInput);
+        if (choices.length > 0) {
+          await conversationService.start(phoneNumber, 'payment', 'choose_recipient', {
+            command: message,
+            user: { stxAddress: user.stxAddress, feeTier: user.feeTier || null },
+            paymentRequestId,
+            choices,
+          });
+          await whatsappService.sendList(
+            phoneNumber,
+            `👥 No contact is called "${recipientInput}". Who did you mean?`,
+            'Choose contact',
+            choices
+          );
+          return { success: true };
+        }
+
         return {
           success: false,
           message: `❌ ${error.message}`,
         };
       }
 
+      // Unregistered number: hold the payment in an escrow they can claim after registering
+      if (recipient.type === 'unregistered') {
+        if (!claimService.isConfigured()) {
+          return {
+            success: false,
+            message: `❌ ${recipient.phone} is not registered yet. Ask them to register first.`,
+          };
+        }
+
+        if (token) {
+          return {
+            success: false,
+            message: `❌ ${recipient.phone} isn't registered yet.\n\nOnly STX can be sent to unregistered numbers.`,
+          };
+        }
+
+        await whatsappService.sendMessage(
+          phoneNumber,
+          `📱 ${recipient.phone} isn't registered yet.\n\n` +
+          `Your payment will be held in escrow for ${UNREGISTERED_ESCROW_DAYS} days until they claim it.`
+        );
+
+        return await escrowHandler.handleCreateEscrow(
+          phoneNumber,
+          `escrow ${amount} to ${recipient.phone} for ${UNREGISTERED_ESCROW_DAYS} days`,
+          user
+        );
+      }
+
+      // Price this exact transfer, then check balance (token transfers still pay the fee in STX)
+      const memo = this.getSendMemo(paymentRequestId);
+      const payload = token
+        ? stacksService.buildContractCallPayload(tokenService.buildTransferCall({
+          token,
+          senderAddress: user.stxAddress,
+          recipientAddress: recipient.address,
+          amount: tokenAmount,
+          memo,
+        }))
+        : stacksService.buildTransferPayload(recipient.address, stacksService.stxToMicroStx(amount), memo);
+      const { fee, feeStx } = stacksService.getFeeForTier(await stacksService.estimateFee(payload), feeTier);
+
+      const balance = await stacksService.getBalance(user.stxAddress);
+      const totalNeeded = (token ? 0 : amount) + feeStx;
+
+      if (token && tokenService.getTokenBalance(balance, token) < tokenAmount) {
+        return {
+          success: false,
+          message: `❌ Insufficient ${token.symbol} balance.\n\n` +
+                   `You have: ${tokenService.formatAmount(tokenService.getTokenBalance(balance, token), token)}\n` +
+                   `Need: ${tokenService.formatAmount(tokenAmount, token)}`,
+        };
+      }
+
+      if (balance.stx.balanceStx < totalNeeded) {
+        return {
+          success: false,
+          message: `❌ Insufficient balance.\n\nYou have: ${balance.stx.balanceStx.toFixed(6)} STX\n` +
+                   `Need: ${totalNeeded.toFixed(6)} STX (including ${feeStx.toFixed(6)} STX ${feeTier} fee)`,
+        };
+      }
+
       // Save state for confirmation
-      await stateService.setState(phoneNumber, 'payment', 'confirm_send', {
+      await conversationService.start(phoneNumber, 'payment', 'confirm_send', {
         amount,
-        amountMicroStx: stacksService.stxToMicroStx(amount),
+        amountMicroStx: token ? 0 : stacksService.stxToMicroStx(amount),
+        // Token symbol and base units as a string (state is stored as JSON)
+        token: token ? token.symbol : null,
+        tokenAmount: token ? tokenAmount.toString() : null,
         recipient,
-        senderAddress: user.stx_address,
-        fee: fees.medium,
-        feeStx: fees.mediumStx,
+        senderAddress: user.stxAddress,
+        fee,
+        feeStx,
+        feeTier,
+        quote,
+        paymentRequestId,
       });
 
       // Send confirmation prompt
+      const total = token
+        ? `${tokenService.formatAmount(tokenAmount, token)} + ${feeStx.toFixed(6)} STX`
+        : `${(amount + feeStx).toFixed(6)} STX`;
+      let amountLines;
+      if (quote) {
+        amountLines = `Amount: *${priceService.formatFiat(quote.fiatAmount, quote.currency)}* = *${amount} STX*\n` +
+          `Rate: 1 STX = ${priceService.formatFiat(quote.rate, quote.currency)} ` +
+          `(locked for ${priceService.quoteTtlMinutes} min)\n`;
+      } else {
+        const fiat = token ? '' : await priceService.describeStx(amount);
+        amountLines = `Amount: *${amount} ${symbol}*\n` + (fiat ? `${fiat}\n` : '');
+      }
       const confirmMessage = `💸 *Confirm Payment*\n\n` +
-        `Amount: *${amount} STX*\n` +
+        (paymentRequestId ? `For: Request #${paymentRequestId}\n` : '') +
+        amountLines +
         `To: ${recipient.name || recipient.address}\n` +
-        `${recipient.address.substring(0, 10)}...${recipient.address.substring(recipient.address.length - 6)}\n` +
-        `Fee: ~${fees.mediumStx.toFixed(6)} STX\n` +
-        `Total: *${(amount + fees.mediumStx).toFixed(6)} STX*\n\n` +
-        `Reply:\n*yes* to confirm\n*no* to cancel`;
+        // BNS names can change owner - show the full address they resolve to
+        (recipient.type === 'bns'
+          ? `${recipient.address}\n`
+          : `${recipient.address.substring(0, 10)}...${recipient.address.substring(recipient.address.length - 6)}\n`) +
+        `Fee: ${feeStx.toFixed(6)} STX (${feeTier})\n` +
+        `Total: *${total}*`;
 
-      await whatsappService.sendMessage(phoneNumber, confirmMessage);
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage);
 
       return { success: true };
     } catch (error) {
@@ -289,32 +602,181 @@ class PaymentHandler {
   }
 
   /**
-   * Handle multi-step conversation flows
+   * Memo for a payment (also used to price it before confirmation)
+   * @param {number} paymentRequestId - Payment request being paid (optional)
+   * @returns {string} Memo
+   */
+  getSendMemo(paymentRequestId) {
+    return paymentRequestId ? `Payment request #${paymentRequestId}` : 'Payment via WhatsApp';
+  }
+
+  /**
+   * Memo for the transfers of a split, cut to whole characters that fit
+   * @param {string} memo - What the split is for (optional)
+   * @returns {string} Memo of at most MAX_MEMO_BYTES bytes
+   */
+  getSplitMemo(memo) {
+    if (!memo) {
+      return 'Split via WhatsApp';
+    }
+
+    let txMemo = '';
+    for (const char of `Split: ${memo}`) {
+      if (Buffer.byteLength(txMemo + char, 'utf8') > MAX_MEMO_BYTES) {
+        break;
+      }
+      txMemo += char;
+    }
+    return txMemo;
+  }
+
+  /**
+   * Handle "fees" and "fee [slow|normal|fast]" commands
    */
-  async handleStateFlow(phoneNumber, message, state) {
+  async handleFeeTier(phoneNumber, normalizedMessage, user) {
     try {
-      const normalizedMessage = message.toLowerCase().trim();
+      const tier = normalizedMessage.replace(/^fees?\s*/, '').trim();
 
-      if (state.step === 'confirm_send') {
-        if (normalizedMessage === 'yes') {
-          return await this.executeSend(phoneNumber, state);
-        } else if (normalizedMessage === 'no') {
-          await stateService.clearState(phoneNumber);
-          await whatsappService.sendMessage(phoneNumber, '❌ Payment cancelled.');
-          return { success: true };
-        } else {
-          await whatsappService.sendMessage(
-            phoneNumber,
-            '⚠️ Please reply *yes* to confirm or *no* to cancel.'
-          );
-          return { success: true };
+      if (!tier) {
+        const fees = await stacksService.estimateFee();
+        const current = user.feeTier || 'normal';
+
+        let message = `⛽ *Network Fees* (per payment)\n\n`;
+        Object.keys(FEE_TIERS).forEach(name => {
+          const { feeStx } = stacksService.getFeeForTier(fees, name);
+          message += `${name === current ? '▶️' : '•'} ${name}: ${feeStx.toFixed(6)} STX\n`;
+        });
+        message += `\nYour default: *${current}*\n\n` +
+          `Change it: *fee fast*\n` +
+          `Or per payment: *send 5 to John fast*`;
+
+        await whatsappService.sendMessage(phoneNumber, message);
+        return { success: true };
+      }
+
+      if (!FEE_TIERS[tier]) {
+        return {
+          success: false,
+          message: `❌ Unknown fee tier "${tier}".\n\nChoose: ${Object.keys(FEE_TIERS).join(', ')}`,
+        };
+      }
+
+      const result = await userService.updateFeeTier(phoneNumber, tier);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await whatsappService.sendMessage(
+        phoneNumber,
+        `✅ Payments now use the *${tier}* fee by default.\n\nOverride per payment: send 5 to John ${tier === 'fast' ? 'slow' : 'fast'}`
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error handling fee tier:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Handle "split X between A, B, C" command
+   * Divides evenly, or by shares ("split 30 between John:2, Ada:1")
+   */
+  async handleSplit(phoneNumber, message, user) {
+    try {
+      // Parse: "split 30 between John, Ada and Tunde for dinner"
+      const match = message.match(/^split\s+(\d+(?:\.\d+)?)\s+between\s+(.+?)(?:\s+for\s+(.+))?$/i);
+
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: split [amount] between [names]\n\nExamples:\n• split 30 between John, Ada, Tunde\n• split 30 between John:2, Ada:1',
+        };
+      }
+
+      const totalMicroStx = stacksService.stxToMicroStx(match[1]);
+      const memo = match[3] ? match[3].trim() : null;
+
+      if (totalMicroStx <= 0) {
+        return {
+          success: false,
+          message: '❌ Amount must be greater than 0.',
+        };
+      }
+
+      let parts;
+      try {
+        const participants = splitService.parseParticipants(match[2]);
+        const amounts = splitService.computeAmounts(totalMicroStx, participants.map(({ share }) => share));
+
+        parts = [];
+        for (const [i, { input }] of participants.entries()) {
+          const recipient = await contactService.resolveRecipient(phoneNumber, input);
+          if (recipient.type === 'unregistered') {
+            throw new Error(`${recipient.phone} isn't registered yet. Send them a separate payment.`);
+          }
+
+          parts.push({
+            recipient,
+            recipientPhone: recipient.phone || null,
+            amountMicroStx: amounts[i],
+            amount: stacksService.microStxToStx(amounts[i]),
+          });
         }
+      } catch (error) {
+        return {
+          success: false,
+          message: `❌ ${error.message}`,
+        };
       }
 
-      return null;
+      // Each part is its own transfer, priced at the user's fee tier
+      const feeTier = user.feeTier || 'normal';
+      const txMemo = this.getSplitMemo(memo);
+      for (const part of parts) {
+        const payload = stacksService.buildTransferPayload(part.recipient.address, part.amountMicroStx, txMemo);
+        const { fee, feeStx } = stacksService.getFeeForTier(await stacksService.estimateFee(payload), feeTier);
+        Object.assign(part, { fee, feeStx });
+      }
+
+      const balance = await stacksService.getBalance(user.stxAddress);
+      const totalFeesStx = parts.reduce((sum, part) => sum + part.feeStx, 0);
+      const totalNeeded = stacksService.microStxToStx(totalMicroStx) + totalFeesStx;
+
+      if (balance.stx.balanceStx < totalNeeded) {
+        return {
+          success: false,
+          message: `❌ Insufficient balance.\n\nYou have: ${balance.stx.balanceStx.toFixed(6)} STX\n` +
+                   `Need: ${totalNeeded.toFixed(6)} STX (including ~${totalFeesStx.toFixed(6)} STX in fees)`,
+        };
+      }
+
+      await conversationService.start(phoneNumber, 'payment', 'confirm_split', {
+        totalMicroStx,
+        parts,
+        memo,
+        txMemo,
+        senderAddress: user.stxAddress,
+        feeTier,
+      });
+
+      let confirmMessage = `💸 *Confirm Split*\n\n` +
+        (memo ? `For: ${memo}\n` : '') +
+        `${parts.length} payments:\n`;
+      parts.forEach(({ recipient, amount }) => {
+        confirmMessage += `• ${recipient.name || recipient.address}: ${amount} STX\n`;
+      });
+      confirmMessage += `\nFees: ${totalFeesStx.toFixed(6)} STX (${parts.length} payments, ${feeTier})\n` +
+        `Total: *${totalNeeded.toFixed(6)} STX*`;
+
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage);
+
+      return { success: true };
     } catch (error) {
-      console.error('Error in state flow:', error);
-      await stateService.clearState(phoneNumber);
+      console.error('Error handling split:', error);
       return {
         success: false,
         message: `❌ ${error.message}`,
@@ -323,81 +785,235 @@ class PaymentHandler {
   }
 
   /**
-   * Execute the payment after confirmation
+   * Handle "speed up [txid]" and "cancel tx [txid]" commands
+   * Replaces a stuck payment using its nonce and a higher fee.
    */
-  async executeSend(phoneNumber, state) {
+  async handleReplace(phoneNumber, message) {
     try {
-      const { amount, amountMicroStx, recipient, senderAddress } = state.data;
+      const match = message.trim().match(/^(speed\s+up|cancel\s+tx)\s+((?:0x)?[0-9a-f]{8,64})$/i);
 
-      // Get user for private key (NOTE: In production, use secure key management)
-      const user = await userService.getByPhone(phoneNumber);
-      
-      // Get recipient phone number if it's a contact
-      let recipientPhone = null;
-      if (recipient.isContact && recipient.phone) {
-        recipientPhone = recipient.phone;
+      if (!match) {
+        return {
+          success: false,
+          message: '❌ Invalid format.\n\nUse: speed up [tx id] or cancel tx [tx id]\n\nExample: speed up 0x1a2b3c4d\n\nFind the ID with *history*.',
+        };
       }
 
-      // Send status message
-      await whatsappService.sendMessage(
-        phoneNumber,
-        '⏳ Processing payment...\n\nThis may take a few moments.'
-      );
+      const mode = match[1].toLowerCase().startsWith('speed') ? 'speed_up' : 'cancel';
 
-      // NOTE: In production, you would need to securely store and retrieve private keys
-      // For now, this is a placeholder - YOU NEED TO IMPLEMENT SECURE KEY STORAGE
-      const senderKey = user.private_key; // This would come from secure storage
+      // The replacement has to be signed with the same key, by the bot
+      if (!(await keyVaultService.hasKey(phoneNumber))) {
+        return {
+          success: false,
+          message: '❌ Only bot-managed wallets can be sped up here.\n\nUse the speed up option in your own wallet.',
+        };
+      }
 
-      if (!senderKey) {
-        throw new Error('Private key not available. Please contact support.');
+      const tx = await transactionService.findPendingForSender(phoneNumber, match[2]);
+      if (!tx) {
+        return {
+          success: false,
+          message: '❌ No pending payment of yours with that ID.\n\nType *history* to see your payments.',
+        };
       }
 
-      // Create and broadcast transaction
-      const result = await transactionService.sendTransaction({
-        senderAddress,
-        senderKey,
-        senderPhone: phoneNumber,
-        recipientAddress: recipient.address,
-        recipientPhone,
-        amountMicroStx,
-        memo: `Payment via WhatsApp`,
+      const fee = await transactionService.getReplacementFee(tx, mode);
+      const formatted = transactionService.formatTransaction(tx);
+      const recipient = tx.recipient_phone || `${tx.recipient_address.substring(0, 10)}...`;
+
+      await conversationService.start(phoneNumber, 'payment', 'confirm_replace', {
+        txId: tx.tx_id,
+        mode,
+        fee,
       });
 
-      // Clear state
-      await stateService.clearState(phoneNumber);
+      const confirmMessage = mode === 'speed_up'
+        ? `⚡ *Speed Up Payment*\n\n` +
+          `${formatted.amountStx} to ${recipient}\n` +
+          `Current fee: ${formatted.feeStx}\n` +
+          `New fee: *${stacksService.microStxToStx(fee)} STX*\n\n` +
+          `The payment is sent again with the higher fee.`
+        : `🛑 *Cancel Payment*\n\n` +
+          `${formatted.amountStx} to ${recipient}\n` +
+          `Fee to cancel: *${stacksService.microStxToStx(fee)} STX*\n\n` +
+          `A 0.000001 STX transfer replaces the payment. If the payment confirms first, it can't be cancelled.`;
 
-      // Send success message to sender
-      const successMessage = `✅ *Payment Sent!*\n\n` +
-        `Amount: ${amount} STX\n` +
-        `To: ${recipient.name || 'Address'}\n` +
-        `TX ID: ${result.txId.substring(0, 10)}...${result.txId.substring(result.txId.length - 6)}\n\n` +
-        `⏳ Confirming on blockchain...\n` +
-        `View: https://explorer.stacks.co/txid/${result.txId}`;
+      await whatsappService.sendConfirmation(phoneNumber, confirmMessage, 'Keep waiting');
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error handling replacement:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Broadcast a confirmed speed up / cancel
+   */
+  async executeReplace(phoneNumber, state) {
+    const { txId, mode, fee } = state.data;
+
+    try {
+      // Re-read - it may have confirmed while the user was deciding
+      const tx = await transactionService.findPendingForSender(phoneNumber, txId);
+      if (!tx) {
+        return {
+          success: false,
+          message: '✅ That payment is no longer pending - nothing to replace.',
+        };
+      }
+
+      const result = await transactionService.replaceTransaction(tx, { mode, fee });
+
+      const successMessage = mode === 'speed_up'
+        ? `⚡ *Payment Sped Up*\n\nNew TX: ${result.txId.substring(0, 10)}...\nFee: ${result.feeStx} STX\n\n` +
+          `We'll tell you when it confirms.`
+        : `🛑 *Cancel Sent*\n\nCancel TX: ${result.txId.substring(0, 10)}...\nFee: ${result.feeStx} STX\n\n` +
+          `We'll tell you whether the cancel or the payment confirms.`;
 
       await whatsappService.sendMessage(phoneNumber, successMessage);
 
-      // Notify recipient if they have a phone number
-      if (recipientPhone) {
-        const recipientUser = await userService.getByPhone(recipientPhone);
-        if (recipientUser) {
-          await whatsappService.sendMessage(
-            recipientPhone,
-            `📥 *Payment Received!*\n\n` +
-            `Amount: ${amount} STX\n` +
-            `From: ${phoneNumber}\n` +
-            `TX ID: ${result.txId.substring(0, 10)}...`
-          );
+      return { success: true };
+    } catch (error) {
+      console.error('Error executing replacement:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Execute the payment after confirmation
+   * Custodial users (key in the vault) are signed by the bot;
+   * everyone else gets a signing request for their own wallet.
+   */
+  async executeSend(phoneNumber, state) {
+    const { amount, amountMicroStx, recipient, senderAddress, tokenAmount, fee, quote, paymentRequestId } = state.data;
+    let taken = false;
+    let broadcast = false;
+
+    try {
+      const token = state.data.token ? tokenService.getToken(state.data.token) : null;
+      const symbol = token ? token.symbol : 'STX';
+      const memo = this.getSendMemo(paymentRequestId);
+
+      // Don't honour a fiat quote past its lock window
+      if (quote && !priceService.isQuoteValid(quote)) {
+        return {
+          success: false,
+          message: `⏰ The quoted rate has expired.\n\n` +
+                   `Send "send ${priceService.formatFiat(quote.fiatAmount, quote.currency)} to ${recipient.name || recipient.address}" again for a fresh quote.`,
+        };
+      }
+
+      // Take the request before signing anything, so it can't be paid twice
+      if (paymentRequestId) {
+        taken = Boolean(await paymentRequestService.markPaying(paymentRequestId));
+        if (!taken) {
+          return {
+            success: false,
+            message: `❌ Request #${paymentRequestId} is already being paid.`,
+          };
         }
       }
 
-      // Start monitoring transaction in background (optional)
-      // You could implement background job here
+      // Recipient phone number (contacts with a number, or sends to a number)
+      const recipientPhone = recipient.phone || null;
+
+      if (await keyVaultService.hasKey(phoneNumber)) {
+        // Send status message
+        await whatsappService.sendMessage(
+          phoneNumber,
+          '⏳ Processing payment...\n\nThis may take a few moments.'
+        );
+
+        // Create and broadcast transaction (key decrypted only while signing)
+        const transfer = {
+          senderAddress,
+          senderPhone: phoneNumber,
+          recipientAddress: recipient.address,
+          recipientPhone,
+          memo,
+          fee,
+        };
+        const result = token
+          ? await transactionService.sendTokenTransaction({ ...transfer, token, amount: tokenAmount })
+          : await transactionService.sendTransaction({ ...transfer, amountMicroStx });
+        broadcast = true;
+
+        if (paymentRequestId) {
+          await this.linkRequestPayment(paymentRequestId, result.txId);
+        }
+
+        await this.notifySendSuccess(phoneNumber, { amount, symbol, recipient, recipientPhone, quote }, result.txId);
+
+        return { success: true };
+      }
+
+      const metadata = {
+        amount,
+        amountMicroStx,
+        token: state.data.token,
+        tokenAmount,
+        quote,
+        paymentRequestId,
+        recipient,
+        recipientPhone,
+        memo,
+      };
+
+      const signingRequest = token
+        ? await signingService.createContractCallRequest({
+          phoneNumber,
+          senderAddress,
+          call: tokenService.buildTransferCall({
+            token,
+            senderAddress,
+            recipientAddress: recipient.address,
+            amount: tokenAmount,
+            memo: metadata.memo,
+          }),
+          fee,
+          handler: 'payment',
+          action: 'send',
+          metadata,
+        })
+        : await signingService.createTransferRequest({
+          phoneNumber,
+          senderAddress,
+          recipientAddress: recipient.address,
+          amountMicroStx,
+          memo: metadata.memo,
+          fee,
+          handler: 'payment',
+          action: 'send',
+          metadata,
+        });
+
+      const signMessage = `✍️ *Sign Payment*\n\n` +
+        `Amount: ${amount} ${symbol}\n` +
+        `To: ${recipient.name || recipient.address}\n\n` +
+        `Open this link and approve in your wallet:\n` +
+        `${signingRequest.link}\n\n` +
+        `⏰ Link expires in ${signingService.expiryMinutes} minutes.`;
+
+      await whatsappService.sendMessage(phoneNumber, signMessage);
 
       return { success: true };
     } catch (error) {
       console.error('Error executing send:', error);
-      await stateService.clearState(phoneNumber);
-      
+
+      // Nothing went out - the request can be paid again
+      if (taken && !broadcast) {
+        await paymentRequestService.releasePaying(paymentRequestId).catch(releaseError =>
+          console.error(`Error releasing payment request ${paymentRequestId}:`, releaseError)
+        );
+      }
+
       return {
         success: false,
         message: `❌ Payment failed: ${error.message}`,
@@ -405,17 +1021,227 @@ class PaymentHandler {
     }
   }
 
+  /**
+   * Execute a split after confirmation: one transfer per person
+   * Custodial splits are signed back to back (the NonceManager keeps
+   * their nonces apart); everyone else gets one signing link per person.
+   */
+  async executeSplit(phoneNumber, state) {
+    const { parts, senderAddress } = state.data;
+    const txMemo = state.data.txMemo || this.getSplitMemo(state.data.memo);
+
+    try {
+      if (await keyVaultService.hasKey(phoneNumber)) {
+        await whatsappService.sendMessage(
+          phoneNumber,
+          `⏳ Processing ${parts.length} payments...\n\nThis may take a few moments.`
+        );
+
+        const sent = [];
+
+        for (const part of parts) {
+          try {
+            const result = await transactionService.sendTransaction({
+              senderAddress,
+              senderPhone: phoneNumber,
+              recipientAddress: part.recipient.address,
+              recipientPhone: part.recipientPhone,
+              amountMicroStx: part.amountMicroStx,
+              memo: txMemo,
+              fee: part.fee,
+            });
+            sent.push({ ...part, txId: result.txId });
+          } catch (error) {
+            // Stop at the first failure so the sender decides about the rest
+            let message = `❌ *Split stopped*\n\n` +
+              `Payment to ${part.recipient.name || part.recipient.address} failed: ${error.message}\n\n`;
+            message += sent.length > 0
+              ? `Already sent:\n${sent.map(p => `• ${p.recipient.name || p.recipient.address}: ${p.amount} STX`).join('\n')}`
+              : 'Nothing was sent.';
+            await whatsappService.sendMessage(phoneNumber, message);
+            return { success: false };
+          }
+        }
+
+        let message = `✅ *Split Sent!*\n\n`;
+        sent.forEach(({ recipient, amount, txId }) => {
+          message += `• ${recipient.name || recipient.address}: ${amount} STX (${txId.substring(0, 10)}...)\n`;
+        });
+        message += `\n⏳ Confirming on blockchain...`;
+        await whatsappService.sendMessage(phoneNumber, message);
+
+        for (const { recipientPhone, amount, txId } of sent) {
+          await this.notifyRecipient(phoneNumber, { amount, symbol: 'STX', recipientPhone }, txId);
+        }
+
+        return { success: true };
+      }
+
+      let signMessage = `✍️ *Sign Split Payments*\n\nOpen each link and approve in your wallet:\n\n`;
+      for (const part of parts) {
+        const signingRequest = await signingService.createTransferRequest({
+          phoneNumber,
+          senderAddress,
+          recipientAddress: part.recipient.address,
+          amountMicroStx: part.amountMicroStx,
+          memo: txMemo,
+          fee: part.fee,
+          handler: 'payment',
+          action: 'send',
+          metadata: {
+            amount: part.amount,
+            amountMicroStx: part.amountMicroStx,
+            recipient: part.recipient,
+            recipientPhone: part.recipientPhone,
+            memo: txMemo,
+          },
+        });
+        signMessage += `• ${part.recipient.name || part.recipient.address}: ${part.amount} STX\n  ${signingRequest.link}\n`;
+      }
+      signMessage += `\n⏰ Links expire in ${signingService.expiryMinutes} minutes.`;
+
+      await whatsappService.sendMessage(phoneNumber, signMessage);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error executing split:', error);
+      return {
+        success: false,
+        message: `❌ Split failed: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Finish a payment after the user signed it and it was broadcast
+   * @param {Object} request - Completed signing request
+   * @param {Object} result - Broadcast result ({ txId, fee })
+   * @returns {Promise<Object>} Handler result
+   */
+  async completeSignedSend(request, { txId, fee }) {
+    try {
+      const phoneNumber = request.phone_number;
+      const { amount, amountMicroStx, recipient, recipientPhone, tokenAmount, quote, paymentRequestId } = request.metadata;
+      const token = request.metadata.token ? tokenService.getToken(request.metadata.token) : null;
+
+      await transactionService.recordTransaction({
+        txId,
+        senderPhone: phoneNumber,
+        recipientPhone,
+        senderAddress: request.sender_address,
+        recipientAddress: recipient.address,
+        amountMicroStx,
+        fee,
+        memo: request.tx_request.memo || request.metadata.memo,
+        status: 'pending',
+        token,
+        tokenAmount,
+      });
+
+      if (paymentRequestId) {
+        await this.linkRequestPayment(paymentRequestId, txId);
+      }
+
+      await this.notifySendSuccess(
+        phoneNumber,
+        { amount, symbol: token ? token.symbol : 'STX', recipient, recipientPhone, quote },
+        txId
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error completing signed send:', error);
+      return {
+        success: false,
+        message: `❌ ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Link a broadcast payment to the payment request it took
+   * @param {number} paymentRequestId - Payment request ID
+   * @param {string} txId - Payment transaction ID
+   */
+  async linkRequestPayment(paymentRequestId, txId) {
+    const linked = await paymentRequestService.linkPayment(paymentRequestId, txId);
+    if (!linked) {
+      // The hold ran out before the payment was signed
+      console.warn(`Payment ${txId} broadcast after request #${paymentRequestId} was released`);
+    }
+  }
+
+  /**
+   * Tell sender (and recipient, if registered) that a payment was broadcast
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} payment - { amount, symbol, recipient, recipientPhone, quote }
+   * @param {string} txId - Transaction ID
+   */
+  async notifySendSuccess(phoneNumber, { amount, symbol = 'STX', recipient, recipientPhone, quote = null }, txId) {
+    // Fiat sends show the quoted value; other STX sends the current value
+    const fiat = quote
+      ? `(${priceService.formatFiat(quote.fiatAmount, quote.currency)})`
+      : symbol === 'STX' ? await priceService.describeStx(amount) : '';
+
+    // Send success message to sender
+    const successMessage = `✅ *Payment Sent!*\n\n` +
+      `Amount: ${amount} ${symbol}${fiat ? ` ${fiat}` : ''}\n` +
+      `To: ${recipient.name || 'Address'}\n` +
+      `TX ID: ${txId.substring(0, 10)}...${txId.substring(txId.length - 6)}\n\n` +
+      `⏳ Confirming on blockchain...\n` +
+      `View: https://explorer.stacks.co/txid/${txId}`;
+
+    await whatsappService.sendMessage(phoneNumber, successMessage);
+
+    await this.notifyRecipient(phoneNumber, { amount, symbol, recipientPhone }, txId);
+  }
+
+  /**
+   * Tell a registered recipient that a payment is on its way
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} payment - { amount, symbol, recipientPhone }
+   * @param {string} txId - Transaction ID
+   */
+  async notifyRecipient(phoneNumber, { amount, symbol = 'STX', recipientPhone }, txId) {
+    // Notify recipient if they have a phone number
+    if (recipientPhone) {
+      const { user: recipientUser } = await userService.getByPhone(recipientPhone);
+      if (recipientUser) {
+        await whatsappService.sendMessage(
+          recipientPhone,
+          `📥 *Payment Received!*\n\n` +
+          `Amount: ${amount} ${symbol}\n` +
+          `From: ${phoneNumber}\n` +
+          `TX ID: ${txId.substring(0, 10)}...`
+        );
+      }
+    }
+  }
+
   /**
    * Get help text for payment commands
    */
   getHelpText() {
     return `💸 *Payment Commands*\n\n` +
       `*balance* - Check your balance\n` +
-      `*send [amount] to [name/address]* - Send STX\n` +
+      `*balance [token]* - Details for one asset\n` +
+      `*send [amount] to [name/phone/address]* - Send STX\n` +
       `  Example: send 5 to John\n` +
+      `  Example: send 5 to +2349012345678\n` +
+      `  Example: send 5 to muneeb.btc\n` +
+      `*send [amount] [token] to [name/address]* - Send a token\n` +
+      `  Example: send 100 USDA to John\n` +
+      `*send ₦[amount] to [name/address]* - Send STX worth a naira amount\n` +
+      `  Example: send ₦5000 to John\n` +
+      `  Add *slow* or *fast* to pick the fee: send 5 to John fast\n` +
+      `*fees* - Current fees; *fee [slow/normal/fast]* sets your default\n` +
+      `*split [amount] between [names]* - Pay several people\n` +
+      `  Example: split 30 between John, Ada, Tunde\n` +
       `*history* - View transactions\n` +
+      `*speed up [tx id]* - Higher fee for a stuck payment\n` +
+      `*cancel tx [tx id]* - Cancel a stuck payment\n` +
       `*contacts* - List contacts\n` +
-      `*add contact [name] [address]* - Add contact\n\n` +
+      `*add contact [name] [address/BNS] [phone]* - Add contact (phone optional)\n\n` +
       `Need help? Reply *help*`;
   }
 }
@@ -0,0 +1,402 @@
+/**
+ * Payout Service
+ *
+ * Batch payouts for merchants (e.g. paying riders every week):
+ * - Parse a CSV of recipient, amount (STX), memo
+ * - Validate every row (validateStxAddress / validateAmount)
+ * - Dry run: totals, fees and whether the balance covers them
+ * - Send: one transfer per row, nonces handed out by the NonceManager
+ * - Report per row (txId or error) plus a CSV of failed rows to retry
+ *
+ * Every send names a batch ID chosen by the merchant, and each row's
+ * outcome is stored in payout_rows before the next row is sent. Sending
+ * the same CSV with the same batch ID again (e.g. after a timeout) skips
+ * rows already sent and retries the failed ones.
+ *
+ * Transfers are signed unattended, so the merchant needs a custodial
+ * (key vault) wallet.
+ */
+
+import crypto from 'crypto';
+import stacksService from './stacks.service.js';
+import transactionService from './transaction.service.js';
+import keyVaultService from './key-vault.service.js';
+import { repositories } from '../repositories/index.js';
+import { validateStxAddress, validateAmount, stxToMicroStx, microStxToStx } from '../utils/validator.js';
+
+// Stacks transfer memos are at most 34 bytes
+const MAX_MEMO_BYTES = 34;
+
+class PayoutService {
+  /**
+   * @param {Object} payoutRows - Payout rows repository
+   */
+  constructor(payoutRows = repositories.payoutRows) {
+    this.payoutRows = payoutRows;
+
+    // Keeps a batch within the function timeout
+    this.maxRows = 100;
+
+    // PAYOUT_API_KEYS: {"+2348012345678": "<api key>"} - merchant phone -> key
+    this.apiKeys = this.loadApiKeys(process.env.PAYOUT_API_KEYS);
+  }
+
+  /**
+   * Parse the API key configuration
+   * @param {string} config - JSON object of phone -> key
+   * @returns {Array} [{ phone, key }]
+   */
+  loadApiKeys(config) {
+    if (!config) {
+      return [];
+    }
+
+    try {
+      return Object.entries(JSON.parse(config)).map(([phone, key]) => ({ phone, key }));
+    } catch (error) {
+      console.error('Invalid PAYOUT_API_KEYS:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Find the merchant an API key belongs to
+   * @param {string} authorization - "Bearer <key>" header
+   * @returns {string|null} Merchant phone number
+   */
+  authenticate(authorization) {
+    const match = (authorization || '').match(/^Bearer\s+(.+)$/);
+    if (!match) {
+      return null;
+    }
+
+    // Compare digests so the check takes the same time for any key
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    const given = digest(match[1].trim());
+    const entry = this.apiKeys.find(({ key }) => crypto.timingSafeEqual(digest(key), given));
+
+    return entry ? entry.phone : null;
+  }
+
+  /**
+   * Parse CSV text into rows
+   * Quoted fields may contain commas and "" escapes. A first line of
+   * "recipient,amount,memo" is treated as a header.
+   * @param {string} csv - CSV text
+   * @returns {Array} [{ row, recipient, amount, memo }] - row is the line number
+   */
+  parseCsv(csv) {
+    const lines = (csv || '').split(/\r?\n/);
+    const rows = [];
+    let first = true;
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      const fields = [];
+      let field = '';
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+          if (char === '"' && line[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          fields.push(field);
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+      fields.push(field);
+
+      const [recipient = '', amount = '', memo = ''] = fields.map(value => value.trim());
+
+      const isHeader = first && recipient.toLowerCase() === 'recipient';
+      first = false;
+      if (isHeader) {
+        return;
+      }
+
+      rows.push({ row: index + 1, recipient, amount, memo });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Validate parsed rows
+   * @param {Array} rows - From parseCsv
+   * @returns {Array} Rows with { amountMicroStx, valid, errors }
+   */
+  validateRows(rows) {
+    return rows.map(row => {
+      const errors = [];
+
+      const address = validateStxAddress(row.recipient);
+      if (!address.valid) {
+        errors.push(address.error);
+      }
+
+      // Whole STX with up to 6 decimals; anything else fails as "not a number"
+      const amountMicroStx = /^\d+(\.\d{1,6})?$/.test(row.amount)
+        ? stxToMicroStx(parseFloat(row.amount))
+        : row.amount;
+      const amount = validateAmount(amountMicroStx);
+      if (!amount.valid) {
+        errors.push(amount.error);
+      }
+
+      if (Buffer.byteLength(row.memo, 'utf8') > MAX_MEMO_BYTES) {
+        errors.push(`Memo must be at most ${MAX_MEMO_BYTES} bytes`);
+      }
+
+      return {
+        ...row,
+        amountMicroStx: amount.valid ? amountMicroStx : null,
+        valid: errors.length === 0,
+        errors,
+      };
+    });
+  }
+
+  /**
+   * Validate a batch and work out what it will cost
+   * Each valid row is priced for its own transfer at the merchant's fee tier.
+   * @param {Object} params
+   * @param {string} params.senderAddress - Merchant's STX address
+   * @param {string} params.csv - CSV text
+   * @param {string} params.feeTier - 'slow' | 'normal' | 'fast' (default: normal)
+   * @returns {Promise<Object>} { rows, summary }
+   */
+  async dryRun({ senderAddress, csv, feeTier = 'normal' }) {
+    try {
+      const rows = this.validateRows(this.parseCsv(csv));
+
+      if (rows.length === 0) {
+        throw new Error('The CSV has no rows');
+      }
+
+      if (rows.length > this.maxRows) {
+        throw new Error(`A batch can have at most ${this.maxRows} rows (got ${rows.length})`);
+      }
+
+      const valid = rows.filter(row => row.valid);
+      for (const row of valid) {
+        const payload = stacksService.buildTransferPayload(row.recipient, row.amountMicroStx, row.memo);
+        row.fee = stacksService.getFeeForTier(await stacksService.estimateFee(payload), feeTier).fee;
+      }
+
+      const totalMicroStx = valid.reduce((sum, row) => sum + row.amountMicroStx, 0);
+      const feesMicroStx = valid.reduce((sum, row) => sum + row.fee, 0);
+      const balance = await stacksService.getBalance(senderAddress);
+
+      return {
+        rows,
+        summary: {
+          rows: rows.length,
+          valid: valid.length,
+          invalid: rows.length - valid.length,
+          totalStx: microStxToStx(totalMicroStx),
+          feesStx: microStxToStx(feesMicroStx),
+          neededStx: microStxToStx(totalMicroStx + feesMicroStx),
+          balanceStx: balance.stx.balanceStx,
+          sufficient: balance.stx.balanceStx >= microStxToStx(totalMicroStx + feesMicroStx),
+          feeTier,
+        },
+      };
+    } catch (error) {
+      console.error('Error validating payout batch:', error);
+      throw new Error(`Failed to validate payout batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a batch
+   * Refuses batches with invalid rows or too little balance. A failed
+   * row frees its nonce for the next one, so it doesn't block the rest.
+   * Rows an earlier request with the same batch ID sent (or is still
+   * sending) are reported, not sent again.
+   * @param {Object} params
+   * @param {string} params.senderPhone - Merchant's phone number
+   * @param {string} params.senderAddress - Merchant's STX address
+   * @param {string} params.csv - CSV text
+   * @param {string} params.batchId - Merchant's ID for the batch
+   * @param {string} params.feeTier - 'slow' | 'normal' | 'fast' (default: normal)
+   * @returns {Promise<Object>} { sent, summary, results, retryCsv }
+   */
+  async execute({ senderPhone, senderAddress, csv, batchId, feeTier = 'normal' }) {
+    const { rows, summary } = await this.dryRun({ senderAddress, csv, feeTier });
+
+    if (summary.invalid > 0) {
+      return { sent: false, error: 'Fix the invalid rows first', summary, results: rows, retryCsv: null };
+    }
+
+    try {
+      if (!batchId) {
+        throw new Error('A batch ID is required to send');
+      }
+
+      // Only rows not sent yet have to be covered by the balance
+      const earlier = await this.payoutRows.findMany({ merchant_phone: senderPhone, batch_id: batchId });
+      const done = new Set(earlier.filter(record => record.status !== 'failed').map(record => record.row));
+      const neededMicroStx = rows
+        .filter(row => !done.has(row.row))
+        .reduce((sum, row) => sum + row.amountMicroStx + row.fee, 0);
+
+      if (stxToMicroStx(summary.balanceStx) < neededMicroStx) {
+        return { sent: false, error: 'Insufficient balance', summary, results: rows, retryCsv: null };
+      }
+
+      if (!(await keyVaultService.hasKey(senderPhone))) {
+        throw new Error('Batch payouts need a bot-managed wallet');
+      }
+
+      const results = [];
+
+      for (const row of rows) {
+        const result = { row: row.row, recipient: row.recipient, amount: row.amount, memo: row.memo };
+
+        let claim;
+        try {
+          claim = await this.claimRow(senderPhone, batchId, row);
+        } catch (error) {
+          console.error(`Payout row ${row.row} could not be recorded:`, error.message);
+          results.push({ ...result, status: 'failed', error: `Could not record the row: ${error.message}` });
+          continue;
+        }
+
+        if (!claim.send) {
+          results.push({ ...result, ...claim.outcome });
+          continue;
+        }
+
+        try {
+          const sent = await transactionService.sendTransaction({
+            senderAddress,
+            senderPhone,
+            recipientAddress: row.recipient,
+            recipientPhone: null,
+            amountMicroStx: row.amountMicroStx,
+            memo: row.memo,
+            fee: row.fee,
+          });
+
+          await this.finishRow(claim.record, { status: 'sent', tx_id: sent.txId });
+          results.push({ ...result, status: 'sent', txId: sent.txId });
+        } catch (error) {
+          console.error(`Payout row ${row.row} failed:`, error.message);
+          await this.finishRow(claim.record, { status: 'failed', error: error.message });
+          results.push({ ...result, status: 'failed', error: error.message });
+        }
+      }
+
+      const sent = results.filter(result => result.status === 'sent');
+      const failed = results.filter(result => result.status === 'failed');
+
+      return {
+        sent: true,
+        summary: { ...summary, sent: sent.length, failed: failed.length, unsent: results.length - sent.length - failed.length },
+        results,
+        retryCsv: failed.length > 0 ? this.toCsv(failed) : null,
+      };
+    } catch (error) {
+      console.error('Error sending payout batch:', error);
+      throw new Error(`Failed to send payout batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a batch row for sending
+   * The request that inserts the row sends it. A failed row can be taken
+   * again; a sent row, or one an earlier request is still sending, can't.
+   * @param {string} senderPhone - Merchant's phone number
+   * @param {string} batchId - Merchant's ID for the batch
+   * @param {Object} row - Validated row
+   * @returns {Promise<Object>} { send: true, record } or { send: false, outcome } (status, txId or error)
+   */
+  async claimRow(senderPhone, batchId, row) {
+    const rowKey = `${senderPhone}:${batchId}:${row.row}`;
+
+    try {
+      const record = await this.payoutRows.insert({
+        row_key: rowKey,
+        merchant_phone: senderPhone,
+        batch_id: batchId,
+        row: row.row,
+        recipient: row.recipient,
+        amount_micro_stx: row.amountMicroStx,
+        memo: row.memo,
+        status: 'sending',
+      });
+      return { send: true, record };
+    } catch (error) {
+      if (error.code !== '23505') {
+        throw error;
+      }
+    }
+
+    const record = await this.payoutRows.findOne({ row_key: rowKey });
+
+    if (record.recipient !== row.recipient || Number(record.amount_micro_stx) !== row.amountMicroStx) {
+      return { send: false, outcome: { status: 'skipped', error: 'This batch ID was used for a different row here - use a new batch ID' } };
+    }
+
+    if (record.status === 'failed') {
+      const [taken] = await this.payoutRows.update(
+        { row_key: rowKey, status: 'failed' },
+        { status: 'sending', error: null, updated_at: new Date().toISOString() }
+      );
+      if (taken) {
+        return { send: true, record: taken };
+      }
+    }
+
+    if (record.status === 'sent') {
+      return { send: false, outcome: { status: 'sent', txId: record.tx_id } };
+    }
+
+    return { send: false, outcome: { status: 'sending', error: 'An earlier request with this batch ID is sending this row' } };
+  }
+
+  /**
+   * Store a row's outcome (logged, not thrown: the row was already sent
+   * or failed - it stays 'sending', so it isn't sent again)
+   * @param {Object} record - Row from claimRow
+   * @param {Object} changes - { status, tx_id } or { status, error }
+   */
+  async finishRow(record, changes) {
+    try {
+      await this.payoutRows.update({ id: record.id }, { ...changes, updated_at: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Failed to record payout row ${record.row_key} as ${changes.status}:`, error.message);
+    }
+  }
+
+  /**
+   * Build a CSV from rows (e.g. failed rows to retry)
+   * @param {Array} rows - [{ recipient, amount, memo }]
+   * @returns {string} CSV with header
+   */
+  toCsv(rows) {
+    const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+    return ['recipient,amount,memo']
+      .concat(rows.map(({ recipient, amount, memo }) => [recipient, amount, memo || ''].map(quote).join(',')))
+      .join('\n');
+  }
+}
+
+// Export singleton instance
+const payoutService = new PayoutService();
+export default payoutService;
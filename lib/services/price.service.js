@@ -0,0 +1,194 @@
+/**
+ * Price Service
+ *
+ * Fiat valuation of STX through a pluggable price oracle:
+ * - Cache STX/NGN and STX/USD rates for a short time
+ * - Convert STX <-> fiat and format amounts (₦5,000.00, $3.20)
+ * - Quote fiat sends at a rate that stays locked for the confirmation window
+ *
+ * Price providers implement:
+ *   getRates(): Promise<{ NGN: number, USD: number }>   - price of 1 STX
+ */
+
+import fetch from 'node-fetch';
+
+const CURRENCY_SYMBOLS = {
+  NGN: '₦',
+  USD: '$',
+};
+
+/**
+ * Price provider backed by the CoinGecko simple price API
+ */
+export class CoinGeckoPriceProvider {
+  constructor(apiUrl = process.env.PRICE_API_URL || 'https://api.coingecko.com/api/v3') {
+    this.apiUrl = apiUrl;
+  }
+
+  async getRates() {
+    const response = await fetch(`${this.apiUrl}/simple/price?ids=blockstack&vs_currencies=ngn,usd`);
+
+    if (!response.ok) {
+      throw new Error(`Price API error (${response.status})`);
+    }
+
+    const data = await response.json();
+    return {
+      NGN: data.blockstack.ngn,
+      USD: data.blockstack.usd,
+    };
+  }
+}
+
+/**
+ * Fixed-price provider (for tests and local development)
+ */
+export class FixedPriceProvider {
+  constructor(rates = { NGN: 2500, USD: 1.6 }) {
+    this.rates = rates;
+  }
+
+  async getRates() {
+    return { ...this.rates };
+  }
+}
+
+class PriceService {
+  constructor() {
+    this.provider = process.env.PRICE_PROVIDER === 'fixed'
+      ? new FixedPriceProvider()
+      : new CoinGeckoPriceProvider();
+
+    // Rates are reused for 60 seconds
+    this.cacheSeconds = 60;
+    this.cache = null;
+
+    // Fiat quotes are honoured for 5 minutes
+    this.quoteTtlMinutes = 5;
+  }
+
+  /**
+   * Swap the price provider (e.g. FixedPriceProvider in tests)
+   * @param {Object} provider - Price provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.cache = null;
+  }
+
+  /**
+   * Check if a currency is supported
+   * @param {string} currency - e.g. "NGN"
+   * @returns {boolean}
+   */
+  isSupported(currency) {
+    return Boolean(CURRENCY_SYMBOLS[(currency || '').toUpperCase()]);
+  }
+
+  /**
+   * Get the price of 1 STX in each supported currency (cached)
+   * @returns {Promise<Object>} { NGN, USD }
+   */
+  async getRates() {
+    if (this.cache && Date.now() - this.cache.fetchedAt < this.cacheSeconds * 1000) {
+      return this.cache.rates;
+    }
+
+    try {
+      const rates = await this.provider.getRates();
+      this.cache = { rates, fetchedAt: Date.now() };
+      return rates;
+    } catch (error) {
+      console.error('Error getting STX price:', error);
+      throw new Error(`Failed to get STX price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the price of 1 STX in a currency
+   * @param {string} currency - 'NGN' | 'USD'
+   * @returns {Promise<number>} Rate
+   */
+  async getRate(currency) {
+    const rates = await this.getRates();
+    const rate = rates[currency.toUpperCase()];
+
+    if (!rate) {
+      throw new Error(`No STX price for ${currency}`);
+    }
+
+    return rate;
+  }
+
+  /**
+   * Convert an STX amount to fiat
+   * @param {number} stx - Amount in STX
+   * @param {string} currency - 'NGN' | 'USD'
+   * @returns {Promise<number>} Fiat amount
+   */
+  async toFiat(stx, currency) {
+    return stx * await this.getRate(currency);
+  }
+
+  /**
+   * Format a fiat amount, e.g. "₦5,000.00"
+   * @param {number} amount - Fiat amount
+   * @param {string} currency - 'NGN' | 'USD'
+   * @returns {string}
+   */
+  formatFiat(amount, currency) {
+    const symbol = CURRENCY_SYMBOLS[currency.toUpperCase()] || `${currency} `;
+    return `${symbol}${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * Describe an STX amount in fiat for display, e.g. "≈ ₦12,500.00 / $8.00"
+   * Returns an empty string if prices are unavailable so messages still send.
+   * @param {number} stx - Amount in STX
+   * @returns {Promise<string>}
+   */
+  async describeStx(stx) {
+    try {
+      const rates = await this.getRates();
+      return `≈ ${this.formatFiat(stx * rates.NGN, 'NGN')} / ${this.formatFiat(stx * rates.USD, 'USD')}`;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Quote a fiat amount in STX at the current rate
+   * The quote is stored with the confirmation state and honoured until expiresAt.
+   * @param {number} fiatAmount - Amount in fiat
+   * @param {string} currency - 'NGN' | 'USD'
+   * @returns {Promise<Object>} { currency, fiatAmount, rate, stxAmount, quotedAt, expiresAt }
+   */
+  async quote(fiatAmount, currency) {
+    const rate = await this.getRate(currency);
+    const quotedAt = new Date();
+    const expiresAt = new Date(quotedAt.getTime() + this.quoteTtlMinutes * 60000);
+
+    return {
+      currency: currency.toUpperCase(),
+      fiatAmount,
+      rate,
+      // Round to microSTX
+      stxAmount: Math.round((fiatAmount / rate) * 1000000) / 1000000,
+      quotedAt: quotedAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+    };
+  }
+
+  /**
+   * Check whether a quote can still be used
+   * @param {Object} quote - Quote from quote()
+   * @returns {boolean}
+   */
+  isQuoteValid(quote) {
+    return Boolean(quote) && new Date(quote.expiresAt).getTime() > Date.now();
+  }
+}
+
+// Export singleton instance
+const priceService = new PriceService();
+export default priceService;
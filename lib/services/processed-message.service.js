@@ -0,0 +1,132 @@
+/**
+ * Processed Message Service
+ *
+ * Makes inbound message handling idempotent on Twilio's MessageSid:
+ * - Claim each MessageSid before running any handler
+ * - Record the outcome and the replies sent to the user
+ * - On a repeated delivery, replay the stored reply instead of re-running side effects
+ *
+ * Records live in the processed_messages table (see lib/repositories).
+ */
+
+import { repositories } from '../repositories/index.js';
+import { runWithReplyRecorder } from '../utils/reply-recorder.js';
+
+class ProcessedMessageService {
+  /**
+   * @param {Object} messages - Processed messages repository
+   */
+  constructor(messages = repositories.processedMessages) {
+    this.messages = messages;
+
+    // Records are kept for 7 days (well past Twilio's retry window)
+    this.retentionDays = 7;
+  }
+
+  /**
+   * Atomically claim a MessageSid
+   * @param {string} messageSid - Twilio message SID
+   * @param {string} phoneNumber - Sender's phone number
+   * @returns {Promise<{claimed: boolean, record?: Object}>}
+   */
+  async claim(messageSid, phoneNumber) {
+    try {
+      await this.messages.insert({
+        message_sid: messageSid,
+        phone_number: phoneNumber,
+        outcome: 'processing',
+        replies: [],
+        created_at: new Date().toISOString(),
+      });
+      return { claimed: true };
+    } catch (error) {
+      // Unique violation - already claimed by an earlier delivery
+      if (error.code === '23505') {
+        return { claimed: false, record: await this.get(messageSid) };
+      }
+      throw new Error(`Failed to claim message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the outcome of a processed message
+   * @param {string} messageSid - Twilio message SID
+   * @param {Object} result - { outcome, replies, error }
+   */
+  async complete(messageSid, { outcome, replies, error = null }) {
+    try {
+      await this.messages.update({ message_sid: messageSid }, {
+        outcome,
+        replies,
+        error,
+        completed_at: new Date().toISOString(),
+      });
+    } catch (updateError) {
+      throw new Error(`Failed to record message outcome: ${updateError.message}`);
+    }
+  }
+
+  /**
+   * Get a processed message record
+   * @param {string} messageSid - Twilio message SID
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async get(messageSid) {
+    try {
+      return await this.messages.findOne({ message_sid: messageSid });
+    } catch (error) {
+      throw new Error(`Failed to get processed message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process an inbound message at most once
+   * @param {string} messageSid - Twilio message SID
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Function} fn - async function that handles the message
+   * @returns {Promise<{duplicate: boolean, outcome: string, replies: Array}>}
+   */
+  async processOnce(messageSid, phoneNumber, fn) {
+    const { claimed, record } = await this.claim(messageSid, phoneNumber);
+
+    if (!claimed) {
+      return {
+        duplicate: true,
+        outcome: record?.outcome || 'processing',
+        // Only replies to the sender are replayed - never notifications to others
+        replies: (record?.replies || []).filter(reply => reply.to === phoneNumber),
+      };
+    }
+
+    const replies = [];
+    try {
+      await runWithReplyRecorder(replies, fn);
+      await this.complete(messageSid, { outcome: 'completed', replies });
+      return { duplicate: false, outcome: 'completed', replies };
+    } catch (error) {
+      // Still recorded as handled - a retry must not re-run partial side effects
+      await this.complete(messageSid, { outcome: 'failed', replies, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete records past the retention period (should be called periodically)
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async cleanOldMessages() {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - this.retentionDays);
+      const deleted = await this.messages.delete({ created_at: { lt: cutoff.toISOString() } });
+      return deleted.length;
+    } catch (error) {
+      console.error('Error cleaning processed messages:', error);
+      return 0;
+    }
+  }
+}
+
+// Export singleton instance
+const processedMessageService = new ProcessedMessageService();
+export default processedMessageService;
@@ -0,0 +1,570 @@
+/**
+ * Schedule Service
+ *
+ * Recurring and one-off scheduled payments (scheduled_payments table):
+ * - Rules: daily, weekly (on a weekday), monthly (on a day of the month)
+ *   or once on a specific date
+ * - A runner (cron) sends due payments with TransactionService.sendTransaction
+ * - Upcoming payments are balance-checked ahead of time so the sender
+ *   can top up
+ *
+ * Payments are signed unattended, so only custodial (key vault) wallets
+ * can schedule. The clock is injectable for tests (setClock).
+ *
+ * Statuses: active -> completed (one-off sent) or cancelled
+ */
+
+import { db } from './database.service.js';
+import stacksService from './stacks.service.js';
+import transactionService from './transaction.service.js';
+import keyVaultService from './key-vault.service.js';
+import { userService } from './user.service.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class ScheduleService {
+  constructor() {
+    // Payments run at 08:00 UTC (09:00 in Lagos) on their day
+    this.runHourUtc = 8;
+
+    // Warn about a low balance this far ahead of a run
+    this.warningHours = 24;
+
+    this.clock = () => new Date();
+  }
+
+  /**
+   * Replace the clock (tests run the scheduler at fixed times)
+   * @param {Function} clock - Returns the current Date
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Current time according to the clock
+   * @returns {Date}
+   */
+  now() {
+    return new Date(this.clock());
+  }
+
+  /**
+   * Parse a schedule rule
+   * "daily", "every day", "weekly", "every friday", "monthly",
+   * "every month on the 15th", "on 2026-12-24"
+   * @param {string} text - Rule text
+   * @returns {Object} { frequency, dayOfWeek, dayOfMonth, runDate }
+   */
+  parseRule(text) {
+    const rule = text.toLowerCase().trim().replace(/\s+/g, ' ');
+    const now = this.now();
+
+    if (rule === 'daily' || rule === 'every day') {
+      return { frequency: 'daily', dayOfWeek: null, dayOfMonth: null, runDate: null };
+    }
+
+    if (rule === 'weekly' || rule === 'every week') {
+      return { frequency: 'weekly', dayOfWeek: now.getUTCDay(), dayOfMonth: null, runDate: null };
+    }
+
+    const weekday = rule.match(/^every ([a-z]+)$/);
+    if (weekday) {
+      const dayOfWeek = WEEKDAYS.findIndex(day => day === weekday[1] || day.slice(0, 3) === weekday[1]);
+      if (dayOfWeek !== -1) {
+        return { frequency: 'weekly', dayOfWeek, dayOfMonth: null, runDate: null };
+      }
+    }
+
+    const monthly = rule.match(/^(?:monthly|every month)(?: on the (\d{1,2})(?:st|nd|rd|th)?)?$/);
+    if (monthly) {
+      const dayOfMonth = monthly[1] ? parseInt(monthly[1], 10) : now.getUTCDate();
+      if (dayOfMonth < 1 || dayOfMonth > 31) {
+        throw new Error('Day of the month must be between 1 and 31.');
+      }
+      return { frequency: 'monthly', dayOfWeek: null, dayOfMonth, runDate: null };
+    }
+
+    const once = rule.match(/^on (\d{4})-(\d{2})-(\d{2})$/);
+    if (once) {
+      const runDate = `${once[1]}-${once[2]}-${once[3]}`;
+      const parsed = new Date(`${runDate}T00:00:00Z`);
+      if (isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== runDate) {
+        throw new Error(`${runDate} is not a valid date.`);
+      }
+      return { frequency: 'once', dayOfWeek: null, dayOfMonth: null, runDate };
+    }
+
+    throw new Error('Unknown schedule. Use daily, every friday, every month on the 15th or on YYYY-MM-DD.');
+  }
+
+  /**
+   * Next time a rule runs, strictly after a given time
+   * Monthly days past the end of a month run on its last day.
+   * @param {Object} rule - From parseRule
+   * @param {Date} after - Start looking after this time
+   * @returns {Date|null} Next run, or null if a one-off date has passed
+   */
+  nextRunAt(rule, after) {
+    const at = (year, month, day) => new Date(Date.UTC(year, month, day, this.runHourUtc));
+    const year = after.getUTCFullYear();
+    const month = after.getUTCMonth();
+    const day = after.getUTCDate();
+
+    switch (rule.frequency) {
+      case 'daily': {
+        const today = at(year, month, day);
+        return today > after ? today : at(year, month, day + 1);
+      }
+
+      case 'weekly': {
+        const next = at(year, month, day + ((rule.dayOfWeek - after.getUTCDay() + 7) % 7));
+        return next > after ? next : at(year, month, day + 7);
+      }
+
+      case 'monthly': {
+        for (let offset = 0; offset <= 1; offset++) {
+          const daysInMonth = new Date(Date.UTC(year, month + offset + 1, 0)).getUTCDate();
+          const next = at(year, month + offset, Math.min(rule.dayOfMonth, daysInMonth));
+          if (next > after) {
+            return next;
+          }
+        }
+        return null; // Unreachable - next month is always after
+      }
+
+      case 'once': {
+        const [runYear, runMonth, runDay] = rule.runDate.split('-').map(Number);
+        const next = at(runYear, runMonth - 1, runDay);
+        return next > after ? next : null;
+      }
+
+      default:
+        throw new Error(`Unknown frequency: ${rule.frequency}`);
+    }
+  }
+
+  /**
+   * Describe a schedule's rule
+   * @param {Object} schedule - Schedule record (or rule from parseRule)
+   * @returns {string} "every Friday", "monthly on the 15th", ...
+   */
+  describeRule(schedule) {
+    const rule = this.toRule(schedule);
+    const ordinal = (n) => {
+      const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+      return `${n}${suffix}`;
+    };
+
+    switch (rule.frequency) {
+      case 'daily':
+        return 'every day';
+      case 'weekly': {
+        const day = WEEKDAYS[rule.dayOfWeek];
+        return `every ${day.charAt(0).toUpperCase()}${day.slice(1)}`;
+      }
+      case 'monthly':
+        return `monthly on the ${ordinal(rule.dayOfMonth)}`;
+      default:
+        return `on ${rule.runDate}`;
+    }
+  }
+
+  /**
+   * Read the rule stored on a schedule record
+   * @param {Object} schedule - Schedule record or rule
+   * @returns {Object} Rule
+   */
+  toRule(schedule) {
+    if (!('day_of_week' in schedule)) {
+      return schedule; // Already a rule
+    }
+
+    return {
+      frequency: schedule.frequency,
+      dayOfWeek: schedule.day_of_week,
+      dayOfMonth: schedule.day_of_month,
+      runDate: schedule.run_date,
+    };
+  }
+
+  /**
+   * Create a scheduled payment
+   * @param {Object} params - Schedule parameters
+   * @param {string} params.senderPhone - Sender's phone number
+   * @param {string} params.senderAddress - Sender's STX address
+   * @param {string} params.recipientAddress - Recipient's STX address
+   * @param {string} params.recipientPhone - Recipient's phone (optional)
+   * @param {string} params.recipientName - Name shown in messages (optional)
+   * @param {number} params.amountMicroStx - Amount per payment in microSTX
+   * @param {Object} params.rule - From parseRule
+   * @param {string} params.memo - Transaction memo (optional)
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule({
+    senderPhone,
+    senderAddress,
+    recipientAddress,
+    recipientPhone = null,
+    recipientName = null,
+    amountMicroStx,
+    rule,
+    memo = null,
+  }) {
+    try {
+      const nextRunAt = this.nextRunAt(rule, this.now());
+      if (!nextRunAt) {
+        throw new Error('That date has already passed.');
+      }
+
+      const { data, error } = await db.getClient()
+        .from('scheduled_payments')
+        .insert([
+          {
+            sender_phone: senderPhone,
+            sender_address: senderAddress,
+            recipient_address: recipientAddress,
+            recipient_phone: recipientPhone,
+            recipient_name: recipientName,
+            amount_micro_stx: amountMicroStx,
+            memo,
+            frequency: rule.frequency,
+            day_of_week: rule.dayOfWeek,
+            day_of_month: rule.dayOfMonth,
+            run_date: rule.runDate,
+            status: 'active',
+            next_run_at: nextRunAt.toISOString(),
+            created_at: this.now().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error creating scheduled payment:', error);
+      throw new Error(`Failed to create scheduled payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a scheduled payment by ID
+   * @param {number} id - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null
+   */
+  async getById(id) {
+    const { data, error } = await db.getClient()
+      .from('scheduled_payments')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      throw new Error(`Failed to get scheduled payment: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a sender's active schedules
+   * @param {string} senderPhone - Sender's phone number
+   * @returns {Promise<Array>} Schedules, soonest first
+   */
+  async getActiveForSender(senderPhone) {
+    const { data, error } = await db.getClient()
+      .from('scheduled_payments')
+      .select('*')
+      .eq('sender_phone', senderPhone)
+      .eq('status', 'active')
+      .order('next_run_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to get scheduled payments: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update a scheduled payment
+   * @param {number} id - Schedule ID
+   * @param {Object} updates - Columns to update
+   * @param {Object} expected - Columns the row must still have (optional)
+   * @returns {Promise<Object|null>} Updated schedule, or null if no row matched
+   */
+  async updateSchedule(id, updates, expected = {}) {
+    let query = db.getClient()
+      .from('scheduled_payments')
+      .update({
+        ...updates,
+        updated_at: this.now().toISOString(),
+      })
+      .eq('id', id);
+
+    for (const [column, value] of Object.entries(expected)) {
+      query = query.eq(column, value);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      throw new Error(`Failed to update scheduled payment: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Cancel a sender's schedule
+   * @param {number} id - Schedule ID
+   * @param {string} senderPhone - Phone number cancelling it
+   * @returns {Promise<Object|null>} Cancelled schedule, or null if not theirs / not active
+   */
+  async cancelSchedule(id, senderPhone) {
+    const schedule = await this.getById(id);
+    if (!schedule || schedule.sender_phone !== senderPhone || schedule.status !== 'active') {
+      return null;
+    }
+
+    return await this.updateSchedule(id, { status: 'cancelled' });
+  }
+
+  /**
+   * Get active schedules due to run
+   * @param {number} batchSize - Max schedules to return
+   * @returns {Promise<Array>} Due schedules, oldest first
+   */
+  async getDue(batchSize = 25) {
+    const { data, error } = await db.getClient()
+      .from('scheduled_payments')
+      .select('*')
+      .eq('status', 'active')
+      .lte('next_run_at', this.now().toISOString())
+      .order('next_run_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) {
+      throw new Error(`Failed to get due scheduled payments: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get active schedules running within the warning window
+   * @param {number} batchSize - Max schedules to return
+   * @returns {Promise<Array>} Upcoming schedules not yet warned about for this run
+   */
+  async getUpcoming(batchSize = 25) {
+    const now = this.now();
+    const horizon = new Date(now.getTime() + this.warningHours * 3600000);
+
+    const { data, error } = await db.getClient()
+      .from('scheduled_payments')
+      .select('*')
+      .eq('status', 'active')
+      .gt('next_run_at', now.toISOString())
+      .lte('next_run_at', horizon.toISOString())
+      .order('next_run_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) {
+      throw new Error(`Failed to get upcoming scheduled payments: ${error.message}`);
+    }
+
+    return (data || []).filter(schedule => schedule.warned_run_at !== schedule.next_run_at);
+  }
+
+  /**
+   * Move a schedule past its current run
+   * Done before sending, so a crash mid-run can't pay twice. Only moves it
+   * if the run is still the one that was read, so overlapping runners
+   * can't both take it.
+   * @param {Object} schedule - Due schedule
+   * @returns {Promise<Object|null>} Updated schedule, or null if another run took it
+   */
+  async advance(schedule) {
+    const next = this.nextRunAt(this.toRule(schedule), this.now());
+
+    return await this.updateSchedule(
+      schedule.id,
+      next
+        ? { next_run_at: next.toISOString(), last_run_at: this.now().toISOString() }
+        : { status: 'completed', last_run_at: this.now().toISOString() },
+      { status: 'active', next_run_at: schedule.next_run_at }
+    );
+  }
+
+  /**
+   * Memo of a schedule's payments
+   * @param {Object} schedule - Schedule
+   * @returns {string} Memo
+   */
+  getMemo(schedule) {
+    return schedule.memo || `Scheduled payment #${schedule.id}`;
+  }
+
+  /**
+   * Check a sender can cover one payment of a schedule
+   * The payment is priced at the sender's saved fee tier.
+   * @param {Object} schedule - Schedule
+   * @returns {Promise<Object>} { sufficient, balanceStx, neededStx, fee }
+   */
+  async checkBalance(schedule) {
+    const { user } = await userService.getByPhone(schedule.sender_phone);
+    const payload = stacksService.buildTransferPayload(schedule.recipient_address, schedule.amount_micro_stx, this.getMemo(schedule));
+    const { fee, feeStx } = stacksService.getFeeForTier(await stacksService.estimateFee(payload), user?.feeTier || 'normal');
+
+    const balance = await stacksService.getBalance(schedule.sender_address);
+    const neededStx = stacksService.microStxToStx(schedule.amount_micro_stx) + feeStx;
+
+    return {
+      sufficient: balance.stx.balanceStx >= neededStx,
+      balanceStx: balance.stx.balanceStx,
+      neededStx,
+      fee,
+    };
+  }
+
+  /**
+   * Runner: send every due payment
+   * A run that can't be paid (low balance, no custodial key, broadcast
+   * error) is skipped - the schedule moves on to its next run.
+   * @param {Object} options
+   * @param {number} options.batchSize - Max schedules per run
+   * @param {Function} options.onResult - Called with each result
+   * @returns {Promise<Array>} [{ schedule, status: 'sent'|'insufficient'|'failed', txId, error, balanceStx, neededStx }]
+   */
+  async runDue({ batchSize = 25, onResult = null } = {}) {
+    try {
+      const due = await this.getDue(batchSize);
+      if (due.length === 0) {
+        return [];
+      }
+
+      console.log(`Running ${due.length} scheduled payments...`);
+
+      const results = [];
+      for (const schedule of due) {
+        let result;
+        try {
+          const updated = await this.advance(schedule);
+          if (!updated) {
+            // Another run is paying this one
+            continue;
+          }
+          result = { schedule: updated, status: 'failed' };
+
+          if (!(await keyVaultService.hasKey(schedule.sender_phone))) {
+            result.error = 'No bot-managed wallet to sign with';
+          } else {
+            const balance = await this.checkBalance(schedule);
+
+            if (!balance.sufficient) {
+              result = { ...result, status: 'insufficient', balanceStx: balance.balanceStx, neededStx: balance.neededStx };
+            } else {
+              const sent = await transactionService.sendTransaction({
+                senderAddress: schedule.sender_address,
+                senderPhone: schedule.sender_phone,
+                recipientAddress: schedule.recipient_address,
+                recipientPhone: schedule.recipient_phone,
+                amountMicroStx: schedule.amount_micro_stx,
+                memo: this.getMemo(schedule),
+                fee: balance.fee,
+              });
+
+              result = { ...result, status: 'sent', txId: sent.txId };
+              await this.updateSchedule(schedule.id, { last_tx_id: sent.txId });
+            }
+          }
+        } catch (error) {
+          console.error(`Error running scheduled payment ${schedule.id}:`, error.message);
+          result = { schedule: result?.schedule || schedule, status: 'failed', error: error.message };
+        }
+
+        results.push(result);
+        if (onResult) {
+          await onResult(result);
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Error running scheduled payments:', error);
+      throw new Error(`Failed to run scheduled payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pre-run balance checks: warn once per run when a sender is short
+   * @param {Object} options
+   * @param {number} options.batchSize - Max schedules per run
+   * @param {Function} options.onWarning - Called with each warning
+   * @returns {Promise<Array>} [{ schedule, balanceStx, neededStx }]
+   */
+  async checkUpcoming({ batchSize = 25, onWarning = null } = {}) {
+    try {
+      const upcoming = await this.getUpcoming(batchSize);
+
+      const warnings = [];
+      for (const schedule of upcoming) {
+        try {
+          const balance = await this.checkBalance(schedule);
+          await this.updateSchedule(schedule.id, { warned_run_at: schedule.next_run_at });
+
+          if (balance.sufficient) {
+            continue;
+          }
+
+          const warning = { schedule, balanceStx: balance.balanceStx, neededStx: balance.neededStx };
+          warnings.push(warning);
+          if (onWarning) {
+            await onWarning(warning);
+          }
+        } catch (error) {
+          console.error(`Error checking scheduled payment ${schedule.id}:`, error.message);
+        }
+      }
+
+      return warnings;
+    } catch (error) {
+      console.error('Error checking upcoming scheduled payments:', error);
+      throw new Error(`Failed to check upcoming scheduled payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a schedule for listings
+   * @param {Object} schedule - Schedule record
+   * @returns {string} "#4 - 5 STX to John every Friday (next: ...)"
+   */
+  formatSchedule(schedule) {
+    const recipient = schedule.recipient_name || schedule.recipient_phone ||
+      `${schedule.recipient_address.substring(0, 8)}...`;
+
+    return `#${schedule.id} - ${stacksService.microStxToStx(schedule.amount_micro_stx)} STX to ${recipient} ` +
+      `${this.describeRule(schedule)}\n` +
+      `   Next: ${this.formatRunTime(schedule.next_run_at)}`;
+  }
+
+  /**
+   * Format a run time
+   * @param {string|Date} time - Run time
+   * @returns {string} "Fri, 23 Oct 2026 08:00 UTC"
+   */
+  formatRunTime(time) {
+    return new Date(time).toUTCString().replace(':00 GMT', ' UTC');
+  }
+}
+
+// Export singleton instance
+const scheduleService = new ScheduleService();
+export default scheduleService;
@@ -0,0 +1,471 @@
+/**
+ * Signing Service
+ *
+ * Non-custodial signing flow - the bot never touches private keys:
+ * - Build STX transfer / contract call requests
+ * - Save them as pending signing requests with a short expiry
+ * - Produce a deep link the user opens in their own wallet
+ * - Verify signed transactions against the saved request
+ * - Broadcast verified transactions
+ */
+
+import crypto from 'crypto';
+
+import transactionsPkg from '@stacks/transactions';
+const {
+  deserializeTransaction,
+  PayloadType,
+  PostConditionMode,
+  AddressHashMode,
+  AddressVersion,
+  addressFromVersionHash,
+  addressToString,
+  cvToHex,
+  cvToString,
+  postConditionToHex,
+  serializePostConditionWire,
+} = transactionsPkg;
+
+import networkPkg from '@stacks/network';
+const { STACKS_MAINNET, STACKS_TESTNET } = networkPkg;
+
+import { db } from './database.service.js';
+import transactionService from './transaction.service.js';
+
+class SigningService {
+  constructor() {
+    this.isMainnet = process.env.STACKS_NETWORK !== 'testnet';
+    this.network = this.isMainnet ? STACKS_MAINNET : STACKS_TESTNET;
+
+    // Wallet page that reads the payload and asks the user to sign
+    this.signingUrl = process.env.SIGNING_URL || 'https://stx-whatsapp-bot.vercel.app/sign';
+
+    // Signing requests expire after 15 minutes
+    this.expiryMinutes = 15;
+  }
+
+  /**
+   * Create a pending signing request for an STX transfer
+   * @param {Object} params - Request parameters
+   * @param {string} params.phoneNumber - Phone number of the signer
+   * @param {string} params.senderAddress - Address expected to sign
+   * @param {string} params.recipientAddress - Recipient's STX address
+   * @param {number} params.amountMicroStx - Amount in microSTX
+   * @param {string} params.memo - Optional memo
+   * @param {number} params.fee - Fee in microSTX suggested to the wallet (optional)
+   * @param {string} params.handler - Handler that completes the flow ('payment' | 'escrow')
+   * @param {string} params.action - Action within the handler
+   * @param {Object} params.metadata - Data the handler needs after broadcast
+   * @returns {Promise<Object>} Signing request with deep link
+   */
+  async createTransferRequest({
+    phoneNumber,
+    senderAddress,
+    recipientAddress,
+    amountMicroStx,
+    memo = '',
+    fee = null,
+    handler,
+    action,
+    metadata = {},
+  }) {
+    return await this.createRequest({
+      phoneNumber,
+      senderAddress,
+      handler,
+      action,
+      metadata,
+      txRequest: {
+        txType: 'token_transfer',
+        recipient: recipientAddress,
+        amount: String(amountMicroStx),
+        memo,
+        ...(fee ? { fee: String(fee) } : {}),
+      },
+    });
+  }
+
+  /**
+   * Create a pending signing request for a contract call
+   * @param {Object} params - Request parameters
+   * @param {string} params.phoneNumber - Phone number of the signer
+   * @param {string} params.senderAddress - Address expected to sign
+   * @param {Object} params.call - Contract call from EscrowService.build*Call
+   * @param {number} params.fee - Fee in microSTX suggested to the wallet (optional)
+   * @param {string} params.handler - Handler that completes the flow
+   * @param {string} params.action - Action within the handler
+   * @param {Object} params.metadata - Data the handler needs after broadcast
+   * @returns {Promise<Object>} Signing request with deep link
+   */
+  async createContractCallRequest({
+    phoneNumber,
+    senderAddress,
+    call,
+    fee = null,
+    handler,
+    action,
+    metadata = {},
+  }) {
+    return await this.createRequest({
+      phoneNumber,
+      senderAddress,
+      handler,
+      action,
+      metadata,
+      txRequest: {
+        txType: 'contract_call',
+        contractAddress: call.contractAddress,
+        contractName: call.contractName,
+        functionName: call.functionName,
+        functionArgs: call.functionArgs.map(arg => cvToHex(arg)),
+        postConditionMode: call.postConditionMode === PostConditionMode.Deny ? 'deny' : 'allow',
+        postConditions: (call.postConditions || []).map(pc => postConditionToHex(pc)),
+        ...(fee ? { fee: String(fee) } : {}),
+      },
+    });
+  }
+
+  /**
+   * Save a signing request to the database
+   * @param {Object} params - Request data
+   * @returns {Promise<Object>} Signing request with deep link
+   */
+  async createRequest({ phoneNumber, senderAddress, handler, action, metadata, txRequest }) {
+    try {
+      const token = crypto.randomBytes(16).toString('hex');
+
+      const expiresAt = new Date();
+      expiresAt.setMinutes(expiresAt.getMinutes() + this.expiryMinutes);
+
+      const fullRequest = {
+        ...txRequest,
+        network: this.isMainnet ? 'mainnet' : 'testnet',
+        stxAddress: senderAddress,
+      };
+
+      const { data, error } = await db.getClient()
+        .from('signing_requests')
+        .insert([
+          {
+            token,
+            phone_number: phoneNumber,
+            sender_address: senderAddress,
+            handler,
+            action,
+            tx_request: fullRequest,
+            metadata,
+            status: 'pending',
+            expires_at: expiresAt.toISOString(),
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return {
+        token,
+        record: data,
+        txRequest: fullRequest,
+        expiresAt: expiresAt.toISOString(),
+        link: this.buildSigningLink(token, fullRequest),
+      };
+    } catch (error) {
+      console.error('Error creating signing request:', error);
+      throw new Error(`Failed to create signing request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the deep link a wallet page uses to sign the request
+   * @param {string} token - Signing request token
+   * @param {Object} txRequest - Transaction request payload
+   * @returns {string} Deep link URL
+   */
+  buildSigningLink(token, txRequest) {
+    const payload = Buffer.from(JSON.stringify(txRequest)).toString('base64url');
+    return `${this.signingUrl}?token=${token}&payload=${payload}`;
+  }
+
+  /**
+   * Get a signing request by token
+   * @param {string} token - Signing request token
+   * @returns {Promise<Object|null>} Signing request or null
+   */
+  async getRequest(token) {
+    try {
+      const { data, error } = await db.getClient()
+        .from('signing_requests')
+        .select('*')
+        .eq('token', token)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Not found
+        }
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error getting signing request:', error);
+      throw new Error(`Failed to get signing request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update signing request status
+   * With an expected status the update only applies to a request still in
+   * that status, so two callers can't both move it on.
+   * @param {string} token - Signing request token
+   * @param {string} status - 'pending' | 'broadcasting' | 'broadcast' | 'expired'
+   * @param {string} txId - Transaction ID (optional)
+   * @param {string} expectedStatus - Status the request must be in (optional)
+   * @returns {Promise<Object|null>} Updated request, or null if it wasn't in the expected status
+   */
+  async updateRequestStatus(token, status, txId = null, expectedStatus = null) {
+    try {
+      const updateData = {
+        status,
+        updated_at: new Date().toISOString(),
+      };
+
+      if (txId) {
+        updateData.tx_id = txId;
+        updateData.completed_at = new Date().toISOString();
+      }
+
+      let query = db.getClient()
+        .from('signing_requests')
+        .update(updateData)
+        .eq('token', token);
+
+      if (expectedStatus) {
+        query = query.eq('status', expectedStatus);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      console.error('Error updating signing request:', error);
+      throw new Error(`Failed to update signing request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a signed transaction against its saved request and broadcast it
+   * @param {string} token - Signing request token
+   * @param {string} signedTxHex - Signed transaction in hex format
+   * @returns {Promise<{success: boolean, txId?: string, fee?: number, request?: Object, error?: string}>}
+   */
+  async completeRequest(token, signedTxHex) {
+    try {
+      const request = await this.getRequest(token);
+
+      if (!request) {
+        return { success: false, error: 'Signing request not found' };
+      }
+
+      if (request.status !== 'pending') {
+        return { success: false, error: `Signing request already ${request.status}` };
+      }
+
+      if (new Date(request.expires_at) < new Date()) {
+        await this.updateRequestStatus(token, 'expired', null, 'pending');
+        return { success: false, error: 'Signing request expired' };
+      }
+
+      let transaction;
+      try {
+        transaction = deserializeTransaction(signedTxHex.replace(/^0x/, ''));
+      } catch (error) {
+        return { success: false, error: 'Invalid signed transaction' };
+      }
+
+      const verification = this.verifyTransaction(transaction, request);
+      if (!verification.valid) {
+        console.warn(`Signed transaction rejected for ${token}: ${verification.error}`);
+        return { success: false, error: verification.error };
+      }
+
+      // Claim the request first, so a repeated callback can't broadcast it twice
+      const claimed = await this.updateRequestStatus(token, 'broadcasting', null, 'pending');
+      if (!claimed) {
+        return { success: false, error: 'Signing request already being completed' };
+      }
+
+      let broadcastResult;
+      try {
+        broadcastResult = await transactionService.broadcastTransaction(transaction);
+      } catch (error) {
+        broadcastResult = { success: false, error: error.message };
+      }
+
+      if (!broadcastResult.success) {
+        // Put the request back so the user can sign again
+        await this.updateRequestStatus(token, 'pending', null, 'broadcasting');
+        return { success: false, error: broadcastResult.error };
+      }
+
+      // The transaction is out, so a failed write must not lose its txId
+      let updated;
+      try {
+        updated = await this.updateRequestStatus(token, 'broadcast', broadcastResult.txId, 'broadcasting');
+      } catch (error) {
+        console.error(`Broadcast ${broadcastResult.txId} not saved on signing request ${token}:`, error);
+      }
+
+      return {
+        success: true,
+        txId: broadcastResult.txId,
+        fee: Number(transaction.auth.spendingCondition.fee),
+        request: updated || { ...claimed, status: 'broadcast', tx_id: broadcastResult.txId },
+      };
+    } catch (error) {
+      console.error('Error completing signing request:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Check that a signed transaction matches the saved request
+   * @param {Object} transaction - Deserialized StacksTransaction
+   * @param {Object} request - Signing request from database
+   * @returns {{valid: boolean, error?: string}}
+   */
+  verifyTransaction(transaction, request) {
+    const expected = request.tx_request;
+
+    // Signature must be valid for the spending condition
+    try {
+      transaction.verifyOrigin();
+    } catch (error) {
+      return { valid: false, error: 'Invalid transaction signature' };
+    }
+
+    const signerAddress = this.getSignerAddress(transaction);
+    if (signerAddress !== request.sender_address) {
+      return { valid: false, error: 'Transaction was not signed by the expected address' };
+    }
+
+    const payload = transaction.payload;
+
+    if (expected.txType === 'token_transfer') {
+      if (payload.payloadType !== PayloadType.TokenTransfer) {
+        return { valid: false, error: 'Expected an STX transfer' };
+      }
+      if (cvToString(payload.recipient) !== expected.recipient) {
+        return { valid: false, error: 'Recipient does not match' };
+      }
+      if (payload.amount.toString() !== expected.amount) {
+        return { valid: false, error: 'Amount does not match' };
+      }
+      if ((payload.memo?.content || '') !== (expected.memo || '')) {
+        return { valid: false, error: 'Memo does not match' };
+      }
+      return { valid: true };
+    }
+
+    if (expected.txType === 'contract_call') {
+      if (payload.payloadType !== PayloadType.ContractCall) {
+        return { valid: false, error: 'Expected a contract call' };
+      }
+
+      const contractAddress = addressToString(payload.contractAddress);
+      if (
+        contractAddress !== expected.contractAddress ||
+        payload.contractName.content !== expected.contractName ||
+        payload.functionName.content !== expected.functionName
+      ) {
+        return { valid: false, error: 'Contract call does not match' };
+      }
+
+      const args = payload.functionArgs.map(arg => cvToHex(arg));
+      if (
+        args.length !== expected.functionArgs.length ||
+        args.some((arg, index) => arg !== expected.functionArgs[index])
+      ) {
+        return { valid: false, error: 'Function arguments do not match' };
+      }
+
+      if (expected.postConditionMode === 'deny' && transaction.postConditionMode !== PostConditionMode.Deny) {
+        return { valid: false, error: 'Post condition mode must be deny' };
+      }
+
+      // Same post conditions as requested, in any order
+      const postConditions = transaction.postConditions.values.map(pc => serializePostConditionWire(pc)).sort();
+      const expectedPostConditions = [...(expected.postConditions || [])].sort();
+      if (
+        postConditions.length !== expectedPostConditions.length ||
+        postConditions.some((pc, index) => pc !== expectedPostConditions[index])
+      ) {
+        return { valid: false, error: 'Post conditions do not match' };
+      }
+
+      return { valid: true };
+    }
+
+    return { valid: false, error: `Unsupported transaction type: ${expected.txType}` };
+  }
+
+  /**
+   * Derive the origin address of a signed transaction
+   * @param {Object} transaction - Deserialized StacksTransaction
+   * @returns {string} Signer's STX address
+   */
+  getSignerAddress(transaction) {
+    const { hashMode, signer } = transaction.auth.spendingCondition;
+    const isSingleSig = hashMode === AddressHashMode.P2PKH ||
+      hashMode === AddressHashMode.P2WPKH;
+
+    let version;
+    if (this.isMainnet) {
+      version = isSingleSig ? AddressVersion.MainnetSingleSig : AddressVersion.MainnetMultiSig;
+    } else {
+      version = isSingleSig ? AddressVersion.TestnetSingleSig : AddressVersion.TestnetMultiSig;
+    }
+
+    return addressToString(addressFromVersionHash(version, signer));
+  }
+
+  /**
+   * Expire pending requests past their deadline (should be called periodically)
+   * @returns {Promise<number>} Number of requests expired
+   */
+  async expireStaleRequests() {
+    try {
+      const { data, error } = await db.getClient()
+        .from('signing_requests')
+        .update({ status: 'expired', updated_at: new Date().toISOString() })
+        .eq('status', 'pending')
+        .lt('expires_at', new Date().toISOString())
+        .select('token');
+
+      if (error) {
+        console.error('Error expiring signing requests:', error);
+        return 0;
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      console.error('Error expiring signing requests:', error);
+      return 0;
+    }
+  }
+}
+
+// Export singleton instance
+const signingService = new SigningService();
+export default signingService;
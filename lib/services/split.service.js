@@ -0,0 +1,184 @@
+/**
+ * Split Service
+ *
+ * Splits a bill across several people:
+ * - Parse participant lists ("John, Ada and Tunde", "John:2, Ada:1")
+ * - Divide an amount evenly or by shares, exact to the microSTX
+ * - Collect a split as one payment request per participant
+ *   (payment_splits table, linked from payment_requests.split_id)
+ * - Report who has paid
+ */
+
+import { db } from './database.service.js';
+import stacksService from './stacks.service.js';
+import paymentRequestService from './payment-request.service.js';
+
+class SplitService {
+  constructor() {
+    // Keeps the combined confirmation readable
+    this.maxParticipants = 10;
+  }
+
+  /**
+   * Parse a participant list
+   * Names are separated by commas or "and"; ":N" gives a share (default 1).
+   * @param {string} text - e.g. "John:2, Ada and Tunde"
+   * @returns {Array} [{ input, share }]
+   */
+  parseParticipants(text) {
+    const participants = text
+      .split(/\s*,\s*|\s+and\s+/i)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const match = part.match(/^(.+?)\s*:\s*(\d+(?:\.\d+)?)$/);
+        return match
+          ? { input: match[1].trim(), share: parseFloat(match[2]) }
+          : { input: part, share: 1 };
+      });
+
+    if (participants.length < 2) {
+      throw new Error('A split needs at least 2 people.');
+    }
+
+    if (participants.length > this.maxParticipants) {
+      throw new Error(`A split can have at most ${this.maxParticipants} people.`);
+    }
+
+    if (participants.some(({ share }) => share <= 0)) {
+      throw new Error('Shares must be greater than 0.');
+    }
+
+    return participants;
+  }
+
+  /**
+   * Divide an amount by shares
+   * Leftover microSTX from rounding go to the first participants,
+   * so the parts always add up to the total.
+   * @param {number} totalMicroStx - Amount in microSTX
+   * @param {number[]} shares - Share per participant
+   * @returns {number[]} Amount per participant in microSTX
+   */
+  computeAmounts(totalMicroStx, shares) {
+    const totalShares = shares.reduce((sum, share) => sum + share, 0);
+    const amounts = shares.map(share => Math.floor((totalMicroStx * share) / totalShares));
+
+    let leftover = totalMicroStx - amounts.reduce((sum, amount) => sum + amount, 0);
+    for (let i = 0; leftover > 0; i = (i + 1) % amounts.length, leftover--) {
+      amounts[i]++;
+    }
+
+    if (amounts.some(amount => amount <= 0)) {
+      throw new Error('Amount is too small to split.');
+    }
+
+    return amounts;
+  }
+
+  /**
+   * Collect a split: create the split and one payment request per participant
+   * @param {Object} params - Split parameters
+   * @param {string} params.requesterPhone - Who paid the bill
+   * @param {string} params.requesterAddress - Where the money should go
+   * @param {number} params.totalMicroStx - Total being split
+   * @param {Array} params.participants - [{ phone, amountMicroStx }]
+   * @param {string} params.memo - What it's for (optional)
+   * @returns {Promise<Object>} { split, requests }
+   */
+  async createSplitRequest({ requesterPhone, requesterAddress, totalMicroStx, participants, memo = null }) {
+    try {
+      const { data: split, error } = await db.getClient()
+        .from('payment_splits')
+        .insert([
+          {
+            requester_phone: requesterPhone,
+            total_micro_stx: totalMicroStx,
+            memo,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      const requests = [];
+      for (const { phone, amountMicroStx } of participants) {
+        requests.push(await paymentRequestService.createRequest({
+          requesterPhone,
+          requesterAddress,
+          payerPhone: phone,
+          amountMicroStx,
+          memo,
+          splitId: split.id,
+        }));
+      }
+
+      return { split, requests };
+    } catch (error) {
+      console.error('Error creating split:', error);
+      throw new Error(`Failed to create split: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a split with its payment requests
+   * @param {number} id - Split ID
+   * @returns {Promise<Object|null>} { split, requests } or null
+   */
+  async getSplit(id) {
+    const { data: split, error } = await db.getClient()
+      .from('payment_splits')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      throw new Error(`Failed to get split: ${error.message}`);
+    }
+
+    const { data: requests, error: requestsError } = await db.getClient()
+      .from('payment_requests')
+      .select('*')
+      .eq('split_id', id)
+      .order('id', { ascending: true });
+
+    if (requestsError) {
+      throw new Error(`Failed to get split requests: ${requestsError.message}`);
+    }
+
+    return { split, requests: requests || [] };
+  }
+
+  /**
+   * Format who has paid a split
+   * @param {Object} split - Split record
+   * @param {Array} requests - Its payment requests
+   * @returns {string} Message text
+   */
+  formatSplitStatus(split, requests) {
+    const icons = { paid: '✅', paying: '⏳', pending: '⏳', declined: '❌', expired: '⌛' };
+    const paid = requests.filter(request => request.status === 'paid');
+    const collected = paid.reduce((sum, request) => sum + Number(request.amount_micro_stx), 0);
+
+    let message = `🍽️ *Split #${split.id}*` + (split.memo ? ` - ${split.memo}` : '') + `\n\n`;
+    requests.forEach(request => {
+      message += `${icons[request.status] || '•'} ${request.payer_phone}: ` +
+        `${stacksService.microStxToStx(request.amount_micro_stx)} STX (${request.status})\n`;
+    });
+    message += `\nPaid: ${paid.length}/${requests.length} - ` +
+      `${stacksService.microStxToStx(collected)} of ${stacksService.microStxToStx(split.total_micro_stx)} STX`;
+
+    return message;
+  }
+}
+
+// Export singleton instance
+const splitService = new SplitService();
+export default splitService;
@@ -7,10 +7,142 @@
  * - Check transaction status
  * - Get account information
  * - Broadcast transactions
+ * - Estimate fees per transaction (slow / normal / fast)
  * - Monitor confirmations
+ * - Resolve BNS names (e.g. muneeb.btc) and reverse-lookup addresses
+ *
+ * Chain access goes through a chain adapter: the Hiro API by default, or
+ * the in-process ChainSimulator (STACKS_CHAIN=simulator, or setChainAdapter)
  */
 
 import fetch from 'node-fetch';
+import transactionsPkg from '@stacks/transactions';
+const {
+  createTokenTransferPayload,
+  createContractCallPayload,
+  serializePayload,
+  serializeTransaction,
+  cvToHex,
+  hexToCV,
+} = transactionsPkg;
+
+import ChainSimulator from '../chain/chain-simulator.js';
+
+// Fee speed tiers users pick from ("send 5 to John fast") -> estimateFee level
+export const FEE_TIERS = {
+  slow: 'low',
+  normal: 'medium',
+  fast: 'high',
+};
+
+// Signed single-sig transaction minus its payload (header and auth)
+const SIGNED_TX_OVERHEAD_BYTES = 120;
+
+// Boot address - stands in for the recipient when pricing a typical transfer
+const FEE_ESTIMATE_RECIPIENT = {
+  mainnet: 'SP000000000000000000002Q6VF78',
+  testnet: 'ST000000000000000000002AMW42H',
+};
+
+/**
+ * BNS adapter backed by the Hiro /v1/names API
+ * Adapters implement:
+ *   getNameAddress(name): Promise<string|null>     - owner address, null if not registered
+ *   getAddressNames(address): Promise<string[]>    - names owned by the address
+ */
+export class HiroBnsAdapter {
+  constructor(apiUrl) {
+    this.apiUrl = apiUrl;
+  }
+
+  async _get(endpoint) {
+    const response = await fetch(`${this.apiUrl}${endpoint}`);
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Hiro API error (${response.status}): ${await response.text()}`);
+    }
+
+    return await response.json();
+  }
+
+  async getNameAddress(name) {
+    const data = await this._get(`/v1/names/${encodeURIComponent(name)}`);
+    return data?.address || null;
+  }
+
+  async getAddressNames(address) {
+    const data = await this._get(`/v1/addresses/stacks/${address}`);
+    return data?.names || [];
+  }
+}
+
+/**
+ * Chain adapter backed by the Hiro API
+ * Adapters implement:
+ *   get(endpoint): Promise<Object>                 - API GET (errors read "Hiro API error (<status>): ...")
+ *   post(endpoint, body): Promise<Object>          - API POST
+ *   broadcast(serializedTx): Promise<Object>       - { txid } or { error, reason }
+ */
+export class HiroChainAdapter {
+  constructor(apiUrl) {
+    this.apiUrl = apiUrl;
+  }
+
+  async _request(endpoint, options) {
+    const response = await fetch(`${this.apiUrl}${endpoint}`, options);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Hiro API error (${response.status}): ${errorText}`);
+    }
+
+    return await response.json();
+  }
+
+  async get(endpoint) {
+    return await this._request(endpoint, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+
+  async post(endpoint, body) {
+    return await this._request(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async broadcast(serializedTx) {
+    const response = await fetch(`${this.apiUrl}/v2/transactions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: Buffer.from(serializedTx.replace(/^0x/, ''), 'hex'),
+    });
+
+    const text = await response.text();
+    let result;
+    try {
+      result = JSON.parse(text);
+    } catch (error) {
+      return { error: `Broadcast failed (${response.status})`, reason: text };
+    }
+
+    // Accepted: the txid as a JSON string
+    return typeof result === 'string' ? { txid: result } : result;
+  }
+}
 
 class StacksService {
   constructor() {
@@ -19,6 +151,25 @@ class StacksService {
     
     // Minimum confirmations before considering a transaction final
     this.minConfirmations = 3;
+
+    // Chain access (swap with setChainAdapter in tests); the simulator gives
+    // every account 1,000 STX and mines a block per broadcast for local runs
+    this.chain = process.env.STACKS_CHAIN === 'simulator'
+      ? new ChainSimulator({ startingBalance: 1000 * 1000000, autoMine: true })
+      : new HiroChainAdapter(this.apiUrl);
+
+    // BNS lookups (swap with setBnsAdapter in tests), cached for 10 minutes
+    this.bns = new HiroBnsAdapter(this.apiUrl);
+    this.bnsCacheMinutes = 10;
+    this.bnsCache = new Map();
+  }
+
+  /**
+   * Swap the chain adapter (e.g. a ChainSimulator)
+   * @param {Object} adapter - Chain adapter
+   */
+  setChainAdapter(adapter) {
+    this.chain = adapter;
   }
 
   /**
@@ -27,22 +178,8 @@ class StacksService {
    * @returns {Promise<Object>} API response
    */
   async _get(endpoint) {
-    const url = `${this.apiUrl}${endpoint}`;
-    
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Hiro API error (${response.status}): ${errorText}`);
-      }
-
-      return await response.json();
+      return await this.chain.get(endpoint);
     } catch (error) {
       console.error('Stacks API GET error:', error);
       throw new Error(`Failed to fetch from Stacks API: ${error.message}`);
@@ -56,23 +193,8 @@ class StacksService {
    * @returns {Promise<Object>} API response
    */
   async _post(endpoint, data) {
-    const url = `${this.apiUrl}${endpoint}`;
-    
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Hiro API error (${response.status}): ${errorText}`);
-      }
-
-      return await response.json();
+      return await this.chain.post(endpoint, data);
     } catch (error) {
       console.error('Stacks API POST error:', error);
       throw new Error(`Failed to post to Stacks API: ${error.message}`);
@@ -133,6 +255,28 @@ class StacksService {
     }
   }
 
+  /**
+   * Get nonce information including the mempool
+   * Unlike getAccountInfo, this counts transactions still in the mempool.
+   * @param {string} address - Stacks address
+   * @returns {Promise<Object>} { possibleNextNonce, lastExecutedNonce, lastMempoolNonce, missingNonces }
+   */
+  async getNonceInfo(address) {
+    try {
+      const data = await this._get(`/extended/v1/address/${address}/nonces`);
+
+      return {
+        possibleNextNonce: data.possible_next_nonce,
+        lastExecutedNonce: data.last_executed_tx_nonce,
+        lastMempoolNonce: data.last_mempool_tx_nonce,
+        missingNonces: data.detected_missing_nonces || [],
+      };
+    } catch (error) {
+      console.error('Error getting nonce info:', error);
+      throw new Error(`Failed to get nonces for ${address}: ${error.message}`);
+    }
+  }
+
   /**
    * Get transaction details by ID
    * @param {string} txId - Transaction ID
@@ -162,6 +306,13 @@ class StacksService {
         confirmations: data.tx_status === 'success' ? 
           (data.block_height ? 'confirmed' : 'pending') : 
           data.tx_status,
+        // Contract call result in Clarity notation, e.g. "(ok u5)"
+        txResult: data.tx_result ? data.tx_result.repr : null,
+        // For contract calls
+        contractCall: data.tx_type === 'contract_call' ? {
+          contractId: data.contract_call.contract_id,
+          functionName: data.contract_call.function_name,
+        } : null,
         // For STX transfers
         stxTransfer: data.tx_type === 'token_transfer' ? {
           recipient: data.token_transfer.recipient_address,
@@ -191,8 +342,11 @@ class StacksService {
         confirmed: tx.txStatus === 'success',
         pending: tx.txStatus === 'pending',
         failed: tx.txStatus === 'abort_by_response' || tx.txStatus === 'abort_by_post_condition',
+        // Removed from the mempool (replaced, too cheap, stale...) - will never confirm
+        dropped: tx.txStatus.startsWith('dropped_'),
         blockHeight: tx.blockHeight,
         confirmations: tx.blockHeight ? 'confirmed' : 'pending',
+        txResult: tx.txResult,
       };
     } catch (error) {
       // If transaction not found, it might be too recent
@@ -203,6 +357,7 @@ class StacksService {
           confirmed: false,
           pending: true,
           failed: false,
+          dropped: false,
           blockHeight: null,
           confirmations: 0,
         };
@@ -250,16 +405,21 @@ class StacksService {
 
   /**
    * Broadcast a signed transaction to the network
-   * @param {string} signedTx - Signed transaction in hex format
+   * @param {Object|string} signedTx - Signed transaction, or its hex serialization
    * @returns {Promise<Object>} Broadcast result with txId
    */
   async broadcastTransaction(signedTx) {
     try {
-      const result = await this._post('/v2/transactions', signedTx);
-      
+      const serialized = typeof signedTx === 'string' ? signedTx : serializeTransaction(signedTx);
+      const result = await this.chain.broadcast(serialized);
+
+      if (result.error) {
+        throw new Error(result.reason || result.error);
+      }
+
       return {
         success: true,
-        txId: result.txid || result,
+        txId: result.txid,
         message: 'Transaction broadcasted successfully',
       };
     } catch (error) {
@@ -330,6 +490,121 @@ class StacksService {
     };
   }
 
+  /**
+   * Call a read-only contract function
+   * @param {Object} call
+   * @param {string} call.contractAddress - Contract deployer address
+   * @param {string} call.contractName - Contract name
+   * @param {string} call.functionName - Read-only function
+   * @param {Array} call.functionArgs - Clarity values
+   * @param {string} call.senderAddress - Address the call is made as
+   * @returns {Promise<Object>} Clarity value returned
+   */
+  async callReadOnly({ contractAddress, contractName, functionName, functionArgs = [], senderAddress }) {
+    const data = await this._post(
+      `/v2/contracts/call-read/${contractAddress}/${contractName}/${functionName}`,
+      {
+        sender: senderAddress,
+        arguments: functionArgs.map(arg => cvToHex(arg)),
+      }
+    );
+
+    if (!data.okay) {
+      throw new Error(`Read-only call failed: ${data.cause}`);
+    }
+
+    return hexToCV(data.result);
+  }
+
+  /**
+   * Get SIP-010 token metadata (name, symbol, decimals)
+   * @param {string} contractId - Token contract id (SP...contract-name)
+   * @returns {Promise<Object>} Token metadata
+   */
+  async getTokenMetadata(contractId) {
+    try {
+      const data = await this._get(`/metadata/v1/ft/${contractId}`);
+
+      return {
+        contractId,
+        name: data.name,
+        symbol: data.symbol,
+        decimals: data.decimals,
+      };
+    } catch (error) {
+      console.error('Error getting token metadata:', error);
+      throw new Error(`Failed to get token metadata for ${contractId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Swap the BNS adapter (e.g. a stub in tests)
+   * @param {Object} adapter - BNS adapter
+   */
+  setBnsAdapter(adapter) {
+    this.bns = adapter;
+    this.bnsCache.clear();
+  }
+
+  /**
+   * Check if input looks like a BNS name (name.namespace)
+   * @param {string} input - e.g. "muneeb.btc"
+   * @returns {boolean}
+   */
+  isBnsName(input) {
+    // Contract ids (SP....contract) also contain a dot
+    return /^[a-z0-9_-]+\.[a-z0-9_-]+$/i.test(input || '') && !/^S[PTMN][0-9A-Z]{38,41}\./i.test(input);
+  }
+
+  /**
+   * Cached BNS lookup
+   * @param {string} key - Cache key
+   * @param {Function} lookup - async function producing the value
+   * @returns {Promise<*>} Value
+   */
+  async _cachedBns(key, lookup) {
+    const cached = this.bnsCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = await lookup();
+    this.bnsCache.set(key, { value, expiresAt: Date.now() + this.bnsCacheMinutes * 60000 });
+    return value;
+  }
+
+  /**
+   * Resolve a BNS name to its owner's address
+   * @param {string} name - BNS name, e.g. "muneeb.btc"
+   * @returns {Promise<string|null>} STX address, or null if the name isn't registered
+   */
+  async resolveBnsName(name) {
+    const normalized = name.trim().toLowerCase();
+
+    try {
+      return await this._cachedBns(`name:${normalized}`, () => this.bns.getNameAddress(normalized));
+    } catch (error) {
+      console.error('Error resolving BNS name:', error);
+      throw new Error(`Failed to resolve ${normalized}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reverse lookup: get the BNS name owned by an address
+   * Returns null (never throws) so callers can fall back to the raw address.
+   * @param {string} address - STX address
+   * @returns {Promise<string|null>} BNS name or null
+   */
+  async lookupBnsName(address) {
+    try {
+      const names = await this._cachedBns(`address:${address}`, () => this.bns.getAddressNames(address));
+      return names[0] || null;
+    } catch (error) {
+      console.error('Error looking up BNS name:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get current block height
    * @returns {Promise<number>} Current block height
@@ -344,22 +619,54 @@ class StacksService {
     }
   }
 
+  /**
+   * Build the payload of an STX transfer (for fee estimation)
+   * @param {string} recipientAddress - Recipient's STX address
+   * @param {number} amountMicroStx - Amount in microSTX
+   * @param {string} memo - Optional memo
+   * @returns {Object} Transaction payload
+   */
+  buildTransferPayload(recipientAddress, amountMicroStx, memo = '') {
+    return createTokenTransferPayload(recipientAddress, BigInt(amountMicroStx), memo);
+  }
+
+  /**
+   * Build the payload of a contract call (for fee estimation)
+   * @param {Object} call - { contractAddress, contractName, functionName, functionArgs }
+   * @returns {Object} Transaction payload
+   */
+  buildContractCallPayload(call) {
+    return createContractCallPayload(call.contractAddress, call.contractName, call.functionName, call.functionArgs);
+  }
+
   /**
    * Estimate transaction fee
-   * @returns {Promise<Object>} Fee estimates
+   * Asks the node to price the given payload; without one, prices a typical
+   * STX transfer with a full memo.
+   * @param {Object} payload - From buildTransferPayload / buildContractCallPayload (optional)
+   * @returns {Promise<Object>} Fee estimates (low, medium, high in microSTX, plus STX)
    */
-  async estimateFee() {
+  async estimateFee(payload = null) {
     try {
-      const data = await this._get('/v2/fees/transaction');
-      
+      const txPayload = payload || this.buildTransferPayload(FEE_ESTIMATE_RECIPIENT[this.network] || FEE_ESTIMATE_RECIPIENT.mainnet, 1000000, 'x'.repeat(34));
+      const serialized = serializePayload(txPayload);
+
+      const data = await this._post('/v2/fees/transaction', {
+        transaction_payload: serialized,
+        estimated_len: serialized.length / 2 + SIGNED_TX_OVERHEAD_BYTES,
+      });
+
+      // Three estimations, cheapest first
+      const [low, medium, high] = data.estimations.map(({ fee }) => fee).sort((a, b) => a - b);
+
       return {
-        low: data.estimated_cost_scalar,
-        medium: data.estimated_cost,
-        high: data.estimated_cost_scalar * 2,
+        low,
+        medium,
+        high,
         // Convert to STX
-        lowStx: parseFloat(data.estimated_cost_scalar) / 1000000,
-        mediumStx: parseFloat(data.estimated_cost) / 1000000,
-        highStx: (parseFloat(data.estimated_cost_scalar) * 2) / 1000000,
+        lowStx: low / 1000000,
+        mediumStx: medium / 1000000,
+        highStx: high / 1000000,
       };
     } catch (error) {
       console.error('Error estimating fee:', error);
@@ -375,6 +682,23 @@ class StacksService {
     }
   }
 
+  /**
+   * Pick the fee for a speed tier
+   * @param {Object} fees - From estimateFee
+   * @param {string} tier - 'slow' | 'normal' | 'fast' (default: normal)
+   * @returns {Object} { tier, fee, feeStx }
+   */
+  getFeeForTier(fees, tier) {
+    const name = FEE_TIERS[tier] ? tier : 'normal';
+    const level = FEE_TIERS[name];
+
+    return {
+      tier: name,
+      fee: fees[level],
+      feeStx: fees[`${level}Stx`],
+    };
+  }
+
   /**
    * Validate Stacks address format
    * @param {string} address - Address to validate
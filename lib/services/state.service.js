@@ -1,43 +1,42 @@
 /**
  * State Service (JavaScript)
- * Manages conversation states for multi-step interactions
+ * Stores conversation states for multi-step interactions
+ * (the ConversationService decides what they mean)
+ *
+ * One shape everywhere: { phoneNumber, flow, step, data, createdAt, expiresAt, expired }
  */
 
-import { db } from './database.service.js';
+import { repositories } from '../repositories/index.js';
 
 class StateService {
+  /**
+   * @param {Object} states - Conversation states repository
+   */
+  constructor(states = repositories.conversationStates) {
+    this.states = states;
+  }
+
   /**
    * Set conversation state for a user
    * @param {string} phoneNumber
-   * @param {string} stateType - 'registration' | 'add_contact' | 'send_payment' | 'claim_escrow'
-   * @param {Object} stateData - Additional data for the state
+   * @param {string} flow - Flow name, e.g. 'registration' | 'payment' | 'escrow'
+   * @param {string} step - Step waiting for the user's reply, e.g. 'confirm_send'
+   * @param {Object} data - Data the flow carries between steps
+   * @param {number} timeoutMinutes - How long the step waits for a reply (default: 10)
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  async setState(phoneNumber, stateType, stateData = {}) {
+  async setState(phoneNumber, flow, step, data = {}, timeoutMinutes = 10) {
     try {
-      const client = db.getClient();
-
-      // Calculate expiration (10 minutes from now)
       const expiresAt = new Date();
-      expiresAt.setMinutes(expiresAt.getMinutes() + 10);
-
-      const { error } = await client
-        .from('conversation_states')
-        .upsert({
-          phone_number: phoneNumber,
-          state_type: stateType,
-          state_data: stateData,
-          expires_at: expiresAt.toISOString(),
-        }, {
-          onConflict: 'phone_number'
-        });
-
-      if (error) {
-        return {
-          success: false,
-          error: error.message,
-        };
-      }
+      expiresAt.setMinutes(expiresAt.getMinutes() + timeoutMinutes);
+
+      await this.states.upsert({
+        phone_number: phoneNumber,
+        state_type: flow,
+        step,
+        state_data: data,
+        expires_at: expiresAt.toISOString(),
+      }, 'phone_number');
 
       return {
         success: true,
@@ -53,43 +52,31 @@ class StateService {
   /**
    * Get conversation state for a user
    * @param {string} phoneNumber
+   * @param {Object} options
+   * @param {boolean} options.includeExpired - Also return a state that timed out (default: false)
    * @returns {Promise<{success: boolean, state?: Object, error?: string}>}
    */
-  async getState(phoneNumber) {
+  async getState(phoneNumber, { includeExpired = false } = {}) {
     try {
-      const client = db.getClient();
-      const now = new Date().toISOString();
+      const where = { phone_number: phoneNumber };
+
+      if (!includeExpired) {
+        where.expires_at = { gt: new Date().toISOString() }; // Only get non-expired states
+      }
+
+      const data = await this.states.findOne(where);
 
-      const { data, error } = await client
-        .from('conversation_states')
-        .select('*')
-        .eq('phone_number', phoneNumber)
-        .gt('expires_at', now) // Only get non-expired states
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          // No state found or expired
-          return {
-            success: false,
-            error: 'No active state found',
-          };
-        }
+      if (!data) {
+        // No state found or expired
         return {
           success: false,
-          error: error.message,
+          error: 'No active state found',
         };
       }
 
       return {
         success: true,
-        state: {
-          phoneNumber: data.phone_number,
-          stateType: data.state_type,
-          stateData: data.state_data,
-          createdAt: data.created_at,
-          expiresAt: data.expires_at,
-        },
+        state: this.mapToState(data),
       };
     } catch (error) {
       return {
@@ -106,19 +93,7 @@ class StateService {
    */
   async clearState(phoneNumber) {
     try {
-      const client = db.getClient();
-
-      const { error } = await client
-        .from('conversation_states')
-        .delete()
-        .eq('phone_number', phoneNumber);
-
-      if (error) {
-        return {
-          success: false,
-          error: error.message,
-        };
-      }
+      await this.states.delete({ phone_number: phoneNumber });
 
       return {
         success: true,
@@ -132,7 +107,25 @@ class StateService {
   }
 
   /**
-   * Update state data without changing state type
+   * Remove a state that was read, if it is still the stored one
+   * (every setState writes a new expires_at, so it marks the version).
+   * Errors are thrown: callers only act on a state they removed
+   * @param {Object} state - State from getState
+   * @returns {Promise<boolean>} True if this call removed it
+   */
+  async takeState(state) {
+    const deleted = await this.states.delete({
+      phone_number: state.phoneNumber,
+      state_type: state.flow,
+      step: state.step,
+      expires_at: state.expiresAt,
+    });
+
+    return deleted.length === 1;
+  }
+
+  /**
+   * Update state data without changing flow or step
    * @param {string} phoneNumber
    * @param {Object} newData - Data to merge with existing state data
    * @returns {Promise<{success: boolean, error?: string}>}
@@ -151,14 +144,15 @@ class StateService {
 
       // Merge data
       const mergedData = {
-        ...currentState.state.stateData,
+        ...currentState.state.data,
         ...newData,
       };
 
       // Update state with merged data
       return await this.setState(
         phoneNumber,
-        currentState.state.stateType,
+        currentState.state.flow,
+        currentState.state.step,
         mergedData
       );
     } catch (error) {
@@ -180,13 +174,13 @@ class StateService {
   }
 
   /**
-   * Get state type for a user (or null if no active state)
+   * Get the active flow for a user (or null if no active state)
    * @param {string} phoneNumber
    * @returns {Promise<string|null>}
    */
-  async getStateType(phoneNumber) {
+  async getFlow(phoneNumber) {
     const result = await this.getState(phoneNumber);
-    return result.success ? result.state.stateType : null;
+    return result.success ? result.state.flow : null;
   }
 
   /**
@@ -195,21 +189,10 @@ class StateService {
    */
   async cleanExpiredStates() {
     try {
-      const client = db.getClient();
       const now = new Date().toISOString();
+      const deleted = await this.states.delete({ expires_at: { lt: now } });
 
-      const { data, error } = await client
-        .from('conversation_states')
-        .delete()
-        .lt('expires_at', now)
-        .select('phone_number');
-
-      if (error) {
-        console.error('Error cleaning expired states:', error);
-        return 0;
-      }
-
-      return data?.length || 0;
+      return deleted.length;
     } catch (error) {
       console.error('Error cleaning expired states:', error);
       return 0;
@@ -222,26 +205,35 @@ class StateService {
    */
   async getAllActiveStates() {
     try {
-      const client = db.getClient();
       const now = new Date().toISOString();
+      const rows = await this.states.findMany(
+        { expires_at: { gt: now } },
+        { orderBy: 'created_at', ascending: false }
+      );
 
-      const { data, error } = await client
-        .from('conversation_states')
-        .select('*')
-        .gt('expires_at', now)
-        .order('created_at', { ascending: false });
-
-      if (error) {
-        console.error('Error getting active states:', error);
-        return [];
-      }
-
-      return data || [];
+      return rows.map(row => this.mapToState(row));
     } catch (error) {
       console.error('Error getting active states:', error);
       return [];
     }
   }
+
+  /**
+   * Map database row to state object
+   * @param {Object} row
+   * @returns {Object}
+   */
+  mapToState(row) {
+    return {
+      phoneNumber: row.phone_number,
+      flow: row.state_type,
+      step: row.step,
+      data: row.state_data || {},
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      expired: new Date(row.expires_at) <= new Date(),
+    };
+  }
 }
 
 // Export singleton instance
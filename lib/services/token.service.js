@@ -0,0 +1,297 @@
+/**
+ * Token Service
+ *
+ * Registry and helpers for SIP-010 fungible tokens:
+ * - Known tokens per network (contract id, symbol, decimals)
+ * - Extra tokens from TOKEN_REGISTRY (JSON array, same shape)
+ * - Convert between display amounts and base units
+ * - Build SIP-010 transfer contract calls with post-conditions
+ * - Read token balances from StacksService.getBalance
+ * - Look up metadata for tokens outside the registry (cached)
+ */
+
+import transactionsPkg from '@stacks/transactions';
+const {
+  uintCV,
+  principalCV,
+  noneCV,
+  someCV,
+  bufferCVFromString,
+  PostConditionMode,
+  Pc,
+} = transactionsPkg;
+
+import stacksService from './stacks.service.js';
+
+// assetName is the define-fungible-token name inside the contract
+const DEFAULT_TOKENS = {
+  mainnet: [
+    {
+      symbol: 'USDA',
+      name: 'USDA',
+      contractId: 'SP2C2YFP12AJZB4MABJBAJ55XECVS7E4PMMZ89YZR.usda-token',
+      assetName: 'usda',
+      decimals: 6,
+    },
+    {
+      symbol: 'SBTC',
+      name: 'sBTC',
+      contractId: 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token',
+      assetName: 'sbtc-token',
+      decimals: 8,
+    },
+    {
+      symbol: 'ALEX',
+      name: 'ALEX',
+      contractId: 'SP102V8P0F7JX67ARQ77WEA3D3CFB5XW39REDT0AM.token-alex',
+      assetName: 'alex',
+      decimals: 8,
+    },
+  ],
+  testnet: [],
+};
+
+class TokenService {
+  constructor() {
+    this.network = process.env.STACKS_NETWORK === 'testnet' ? 'testnet' : 'mainnet';
+    this.tokens = new Map();
+
+    // Metadata of unregistered tokens, by contract id
+    this.metadataCache = new Map();
+
+    DEFAULT_TOKENS[this.network].forEach(token => this.registerToken(token));
+
+    if (process.env.TOKEN_REGISTRY) {
+      try {
+        JSON.parse(process.env.TOKEN_REGISTRY).forEach(token => this.registerToken(token));
+      } catch (error) {
+        console.error('Invalid TOKEN_REGISTRY:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Add a token to the registry
+   * @param {Object} token - { symbol, name, contractId, assetName, decimals }
+   */
+  registerToken({ symbol, name, contractId, assetName, decimals }) {
+    if (!symbol || !contractId || !assetName || !Number.isInteger(decimals)) {
+      throw new Error(`Invalid token definition: ${symbol || contractId}`);
+    }
+
+    const [contractAddress, contractName] = contractId.split('.');
+
+    this.tokens.set(symbol.toUpperCase(), {
+      symbol: symbol.toUpperCase(),
+      name: name || symbol,
+      contractId,
+      contractAddress,
+      contractName,
+      assetName,
+      decimals,
+    });
+  }
+
+  /**
+   * Get a token by symbol (case-insensitive)
+   * @param {string} symbol - Token symbol, e.g. "usda"
+   * @returns {Object|null} Token or null
+   */
+  getToken(symbol) {
+    return this.tokens.get((symbol || '').toUpperCase()) || null;
+  }
+
+  /**
+   * Get a token by contract id
+   * @param {string} contractId - e.g. "SP2C2...usda-token"
+   * @returns {Object|null} Token or null
+   */
+  getByContractId(contractId) {
+    return this.listTokens().find(token => token.contractId === contractId) || null;
+  }
+
+  /**
+   * List all registered tokens
+   * @returns {Array} Tokens
+   */
+  listTokens() {
+    return [...this.tokens.values()];
+  }
+
+  /**
+   * Convert a display amount to base units
+   * @param {number|string} amount - e.g. 100.5
+   * @param {Object} token - Token from the registry
+   * @returns {bigint} Base units
+   */
+  toBaseUnits(amount, token) {
+    const [whole, fraction = ''] = String(amount).split('.');
+    if (fraction.length > token.decimals) {
+      throw new Error(`${token.symbol} supports at most ${token.decimals} decimal places`);
+    }
+
+    return BigInt(whole + fraction.padEnd(token.decimals, '0'));
+  }
+
+  /**
+   * Convert base units to a display amount
+   * @param {bigint|number|string} baseUnits - Amount in base units
+   * @param {Object} token - Token from the registry
+   * @returns {string} e.g. "100.5"
+   */
+  fromBaseUnits(baseUnits, token) {
+    const digits = BigInt(baseUnits).toString().padStart(token.decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - token.decimals);
+    const fraction = digits.slice(digits.length - token.decimals).replace(/0+$/, '');
+
+    return fraction ? `${whole}.${fraction}` : whole;
+  }
+
+  /**
+   * Format base units with symbol
+   * @param {bigint|number|string} baseUnits - Amount in base units
+   * @param {Object} token - Token from the registry
+   * @returns {string} e.g. "100.5 USDA"
+   */
+  formatAmount(baseUnits, token) {
+    return `${this.fromBaseUnits(baseUnits, token)} ${token.symbol}`;
+  }
+
+  /**
+   * Build the unsigned SIP-010 transfer contract call
+   * @param {Object} params - Transfer parameters
+   * @param {Object} params.token - Token from the registry
+   * @param {string} params.senderAddress - Sender's STX address
+   * @param {string} params.recipientAddress - Recipient's STX address
+   * @param {bigint|string} params.amount - Amount in base units
+   * @param {string} params.memo - Optional memo (max 34 bytes)
+   * @returns {Object} Contract call options (without key, nonce or fee)
+   */
+  buildTransferCall({ token, senderAddress, recipientAddress, amount, memo = '' }) {
+    return {
+      contractAddress: token.contractAddress,
+      contractName: token.contractName,
+      functionName: 'transfer',
+      functionArgs: [
+        uintCV(amount),
+        principalCV(senderAddress),
+        principalCV(recipientAddress),
+        memo ? someCV(bufferCVFromString(memo)) : noneCV(),
+      ],
+      postConditionMode: PostConditionMode.Deny,
+      // Post condition: sender must send exactly this amount of the token
+      postConditions: [
+        Pc.principal(senderAddress).willSendEq(amount).ft(token.contractId, token.assetName),
+      ],
+    };
+  }
+
+  /**
+   * Get balances of registered tokens from StacksService.getBalance output
+   * @param {Object} balance - Result of stacksService.getBalance
+   * @returns {Array} [{ token, balance (bigint), formatted }]
+   */
+  getTokenBalances(balance) {
+    return this.listTokens()
+      .map(token => {
+        const units = this.getTokenBalance(balance, token);
+        return { token, balance: units, formatted: this.formatAmount(units, token) };
+      })
+      .filter(({ balance: units }) => units > 0n);
+  }
+
+  /**
+   * Describe every fungible token held, using contract metadata for unregistered tokens
+   * @param {Object} balance - Result of stacksService.getBalance
+   * @returns {Promise<Array>} [{ token, balance, totalSent, totalReceived, formatted }]
+   */
+  async describeTokenBalances(balance) {
+    const entries = Object.entries(balance.fungibleTokens || {})
+      .filter(([, entry]) => BigInt(entry.balance || 0) > 0n);
+
+    const described = [];
+    for (const [key, entry] of entries) {
+      const [contractId, assetName] = key.split('::');
+      const token = await this.resolveToken(contractId, assetName);
+
+      described.push({
+        token,
+        balance: BigInt(entry.balance),
+        totalSent: BigInt(entry.total_sent || 0),
+        totalReceived: BigInt(entry.total_received || 0),
+        formatted: this.formatAmount(entry.balance, token),
+      });
+    }
+
+    return described;
+  }
+
+  /**
+   * Get a token from the registry, or build one from contract metadata
+   * Falls back to the asset name and 0 decimals if metadata is unavailable.
+   * @param {string} contractId - Token contract id
+   * @param {string} assetName - Fungible token name inside the contract
+   * @returns {Promise<Object>} Token
+   */
+  async resolveToken(contractId, assetName) {
+    const registered = this.getByContractId(contractId);
+    if (registered) {
+      return registered;
+    }
+
+    if (!this.metadataCache.has(contractId)) {
+      try {
+        this.metadataCache.set(contractId, await stacksService.getTokenMetadata(contractId));
+      } catch (error) {
+        // Don't cache failures - metadata may just not be indexed yet
+        console.error(`Token metadata unavailable for ${contractId}:`, error.message);
+      }
+    }
+
+    const metadata = this.metadataCache.get(contractId) || {};
+    const [contractAddress, contractName] = contractId.split('.');
+
+    return {
+      symbol: (metadata.symbol || assetName).toUpperCase(),
+      name: metadata.name || assetName,
+      contractId,
+      contractAddress,
+      contractName,
+      assetName,
+      decimals: Number.isInteger(metadata.decimals) ? metadata.decimals : 0,
+    };
+  }
+
+  /**
+   * Count NFTs held per collection
+   * @param {Object} balance - Result of stacksService.getBalance
+   * @returns {Array} [{ collection, contractId, count }]
+   */
+  getNftCounts(balance) {
+    return Object.entries(balance.nonFungibleTokens || {})
+      .map(([key, entry]) => {
+        const [contractId, assetName] = key.split('::');
+        return {
+          collection: assetName || contractId.split('.')[1],
+          contractId,
+          count: parseInt(entry.count || 0, 10),
+        };
+      })
+      .filter(({ count }) => count > 0);
+  }
+
+  /**
+   * Get one token balance from StacksService.getBalance output
+   * @param {Object} balance - Result of stacksService.getBalance
+   * @param {Object} token - Token from the registry
+   * @returns {bigint} Balance in base units
+   */
+  getTokenBalance(balance, token) {
+    const entry = (balance.fungibleTokens || {})[`${token.contractId}::${token.assetName}`];
+    return BigInt(entry?.balance || 0);
+  }
+}
+
+// Export singleton instance
+const tokenService = new TokenService();
+export default tokenService;
@@ -3,28 +3,55 @@
  * 
  * Handles STX transaction creation, signing, broadcasting, and tracking:
  * - Create STX transfer transactions
+ * - Create SIP-010 token transfers
  * - Sign transactions with private keys
  * - Broadcast to Stacks blockchain
  * - Track transaction status in database
  * - Monitor confirmations
+ * - Replace stuck transactions (same nonce, higher fee): speed up or cancel
  */
 
 import pkg from '@stacks/transactions';
-const { makeSTXTokenTransfer, broadcastTransaction, AnchorMode, PostConditionMode } = pkg;
+const { makeSTXTokenTransfer, makeContractCall, AnchorMode, PostConditionMode } = pkg;
 
 import networkPkg from '@stacks/network';
-const { StacksMainnet, StacksTestnet } = networkPkg;
+const { STACKS_MAINNET, STACKS_TESTNET } = networkPkg;
 
 import stacksService from './stacks.service.js';
-import databaseService from './database.service.js';
+import { repositories } from '../repositories/index.js';
+import keyVaultService from './key-vault.service.js';
+import nonceManager from './nonce-manager.service.js';
+import tokenService from './token.service.js';
+
+// A cancel sends 1 microSTX here - the node refuses zero-amount transfers
+// and transfers to the sender
+const CANCEL_RECIPIENT = {
+  mainnet: 'SP000000000000000000002Q6VF78',
+  testnet: 'ST000000000000000000002AMW42H',
+};
+const CANCEL_AMOUNT_MICROSTX = 1;
 
 class TransactionService {
-  constructor() {
-    this.network = process.env.STACKS_NETWORK === 'testnet' 
-      ? new StacksTestnet() 
-      : new StacksMainnet();
+  /**
+   * @param {Object} transactions - Transactions repository
+   */
+  constructor(transactions = repositories.transactions) {
+    this.transactions = transactions;
+
+    this.network = process.env.STACKS_NETWORK === 'testnet'
+      ? STACKS_TESTNET
+      : STACKS_MAINNET;
     
     this.networkType = process.env.STACKS_NETWORK || 'mainnet';
+
+    // Pending checks back off up to once an hour
+    this.maxBackoffMinutes = 60;
+
+    // Never seen by the API after this long = dropped
+    this.notFoundDropMinutes = 60;
+
+    // A replacement pays at least 1.5x the fee of the transaction it replaces
+    this.replacementFeeMultiplier = 1.5;
   }
 
   /**
@@ -36,6 +63,8 @@ class TransactionService {
    * @param {number} params.amountMicroStx - Amount in microSTX
    * @param {string} params.memo - Optional memo (max 34 bytes)
    * @param {number} params.fee - Optional fee in microSTX (will estimate if not provided)
+   * @param {number} params.nonce - Optional nonce (reserved from the NonceManager if not provided;
+   *   the caller then confirms or releases it - sendTransaction does this)
    * @returns {Promise<Object>} Signed transaction details
    */
   async createTransaction({
@@ -45,6 +74,7 @@ class TransactionService {
     amountMicroStx,
     memo = '',
     fee = null,
+    nonce = null,
   }) {
     try {
       // Validate inputs
@@ -58,14 +88,17 @@ class TransactionService {
         throw new Error('Amount must be greater than 0');
       }
 
-      // Get sender's nonce
-      const accountInfo = await stacksService.getAccountInfo(senderAddress);
-      const nonce = accountInfo.nonce;
+      // Reserve sender's nonce
+      if (nonce === null) {
+        nonce = await nonceManager.reserve(senderAddress);
+      }
 
       // Estimate fee if not provided
       let txFee = fee;
       if (!txFee) {
-        const feeEstimate = await stacksService.estimateFee();
+        const feeEstimate = await stacksService.estimateFee(
+          stacksService.buildTransferPayload(recipientAddress, amountMicroStx, memo)
+        );
         txFee = feeEstimate.medium; // Use medium fee estimate
       }
 
@@ -107,96 +140,177 @@ class TransactionService {
    * @returns {Promise<Object>} Broadcast result with txId
    */
   async broadcastTransaction(transaction) {
+    return await stacksService.broadcastTransaction(transaction);
+  }
+
+  /**
+   * Create, sign, and broadcast a transaction in one step
+   * The sender's key is taken from the key vault only for the signing call.
+   * @param {Object} params - Transaction parameters (same as createTransaction, without senderKey)
+   * @param {string} params.senderPhone - Sender's phone number (key vault lookup and database tracking)
+   * @param {string} params.recipientPhone - Recipient's phone number (for database tracking)
+   * @returns {Promise<Object>} Complete transaction result
+   */
+  async sendTransaction({
+    senderAddress,
+    senderPhone,
+    recipientAddress,
+    recipientPhone,
+    amountMicroStx,
+    memo = '',
+    fee = null,
+  }) {
     try {
-      const broadcastResponse = await broadcastTransaction(
-        transaction,
-        this.network
-      );
+      // Steps 1-2 hold a nonce; it's freed again if either fails
+      const { txData, txId } = await nonceManager.withNonce(senderAddress, async (nonce) => {
+        // Step 1: Create and sign transaction
+        console.log('Creating transaction...');
+        const txData = await keyVaultService.withDecryptedKey(senderPhone, senderKey =>
+          this.createTransaction({
+            senderAddress,
+            senderKey,
+            recipientAddress,
+            amountMicroStx,
+            memo,
+            fee,
+            nonce,
+          })
+        );
+
+        // Step 2: Broadcast transaction
+        console.log('Broadcasting transaction...');
+        const broadcastResult = await this.broadcastTransaction(txData.transaction);
+
+        if (!broadcastResult.success) {
+          throw new Error(broadcastResult.error);
+        }
+
+        return { txData, txId: broadcastResult.txId };
+      });
 
-      if (broadcastResponse.error) {
-        throw new Error(broadcastResponse.reason || 'Broadcast failed');
+      // Step 3: Record in database - the transfer is already broadcast, so
+      // a failure here must not look like an unsent payment
+      console.log('Recording in database...');
+      try {
+        await this.recordTransaction({
+          txId,
+          senderPhone,
+          recipientPhone,
+          senderAddress,
+          recipientAddress,
+          amountMicroStx,
+          fee: txData.fee,
+          memo,
+          status: 'pending',
+          nonce: txData.nonce,
+        });
+      } catch (error) {
+        console.error(`Transaction ${txId} was broadcast but not recorded:`, error.message);
       }
 
       return {
         success: true,
-        txId: broadcastResponse.txid,
-        message: 'Transaction broadcasted successfully',
+        txId,
+        senderAddress,
+        recipientAddress,
+        amountStx: txData.amountStx,
+        feeStx: txData.feeStx,
+        message: 'Transaction sent successfully',
       };
     } catch (error) {
-      console.error('Error broadcasting transaction:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Failed to broadcast transaction',
-      };
+      console.error('Error sending transaction:', error);
+      throw new Error(`Failed to send transaction: ${error.message}`);
     }
   }
 
   /**
-   * Create, sign, and broadcast a transaction in one step
-   * @param {Object} params - Transaction parameters (same as createTransaction)
-   * @param {string} params.senderPhone - Sender's phone number (for database tracking)
+   * Create, sign, and broadcast a SIP-010 token transfer in one step
+   * The sender's key is taken from the key vault only for the signing call.
+   * @param {Object} params - Transfer parameters
+   * @param {Object} params.token - Token from the registry
+   * @param {string} params.senderAddress - Sender's Stacks address
+   * @param {string} params.senderPhone - Sender's phone number (key vault lookup and database tracking)
+   * @param {string} params.recipientAddress - Recipient's Stacks address
    * @param {string} params.recipientPhone - Recipient's phone number (for database tracking)
+   * @param {string} params.amount - Amount in token base units
+   * @param {string} params.memo - Optional memo (max 34 bytes)
+   * @param {number} params.fee - Optional fee in microSTX (will estimate if not provided)
    * @returns {Promise<Object>} Complete transaction result
    */
-  async sendTransaction({
+  async sendTokenTransaction({
+    token,
     senderAddress,
-    senderKey,
     senderPhone,
     recipientAddress,
     recipientPhone,
-    amountMicroStx,
+    amount,
     memo = '',
     fee = null,
   }) {
     try {
-      // Step 1: Create and sign transaction
-      console.log('Creating transaction...');
-      const txData = await this.createTransaction({
-        senderAddress,
-        senderKey,
-        recipientAddress,
-        amountMicroStx,
-        memo,
-        fee,
-      });
-
-      // Step 2: Broadcast transaction
-      console.log('Broadcasting transaction...');
-      const broadcastResult = await this.broadcastTransaction(txData.transaction);
-
-      if (!broadcastResult.success) {
-        throw new Error(broadcastResult.error);
+      if (!stacksService.isValidAddress(recipientAddress)) {
+        throw new Error('Invalid recipient address');
+      }
+      if (BigInt(amount) <= 0n) {
+        throw new Error('Amount must be greater than 0');
       }
 
-      const txId = broadcastResult.txId;
+      const call = tokenService.buildTransferCall({ token, senderAddress, recipientAddress, amount, memo });
+      const txFee = fee || (await stacksService.estimateFee(stacksService.buildContractCallPayload(call))).medium;
+
+      const { txId, nonce } = await nonceManager.withNonce(senderAddress, async (nonce) => {
+        const transaction = await keyVaultService.withDecryptedKey(senderPhone, senderKey =>
+          makeContractCall({
+            ...call,
+            senderKey,
+            network: this.network,
+            anchorMode: AnchorMode.Any,
+            nonce,
+            fee: txFee,
+          })
+        );
+
+        const broadcastResult = await this.broadcastTransaction(transaction);
+
+        if (!broadcastResult.success) {
+          throw new Error(broadcastResult.error);
+        }
 
-      // Step 3: Record in database
-      console.log('Recording in database...');
-      await this.recordTransaction({
-        txId,
-        senderPhone,
-        recipientPhone,
-        senderAddress,
-        recipientAddress,
-        amountMicroStx,
-        fee: txData.fee,
-        memo,
-        status: 'pending',
+        return { txId: broadcastResult.txId, nonce };
       });
 
+      // Already broadcast - a failure here must not look like an unsent payment
+      try {
+        await this.recordTransaction({
+          txId,
+          senderPhone,
+          recipientPhone,
+          senderAddress,
+          recipientAddress,
+          amountMicroStx: 0,
+          fee: txFee,
+          memo,
+          status: 'pending',
+          token,
+          tokenAmount: amount,
+          nonce,
+        });
+      } catch (error) {
+        console.error(`Transaction ${txId} was broadcast but not recorded:`, error.message);
+      }
+
       return {
         success: true,
         txId,
         senderAddress,
         recipientAddress,
-        amountStx: txData.amountStx,
-        feeStx: txData.feeStx,
+        amount: tokenService.formatAmount(amount, token),
+        feeStx: stacksService.microStxToStx(txFee),
         message: 'Transaction sent successfully',
       };
     } catch (error) {
-      console.error('Error sending transaction:', error);
-      throw new Error(`Failed to send transaction: ${error.message}`);
+      console.error('Error sending token transaction:', error);
+      throw new Error(`Failed to send ${token.symbol}: ${error.message}`);
     }
   }
 
@@ -215,32 +329,33 @@ class TransactionService {
     fee,
     memo,
     status,
+    token = null,
+    tokenAmount = null,
+    nonce = null,
+    replacesTxId = null,
+    replacementType = null,
   }) {
     try {
-      const { data, error } = await databaseService.client
-        .from('transactions')
-        .insert([
-          {
-            tx_id: txId,
-            sender_phone: senderPhone,
-            recipient_phone: recipientPhone,
-            sender_address: senderAddress,
-            recipient_address: recipientAddress,
-            amount_micro_stx: amountMicroStx,
-            fee_micro_stx: fee,
-            memo: memo,
-            status: status,
-            created_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        throw error;
-      }
-
-      return data;
+      return await this.transactions.insert({
+        tx_id: txId,
+        sender_phone: senderPhone,
+        recipient_phone: recipientPhone,
+        sender_address: senderAddress,
+        recipient_address: recipientAddress,
+        amount_micro_stx: amountMicroStx,
+        fee_micro_stx: fee,
+        memo: memo,
+        status: status,
+        // SIP-010 transfers (null for STX)
+        token_symbol: token ? token.symbol : null,
+        token_contract_id: token ? token.contractId : null,
+        token_amount: token ? String(tokenAmount) : null,
+        nonce,
+        // Replacements: the first transaction of the chain, and 'speed_up' | 'cancel'
+        replaces_tx_id: replacesTxId,
+        replacement_type: replacementType,
+        created_at: new Date().toISOString(),
+      });
     } catch (error) {
       console.error('Error recording transaction:', error);
       throw new Error(`Failed to record transaction: ${error.message}`);
@@ -254,20 +369,7 @@ class TransactionService {
    */
   async getTransactionById(txId) {
     try {
-      const { data, error } = await databaseService.client
-        .from('transactions')
-        .select('*')
-        .eq('tx_id', txId)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return null; // Not found
-        }
-        throw error;
-      }
-
-      return data;
+      return await this.transactions.findOne({ tx_id: txId });
     } catch (error) {
       console.error('Error getting transaction:', error);
       throw new Error(`Failed to get transaction: ${error.message}`);
@@ -283,27 +385,20 @@ class TransactionService {
    */
   async getTransactionsByPhone(phoneNumber, type = 'all', limit = 50) {
     try {
-      let query = databaseService.client
-        .from('transactions')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
+      let where;
       if (type === 'sent') {
-        query = query.eq('sender_phone', phoneNumber);
+        where = { sender_phone: phoneNumber };
       } else if (type === 'received') {
-        query = query.eq('recipient_phone', phoneNumber);
+        where = { recipient_phone: phoneNumber };
       } else {
-        query = query.or(`sender_phone.eq.${phoneNumber},recipient_phone.eq.${phoneNumber}`);
+        where = { or: [{ sender_phone: phoneNumber }, { recipient_phone: phoneNumber }] };
       }
 
-      const { data, error } = await query;
-
-      if (error) {
-        throw error;
-      }
-
-      return data || [];
+      return await this.transactions.findMany(where, {
+        orderBy: 'created_at',
+        ascending: false,
+        limit,
+      });
     } catch (error) {
       console.error('Error getting transactions by phone:', error);
       throw new Error(`Failed to get transactions: ${error.message}`);
@@ -313,7 +408,7 @@ class TransactionService {
   /**
    * Update transaction status
    * @param {string} txId - Transaction ID
-   * @param {string} status - New status ('pending' | 'confirmed' | 'failed')
+   * @param {string} status - New status ('pending' | 'confirmed' | 'failed' | 'dropped')
    * @param {number} blockHeight - Optional block height when confirmed
    * @returns {Promise<Object>} Updated transaction
    */
@@ -329,15 +424,10 @@ class TransactionService {
         updateData.confirmed_at = new Date().toISOString();
       }
 
-      const { data, error } = await databaseService.client
-        .from('transactions')
-        .update(updateData)
-        .eq('tx_id', txId)
-        .select()
-        .single();
+      const [data] = await this.transactions.update({ tx_id: txId }, updateData);
 
-      if (error) {
-        throw error;
+      if (!data) {
+        throw new Error('Transaction not found');
       }
 
       return data;
@@ -418,22 +508,23 @@ class TransactionService {
   }
 
   /**
-   * Get pending transactions and check their status
+   * Check a batch of pending transactions that are due (should be called periodically)
+   * Transactions that stay pending are re-checked with exponential backoff.
+   * @param {Object} options - Options
+   * @param {number} options.batchSize - Maximum transactions to check (default: 25)
+   * @param {Function} options.onUpdate - Optional async callback for each status change
    * @returns {Promise<Array>} Updated transactions
    */
-  async checkPendingTransactions() {
+  async checkPendingTransactions({ batchSize = 25, onUpdate = null } = {}) {
     try {
-      // Get all pending transactions from database
-      const { data: pendingTxs, error } = await databaseService.client
-        .from('transactions')
-        .select('*')
-        .eq('status', 'pending');
-
-      if (error) {
-        throw error;
-      }
+      // Get pending transactions due for a check
+      const now = new Date().toISOString();
+      const pendingTxs = await this.transactions.findMany(
+        { status: 'pending', or: [{ next_check_at: null }, { next_check_at: { lte: now } }] },
+        { orderBy: 'created_at', limit: batchSize }
+      );
 
-      if (!pendingTxs || pendingTxs.length === 0) {
+      if (pendingTxs.length === 0) {
         return [];
       }
 
@@ -444,13 +535,36 @@ class TransactionService {
       for (const tx of pendingTxs) {
         try {
           const status = await stacksService.getTransactionStatus(tx.tx_id);
-          
-          if (status.confirmed) {
-            await this.updateTransactionStatus(tx.tx_id, 'confirmed', status.blockHeight);
-            updates.push({ txId: tx.tx_id, status: 'confirmed' });
-          } else if (status.failed) {
-            await this.updateTransactionStatus(tx.tx_id, 'failed');
-            updates.push({ txId: tx.tx_id, status: 'failed' });
+          const newStatus = this.resolveStatus(status, tx.created_at);
+
+          if (newStatus === 'pending') {
+            await this.scheduleNextCheck(tx);
+            continue;
+          }
+
+          // Only one of a transaction and its replacements can confirm
+          const family = await this.getReplacementFamily(tx);
+          const others = family.filter(member => member.tx_id !== tx.tx_id);
+
+          if (newStatus === 'dropped' && others.some(member => ['pending', 'confirmed'].includes(member.status))) {
+            // Pushed out by its replacement (or the other way round) - nothing to tell anyone
+            await this.updateTransactionStatus(tx.tx_id, 'replaced');
+            continue;
+          }
+
+          const updated = await this.updateTransactionStatus(tx.tx_id, newStatus, status.blockHeight);
+          if (newStatus !== 'dropped') {
+            // Mined - the nonce is used, the rest of the family can't confirm any more
+            for (const member of others.filter(other => other.status === 'pending')) {
+              await this.updateTransactionStatus(member.tx_id, 'replaced');
+            }
+          }
+
+          const update = { txId: tx.tx_id, status: newStatus, transaction: updated || tx };
+          updates.push(update);
+
+          if (onUpdate) {
+            await onUpdate(update);
           }
         } catch (error) {
           console.error(`Error checking transaction ${tx.tx_id}:`, error.message);
@@ -464,18 +578,285 @@ class TransactionService {
     }
   }
 
+  /**
+   * Get a transaction together with its replacements
+   * @param {Object} tx - Transaction from database
+   * @returns {Promise<Array>} The first transaction and every replacement of it
+   */
+  async getReplacementFamily(tx) {
+    if (!tx.replaces_tx_id && !tx.replaced_by_tx_id) {
+      return [tx];
+    }
+
+    const root = tx.replaces_tx_id || tx.tx_id;
+    try {
+      const family = await this.transactions.findMany(
+        { or: [{ tx_id: root }, { replaces_tx_id: root }] },
+        { orderBy: 'created_at' }
+      );
+
+      return family.length > 0 ? family : [tx];
+    } catch (error) {
+      throw new Error(`Failed to get replacement transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a sender's pending transaction by ID
+   * A unique prefix (at least 8 characters, "0x" optional) is enough.
+   * Asking for any transaction of a replacement chain returns the latest one.
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {string} txIdInput - Full transaction ID or prefix
+   * @returns {Promise<Object|null>} Pending transaction, or null
+   */
+  async findPendingForSender(phoneNumber, txIdInput) {
+    const prefix = txIdInput.toLowerCase().replace(/^0x/, '');
+
+    let data;
+    try {
+      data = await this.transactions.findMany(
+        { sender_phone: phoneNumber, tx_id: { like: `0x${prefix}%` } },
+        { limit: 2 }
+      );
+    } catch (error) {
+      throw new Error(`Failed to find transaction: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+      return null;
+    }
+
+    if (data.length > 1) {
+      throw new Error('More than one transaction starts with that ID. Use more characters.');
+    }
+
+    const family = await this.getReplacementFamily(data[0]);
+    return family.filter(member => member.status === 'pending').pop() || null;
+  }
+
+  /**
+   * What a replacement sends
+   * 'speed_up' repeats the transfer; 'cancel' sends 1 microSTX to a fixed
+   * address instead (the smallest transfer a node accepts)
+   * @param {Object} tx - Pending transaction from database
+   * @param {string} mode - 'speed_up' | 'cancel'
+   * @returns {Object} { recipientAddress, amountMicroStx, memo, token, call, payload }
+   *   (call is the SIP-010 contract call when a token transfer is repeated)
+   */
+  buildReplacement(tx, mode) {
+    if (mode === 'cancel') {
+      const recipientAddress = CANCEL_RECIPIENT[this.networkType] || CANCEL_RECIPIENT.mainnet;
+      const memo = `Cancel ${tx.tx_id.substring(0, 10)}`;
+
+      return {
+        recipientAddress,
+        amountMicroStx: CANCEL_AMOUNT_MICROSTX,
+        memo,
+        token: null,
+        call: null,
+        payload: stacksService.buildTransferPayload(recipientAddress, CANCEL_AMOUNT_MICROSTX, memo),
+      };
+    }
+
+    const token = tx.token_contract_id ? tokenService.getByContractId(tx.token_contract_id) : null;
+    const memo = tx.memo || '';
+    const call = token
+      ? tokenService.buildTransferCall({
+        token,
+        senderAddress: tx.sender_address,
+        recipientAddress: tx.recipient_address,
+        amount: tx.token_amount,
+        memo,
+      })
+      : null;
+
+    return {
+      recipientAddress: tx.recipient_address,
+      amountMicroStx: Number(tx.amount_micro_stx),
+      memo,
+      token,
+      call,
+      payload: call
+        ? stacksService.buildContractCallPayload(call)
+        : stacksService.buildTransferPayload(tx.recipient_address, tx.amount_micro_stx, memo),
+    };
+  }
+
+  /**
+   * Fee for a replacement transaction: the fast estimate for what it
+   * sends, and at least 1.5x the fee it replaces
+   * @param {Object} tx - Pending transaction from database
+   * @param {string} mode - 'speed_up' | 'cancel'
+   * @returns {Promise<number>} Fee in microSTX
+   */
+  async getReplacementFee(tx, mode) {
+    const { payload } = this.buildReplacement(tx, mode);
+    const { fee } = stacksService.getFeeForTier(await stacksService.estimateFee(payload), 'fast');
+    return Math.max(fee, Math.ceil(Number(tx.fee_micro_stx) * this.replacementFeeMultiplier));
+  }
+
+  /**
+   * Replace a pending transaction with one using the same nonce and a higher fee
+   * (see buildReplacement). Whichever confirms first wins - both stay
+   * tracked until then.
+   * @param {Object} tx - Pending transaction from database (latest of its chain)
+   * @param {Object} options
+   * @param {string} options.mode - 'speed_up' | 'cancel'
+   * @param {number} options.fee - New fee in microSTX (from getReplacementFee)
+   * @returns {Promise<Object>} { txId, fee, feeStx, nonce, mode }
+   */
+  async replaceTransaction(tx, { mode, fee }) {
+    try {
+      if (tx.status !== 'pending') {
+        throw new Error(`Transaction is already ${tx.status}`);
+      }
+
+      const status = await stacksService.getTransactionStatus(tx.tx_id);
+      if (status.confirmed || status.failed) {
+        throw new Error('Transaction is already in a block');
+      }
+      if (status.dropped) {
+        throw new Error('Transaction was dropped - send the payment again');
+      }
+      if (status.status === 'not_found') {
+        throw new Error('The network hasn\'t seen this transaction yet - try again in a minute');
+      }
+
+      const nonce = tx.nonce ?? (await stacksService.getTransaction(tx.tx_id)).nonce;
+      const cancel = mode === 'cancel';
+      const { recipientAddress, amountMicroStx, memo, token, call } = this.buildReplacement(tx, mode);
+
+      const transaction = await keyVaultService.withDecryptedKey(tx.sender_phone, senderKey => {
+        const common = { senderKey, network: this.network, anchorMode: AnchorMode.Any, nonce, fee };
+
+        return call
+          ? makeContractCall({ ...common, ...call })
+          : makeSTXTokenTransfer({ ...common, recipient: recipientAddress, amount: amountMicroStx, memo });
+      });
+
+      const broadcastResult = await this.broadcastTransaction(transaction);
+
+      if (!broadcastResult.success) {
+        throw new Error(broadcastResult.error);
+      }
+
+      const txId = broadcastResult.txId;
+      const root = tx.replaces_tx_id || tx.tx_id;
+
+      await this.recordTransaction({
+        txId,
+        senderPhone: tx.sender_phone,
+        recipientPhone: cancel ? null : tx.recipient_phone,
+        senderAddress: tx.sender_address,
+        recipientAddress,
+        amountMicroStx: cancel ? amountMicroStx : tx.amount_micro_stx,
+        fee,
+        memo,
+        status: 'pending',
+        token,
+        tokenAmount: token ? tx.token_amount : null,
+        nonce,
+        replacesTxId: root,
+        replacementType: mode,
+      });
+
+      // Link the first transaction of the chain to its latest replacement
+      await this.transactions.update(
+        { tx_id: root },
+        { replaced_by_tx_id: txId, updated_at: new Date().toISOString() }
+      );
+
+      return {
+        txId,
+        fee,
+        feeStx: stacksService.microStxToStx(fee),
+        nonce,
+        mode,
+      };
+    } catch (error) {
+      console.error('Error replacing transaction:', error);
+      throw new Error(`Failed to replace transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a chain status to a database status
+   * @param {Object} status - Result of stacksService.getTransactionStatus
+   * @param {string} createdAt - When the transaction was broadcast
+   * @returns {string} 'confirmed' | 'failed' | 'dropped' | 'pending'
+   */
+  resolveStatus(status, createdAt) {
+    if (status.confirmed) {
+      return 'confirmed';
+    }
+    if (status.failed) {
+      return 'failed';
+    }
+    if (status.dropped) {
+      return 'dropped';
+    }
+
+    // The API has never seen it - it didn't make it into any mempool
+    const ageMinutes = (Date.now() - new Date(createdAt).getTime()) / 60000;
+    if (status.status === 'not_found' && ageMinutes > this.notFoundDropMinutes) {
+      return 'dropped';
+    }
+
+    return 'pending';
+  }
+
+  /**
+   * Minutes to wait before the next check of a still-pending transaction
+   * 1, 2, 4, 8... capped at maxBackoffMinutes
+   * @param {number} attempts - Checks done so far
+   * @returns {number} Minutes
+   */
+  getBackoffMinutes(attempts) {
+    return Math.min(2 ** attempts, this.maxBackoffMinutes);
+  }
+
+  /**
+   * Back off the next check of a still-pending record
+   * @param {Object} record - Row with check_attempts
+   * @returns {Object} Columns to update ({ check_attempts, next_check_at })
+   */
+  getNextCheck(record) {
+    const attempts = (record.check_attempts || 0) + 1;
+    const nextCheckAt = new Date(Date.now() + this.getBackoffMinutes(attempts) * 60000);
+
+    return {
+      check_attempts: attempts,
+      next_check_at: nextCheckAt.toISOString(),
+    };
+  }
+
+  /**
+   * Record a check of a still-pending transaction
+   * @param {Object} tx - Transaction from database
+   */
+  async scheduleNextCheck(tx) {
+    await this.transactions.update({ tx_id: tx.tx_id }, this.getNextCheck(tx));
+  }
+
   /**
    * Format transaction for display
    * @param {Object} tx - Transaction from database
    * @returns {Object} Formatted transaction
    */
   formatTransaction(tx) {
+    const token = tx.token_contract_id ? tokenService.getByContractId(tx.token_contract_id) : null;
+
     return {
       txId: tx.tx_id,
       sender: tx.sender_phone,
       recipient: tx.recipient_phone,
-      amount: stacksService.microStxToStx(tx.amount_micro_stx),
-      amountStx: `${stacksService.microStxToStx(tx.amount_micro_stx)} STX`,
+      amount: token
+        ? tokenService.fromBaseUnits(tx.token_amount, token)
+        : stacksService.microStxToStx(tx.amount_micro_stx),
+      amountStx: token
+        ? tokenService.formatAmount(tx.token_amount, token)
+        : `${stacksService.microStxToStx(tx.amount_micro_stx)} STX`,
+      token: token ? token.symbol : 'STX',
       fee: stacksService.microStxToStx(tx.fee_micro_stx),
       feeStx: `${stacksService.microStxToStx(tx.fee_micro_stx)} STX`,
       status: tx.status,
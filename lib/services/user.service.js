@@ -3,9 +3,16 @@
  * Handles user registration and management
  */
 
-import { db } from './database.service.js';
+import { repositories } from '../repositories/index.js';
 
 class UserService {
+  /**
+   * @param {Object} users - Users repository
+   */
+  constructor(users = repositories.users) {
+    this.users = users;
+  }
+
   /**
    * Create a new user (register)
    * @param {Object} params
@@ -15,43 +22,30 @@ class UserService {
    */
   async create(params) {
     try {
-      const client = db.getClient();
-
-      const { data, error } = await client
-        .from('users')
-        .insert({
-          phone_number: params.phoneNumber,
-          stx_address: params.stxAddress,
-        })
-        .select()
-        .single();
-
-      if (error) {
-        // Check for duplicate phone number
-        if (error.code === '23505' && error.message.includes('phone_number')) {
-          return {
-            success: false,
-            error: 'Phone number already registered',
-          };
-        }
-        // Check for duplicate STX address
-        if (error.code === '23505' && error.message.includes('stx_address')) {
-          return {
-            success: false,
-            error: 'STX address already registered',
-          };
-        }
-        return {
-          success: false,
-          error: error.message,
-        };
-      }
+      const data = await this.users.insert({
+        phone_number: params.phoneNumber,
+        stx_address: params.stxAddress,
+      });
 
       return {
         success: true,
         user: this.mapToUser(data),
       };
     } catch (error) {
+      // Check for duplicate phone number
+      if (error.code === '23505' && error.message.includes('phone_number')) {
+        return {
+          success: false,
+          error: 'Phone number already registered',
+        };
+      }
+      // Check for duplicate STX address
+      if (error.code === '23505' && error.message.includes('stx_address')) {
+        return {
+          success: false,
+          error: 'STX address already registered',
+        };
+      }
       return {
         success: false,
         error: error instanceof Error ? error.message : 'Unknown error',
@@ -66,25 +60,12 @@ class UserService {
    */
   async getByPhone(phoneNumber) {
     try {
-      const client = db.getClient();
-
-      const { data, error } = await client
-        .from('users')
-        .select('*')
-        .eq('phone_number', phoneNumber)
-        .single();
+      const data = await this.users.findOne({ phone_number: phoneNumber });
 
-      if (error) {
-        if (error.code === 'PGRST116') {
-          // No rows returned
-          return {
-            success: false,
-            error: 'User not found',
-          };
-        }
+      if (!data) {
         return {
           success: false,
-          error: error.message,
+          error: 'User not found',
         };
       }
 
@@ -107,24 +88,12 @@ class UserService {
    */
   async getByAddress(stxAddress) {
     try {
-      const client = db.getClient();
+      const data = await this.users.findOne({ stx_address: stxAddress });
 
-      const { data, error } = await client
-        .from('users')
-        .select('*')
-        .eq('stx_address', stxAddress)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return {
-            success: false,
-            error: 'User not found',
-          };
-        }
+      if (!data) {
         return {
           success: false,
-          error: error.message,
+          error: 'User not found',
         };
       }
 
@@ -147,15 +116,7 @@ class UserService {
    */
   async exists(phoneNumber) {
     try {
-      const client = db.getClient();
-
-      const { data, error } = await client
-        .from('users')
-        .select('phone_number')
-        .eq('phone_number', phoneNumber)
-        .single();
-
-      return !error && data !== null;
+      return (await this.users.count({ phone_number: phoneNumber })) > 0;
     } catch (error) {
       return false;
     }
@@ -168,15 +129,7 @@ class UserService {
    */
   async addressExists(stxAddress) {
     try {
-      const client = db.getClient();
-
-      const { data, error } = await client
-        .from('users')
-        .select('stx_address')
-        .eq('stx_address', stxAddress)
-        .single();
-
-      return !error && data !== null;
+      return (await this.users.count({ stx_address: stxAddress })) > 0;
     } catch (error) {
       return false;
     }
@@ -190,25 +143,12 @@ class UserService {
    */
   async updateAddress(phoneNumber, newStxAddress) {
     try {
-      const client = db.getClient();
+      const [data] = await this.users.update({ phone_number: phoneNumber }, { stx_address: newStxAddress });
 
-      const { data, error } = await client
-        .from('users')
-        .update({ stx_address: newStxAddress })
-        .eq('phone_number', phoneNumber)
-        .select()
-        .single();
-
-      if (error) {
-        if (error.code === '23505') {
-          return {
-            success: false,
-            error: 'STX address already registered to another user',
-          };
-        }
+      if (!data) {
         return {
           success: false,
-          error: error.message,
+          error: 'User not found',
         };
       }
 
@@ -217,6 +157,12 @@ class UserService {
         user: this.mapToUser(data),
       };
     } catch (error) {
+      if (error.code === '23505') {
+        return {
+          success: false,
+          error: 'STX address already registered to another user',
+        };
+      }
       return {
         success: false,
         error: error instanceof Error ? error.message : 'Unknown error',
@@ -225,23 +171,43 @@ class UserService {
   }
 
   /**
-   * Delete user (for testing/admin only)
+   * Update user's default fee tier
    * @param {string} phoneNumber
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {string} feeTier - 'slow' | 'normal' | 'fast'
+   * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
    */
-  async delete(phoneNumber) {
+  async updateFeeTier(phoneNumber, feeTier) {
     try {
-      const client = db.getClient();
+      const [data] = await this.users.update({ phone_number: phoneNumber }, { fee_tier: feeTier });
 
-      const { error } = await client.from('users').delete().eq('phone_number', phoneNumber);
-
-      if (error) {
+      if (!data) {
         return {
           success: false,
-          error: error.message,
+          error: 'User not found',
         };
       }
 
+      return {
+        success: true,
+        user: this.mapToUser(data),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+      };
+    }
+  }
+
+  /**
+   * Delete user (for testing/admin only)
+   * @param {string} phoneNumber
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async delete(phoneNumber) {
+    try {
+      await this.users.delete({ phone_number: phoneNumber });
+
       return {
         success: true,
       };
@@ -259,18 +225,7 @@ class UserService {
    */
   async count() {
     try {
-      const client = db.getClient();
-
-      const { count, error } = await client
-        .from('users')
-        .select('*', { count: 'exact', head: true });
-
-      if (error) {
-        console.error('Error counting users:', error);
-        return 0;
-      }
-
-      return count || 0;
+      return await this.users.count();
     } catch (error) {
       console.error('Error counting users:', error);
       return 0;
@@ -286,6 +241,7 @@ class UserService {
     return {
       phoneNumber: row.phone_number,
       stxAddress: row.stx_address,
+      feeTier: row.fee_tier || 'normal',
       createdAt: row.created_at,
       updatedAt: row.updated_at,
     };
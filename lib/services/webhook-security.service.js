@@ -0,0 +1,137 @@
+/**
+ * Webhook Security Service
+ *
+ * Protects the WhatsApp webhook from spoofed and replayed requests:
+ * - Validate the transport's request signature (X-Twilio-Signature against
+ *   the auth token and public URL, or Meta's X-Hub-Signature-256)
+ * - Log and count rejected requests so spoofing attempts can be alerted on
+ *
+ * Reused message IDs are caught by ProcessedMessageService, which
+ * replays the stored reply and reports them here as 'replay'.
+ */
+
+import { db } from './database.service.js';
+import { whatsappService } from './whatsapp.service.js';
+
+class WebhookSecurityService {
+  constructor() {
+    // Rejections within 10 minutes that trigger an alert log
+    this.alertThreshold = parseInt(process.env.WEBHOOK_ALERT_THRESHOLD || '10', 10);
+
+    // Per-instance counters (persisted events live in webhook_rejections)
+    this.counters = {
+      invalid_signature: 0,
+      missing_signature: 0,
+      replay: 0,
+    };
+  }
+
+  /**
+   * Verify an incoming webhook request
+   * @param {Object} req - Incoming request
+   * @returns {Promise<{valid: boolean, reason?: string, status?: number}>}
+   */
+  async verifyRequest(req) {
+    const signatureCheck = this.verifySignature(req);
+    if (!signatureCheck.valid) {
+      await this.recordRejection(req, signatureCheck.reason);
+      return { ...signatureCheck, status: 403 };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate the request signature with the active transport
+   * (X-Twilio-Signature for Twilio, X-Hub-Signature-256 for Meta)
+   * @param {Object} req - Incoming request
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verifySignature(req) {
+    return whatsappService.transport.verifySignature(req);
+  }
+
+  /**
+   * Log, count and persist a rejected request
+   * @param {Object} req - Incoming request
+   * @param {string} reason - 'invalid_signature' | 'missing_signature' | 'replay'
+   * @param {Object} message - Rejected message {from, messageId} (default: the request's first)
+   */
+  async recordRejection(req, reason, message = null) {
+    this.counters[reason] = (this.counters[reason] || 0) + 1;
+
+    if (!message) {
+      try {
+        [message] = whatsappService.transport.parseInbound(req);
+      } catch (error) {
+        // Spoofed bodies may not parse - log the rejection without them
+      }
+    }
+
+    const event = {
+      reason,
+      from_number: message?.from || null,
+      message_sid: message?.messageId || null,
+      ip: req.headers['x-forwarded-for'] || req.socket?.remoteAddress || null,
+      created_at: new Date().toISOString(),
+    };
+
+    console.warn('🚫 Webhook request rejected:', event);
+
+    try {
+      const { error } = await db.getClient()
+        .from('webhook_rejections')
+        .insert([event]);
+
+      if (error) {
+        throw error;
+      }
+
+      const recent = await this.getRejectionCount(10);
+      if (recent >= this.alertThreshold) {
+        console.error(`🚨 ALERT: ${recent} rejected webhook requests in the last 10 minutes`);
+      }
+    } catch (error) {
+      console.error('Error recording webhook rejection:', error.message);
+    }
+  }
+
+  /**
+   * Count rejected requests in a recent time window (for monitoring/alerts)
+   * @param {number} minutes - Window size in minutes
+   * @returns {Promise<number>} Number of rejections
+   */
+  async getRejectionCount(minutes = 60) {
+    try {
+      const since = new Date();
+      since.setMinutes(since.getMinutes() - minutes);
+
+      const { count, error } = await db.getClient()
+        .from('webhook_rejections')
+        .select('*', { count: 'exact', head: true })
+        .gt('created_at', since.toISOString());
+
+      if (error) {
+        console.error('Error counting webhook rejections:', error);
+        return 0;
+      }
+
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting webhook rejections:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get per-instance rejection counters
+   * @returns {Object} Counters by reason
+   */
+  getCounters() {
+    return { ...this.counters };
+  }
+}
+
+// Export singleton instance
+const webhookSecurityService = new WebhookSecurityService();
+export default webhookSecurityService;
@@ -1,24 +1,38 @@
 /**
  * WhatsApp Service (JavaScript)
- * Handles sending WhatsApp messages via Twilio
+ * Handles sending WhatsApp messages through a messaging transport:
+ * Twilio by default, or the Meta WhatsApp Cloud API
+ * (WHATSAPP_TRANSPORT=meta, or setTransport)
+ *
+ * Reply buttons and list pickers are sent as interactive messages where the
+ * transport supports them, and as text listing what to type otherwise. A
+ * tapped option comes back on the webhook as its id, so ids are the words a
+ * text reply would use (e.g. 'yes' / 'no').
  */
 
-import twilio from 'twilio';
+import { createTransport } from '../transports/index.js';
+import { recordReply } from '../utils/reply-recorder.js';
+import { validatePhone } from '../utils/validator.js';
 
 class WhatsAppService {
-  constructor() {
-    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
-    this.authToken = process.env.TWILIO_AUTH_TOKEN;
-    this.whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER;
-
-    // Check if credentials are set (will be undefined during testing without Twilio)
-    if (this.accountSid && this.authToken && this.whatsappNumber) {
-      this.client = twilio(this.accountSid, this.authToken);
-      this.isConfigured = true;
-    } else {
-      this.client = null;
-      this.isConfigured = false;
-      console.warn('⚠️  WhatsApp Service: Twilio credentials not configured. Messages will be simulated.');
+  /**
+   * @param {Object} transport - Messaging transport (see lib/transports)
+   */
+  constructor(transport = createTransport()) {
+    this.setTransport(transport);
+  }
+
+  /**
+   * Swap the messaging transport
+   * @param {Object} transport - Messaging transport
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    this.isConfigured = transport.isConfigured;
+
+    // Without credentials (e.g. during testing) messages are simulated
+    if (!this.isConfigured) {
+      console.warn(`⚠️  WhatsApp Service: ${transport.name} credentials not configured. Messages will be simulated.`);
     }
   }
 
@@ -38,11 +52,11 @@ class WhatsAppService {
    */
   async sendMessage(to, message) {
     try {
-      // Validate phone number format
-      if (!to.match(/^\+234\d{10}$/)) {
+      // Validate phone number format (E.164, supported country)
+      if (!validatePhone(to)) {
         return {
           success: false,
-          error: 'Invalid phone number format. Must be +234XXXXXXXXXX',
+          error: 'Invalid phone number format. Must be E.164 (e.g. +2348012345678) from a supported country',
         };
       }
 
@@ -56,9 +70,10 @@ class WhatsAppService {
 
       // Check if service is configured
       if (!this.isConfigured) {
-        // Simulate sending (for testing without Twilio credentials)
+        // Simulate sending (for testing without transport credentials)
         console.log(`📱 [SIMULATED] WhatsApp to ${to}:`);
         console.log(`   ${message}`);
+        recordReply(to, message);
         return {
           success: true,
           messageId: `sim_${Date.now()}`,
@@ -66,22 +81,13 @@ class WhatsAppService {
         };
       }
 
-      // Format WhatsApp number (add whatsapp: prefix)
-      const formattedTo = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
-      const formattedFrom = this.whatsappNumber.startsWith('whatsapp:') 
-        ? this.whatsappNumber 
-        : `whatsapp:${this.whatsappNumber}`;
+      const result = await this.transport.send(to, message);
 
-      // Send message via Twilio
-      const result = await this.client.messages.create({
-        body: message,
-        from: formattedFrom,
-        to: formattedTo,
-      });
+      recordReply(to, message);
 
       return {
         success: true,
-        messageId: result.sid,
+        messageId: result.messageId,
       };
     } catch (error) {
       console.error('WhatsApp send error:', error);
@@ -92,6 +98,79 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Send a message with reply buttons (up to 3)
+   * Text fallback: "Reply:\n*yes* to confirm\n*no* to cancel"
+   * @param {string} to - Recipient phone number
+   * @param {string} message - Message text
+   * @param {Array<{id: string, title: string}>} buttons - id is the reply, title the label
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendButtons(to, message, buttons) {
+    const fallback = `${message}\n\nReply:\n` +
+      buttons.map(({ id, title }) => `*${id}* to ${title.toLowerCase()}`).join('\n');
+
+    return await this.sendInteractive(to, { body: message, buttons }, fallback);
+  }
+
+  /**
+   * Send a list picker (up to 10 rows)
+   * @param {string} to - Recipient phone number
+   * @param {string} message - Message text
+   * @param {string} buttonText - Label of the button that opens the list
+   * @param {Array<{id: string, title: string, description?: string}>} rows - id is the reply
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendList(to, message, buttonText, rows) {
+    const fallback = `${message}\n\nReply with one of:\n` +
+      rows.map(({ id, title, description }) => `*${id}* ${title}${description ? ` (${description})` : ''}`).join('\n');
+
+    return await this.sendInteractive(to, { body: message, button: buttonText, rows }, fallback);
+  }
+
+  /**
+   * Send a yes/no prompt with Confirm and Cancel buttons
+   * @param {string} to - Recipient phone number
+   * @param {string} message - Prompt text
+   * @param {string} cancelTitle - Label for "no" (e.g. 'Keep waiting')
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendConfirmation(to, message, cancelTitle = 'Cancel') {
+    return await this.sendButtons(to, message, [
+      { id: 'yes', title: 'Confirm' },
+      { id: 'no', title: cancelTitle },
+    ]);
+  }
+
+  /**
+   * Send an interactive message, or its text fallback where the transport
+   * can't (or the interactive send fails, e.g. text over Meta's limits)
+   * @param {string} to - Recipient phone number
+   * @param {Object} interactive - { body, buttons } or { body, button, rows }
+   * @param {string} fallback - Text version
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendInteractive(to, interactive, fallback) {
+    if (!this.isConfigured || !this.transport.supportsInteractive || !validatePhone(to)) {
+      return await this.sendMessage(to, fallback);
+    }
+
+    try {
+      const result = await this.transport.sendInteractive(to, interactive);
+
+      // Retried deliveries replay the text version
+      recordReply(to, fallback);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+      };
+    } catch (error) {
+      console.error('WhatsApp interactive send error, sending text instead:', error);
+      return await this.sendMessage(to, fallback);
+    }
+  }
+
   /**
    * Send welcome message to new user
    * @param {string} to - Phone number
@@ -245,7 +324,7 @@ https://explorer.hiro.so/txid/${txId}?chain=mainnet`;
    * @param {Object} details - Escrow details
    */
   async sendEscrowNotification(to, details) {
-    const { amount, claimToken } = details;
+    const { amount, claimToken, timeDescription = '7 days' } = details;
     const amountSTX = (amount / 1000000).toFixed(6);
 
     const message = `🎁 You've received ${amountSTX} STX!
@@ -256,7 +335,7 @@ To claim:
 1. Register by sending your STX address
 2. Reply with: claim ${claimToken}
 
-The funds are held safely in escrow for 7 days.
+The funds are held safely in escrow for ${timeDescription}.
 
 Get an STX address from:
 • Hiro Wallet (wallet.hiro.so)
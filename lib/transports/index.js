@@ -0,0 +1,39 @@
+/**
+ * Messaging Transports
+ *
+ * One transport per WhatsApp provider. Every transport has the same methods:
+ *   verifyHandshake(req)  - {status, body} for a webhook verification GET, null if not one
+ *   verifySignature(req)  - {valid, reason?}; reason 'missing_signature' | 'invalid_signature'
+ *   parseInbound(req)     - [{from, text, messageId}] from a webhook POST
+ *   send(to, message)     - Promise<{messageId}>
+ *   sendInteractive(to, { body, buttons } | { body, button, rows })
+ *                         - Promise<{messageId}>, only when `supportsInteractive`
+ * plus `name` and `isConfigured` (false means sends are simulated).
+ * Tapped buttons and list rows are parsed as a message whose text is their id.
+ *
+ * WHATSAPP_TRANSPORT picks the transport: 'twilio' (default) or 'meta'
+ * for the Meta WhatsApp Cloud API.
+ */
+
+import TwilioTransport from './twilio.transport.js';
+import MetaCloudTransport from './meta.transport.js';
+
+/**
+ * Create a transport
+ * @param {string} name - 'twilio' or 'meta'
+ * @returns {Object} Transport
+ */
+export function createTransport(name = process.env.WHATSAPP_TRANSPORT || 'twilio') {
+  if (name === 'twilio') {
+    return new TwilioTransport();
+  }
+
+  if (name === 'meta') {
+    return new MetaCloudTransport();
+  }
+
+  throw new Error(`Unknown WhatsApp transport: ${name}`);
+}
+
+export { TwilioTransport, MetaCloudTransport };
+export default createTransport;
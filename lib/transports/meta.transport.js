@@ -0,0 +1,244 @@
+/**
+ * Meta Cloud API Transport
+ * WhatsApp messages straight through Meta's WhatsApp Cloud API: a GET
+ * verify-token handshake when the webhook is registered, JSON webhooks
+ * signed with X-Hub-Signature-256 (possibly several messages per request),
+ * sends (text, reply buttons, list pickers) via the Graph API messages endpoint
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const GRAPH_API_URL = 'https://graph.facebook.com';
+
+// Interactive message limits (longer labels are rejected by the API)
+const BUTTON_TITLE_LENGTH = 20;
+const ROW_TITLE_LENGTH = 24;
+const ROW_DESCRIPTION_LENGTH = 72;
+
+/**
+ * Serialize a parsed body the way Meta does (escaped slashes and non-ASCII),
+ * for platforms that don't keep the raw request body
+ */
+function toMetaJson(body) {
+  return JSON.stringify(body)
+    .replace(/\//g, '\\/')
+    .replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+class MetaCloudTransport {
+  /**
+   * @param {Object} options - Defaults come from META_* env vars
+   * @param {string} options.accessToken - System user access token
+   * @param {string} options.phoneNumberId - WhatsApp Business phone number ID
+   * @param {string} options.appSecret - App secret that signs webhooks
+   * @param {string} options.verifyToken - Token entered when registering the webhook
+   * @param {string} options.apiVersion - Graph API version
+   * @param {string} options.apiUrl - Graph API base URL
+   */
+  constructor({
+    accessToken = process.env.META_WHATSAPP_TOKEN,
+    phoneNumberId = process.env.META_PHONE_NUMBER_ID,
+    appSecret = process.env.META_APP_SECRET,
+    verifyToken = process.env.META_VERIFY_TOKEN,
+    apiVersion = process.env.META_GRAPH_API_VERSION || 'v21.0',
+    apiUrl = GRAPH_API_URL,
+  } = {}) {
+    this.name = 'meta';
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.appSecret = appSecret;
+    this.verifyToken = verifyToken;
+    this.apiVersion = apiVersion;
+    this.apiUrl = apiUrl;
+
+    this.isConfigured = Boolean(accessToken && phoneNumberId);
+    this.supportsInteractive = true;
+  }
+
+  /**
+   * Answer Meta's webhook verification GET (hub.mode=subscribe)
+   * @param {Object} req - Incoming request
+   * @returns {{status: number, body: string}|null} Response, or null if not a handshake
+   */
+  verifyHandshake(req) {
+    const query = req.query || {};
+    if (!query['hub.mode']) {
+      return null;
+    }
+
+    if (query['hub.mode'] === 'subscribe' && this.verifyToken && query['hub.verify_token'] === this.verifyToken) {
+      return { status: 200, body: String(query['hub.challenge'] || '') };
+    }
+
+    console.warn('🚫 Webhook verification failed: wrong hub.verify_token');
+    return { status: 403, body: 'Verification failed' };
+  }
+
+  /**
+   * Validate the X-Hub-Signature-256 header
+   * @param {Object} req - Incoming request (req.rawBody is used when the platform keeps it)
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verifySignature(req) {
+    if (!this.appSecret) {
+      // Allow unsigned requests only outside production (local testing)
+      if (process.env.NODE_ENV === 'production') {
+        console.error('META_APP_SECRET not configured - rejecting webhook');
+        return { valid: false, reason: 'invalid_signature' };
+      }
+      console.warn('⚠️  Webhook signature not verified: META_APP_SECRET not configured');
+      return { valid: true };
+    }
+
+    const signature = req.headers['x-hub-signature-256'];
+    if (!signature) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    const payloads = req.rawBody
+      ? [req.rawBody]
+      : [toMetaJson(req.body || {}), JSON.stringify(req.body || {})];
+
+    const valid = payloads.some(payload => {
+      const expected = `sha256=${crypto.createHmac('sha256', this.appSecret).update(payload).digest('hex')}`;
+      return expected.length === signature.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    });
+
+    return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+  }
+
+  /**
+   * Read the messages out of a webhook request
+   * Tapped buttons and list rows come back as their id
+   * (delivery status callbacks carry no messages)
+   * @param {Object} req - Incoming request (entry[].changes[].value.messages[])
+   * @returns {Array<{from: string, text: string, messageId: string}>} Messages
+   */
+  parseInbound(req) {
+    const messages = [];
+
+    for (const entry of req.body?.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const message of change.value?.messages || []) {
+          const text = this.getMessageText(message);
+          if (!text) {
+            console.log(`Ignoring unsupported ${message.type} message ${message.id}`);
+            continue;
+          }
+
+          messages.push({
+            from: `+${message.from}`,
+            text,
+            messageId: message.id,
+          });
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Text of an inbound message: typed text, a reply button / list row id,
+   * or a template quick-reply payload
+   * @param {Object} message - Webhook message
+   * @returns {string|null} Text, null for other types (images, locations...)
+   */
+  getMessageText(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body || null;
+      case 'interactive': {
+        const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+        return reply?.id || null;
+      }
+      case 'button':
+        return message.button?.payload || message.button?.text || null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - Recipient phone number (E.164)
+   * @param {string} message - Message text
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(to, message) {
+    return await this._post({
+      to: to.replace(/^\+/, ''),
+      type: 'text',
+      text: { body: message, preview_url: false },
+    });
+  }
+
+  /**
+   * Send reply buttons or a list picker
+   * @param {string} to - Recipient phone number (E.164)
+   * @param {Object} interactive - { body, buttons: [{id, title}] }
+   *   or { body, button, rows: [{id, title, description}] }
+   * @returns {Promise<{messageId: string}>}
+   */
+  async sendInteractive(to, { body, buttons, button, rows }) {
+    const interactive = buttons
+      ? {
+        type: 'button',
+        body: { text: body },
+        action: {
+          buttons: buttons.map(({ id, title }) => ({
+            type: 'reply',
+            reply: { id, title: title.slice(0, BUTTON_TITLE_LENGTH) },
+          })),
+        },
+      }
+      : {
+        type: 'list',
+        body: { text: body },
+        action: {
+          button: button.slice(0, BUTTON_TITLE_LENGTH),
+          sections: [{
+            rows: rows.map(({ id, title, description }) => ({
+              id,
+              title: title.slice(0, ROW_TITLE_LENGTH),
+              ...(description ? { description: description.slice(0, ROW_DESCRIPTION_LENGTH) } : {}),
+            })),
+          }],
+        },
+      };
+
+    return await this._post({
+      to: to.replace(/^\+/, ''),
+      type: 'interactive',
+      interactive,
+    });
+  }
+
+  /**
+   * POST a message to the Graph API
+   * @param {Object} payload - Message fields besides messaging_product
+   * @returns {Promise<{messageId: string}>}
+   */
+  async _post(payload) {
+    const response = await fetch(`${this.apiUrl}/${this.apiVersion}/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ messaging_product: 'whatsapp', recipient_type: 'individual', ...payload }),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Meta API error (${response.status}): ${result.error?.message || 'Unknown error'}`);
+    }
+
+    return { messageId: result.messages[0].id };
+  }
+}
+
+export default MetaCloudTransport;
@@ -0,0 +1,129 @@
+/**
+ * Twilio Transport
+ * WhatsApp messages through Twilio: form-encoded webhooks signed with
+ * X-Twilio-Signature, one message per request, sends via the Twilio SDK.
+ * Twilio only sends buttons and lists from pre-approved content templates,
+ * so interactive messages go out as text
+ */
+
+import twilio from 'twilio';
+
+class TwilioTransport {
+  /**
+   * @param {Object} options - Defaults come from TWILIO_* env vars
+   * @param {string} options.accountSid - Twilio account SID
+   * @param {string} options.authToken - Signs webhooks and authenticates sends
+   * @param {string} options.whatsappNumber - Sender number (e.g. +14155238886)
+   * @param {string} options.webhookUrl - Public URL Twilio posts to (must match the console setting exactly)
+   */
+  constructor({
+    accountSid = process.env.TWILIO_ACCOUNT_SID,
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER,
+    webhookUrl = process.env.TWILIO_WEBHOOK_URL || null,
+  } = {}) {
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.whatsappNumber = whatsappNumber;
+    this.webhookUrl = webhookUrl;
+
+    this.isConfigured = Boolean(accountSid && authToken && whatsappNumber);
+    this.supportsInteractive = false;
+    this.client = this.isConfigured ? twilio(accountSid, authToken) : null;
+  }
+
+  /**
+   * Answer a webhook verification GET (Twilio has none)
+   * @returns {null}
+   */
+  verifyHandshake() {
+    return null;
+  }
+
+  /**
+   * Validate the X-Twilio-Signature header
+   * @param {Object} req - Incoming request
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verifySignature(req) {
+    if (!this.authToken) {
+      // Allow unsigned requests only outside production (local testing)
+      if (process.env.NODE_ENV === 'production') {
+        console.error('TWILIO_AUTH_TOKEN not configured - rejecting webhook');
+        return { valid: false, reason: 'invalid_signature' };
+      }
+      console.warn('⚠️  Webhook signature not verified: TWILIO_AUTH_TOKEN not configured');
+      return { valid: true };
+    }
+
+    const signature = req.headers['x-twilio-signature'];
+    if (!signature) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    const valid = twilio.validateRequest(
+      this.authToken,
+      signature,
+      this.getRequestUrl(req),
+      req.body || {}
+    );
+
+    return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+  }
+
+  /**
+   * Rebuild the public URL Twilio signed
+   * @param {Object} req - Incoming request
+   * @returns {string} Full URL
+   */
+  getRequestUrl(req) {
+    if (this.webhookUrl) {
+      return this.webhookUrl;
+    }
+
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return `${protocol}://${host}${req.url}`;
+  }
+
+  /**
+   * Read the message out of a webhook request
+   * (a tapped template button comes back as its ButtonPayload)
+   * @param {Object} req - Incoming request (form fields From, Body, ButtonPayload, MessageSid)
+   * @returns {Array<{from: string, text: string, messageId: string}>} The message (fields may be missing)
+   */
+  parseInbound(req) {
+    const { From: from, Body: body, ButtonPayload: payload, MessageSid: messageId } = req.body || {};
+
+    return [{
+      from: from ? from.replace('whatsapp:', '') : from,
+      text: payload || body,
+      messageId,
+    }];
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - Recipient phone number (E.164)
+   * @param {string} message - Message text
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(to, message) {
+    // Twilio addresses WhatsApp numbers as whatsapp:+...
+    const formattedTo = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
+    const formattedFrom = this.whatsappNumber.startsWith('whatsapp:')
+      ? this.whatsappNumber
+      : `whatsapp:${this.whatsappNumber}`;
+
+    const result = await this.client.messages.create({
+      body: message,
+      from: formattedFrom,
+      to: formattedTo,
+    });
+
+    return { messageId: result.sid };
+  }
+}
+
+export default TwilioTransport;
@@ -0,0 +1,37 @@
+/**
+ * Reply Recorder Utility (JavaScript)
+ * Captures outbound WhatsApp messages sent while handling one inbound message,
+ * so a retried delivery can replay them without re-running the handlers
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function and collect every reply sent during it
+ * @param {Array} replies - Array that receives {to, message} entries
+ * @param {Function} fn - async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+export function runWithReplyRecorder(replies, fn) {
+  return storage.run(replies, fn);
+}
+
+/**
+ * Record an outbound message (no-op outside runWithReplyRecorder)
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text
+ */
+export function recordReply(to, message) {
+  const replies = storage.getStore();
+  if (replies) {
+    replies.push({ to, message });
+  }
+}
+
+// Default export
+export default {
+  runWithReplyRecorder,
+  recordReply,
+};
@@ -4,19 +4,120 @@
  */
 
 /**
- * Validate Nigerian phone number format
- * Required format: +234XXXXXXXXXX (exactly 14 characters)
+ * Per-country phone rules
+ * - code: country calling code
+ * - length: digits after the country code
+ * - pattern: valid national (significant) numbers - mobile ranges only
+ */
+export const PHONE_COUNTRIES = {
+  NG: { name: 'Nigeria', code: '234', length: 10, pattern: /^[789][01]\d{8}$/ },
+  GH: { name: 'Ghana', code: '233', length: 9, pattern: /^[25]\d{8}$/ },
+  KE: { name: 'Kenya', code: '254', length: 9, pattern: /^[17]\d{8}$/ },
+};
+
+/**
+ * Get the countries users may register and send from
+ * Set SUPPORTED_COUNTRIES (e.g. "NG,GH") to restrict; defaults to all in PHONE_COUNTRIES
+ * @returns {string[]} ISO country codes
+ */
+export function getSupportedCountries() {
+  const configured = (process.env.SUPPORTED_COUNTRIES || '')
+    .split(',')
+    .map(country => country.trim().toUpperCase())
+    .filter(country => PHONE_COUNTRIES[country]);
+
+  return configured.length > 0 ? configured : Object.keys(PHONE_COUNTRIES);
+}
+
+/**
+ * Parse a phone number into E.164
+ * Accepts "+233 24 123 4567", "whatsapp:+254712345678", "00234...",
+ * "234..." and national numbers with a leading 0 (in defaultCountry)
+ * @param {string} input - Phone number as typed
+ * @param {string} defaultCountry - Country for national numbers (default: NG)
+ * @returns {{valid: boolean, e164?: string, country?: string, error?: string}}
+ */
+export function parsePhone(input, defaultCountry = 'NG') {
+  if (!input || typeof input !== 'string') {
+    return { valid: false, error: 'Phone number is required' };
+  }
+
+  const raw = input.trim().replace(/^whatsapp:/i, '');
+  if (!/^\+?[\d\s\-().]+$/.test(raw)) {
+    return { valid: false, error: 'Phone number can only contain digits, spaces and dashes' };
+  }
+
+  let digits = raw.replace(/\D/g, '');
+  let international = raw.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let country;
+  let national;
+  if (!international && digits.startsWith('0')) {
+    // National format with trunk prefix, e.g. 0241234567
+    country = (defaultCountry || 'NG').toUpperCase();
+    national = digits.slice(1);
+  } else {
+    country = Object.keys(PHONE_COUNTRIES)
+      .find(iso => digits.startsWith(PHONE_COUNTRIES[iso].code));
+    if (!country) {
+      return { valid: false, error: 'Unknown country code' };
+    }
+    national = digits.slice(PHONE_COUNTRIES[country].code.length);
+  }
+
+  const rules = PHONE_COUNTRIES[country];
+  if (!rules) {
+    return { valid: false, error: 'Unknown country code' };
+  }
+
+  if (!getSupportedCountries().includes(country)) {
+    return { valid: false, country, error: `${rules.name} numbers are not supported yet` };
+  }
+
+  if (national.length !== rules.length || !rules.pattern.test(national)) {
+    return { valid: false, country, error: `Not a valid ${rules.name} mobile number` };
+  }
+
+  return { valid: true, e164: `+${rules.code}${national}`, country };
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} input - Phone number as typed
+ * @param {string} defaultCountry - Country for national numbers (default: NG)
+ * @returns {string|null} E.164 number, or null if invalid/unsupported
+ */
+export function normalizePhone(input, defaultCountry = 'NG') {
+  const result = parsePhone(input, defaultCountry);
+  return result.valid ? result.e164 : null;
+}
+
+/**
+ * Get the country of an E.164 number (used as the default for numbers a user types)
+ * @param {string} phone - E.164 phone number
+ * @returns {string|null} ISO country code
+ */
+export function getPhoneCountry(phone) {
+  const result = parsePhone(phone);
+  return result.valid ? result.country : null;
+}
+
+/**
+ * Validate a phone number is E.164 from a supported country
+ * Required format: +<country code><national number>, no spaces (e.g. +2348012345678)
  * @param {string} phone
  * @returns {boolean}
  */
 export function validatePhone(phone) {
-  if (!phone || typeof phone !== 'string') {
+  if (!phone || typeof phone !== 'string' || !phone.startsWith('+')) {
     return false;
   }
 
-  // Strict Nigerian format: +234 followed by exactly 10 digits
-  const phoneRegex = /^\+234\d{10}$/;
-  return phoneRegex.test(phone);
+  return normalizePhone(phone) === phone;
 }
 
 /**
@@ -193,6 +294,10 @@ export function formatStxAmount(microStx) {
 
 // Default export
 export default {
+  parsePhone,
+  normalizePhone,
+  getPhoneCountry,
+  getSupportedCountries,
   validatePhone,
   validateStxAddress,
   validateAmount,
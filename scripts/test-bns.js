@@ -0,0 +1,165 @@
+/**
+ * Test script for BNS name resolution
+ *
+ * Tests StacksService BNS lookups (with a stub adapter - no network)
+ * and recipient resolution through ContactService
+ * Run: node scripts/test-bns.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing BNS Name Resolution\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+  const { default: contactService } = await import('../lib/services/contact.service.js');
+
+  const muneeb = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+  const calls = [];
+  stacksService.setBnsAdapter({
+    getNameAddress: async (name) => {
+      calls.push(`name:${name}`);
+      return name === 'muneeb.btc' ? muneeb : null;
+    },
+    getAddressNames: async (address) => {
+      calls.push(`address:${address}`);
+      return address === muneeb ? ['muneeb.btc'] : [];
+    },
+  });
+
+  // Test 1: Name detection
+  console.log('\n✅ Test 1: BNS Name Detection');
+  try {
+    const cases = [
+      { input: 'muneeb.btc', expected: true },
+      { input: 'my-name.id', expected: true },
+      { input: 'John', expected: false },
+      { input: muneeb, expected: false },
+      { input: `${muneeb}.usda-token`, expected: false },
+      { input: '+2348012345678', expected: false },
+    ];
+
+    for (const { input, expected } of cases) {
+      const result = stacksService.isBnsName(input);
+      console.log(`  ${input} → ${result} ${result === expected ? '✅' : '❌'}`);
+      if (result !== expected) {
+        throw new Error(`Wrong detection for ${input}`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Forward and reverse lookups (cached)
+  console.log('\n✅ Test 2: Lookups and Caching');
+  try {
+    const address = await stacksService.resolveBnsName('Muneeb.BTC');
+    const again = await stacksService.resolveBnsName('muneeb.btc');
+    const missing = await stacksService.resolveBnsName('nobody.btc');
+    const name = await stacksService.lookupBnsName(muneeb);
+    const noName = await stacksService.lookupBnsName('SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE');
+
+    console.log(`  muneeb.btc → ${address}`);
+    console.log(`  nobody.btc → ${missing}`);
+    console.log(`  ${muneeb.substring(0, 10)}... → ${name}`);
+    console.log(`  Adapter calls: ${calls.join(', ')}`);
+
+    if (address !== muneeb || again !== muneeb || missing !== null || name !== 'muneeb.btc' ||
+        noName !== null || calls.filter(call => call === 'name:muneeb.btc').length !== 1) {
+      throw new Error('Unexpected lookup result');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Recipient resolution
+  console.log('\n✅ Test 3: Recipient Resolution');
+  try {
+    const recipient = await contactService.resolveRecipient('+2349012345678', 'muneeb.btc');
+    console.log(`  muneeb.btc → ${recipient.type} ${recipient.address}`);
+
+    if (recipient.type !== 'bns' || recipient.address !== muneeb || recipient.name !== 'muneeb.btc') {
+      throw new Error('BNS recipient not resolved');
+    }
+
+    let rejected = false;
+    try {
+      await contactService.resolveRecipient('+2349012345678', 'nobody.btc');
+    } catch (error) {
+      rejected = true;
+      console.log(`  nobody.btc → ${error.message}`);
+    }
+
+    if (!rejected) {
+      throw new Error('Unregistered BNS name accepted');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Lookup failures
+  console.log('\n✅ Test 4: Adapter Failures');
+  try {
+    stacksService.setBnsAdapter({
+      getNameAddress: async () => {
+        throw new Error('offline');
+      },
+      getAddressNames: async () => {
+        throw new Error('offline');
+      },
+    });
+
+    const name = await stacksService.lookupBnsName(muneeb);
+    console.log(`  Reverse lookup while offline → ${name}`);
+
+    let failed = false;
+    try {
+      await stacksService.resolveBnsName('muneeb.btc');
+    } catch (error) {
+      failed = true;
+      console.log(`  Forward lookup while offline → ${error.message}`);
+    }
+
+    if (name !== null || !failed) {
+      throw new Error('Adapter failure not handled');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
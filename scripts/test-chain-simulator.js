@@ -0,0 +1,372 @@
+/**
+ * Test script for the chain simulator
+ *
+ * Runs payments and escrows end to end against the in-process chain:
+ * "send 5 to ..." confirmed with "yes", signed, broadcast, mined and
+ * picked up by the confirmation checker; fee replacement and cancel; escrow
+ * release and refund; registering and paying through the webhook;
+ * transfers the node refuses and post conditions.
+ * Transactions are really signed - only the key vault and WhatsApp
+ * are stubbed, data is kept in memory
+ * Run: node scripts/test-chain-simulator.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.STACKS_NETWORK = 'testnet';
+process.env.PRICE_PROVIDER = 'fixed';
+
+console.log('🧪 Testing Chain Simulator\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: transactionsPkg } = await import('@stacks/transactions');
+  const { randomPrivateKey, privateKeyToAddress } = transactionsPkg;
+
+  const { default: ChainSimulator } = await import('../lib/chain/chain-simulator.js');
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+  const { default: transactionService } = await import('../lib/services/transaction.service.js');
+  const { default: escrowService } = await import('../lib/services/escrow.service.js');
+  const { default: keyVaultService } = await import('../lib/services/key-vault.service.js');
+  const { default: paymentHandler } = await import('../lib/services/payment.handler.js');
+  const { default: conversationService } = await import('../lib/services/conversation.service.js');
+  const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+  const { TwilioTransport } = await import('../lib/transports/index.js');
+  const { userService } = await import('../lib/services/user.service.js');
+  const { default: handler } = await import('../api/webhook.js');
+
+  const chain = new ChainSimulator({ escrowContractId: `${escrowService.contractAddress}.${escrowService.contractName}` });
+  stacksService.setChainAdapter(chain);
+  stacksService.setBnsAdapter({ getNameAddress: async () => null, getAddressNames: async () => [] });
+
+  const senderPhone = '+2348012345678';
+  const senderKey = randomPrivateKey();
+  const sender = privateKeyToAddress(senderKey, 'testnet');
+  const recipient = privateKeyToAddress(randomPrivateKey(), 'testnet');
+  chain.fund(sender, 100 * 1000000);
+
+  keyVaultService.hasKey = async () => true;
+  keyVaultService.withDecryptedKey = async (phoneNumber, fn) => await fn(senderKey);
+  const messages = [];
+  whatsappService.sendMessage = async (to, message) => messages.push(message);
+
+  // Test 1: Payment from message to confirmation
+  console.log('\n✅ Test 1: "send 5 to ..." End to End');
+  try {
+    const user = { stxAddress: sender, feeTier: 'normal' };
+    await paymentHandler.handleSend(senderPhone, `send 5 to ${recipient}`, user);
+    await conversationService.handleMessage(senderPhone, 'yes');
+
+    const [pending] = await transactionService.getTransactionsByPhone(senderPhone);
+    console.log(`  Broadcast ${pending.tx_id.slice(0, 12)}... (nonce ${pending.nonce}, fee ${pending.fee_micro_stx})`);
+
+    chain.mineBlock();
+    const updates = await transactionService.checkPendingTransactions();
+    const stored = await transactionService.getTransactionById(pending.tx_id);
+    console.log(`  Mined at ${stored.block_height} → ${stored.status}; recipient has ${chain.balanceOf(recipient)} microSTX`);
+
+    if (updates.length !== 1 || stored.status !== 'confirmed') {
+      throw new Error('Transaction was not confirmed after mining');
+    }
+
+    if (chain.balanceOf(recipient) !== 5000000 || chain.balanceOf(sender) !== 100000000 - 5000000 - 250) {
+      throw new Error('Balances did not move by amount and fee');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Speeding up a stuck transfer
+  console.log('\n✅ Test 2: Fee Replacement');
+  try {
+    const sent = await transactionService.sendTransaction({
+      senderAddress: sender,
+      senderPhone,
+      recipientAddress: recipient,
+      amountMicroStx: 1000000,
+      fee: 200,
+    });
+    const original = await transactionService.getTransactionById(sent.txId);
+
+    const cheaper = await transactionService.createTransaction({
+      senderAddress: sender, senderKey, recipientAddress: recipient, amountMicroStx: 1, fee: 150, nonce: original.nonce,
+    });
+    const rejected = await transactionService.broadcastTransaction(cheaper.transaction);
+    console.log(`  Same nonce, lower fee → ${rejected.error}`);
+
+    const replacement = await transactionService.replaceTransaction(original, { mode: 'speed_up', fee: 400 });
+    chain.mineBlock();
+    await transactionService.checkPendingTransactions();
+
+    const originalNow = await transactionService.getTransactionById(original.tx_id);
+    const replacementNow = await transactionService.getTransactionById(replacement.txId);
+    console.log(`  Original → ${originalNow.status}, replacement (fee ${replacement.fee}) → ${replacementNow.status}`);
+
+    if (rejected.success || rejected.error !== 'ConflictingNonceInMempool') {
+      throw new Error('A lower-fee transaction should not replace a pending one');
+    }
+
+    if (originalNow.status !== 'replaced' || replacementNow.status !== 'confirmed' || chain.balanceOf(recipient) !== 6000000) {
+      throw new Error('Only the replacement should confirm');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Escrow release
+  console.log('\n✅ Test 3: Escrow Create and Release');
+  try {
+    const created = await escrowService.createEscrow(sender, recipient, 10000000, 10, 'Deposit', senderPhone);
+    chain.mineBlock();
+    const [update] = await escrowService.reconcilePendingEscrows();
+    console.log(`  Created → ${update.status} as contract escrow u${update.contractEscrowId}; contract holds ${chain.balanceOf(chain.escrowContractId)}`);
+
+    const before = chain.balanceOf(recipient);
+    await escrowService.releaseEscrow(update.contractEscrowId, sender, senderPhone);
+    const [broadcastRow] = await escrowService.escrows.findMany({ contract_escrow_id: update.contractEscrowId });
+    chain.mineBlock();
+    const status = await escrowService.getEscrowStatus(update.contractEscrowId);
+    const [settled] = await escrowService.reconcileEscrowActions();
+    console.log(`  Released → on-chain status ${status}, recipient +${chain.balanceOf(recipient) - before}`);
+    console.log(`  Database → ${broadcastRow.status} until mined, then ${settled?.escrow.status}`);
+
+    if (!created.success || update.status !== 'active' || update.contractEscrowId !== 0) {
+      throw new Error('Escrow ID was not read from the create-escrow result');
+    }
+
+    if (status !== 'released' || chain.balanceOf(recipient) - before !== 10000000 || chain.balanceOf(chain.escrowContractId) !== 0) {
+      throw new Error('Release did not pay the recipient');
+    }
+
+    if (broadcastRow.status !== 'active' || settled?.escrow.status !== 'released') {
+      throw new Error('Escrow should be released once its release confirms');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Escrow refund only after the timeout
+  console.log('\n✅ Test 4: Escrow Refund After Timeout');
+  try {
+    await escrowService.createEscrow(sender, recipient, 2000000, 3, 'Refundable', senderPhone);
+    chain.mineBlock();
+    const [update] = await escrowService.reconcilePendingEscrows();
+    const escrowId = update.contractEscrowId;
+
+    const early = await escrowService.canRefund(escrowId);
+    let earlyError = null;
+    try {
+      await escrowService.refundEscrow(escrowId, sender, senderPhone);
+    } catch (error) {
+      earlyError = error.message;
+    }
+
+    chain.mineBlocks(3);
+    const late = await escrowService.canRefund(escrowId);
+    const before = chain.balanceOf(sender);
+    await escrowService.refundEscrow(escrowId, sender, senderPhone);
+    chain.mineBlock();
+    console.log(`  Block ${chain.height - 4}: can refund ${early} (${earlyError}); block ${chain.height - 1}: ${late}`);
+    console.log(`  Refunded → sender +${chain.balanceOf(sender) - before} (2 STX less the fee)`);
+
+    if (early || !earlyError || !late) {
+      throw new Error('Refund should only open at the timeout height');
+    }
+
+    if (chain.balanceOf(sender) - before !== 2000000 - 250 || (await escrowService.getEscrowStatus(escrowId)) !== 'refunded') {
+      throw new Error('Refund did not return the funds');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Register, check balance, pay and list escrows through the webhook
+  console.log('\n✅ Test 5: Webhook End to End');
+  try {
+    const adaPhone = '+2348023456789';
+    // Typed addresses must be full length (41 characters)
+    const newAccount = () => {
+      let key;
+      do {
+        key = randomPrivateKey();
+      } while (privateKeyToAddress(key, 'testnet').length !== 41);
+      return { key, address: privateKeyToAddress(key, 'testnet') };
+    };
+    const { key: adaKey, address: ada } = newAccount();
+    const { address: tunde } = newAccount();
+    chain.fund(ada, 50 * 1000000);
+
+    // Unsigned Twilio form posts (no auth token outside production)
+    whatsappService.setTransport(new TwilioTransport({ accountSid: null, authToken: null, whatsappNumber: null }));
+    keyVaultService.withDecryptedKey = async (phoneNumber, fn) => await fn(phoneNumber === adaPhone ? adaKey : senderKey);
+
+    const replies = [];
+    whatsappService.sendMessage = async (to, message) => replies.push({ to, message });
+
+    let sid = 0;
+    const say = async (text) => {
+      const res = { status: (code) => ({ json: () => code, send: () => code }) };
+      await handler({
+        method: 'POST',
+        headers: {},
+        body: { From: `whatsapp:${adaPhone}`, Body: text, MessageSid: `SM${++sid}` },
+      }, res);
+      return replies.filter(reply => reply.to === adaPhone).pop()?.message || '';
+    };
+
+    await say('register');
+    const welcome = await say(ada);
+    const balance = await say('balance');
+    const confirm = await say(`send 5 to ${tunde}`);
+    await say('yes');
+    chain.mineBlock();
+    const escrows = await say('my escrows');
+
+    for (const [text, reply] of [['register', welcome], ['balance', balance], ['send 5', confirm], ['my escrows', escrows]]) {
+      console.log(`  "${text}" → ${reply.split('\n').find(line => line.trim())}`);
+    }
+    console.log(`  ${tunde} received ${chain.balanceOf(tunde)} microSTX`);
+
+    if (!(await userService.exists(adaPhone)) || !balance.includes('50') || !confirm.includes('5 STX') || !escrows) {
+      throw new Error('Registered commands did not reach their handlers');
+    }
+
+    if (chain.balanceOf(tunde) !== 5000000) {
+      throw new Error('Payment from the webhook did not go through');
+    }
+
+    if (replies.some(reply => reply.message.includes('something went wrong'))) {
+      throw new Error('A handler failed');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 6: What the node refuses at broadcast, and post conditions
+  console.log('\n✅ Test 6: Broadcast Checks and Post Conditions');
+  try {
+    const { makeSTXTokenTransfer, makeContractCall, Pc } = transactionsPkg;
+    const { default: tokenService } = await import('../lib/services/token.service.js');
+    const holderKey = randomPrivateKey();
+    const holder = privateKeyToAddress(holderKey, 'testnet');
+    chain.fund(holder, 1000000);
+
+    const transfer = async (to, amount) => (await makeSTXTokenTransfer({
+      recipient: to, amount, senderKey: holderKey, network: 'testnet', fee: 200, nonce: 0,
+    })).serialize();
+    const zero = await chain.broadcast(await transfer(recipient, 0));
+    const self = await chain.broadcast(await transfer(holder, 1));
+    console.log(`  0 µSTX → ${zero.reason}; to self → ${self.reason}`);
+
+    // SIP-010 transfers: the requested post condition, a wrong one, none at all
+    const token = { contractAddress: holder, contractName: 'tok', contractId: `${holder}.tok`, assetName: 'tok' };
+    chain.fundToken(`${token.contractId}::tok`, holder, 1000);
+    const call = tokenService.buildTransferCall({ token, senderAddress: holder, recipientAddress: recipient, amount: 400n });
+    const cases = [
+      { name: 'matching', postConditions: call.postConditions },
+      { name: 'wrong amount', postConditions: [Pc.principal(holder).willSendEq(300).ft(token.contractId, 'tok')] },
+      { name: 'none in deny mode', postConditions: [] },
+    ];
+
+    const statuses = [];
+    for (const [nonce, { postConditions }] of cases.entries()) {
+      const signed = await makeContractCall({ ...call, postConditions, senderKey: holderKey, network: 'testnet', fee: 300, nonce });
+      const { txid } = await chain.broadcast(signed.serialize());
+      chain.mineBlock();
+      statuses.push(chain.transactions.get(txid).status);
+    }
+    const tokens = chain.tokens.get(`${token.contractId}::tok`);
+    console.log(`  ${cases.map(({ name }, i) => `${name} → ${statuses[i]}`).join(', ')}`);
+    console.log(`  Holder ${tokens.get(holder)}, recipient ${tokens.get(recipient)}`);
+
+    const unknown = chain.transferToken(`${holder}.unknown`, [5n, holder, recipient]);
+    console.log(`  Unknown token → ${unknown.ok ? 'ok' : 'error'}`);
+
+    if (zero.reason !== 'TransferAmountMustBePositive' || self.reason !== 'TransferRecipientCannotEqualSender') {
+      throw new Error('Zero-amount and self transfers should be rejected at broadcast');
+    }
+
+    if (statuses.join(',') !== 'success,abort_by_post_condition,abort_by_post_condition' ||
+        tokens.get(holder) !== 600n || tokens.get(recipient) !== 400n || unknown.ok) {
+      throw new Error('Post conditions not enforced');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 7: Cancelling a stuck transfer
+  console.log('\n✅ Test 7: Cancel a Stuck Transfer');
+  try {
+    const before = chain.balanceOf(recipient);
+    const sent = await transactionService.sendTransaction({
+      senderAddress: sender,
+      senderPhone,
+      recipientAddress: recipient,
+      amountMicroStx: 3000000,
+      fee: 200,
+    });
+    const original = await transactionService.getTransactionById(sent.txId);
+
+    // Throws if the node refuses the cancel at broadcast
+    const fee = await transactionService.getReplacementFee(original, 'cancel');
+    const cancel = await transactionService.replaceTransaction(original, { mode: 'cancel', fee });
+    chain.mineBlock();
+    await transactionService.checkPendingTransactions();
+
+    const originalNow = await transactionService.getTransactionById(original.tx_id);
+    const cancelNow = await transactionService.getTransactionById(cancel.txId);
+    console.log(`  Cancel (fee ${cancel.fee}) → ${cancelNow.status}; original → ${originalNow.status}`);
+    console.log(`  Recipient received ${chain.balanceOf(recipient) - before} microSTX`);
+
+    if (cancelNow.status !== 'confirmed' || originalNow.status !== 'replaced' || chain.balanceOf(recipient) !== before) {
+      throw new Error('The cancel should confirm in place of the payment');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
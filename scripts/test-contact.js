@@ -9,7 +9,7 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import contactService from '../lib/services/contact.service.js';
-import userService from '../lib/services/user.service.js';
+import { userService } from '../lib/services/user.service.js';
 import stacksService from '../lib/services/stacks.service.js';
 
 console.log('🧪 Testing Contact Service\n');
@@ -97,10 +97,10 @@ async function runTests() {
   // Test 4: Check if Test User Exists
   console.log('\n✅ Test 4: Check Test User');
   try {
-    const user = await userService.getByPhone(TEST_USER_PHONE);
+    const { user } = await userService.getByPhone(TEST_USER_PHONE);
     if (user) {
-      console.log('  User found:', user.phone_number);
-      console.log('  STX Address:', user.stx_address);
+      console.log('  User found:', user.phoneNumber);
+      console.log('  STX Address:', user.stxAddress);
     } else {
       console.log('  ⚠️  Test user not found. Some tests will be skipped.');
     }
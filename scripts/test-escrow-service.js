@@ -7,6 +7,7 @@
 
 import escrowService from '../lib/services/escrow.service.js';
 import stacksService from '../lib/services/stacks.service.js';
+import { createRepositories } from '../lib/repositories/index.js';
 
 console.log('🧪 Testing Escrow Service\n');
 console.log('='.repeat(60));
@@ -20,7 +21,7 @@ async function runTests() {
   try {
     console.log('  Contract Address:', escrowService.contractAddress);
     console.log('  Contract Name:', escrowService.contractName);
-    console.log('  Network:', escrowService.network.isMainnet() ? 'Mainnet' : 'Testnet');
+    console.log('  Network:', escrowService.isMainnet ? 'Mainnet' : 'Testnet');
     passedTests++;
   } catch (error) {
     console.error('❌ Failed:', error.message);
@@ -31,6 +32,8 @@ async function runTests() {
   console.log('\n✅ Test 2: Service Methods Available');
   try {
     const methods = [
+      'buildCreateEscrowCall',
+      'buildEscrowActionCall',
       'createEscrow',
       'releaseEscrow',
       'refundEscrow',
@@ -40,7 +43,15 @@ async function runTests() {
       'canRefund',
       'saveEscrowToDatabase',
       'updateEscrowStatus',
+      'recordEscrowAction',
       'getEscrowsByPhone',
+      'reconcilePendingEscrows',
+      'reconcileEscrow',
+      'reconcileEscrowActions',
+      'reconcileEscrowAction',
+      'parseEscrowId',
+      'updateEscrowById',
+      'getExplorerUrl',
       'formatEscrow',
     ];
 
@@ -182,7 +193,7 @@ async function runTests() {
   console.log('\n✅ Test 8: Explorer URL Generation');
   try {
     const txId = '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
-    const isMainnet = escrowService.network.isMainnet();
+    const isMainnet = escrowService.isMainnet;
     const explorerUrl = `https://explorer.stacks.co/txid/${txId}?chain=${isMainnet ? 'mainnet' : 'testnet'}`;
     
     console.log('  Transaction ID:', txId.substring(0, 20) + '...');
@@ -195,6 +206,82 @@ async function runTests() {
     failedTests++;
   }
 
+  // Test 9: Contract escrow ID from create-escrow result
+  console.log('\n✅ Test 9: Escrow ID From Transaction Result');
+  try {
+    const cases = [
+      { result: '(ok u5)', expected: 5 },
+      { result: '(ok u1042)', expected: 1042 },
+      { result: '(err u104)', expected: null },
+      { result: null, expected: null },
+    ];
+
+    cases.forEach(({ result, expected }) => {
+      const id = escrowService.parseEscrowId(result);
+      const passed = id === expected;
+      console.log(`  ${result} → ${id} ${passed ? '✅' : '❌'}`);
+      if (!passed) throw new Error(`Unexpected ID for ${result}`);
+    });
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 10: Release/refund/cancel settle only once their transaction confirms
+  console.log('\n✅ Test 10: Settle Escrow Actions');
+  const originalEscrows = escrowService.escrows;
+  const originalGetStatus = stacksService.getTransactionStatus;
+  try {
+    const { default: escrowHandler } = await import('../lib/handlers/escrow.handler.js');
+    const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+    const { escrows } = createRepositories('memory');
+    escrowService.escrows = escrows;
+
+    const base = { sender_phone: '+2348012345678', recipient_phone: '+2348087654321', amount_microstx: 5000000, status: 'active' };
+    await escrows.insert({ ...base, contract_escrow_id: 1 });
+    await escrows.insert({ ...base, contract_escrow_id: 2 });
+    await escrowService.recordEscrowAction(1, 'release', '0xrelease');
+    await escrowService.recordEscrowAction(2, 'cancel', '0xcancel');
+
+    const broadcast = await escrows.findOne({ contract_escrow_id: 1 });
+    console.log(`  After broadcast → ${broadcast.status}, ${broadcast.pending_action} pending`);
+
+    const txStatus = { '0xrelease': { confirmed: true }, '0xcancel': { failed: true } };
+    stacksService.getTransactionStatus = async (txId) => txStatus[txId];
+
+    const notices = [];
+    whatsappService.sendMessage = async (to, message) => notices.push({ to, message });
+
+    // Overlapping runs read the same escrows
+    const [first, second] = await Promise.all([
+      escrowHandler.reconcileEscrowActions(),
+      escrowHandler.reconcileEscrowActions(),
+    ]);
+    const released = await escrows.findOne({ contract_escrow_id: 1 });
+    const kept = await escrows.findOne({ contract_escrow_id: 2 });
+
+    console.log(`  Release confirmed → ${released.status}; cancel failed → ${kept.status}`);
+    console.log(`  Updates: ${first.length + second.length}, messages: ${notices.length}`);
+
+    if (broadcast.status !== 'active' || broadcast.pending_action !== 'release' ||
+        released.status !== 'released' || released.pending_action !== null ||
+        kept.status !== 'active' || kept.pending_action !== null ||
+        first.length + second.length !== 2 || notices.length !== 4 ||
+        !notices.some(({ to, message }) => to === base.recipient_phone && message.includes('Cancel Didn\'t Go Through'))) {
+      throw new Error('Escrow actions should settle once, after their transaction');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  } finally {
+    escrowService.escrows = originalEscrows;
+    stacksService.getTransactionStatus = originalGetStatus;
+  }
+
   // Summary
   console.log('\n' + '='.repeat(60));
   console.log('📊 TEST SUMMARY');
@@ -219,6 +306,8 @@ async function runTests() {
   console.log('✅ Cancel escrow (sender only)');
   console.log('✅ Check escrow status on blockchain');
   console.log('✅ Track escrows in database');
+  console.log('✅ Reconcile contract escrow IDs after confirmation');
+  console.log('✅ Settle release/refund/cancel after confirmation');
   console.log('✅ Query escrows by phone number');
 
   console.log('\n' + '='.repeat(60));
@@ -227,7 +316,6 @@ async function runTests() {
   console.log('// Create escrow');
   console.log('await escrowService.createEscrow(');
   console.log('  senderAddress,');
-  console.log('  senderKey,');
   console.log('  recipientAddress,');
   console.log('  5000000, // 5 STX');
   console.log('  144, // 24 hours timeout');
@@ -236,9 +324,9 @@ async function runTests() {
   console.log('  "+2349087654321"');
   console.log(');\n');
   console.log('// Release escrow');
-  console.log('await escrowService.releaseEscrow(0, callerAddress, callerKey);\n');
+  console.log('await escrowService.releaseEscrow(0, callerAddress, callerPhone);\n');
   console.log('// Refund escrow');
-  console.log('await escrowService.refundEscrow(0, senderAddress, senderKey);');
+  console.log('await escrowService.refundEscrow(0, senderAddress, senderPhone);');
 }
 
 runTests().catch(error => {
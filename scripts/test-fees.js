@@ -0,0 +1,189 @@
+/**
+ * Test script for fee estimation and fee tiers
+ *
+ * Tests pricing a transaction payload with /v2/fees/transaction, the
+ * fallback when no estimate is available, tier selection, picking a
+ * tier in "send 5 to John fast" and pricing an escrow at the saved tier
+ * (API, balance and messaging are stubbed)
+ * Run: node scripts/test-fees.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Fee Estimation\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+  const { default: paymentHandler } = await import('../lib/services/payment.handler.js');
+  const { default: contactService } = await import('../lib/services/contact.service.js');
+  const { default: conversationService } = await import('../lib/services/conversation.service.js');
+  const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+  const { default: priceService } = await import('../lib/services/price.service.js');
+
+  const sender = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+  const recipient = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+  // What the node returns for /v2/fees/transaction (not always sorted)
+  const estimations = [
+    { fee_rate: 1.2, fee: 3000 },
+    { fee_rate: 0.8, fee: 1200 },
+    { fee_rate: 2.5, fee: 6000 },
+  ];
+  let posted = null;
+  stacksService._post = async (endpoint, body) => {
+    posted = { endpoint, body };
+    return { estimated_cost: {}, estimated_cost_scalar: 14, estimations, cost_scalar_change_by_byte: 0.0026 };
+  };
+
+  // Test 1: Pricing a transfer payload
+  console.log('\n✅ Test 1: Estimate From Payload');
+  try {
+    const payload = stacksService.buildTransferPayload(recipient, 5000000, 'Lunch');
+    const fees = await stacksService.estimateFee(payload);
+    console.log(`  POST ${posted.endpoint} (${posted.body.transaction_payload.length / 2} byte payload, ~${posted.body.estimated_len} bytes signed)`);
+    console.log(`  Low ${fees.low}, medium ${fees.medium}, high ${fees.high} → ${fees.highStx} STX`);
+
+    if (posted.endpoint !== '/v2/fees/transaction' || !/^[0-9a-f]+$/.test(posted.body.transaction_payload)) {
+      throw new Error('Payload was not posted as hex');
+    }
+
+    if (fees.low !== 1200 || fees.medium !== 3000 || fees.high !== 6000 || fees.mediumStx !== 0.003) {
+      throw new Error('Estimations were not mapped to low/medium/high');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: No estimate available
+  console.log('\n✅ Test 2: Fallback Fees');
+  try {
+    const post = stacksService._post;
+    stacksService._post = async () => {
+      throw new Error('Hiro API error (400): NoEstimateAvailable');
+    };
+
+    const fees = await stacksService.estimateFee();
+    stacksService._post = post;
+    console.log(`  API error → low ${fees.low}, medium ${fees.medium}, high ${fees.high}`);
+
+    if (fees.low !== 180 || fees.medium !== 250 || fees.high !== 360) {
+      throw new Error('Expected default fees');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Tiers
+  console.log('\n✅ Test 3: Fee Tiers');
+  try {
+    const fees = await stacksService.estimateFee();
+    const slow = stacksService.getFeeForTier(fees, 'slow');
+    const fast = stacksService.getFeeForTier(fees, 'fast');
+    const unknown = stacksService.getFeeForTier(fees, 'turbo');
+    console.log(`  slow → ${slow.fee}, fast → ${fast.fee}, turbo → ${unknown.tier} (${unknown.fee})`);
+
+    if (slow.fee !== 1200 || fast.fee !== 6000 || unknown.tier !== 'normal' || unknown.fee !== 3000) {
+      throw new Error('Tier mapping is wrong');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Picking a tier when sending
+  console.log('\n✅ Test 4: "send 5 to John fast"');
+  try {
+    const states = [];
+    const messages = [];
+    const resolved = [];
+    contactService.resolveRecipient = async (phone, input) => {
+      resolved.push(input);
+      return { type: 'contact', name: input, address: recipient };
+    };
+    stacksService.getBalance = async () => ({ stx: { balanceStx: 100 } });
+    priceService.describeStx = async () => null;
+    conversationService.start = async (phone, flow, step, data) => states.push(data);
+    whatsappService.sendMessage = async (to, message) => messages.push(message);
+
+    const user = { stxAddress: sender, feeTier: 'slow' };
+    await paymentHandler.handleSend('+2348012345678', 'send 5 to John fast', user);
+    await paymentHandler.handleSend('+2348012345678', 'send 5 to John', user);
+    console.log(`  Recipients: ${resolved.join(', ')}; fees: ${states.map(state => `${state.feeTier} ${state.fee}`).join(', ')}`);
+    console.log(`  ${messages[0].split('\n').find(line => line.startsWith('Fee:'))}`);
+
+    if (resolved.join(',') !== 'John,John') {
+      throw new Error('Tier was not stripped from the recipient');
+    }
+
+    if (states[0].fee !== 6000 || states[1].feeTier !== 'slow' || states[1].fee !== 1200) {
+      throw new Error('Fee did not follow the named tier / saved default');
+    }
+
+    if (!messages[0].includes('Fee: 0.006000 STX (fast)')) {
+      throw new Error('Confirmation does not show the chosen fee');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Escrows are priced for their contract call at the saved tier
+  console.log('\n✅ Test 5: Escrow Fee');
+  try {
+    const { default: escrowHandler } = await import('../lib/handlers/escrow.handler.js');
+    const states = [];
+    const confirmations = [];
+    conversationService.start = async (phone, flow, step, data) => states.push(data);
+    whatsappService.sendConfirmation = async (to, message) => confirmations.push(message);
+    posted = null;
+
+    await escrowHandler.handleCreateEscrow('+2348012345678', 'escrow 5 to John for 24 hours', { stxAddress: sender, feeTier: 'fast' });
+    const payloadBytes = posted.body.transaction_payload.length / 2;
+    console.log(`  Priced a ${payloadBytes} byte contract call → ${states[0]?.feeTier} ${states[0]?.fee}`);
+    console.log(`  ${confirmations[0].split('\n').find(line => line.startsWith('Fee:'))}`);
+
+    // A create-escrow call is much longer than the default transfer estimate
+    if (payloadBytes <= 100 || states[0].fee !== 6000 || !confirmations[0].includes('Fee: 0.006000 STX (fast)')) {
+      throw new Error('Escrow was not priced for its call at the saved tier');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
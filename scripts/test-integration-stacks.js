@@ -1,4 +1,4 @@
-import userService from '../lib/services/user.service.js';
+import { userService } from '../lib/services/user.service.js';
 import stacksService from '../lib/services/stacks.service.js';
 
 async function testIntegration() {
@@ -13,14 +13,14 @@ async function testIntegration() {
 
     // Test 2: Check if a user exists and validate their address
     console.log('\nTest 2: Get User and Validate Address');
-    const user = await userService.getByPhone('+2349012345678');
+    const { user } = await userService.getByPhone('+2349012345678');
     if (user) {
-      const userAddressValid = stacksService.isValidAddress(user.stx_address);
+      const userAddressValid = stacksService.isValidAddress(user.stxAddress);
       console.log('✅ User address valid:', userAddressValid);
       
       // Test 3: Try to get balance (will fail without network)
       try {
-        const balance = await stacksService.getBalance(user.stx_address);
+        const balance = await stacksService.getBalance(user.stxAddress);
         console.log('✅ Balance:', balance.stx.balanceStx, 'STX');
       } catch (error) {
         console.log('⚠️  Balance check requires network access');
@@ -0,0 +1,250 @@
+/**
+ * Test script for interactive messages
+ *
+ * Tests Confirm/Cancel reply buttons and list pickers: the Cloud API
+ * payloads (against a local server), the text fallback, parsing tapped
+ * buttons off the webhook and picking a contact for "send 5 to jo"
+ * end to end on the chain simulator - data is kept in memory
+ * Run: node scripts/test-interactive.js
+ */
+
+import http from 'http';
+
+import('dotenv').then(dotenv => dotenv.config());
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.STACKS_NETWORK = 'testnet';
+process.env.PRICE_PROVIDER = 'fixed';
+
+console.log('🧪 Testing Interactive Messages\n');
+console.log('='.repeat(60));
+
+/**
+ * Local stand-in for the Graph API that records every request
+ * (answers 400 to the next `rejectNext` requests)
+ */
+async function startGraphServer(requests, state) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const reject = state.rejectNext > 0;
+      state.rejectNext -= reject ? 1 : 0;
+      requests.push(JSON.parse(body));
+      res.writeHead(reject ? 400 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reject
+        ? { error: { message: 'Param interactive[body][text] is too long' } }
+        : { messages: [{ id: `wamid.${requests.length}` }] }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/**
+ * Meta webhook request carrying one message
+ */
+function metaRequest(id, from, message) {
+  return {
+    method: 'POST',
+    headers: {},
+    body: {
+      object: 'whatsapp_business_account',
+      entry: [{ id: '102290129340398', changes: [{ field: 'messages', value: { messages: [{ id, from, ...message }] } }] }],
+    },
+  };
+}
+
+function mockResponse() {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  return res;
+}
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { TwilioTransport, MetaCloudTransport } = await import('../lib/transports/index.js');
+  const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+
+  const requests = [];
+  const serverState = { rejectNext: 0 };
+  const server = await startGraphServer(requests, serverState);
+  const meta = new MetaCloudTransport({
+    accessToken: 'EAAtoken',
+    phoneNumberId: '106540352242922',
+    apiUrl: `http://127.0.0.1:${server.address().port}`,
+  });
+
+  // Test 1: Buttons and lists on the Cloud API
+  console.log('\n✅ Test 1: Cloud API Buttons and Lists');
+  try {
+    whatsappService.setTransport(meta);
+    requests.length = 0;
+
+    await whatsappService.sendConfirmation('+2348012345678', '💸 *Confirm Payment*');
+    await whatsappService.sendList('+2348012345678', '👥 Who did you mean?', 'Choose contact', [
+      { id: '1', title: 'Johnathan Alexander Richardson', description: 'SP2J6ZY48G...RV9EJ7' },
+      { id: '2', title: 'Joy' },
+    ]);
+
+    const [buttons, list] = requests.map(request => request.interactive);
+    console.log(`  Buttons → ${buttons.action.buttons.map(({ reply }) => `${reply.title} (${reply.id})`).join(', ')}`);
+    console.log(`  List "${list.action.button}" → ${list.action.sections[0].rows.map(row => row.title).join(', ')}`);
+
+    if (buttons.type !== 'button' || buttons.body.text !== '💸 *Confirm Payment*' ||
+        buttons.action.buttons.map(({ reply }) => reply.id).join(',') !== 'yes,no') {
+      throw new Error('Confirmation buttons sent wrong');
+    }
+
+    if (list.type !== 'list' || list.action.sections[0].rows[0].title.length !== 24 || list.action.sections[0].rows[1].description) {
+      throw new Error('List rows not fitted to Cloud API limits');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Text fallback
+  console.log('\n✅ Test 2: Text Fallback');
+  try {
+    const twilioTransport = new TwilioTransport({ accountSid: 'AC123', authToken: 'token', whatsappNumber: '+14155238886' });
+    const sent = [];
+    twilioTransport.client = { messages: { create: async (params) => (sent.push(params.body), { sid: 'SM999' }) } };
+    whatsappService.setTransport(twilioTransport);
+
+    await whatsappService.sendConfirmation('+2348012345678', '⚡ *Speed Up Payment*', 'Keep waiting');
+    await whatsappService.sendList('+2348012345678', '👥 Who did you mean?', 'Choose contact', [{ id: '1', title: 'John', description: 'SP2J6ZY48G...RV9EJ7' }]);
+    console.log(`  Twilio → ${JSON.stringify(sent[0])}`);
+    console.log(`  Twilio list → ${JSON.stringify(sent[1])}`);
+
+    // Cloud API refusing the interactive message falls back to text
+    whatsappService.setTransport(meta);
+    requests.length = 0;
+    serverState.rejectNext = 1;
+    const result = await whatsappService.sendConfirmation('+2348012345678', '🔒 *Confirm Escrow*');
+    console.log(`  Cloud API error → retried as ${requests.map(request => request.type).join(' then ')} (${result.success ? 'sent' : result.error})`);
+
+    if (sent[0] !== '⚡ *Speed Up Payment*\n\nReply:\n*yes* to confirm\n*no* to keep waiting' ||
+        sent[1] !== '👥 Who did you mean?\n\nReply with one of:\n*1* John (SP2J6ZY48G...RV9EJ7)') {
+      throw new Error('Fallback text is wrong');
+    }
+
+    if (requests.map(request => request.type).join(',') !== 'interactive,text' || !result.success) {
+      throw new Error('Failed interactive send did not fall back to text');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Tapped buttons on the webhook
+  console.log('\n✅ Test 3: Parse Button Replies');
+  try {
+    const parsed = [
+      metaRequest('wamid.1', '2348012345678', { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: 'yes', title: 'Confirm' } } }),
+      metaRequest('wamid.2', '2348012345678', { type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: '2', title: 'Joy' } } }),
+      metaRequest('wamid.3', '2348012345678', { type: 'button', button: { payload: 'no', text: 'Cancel' } }),
+    ].map(req => meta.parseInbound(req)[0].text);
+    const [twilioReply] = new TwilioTransport().parseInbound({
+      body: { From: 'whatsapp:+2348012345678', Body: 'Confirm', ButtonPayload: 'yes', MessageSid: 'SM1' },
+    });
+    console.log(`  Cloud API → ${parsed.join(', ')}; Twilio → ${twilioReply.text}`);
+
+    if (parsed.join(',') !== 'yes,2,no' || twilioReply.text !== 'yes') {
+      throw new Error('Button payloads not read as replies');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: "send 5 to jo" → pick a contact → Confirm/Cancel
+  console.log('\n✅ Test 4: Contact Picker End to End');
+  try {
+    const { default: transactionsPkg } = await import('@stacks/transactions');
+    const { randomPrivateKey, privateKeyToAddress } = transactionsPkg;
+    const { default: ChainSimulator } = await import('../lib/chain/chain-simulator.js');
+    const { default: stacksService } = await import('../lib/services/stacks.service.js');
+    const { userService } = await import('../lib/services/user.service.js');
+    const { default: contactService } = await import('../lib/services/contact.service.js');
+    const { default: conversationService } = await import('../lib/services/conversation.service.js');
+    const { default: paymentHandler } = await import('../lib/services/payment.handler.js');
+    const { default: handler } = await import('../api/webhook.js');
+
+    const chain = new ChainSimulator();
+    stacksService.setChainAdapter(chain);
+    whatsappService.setTransport(meta);
+
+    const senderPhone = '+2348012345678';
+    const sender = privateKeyToAddress(randomPrivateKey(), 'testnet');
+    const joy = privateKeyToAddress(randomPrivateKey(), 'testnet');
+    chain.fund(sender, 100 * 1000000);
+    await userService.create({ phoneNumber: senderPhone, stxAddress: sender });
+    await contactService.addContact(senderPhone, 'John', privateKeyToAddress(randomPrivateKey(), 'testnet'));
+    await contactService.addContact(senderPhone, 'Joy', joy);
+
+    requests.length = 0;
+    await paymentHandler.handleSend(senderPhone, 'send 5 to jo', { stxAddress: sender, feeTier: 'normal' });
+    const picker = requests[0].interactive;
+    console.log(`  Picker → ${picker.action.sections[0].rows.map(row => `${row.id}. ${row.title}`).join(', ')}`);
+
+    // Tap "Joy", then "Cancel"
+    await handler(metaRequest('wamid.pick', '2348012345678', { type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: '2', title: 'Joy' } } }), mockResponse());
+    const prompt = requests[1].interactive;
+    const state = await conversationService.getActive(senderPhone);
+    console.log(`  Tapped Joy → ${prompt.body.text.split('\n').find(line => line.startsWith('To:'))}, waiting on ${state.flow}.${state.step}`);
+
+    await handler(metaRequest('wamid.cancel', '2348012345678', { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: 'no', title: 'Cancel' } } }), mockResponse());
+    console.log(`  Tapped Cancel → ${requests[2].text.body}`);
+
+    if (picker.type !== 'list' || picker.action.sections[0].rows.map(row => row.title).join(',') !== 'John,Joy') {
+      throw new Error('"jo" should offer John and Joy');
+    }
+
+    if (prompt.type !== 'button' || !prompt.body.text.includes('To: Joy') || state.data.recipient.address !== joy) {
+      throw new Error('Picking Joy did not lead to a confirmation for Joy');
+    }
+
+    if (requests[2].text.body !== '❌ Payment cancelled.' || (await conversationService.getActive(senderPhone))) {
+      throw new Error('Cancel button did not cancel the payment');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  } finally {
+    server.close();
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
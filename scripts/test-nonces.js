@@ -0,0 +1,137 @@
+/**
+ * Test script for Nonce Manager
+ *
+ * Tests concurrent reservations, freeing failed nonces, filling gaps the
+ * chain reports and reconciling with the mempool (chain nonces are stubbed)
+ * Run: node scripts/test-nonces.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Nonce Manager\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: nonceManager } = await import('../lib/services/nonce-manager.service.js');
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+
+  const address = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+
+  // What the API reports - it lags behind our broadcasts
+  let chain = { possibleNextNonce: 7, lastExecutedNonce: 6, lastMempoolNonce: null, missingNonces: [] };
+  stacksService.getNonceInfo = async () => {
+    // Simulate a slow API so concurrent reservations overlap
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return chain;
+  };
+
+  // Test 1: Concurrent reservations
+  console.log('\n✅ Test 1: Concurrent Reservations');
+  try {
+    const nonces = await Promise.all([1, 2, 3].map(() => nonceManager.reserve(address)));
+    console.log(`  Three sends at once → ${nonces.join(', ')}`);
+
+    if (nonces.join(',') !== '7,8,9') {
+      throw new Error('Nonces were not unique and sequential');
+    }
+
+    nonces.forEach(nonce => nonceManager.confirm(address, nonce));
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Failed broadcasts free their nonce
+  console.log('\n✅ Test 2: Failed Broadcast');
+  try {
+    let failed = false;
+    try {
+      await nonceManager.withNonce(address, async (nonce) => {
+        console.log(`  Broadcast with ${nonce} fails`);
+        throw new Error('Broadcast failed');
+      });
+    } catch (error) {
+      failed = true;
+    }
+
+    const sent = await nonceManager.withNonce(address, async (nonce) => nonce);
+    console.log(`  Next send reuses → ${sent}`);
+
+    if (!failed || sent !== 10) {
+      throw new Error('Failed nonce was not reused');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Chain catches up, and reports a gap
+  console.log('\n✅ Test 3: Reconciling with the Chain');
+  try {
+    // 7-10 reached the mempool except 8, which was dropped
+    chain = { possibleNextNonce: 11, lastExecutedNonce: 6, lastMempoolNonce: 10, missingNonces: [8] };
+    const gap = await nonceManager.reserve(address);
+    const next = await nonceManager.reserve(address);
+    console.log(`  Missing nonce 8 → refilled with ${gap}; then ${next}`);
+
+    const account = nonceManager.accounts.get(address);
+    console.log(`  Still tracked: ${[...account.reserved.keys()].join(', ')}`);
+
+    if (gap !== 8 || next !== 11 || account.reserved.has(9) || account.reserved.has(10)) {
+      throw new Error('Unexpected reconciliation');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Abandoned reservations expire
+  console.log('\n✅ Test 4: Abandoned Reservations');
+  try {
+    // 8 and 11 were reserved above but never confirmed or released
+    nonceManager.reservationTtlSeconds = 0;
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    chain = { possibleNextNonce: 11, lastExecutedNonce: 7, lastMempoolNonce: 10, missingNonces: [8] };
+    const nonce = await nonceManager.reserve(address);
+    console.log(`  After expiry → ${nonce}`);
+
+    if (nonce !== 8) {
+      throw new Error('Abandoned nonce not freed');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
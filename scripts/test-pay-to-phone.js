@@ -0,0 +1,143 @@
+/**
+ * Test script for paying to phone numbers
+ *
+ * Tests ContactService.resolveRecipient with phone numbers of registered
+ * and unregistered users (user lookups are stubbed - no database)
+ * Run: node scripts/test-pay-to-phone.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Pay-to-Phone Recipient Resolution\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: contactService } = await import('../lib/services/contact.service.js');
+  const { userService } = await import('../lib/services/user.service.js');
+
+  const sender = '+2349012345678';
+  const registered = {
+    '+2348012345678': 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7',
+    '+233241234567': 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE',
+  };
+
+  const lookups = [];
+  userService.getByPhone = async (phone) => {
+    lookups.push(phone);
+    return registered[phone]
+      ? { success: true, user: { phoneNumber: phone, stxAddress: registered[phone] } }
+      : { success: false, error: 'User not found' };
+  };
+
+  // Test 1: Registered user by E.164 number
+  console.log('\n✅ Test 1: Registered Number');
+  try {
+    const recipient = await contactService.resolveRecipient(sender, '+2348012345678');
+    console.log(`  → ${recipient.type} ${recipient.address} (${recipient.phone})`);
+
+    if (recipient.type !== 'phone' || recipient.address !== registered['+2348012345678'] ||
+        recipient.phone !== '+2348012345678') {
+      throw new Error('Registered number not resolved');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: National and international formats are normalized before lookup
+  console.log('\n✅ Test 2: Number Formats');
+  try {
+    lookups.length = 0;
+    const national = await contactService.resolveRecipient(sender, '08012345678');
+    const ghana = await contactService.resolveRecipient(sender, '+233 24 123 4567');
+
+    console.log(`  08012345678 → ${national.phone}`);
+    console.log(`  +233 24 123 4567 → ${ghana.phone}`);
+    console.log(`  Lookups: ${lookups.join(', ')}`);
+
+    if (national.phone !== '+2348012345678' || ghana.address !== registered['+233241234567'] ||
+        lookups.join(',') !== '+2348012345678,+233241234567') {
+      throw new Error('Numbers not normalized');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Unregistered number
+  console.log('\n✅ Test 3: Unregistered Number');
+  try {
+    const recipient = await contactService.resolveRecipient(sender, '+2347012345678');
+    console.log(`  → ${recipient.type}, address: ${recipient.address}`);
+
+    // A failed lookup is not the same as "not registered"
+    const getByPhone = userService.getByPhone;
+    userService.getByPhone = async () => ({ success: false, error: 'connection reset' });
+    let lookupError = null;
+    try {
+      await contactService.resolveRecipient(sender, '+2348012345678');
+    } catch (error) {
+      lookupError = error.message;
+    }
+    userService.getByPhone = getByPhone;
+    console.log(`  Lookup fails → ${lookupError}`);
+
+    if (recipient.type !== 'unregistered' || recipient.address !== null ||
+        recipient.phone !== '+2347012345678') {
+      throw new Error('Unregistered number not flagged');
+    }
+
+    if (!lookupError) {
+      throw new Error('A failed lookup should not resolve as unregistered');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: STX addresses skip the phone lookup
+  console.log('\n✅ Test 4: STX Address');
+  try {
+    lookups.length = 0;
+    const recipient = await contactService.resolveRecipient(sender, registered['+2348012345678']);
+    console.log(`  → ${recipient.type}, lookups: ${lookups.length}`);
+
+    if (recipient.type !== 'address' || lookups.length !== 0) {
+      throw new Error('Address resolved as phone');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
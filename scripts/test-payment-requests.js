@@ -0,0 +1,239 @@
+/**
+ * Test script for Payment Request Service
+ *
+ * Tests request validation (ownership, expiry, status), payment
+ * outcomes, the message sent to the payer, the replies the request
+ * handler sends and paying a request once (database writes, WhatsApp
+ * sends and broadcasts are stubbed)
+ * Run: node scripts/test-payment-requests.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Payment Request Service\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: paymentRequestService } = await import('../lib/services/payment-request.service.js');
+
+  const updates = [];
+  paymentRequestService.updateRequest = async (id, changes) => {
+    updates.push({ id, ...changes });
+    return { id, ...changes };
+  };
+
+  const payer = '+2348012345678';
+  const tomorrow = new Date(Date.now() + 86400000).toISOString();
+  const request = {
+    id: 3,
+    requester_phone: '+2349012345678',
+    payer_phone: payer,
+    amount_micro_stx: 10000000,
+    memo: 'lunch',
+    status: 'pending',
+    expires_at: tomorrow,
+  };
+
+  // Test 1: Open requests
+  console.log('\n✅ Test 1: Open Request Checks');
+  try {
+    const cases = [
+      { label: 'Own pending request', request, phone: payer, expected: null },
+      { label: 'Unknown request', request: null, phone: payer, expected: 'Payment request not found.' },
+      { label: 'Someone else\'s request', request, phone: '+2347012345678', expected: 'Payment request not found.' },
+      { label: 'Already paid', request: { ...request, status: 'paid' }, phone: payer, expected: 'Request #3 is already paid.' },
+    ];
+
+    for (const { label, request: input, phone, expected } of cases) {
+      const reason = await paymentRequestService.checkOpen(input, phone);
+      console.log(`  ${label} → ${reason} ${reason === expected ? '✅' : '❌'}`);
+      if (reason !== expected) {
+        throw new Error(`Unexpected result for ${label}`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Expiry
+  console.log('\n✅ Test 2: Expired Requests');
+  try {
+    updates.length = 0;
+    const expired = { ...request, expires_at: new Date(Date.now() - 1000).toISOString() };
+    const reason = await paymentRequestService.checkOpen(expired, payer);
+
+    console.log(`  → ${reason}`);
+    console.log(`  Updates: ${JSON.stringify(updates)}`);
+
+    if (reason !== 'Request #3 has expired.' || updates[0]?.status !== 'expired') {
+      throw new Error('Expired request not marked');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Payment outcomes
+  console.log('\n✅ Test 3: Payment Outcomes');
+  try {
+    const paying = { ...request, status: 'paying', tx_id: '0xabc' };
+    const paid = await paymentRequestService.applyPaymentStatus(paying, 'confirmed');
+    const dropped = await paymentRequestService.applyPaymentStatus(paying, 'dropped');
+
+    console.log(`  confirmed → ${paid.status}`);
+    console.log(`  dropped → ${dropped.status} (tx_id: ${dropped.tx_id})`);
+
+    if (paid.status !== 'paid' || !paid.paid_at || dropped.status !== 'pending' || dropped.tx_id !== null) {
+      throw new Error('Unexpected payment outcome');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Payer message
+  console.log('\n✅ Test 4: Request Message');
+  try {
+    const message = paymentRequestService.formatRequest(request);
+    console.log(message.split('\n').map(line => `  ${line}`).join('\n'));
+
+    if (!message.includes('10 STX') || !message.includes('For: lunch') || !message.includes('pay #3') ||
+        !message.includes('decline #3')) {
+      throw new Error('Message is missing details');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Handler replies
+  console.log('\n✅ Test 5: Request Handler Messages');
+  try {
+    const { default: requestHandler } = await import('../lib/handlers/request.handler.js');
+    const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+
+    const sent = [];
+    whatsappService.sendMessage = async (to, message) => {
+      sent.push({ to, message });
+      return { success: true };
+    };
+    paymentRequestService.getById = async id => (id === request.id ? { ...request } : null);
+    paymentRequestService.getByTxId = async txId => (txId === '0xabc' ? { ...request, status: 'paying', tx_id: txId } : null);
+
+    const declined = await requestHandler.handleDeclineRequest(payer, 'decline #3');
+    const paid = await requestHandler.handleTransactionUpdate({ txId: '0xabc', status: 'confirmed' });
+    sent.forEach(({ to, message }) => console.log(`  → ${to}: ${message.split('\n')[0]}`));
+
+    if (!declined.success || sent[0]?.to !== payer || sent[0].message !== '❌ Request #3 declined.' ||
+        sent[1]?.to !== request.requester_phone || !sent[1].message.includes(`${payer} declined your request for 10 STX (lunch).`)) {
+      throw new Error('Decline replies were not sent');
+    }
+
+    if (paid?.status !== 'paid' || sent[2]?.to !== request.requester_phone || !sent[2].message.includes('Request #3 Paid')) {
+      throw new Error('Requester was not told the request was paid');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 6: A request is taken before it's paid, so it's paid once
+  console.log('\n✅ Test 6: Pay a Request Once');
+  try {
+    const { default: paymentHandler } = await import('../lib/services/payment.handler.js');
+    const { default: transactionService } = await import('../lib/services/transaction.service.js');
+    const { default: keyVaultService } = await import('../lib/services/key-vault.service.js');
+    const { default: priceService } = await import('../lib/services/price.service.js');
+    priceService.describeStx = async () => null;
+
+    // The stored request, changed the way the conditional updates would
+    const stored = { ...request };
+    paymentRequestService.markPaying = async () => {
+      if (stored.status !== 'pending' && !paymentRequestService.isHoldExpired(stored)) return null;
+      return Object.assign(stored, { status: 'paying', tx_id: null, updated_at: new Date().toISOString() });
+    };
+    paymentRequestService.linkPayment = async (id, txId) =>
+      (stored.status === 'paying' && !stored.tx_id ? Object.assign(stored, { tx_id: txId }) : null);
+    paymentRequestService.releasePaying = async () =>
+      (stored.status === 'paying' && !stored.tx_id ? Object.assign(stored, { status: 'pending' }) : null);
+
+    keyVaultService.hasKey = async () => true;
+    let broadcasts = 0;
+    let broadcastError = 'Broadcast failed: NotEnoughFunds';
+    transactionService.sendTransaction = async () => {
+      broadcasts++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      if (broadcastError) throw new Error(broadcastError);
+      return { txId: '0xpaid' };
+    };
+
+    const state = {
+      data: {
+        amount: 10,
+        amountMicroStx: 10000000,
+        recipient: { address: 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE', phone: request.requester_phone },
+        senderAddress: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7',
+        paymentRequestId: request.id,
+      },
+    };
+
+    const failed = await paymentHandler.executeSend(payer, state);
+    console.log(`  Failed broadcast → request ${stored.status} ${stored.status === 'pending' ? '✅' : '❌'}`);
+
+    broadcastError = null;
+    const [first, second] = await Promise.all([
+      paymentHandler.executeSend(payer, state),
+      paymentHandler.executeSend(payer, state),
+    ]);
+    console.log(`  Two payments → ${first.success ? 'paid' : first.message}, ${second.success ? 'paid' : second.message}`);
+    console.log(`  Broadcasts after retry: ${broadcasts - 1}, request ${stored.status} (${stored.tx_id})`);
+
+    const unsigned = { ...request, status: 'paying', tx_id: null, updated_at: new Date(Date.now() - 60 * 60000).toISOString() };
+    const reopened = await paymentRequestService.checkOpen(unsigned, payer);
+    console.log(`  Unsigned hold after the link expired → ${reopened === null ? 'payable again' : reopened}`);
+
+    if (failed.success || broadcasts !== 2 || first.success === second.success ||
+        stored.status !== 'paying' || stored.tx_id !== '0xpaid' || reopened !== null) {
+      throw new Error('Request should be paid exactly once');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+/**
+ * Test script for Payout Service
+ *
+ * Tests CSV parsing, row validation, the dry-run summary, sending
+ * with a failed row and retrying a batch (balance and broadcast calls
+ * are stubbed, payout rows are kept in memory)
+ * Run: node scripts/test-payouts.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Payout Service\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: payoutService } = await import('../lib/services/payout.service.js');
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+  const { default: transactionService } = await import('../lib/services/transaction.service.js');
+  const { default: keyVaultService } = await import('../lib/services/key-vault.service.js');
+  const { default: nonceManager } = await import('../lib/services/nonce-manager.service.js');
+  const { createRepositories } = await import('../lib/repositories/index.js');
+
+  payoutService.payoutRows = createRepositories('memory').payoutRows;
+  const sendTransaction = transactionService.sendTransaction;
+
+  const riderA = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+  const riderB = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+  const csv = [
+    'recipient,amount,memo',
+    `${riderA},12.5,Week 42`,
+    `${riderB},7,"Week 42, tips"`,
+    '',
+  ].join('\n');
+
+  stacksService.getBalance = async () => ({ stx: { balanceStx: 100 } });
+  const pricedPayloads = [];
+  stacksService.estimateFee = async (payload) => {
+    pricedPayloads.push(payload);
+    return { medium: 2000, mediumStx: 0.002, high: 4000, highStx: 0.004 };
+  };
+  keyVaultService.hasKey = async () => true;
+
+  // Test 1: CSV parsing
+  console.log('\n✅ Test 1: CSV Parsing');
+  try {
+    const rows = payoutService.parseCsv(csv);
+    rows.forEach(row => console.log(`  Line ${row.row}: ${row.recipient.substring(0, 10)}... ${row.amount} "${row.memo}"`));
+
+    if (rows.length !== 2 || rows[0].row !== 2 || rows[1].memo !== 'Week 42, tips') {
+      throw new Error('Unexpected rows');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Row validation
+  console.log('\n✅ Test 2: Row Validation');
+  try {
+    const rows = payoutService.validateRows(payoutService.parseCsv([
+      `${riderA},5,ok`,
+      'SPNOTANADDRESS,5,bad address',
+      `${riderB},abc,bad amount`,
+      `${riderB},0,zero`,
+      `${riderB},1,${'x'.repeat(40)}`,
+    ].join('\n')));
+
+    rows.forEach(row => console.log(`  Line ${row.row}: ${row.valid ? 'valid' : row.errors.join('; ')}`));
+
+    if (!rows[0].valid || rows[0].amountMicroStx !== 5000000 || rows.slice(1).some(row => row.valid)) {
+      throw new Error('Unexpected validation result');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Dry run
+  console.log('\n✅ Test 3: Dry Run');
+  try {
+    const { summary } = await payoutService.dryRun({ senderAddress: riderA, csv });
+    console.log(`  ${JSON.stringify(summary)}`);
+
+    if (summary.valid !== 2 || summary.totalStx !== 19.5 || summary.feesStx !== 0.004 ||
+        summary.neededStx !== 19.504 || !summary.sufficient) {
+      throw new Error('Unexpected summary');
+    }
+
+    // Each row's own transfer, priced at the merchant's tier
+    pricedPayloads.length = 0;
+    const fast = await payoutService.dryRun({ senderAddress: riderA, csv, feeTier: 'fast' });
+    console.log(`  Fast tier → fees ${fast.summary.feesStx} STX (${pricedPayloads.filter(Boolean).length} payloads priced)`);
+
+    if (fast.summary.feesStx !== 0.008 || fast.summary.feeTier !== 'fast' || pricedPayloads.length !== 2 ||
+        pricedPayloads.some(payload => !payload)) {
+      throw new Error('Rows were not priced per payload at the fee tier');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Sending with a failed row
+  console.log('\n✅ Test 4: Sending');
+  try {
+    const recipients = [];
+    transactionService.sendTransaction = async ({ recipientAddress }) => {
+      recipients.push(recipientAddress);
+      if (recipientAddress === riderB) {
+        throw new Error('Broadcast failed: rejected');
+      }
+      return { txId: `0x${recipients.length}` };
+    };
+
+    const result = await payoutService.execute({
+      senderPhone: '+2348012345678',
+      senderAddress: riderA,
+      csv: `${csv}\n${riderA},1,Bonus`,
+      batchId: 'week-42',
+    });
+
+    result.results.forEach(row => console.log(`  Line ${row.row}: ${row.status} ${row.txId || row.error}`));
+    console.log(`  Retry CSV:\n${result.retryCsv.split('\n').map(line => `    ${line}`).join('\n')}`);
+
+    // Rows after the failed one are still sent
+    if (recipients.length !== 3 || result.summary.sent !== 2 || result.summary.failed !== 1 ||
+        result.retryCsv !== `recipient,amount,memo\n${riderB},7,"Week 42, tips"`) {
+      throw new Error('Unexpected send result');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Repeating a send with the same batch ID
+  console.log('\n✅ Test 5: Retry a Batch');
+  try {
+    const recipients = [];
+    transactionService.sendTransaction = async ({ recipientAddress }) => {
+      recipients.push(recipientAddress);
+      return { txId: `0xretry${recipients.length}` };
+    };
+
+    const retry = await payoutService.execute({
+      senderPhone: '+2348012345678',
+      senderAddress: riderA,
+      csv: `${csv}\n${riderA},1,Bonus`,
+      batchId: 'week-42',
+    });
+    const reused = await payoutService.execute({
+      senderPhone: '+2348012345678',
+      senderAddress: riderA,
+      csv: `recipient,amount,memo\n${riderB},3,Other`,
+      batchId: 'week-42',
+    });
+    retry.results.forEach(row => console.log(`  Line ${row.row}: ${row.status} ${row.txId}`));
+    console.log(`  Batch ID reused for another CSV → ${reused.results[0].status}: ${reused.results[0].error}`);
+
+    // The rows sent by the first request keep their txIds; only the failed row is sent
+    if (recipients.join(',') !== riderB || retry.results.map(row => row.txId).join(',') !== '0x1,0xretry1,0x3' ||
+        reused.results[0].status !== 'skipped') {
+      throw new Error('Retry should only send the rows not sent yet');
+    }
+
+    // A transfer that was broadcast but not recorded still reports its txId
+    transactionService.sendTransaction = sendTransaction;
+    nonceManager.withNonce = async (address, fn) => await fn(0);
+    keyVaultService.withDecryptedKey = async (phone, fn) => await fn('key');
+    transactionService.createTransaction = async () => ({ transaction: {}, fee: 2000, nonce: 0 });
+    transactionService.broadcastTransaction = async () => ({ success: true, txId: '0xbroadcast' });
+    transactionService.recordTransaction = async () => { throw new Error('connection reset'); };
+
+    const unrecorded = await payoutService.execute({
+      senderPhone: '+2348012345678',
+      senderAddress: riderA,
+      csv: `${riderB},2,Late`,
+      batchId: 'week-43',
+    });
+    const [row] = unrecorded.results;
+    console.log(`  Not recorded → ${row.status} ${row.txId}; retry CSV ${unrecorded.retryCsv}`);
+
+    if (row.status !== 'sent' || row.txId !== '0xbroadcast' || unrecorded.retryCsv !== null) {
+      throw new Error('A broadcast transfer must not be offered for retry');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+/**
+ * Test script for phone number parsing
+ *
+ * Tests E.164 parsing/normalization, per-country rules and the
+ * SUPPORTED_COUNTRIES allowlist (including registration from
+ * an unsupported country)
+ * Run: node scripts/test-phone.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Phone Number Parsing\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const {
+    parsePhone,
+    normalizePhone,
+    getPhoneCountry,
+    validatePhone,
+  } = await import('../lib/utils/validator.js');
+
+  delete process.env.SUPPORTED_COUNTRIES;
+
+  // Test 1: Normalization
+  console.log('\n✅ Test 1: Normalization to E.164');
+  try {
+    const cases = [
+      { input: '+2348012345678', country: 'NG', expected: '+2348012345678' },
+      { input: 'whatsapp:+2349012345678', country: 'NG', expected: '+2349012345678' },
+      { input: '08012345678', country: 'NG', expected: '+2348012345678' },
+      { input: '+233 24 123 4567', country: 'NG', expected: '+233241234567' },
+      { input: '0241234567', country: 'GH', expected: '+233241234567' },
+      { input: '00254712345678', country: 'NG', expected: '+254712345678' },
+      { input: '254-712-345-678', country: 'NG', expected: '+254712345678' },
+      { input: '0712345678', country: 'KE', expected: '+254712345678' },
+    ];
+
+    for (const { input, country, expected } of cases) {
+      const result = normalizePhone(input, country);
+      console.log(`  ${input} (${country}) → ${result} ${result === expected ? '✅' : '❌'}`);
+      if (result !== expected) {
+        throw new Error(`Expected ${expected}`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Per-country rules
+  console.log('\n✅ Test 2: Per-Country Rules');
+  try {
+    const invalid = [
+      '+234801234567',   // NG too short
+      '+2341012345678',  // NG not a mobile range
+      '+23324123456',    // GH too short
+      '+254812345678',   // KE not a mobile range
+      '+15551234567',    // unknown country
+      '12345',
+      'John',
+    ];
+
+    for (const input of invalid) {
+      const result = parsePhone(input);
+      console.log(`  ${input} → ${result.valid ? 'valid ❌' : `${result.error} ✅`}`);
+      if (result.valid) {
+        throw new Error(`${input} should be invalid`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Strict validation and country lookup
+  console.log('\n✅ Test 3: Strict Validation');
+  try {
+    const checks = [
+      { ok: validatePhone('+233241234567') === true, label: 'E.164 Ghana accepted' },
+      { ok: validatePhone('+233 24 123 4567') === false, label: 'Spaces rejected' },
+      { ok: validatePhone('08012345678') === false, label: 'National format rejected' },
+      { ok: getPhoneCountry('+254712345678') === 'KE', label: 'Country of +254... is KE' },
+    ];
+
+    checks.forEach(({ ok, label }) => console.log(`  ${label} ${ok ? '✅' : '❌'}`));
+    if (checks.some(({ ok }) => !ok)) {
+      throw new Error('Strict validation failed');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Allowlist
+  console.log('\n✅ Test 4: Supported Countries Allowlist');
+  try {
+    process.env.SUPPORTED_COUNTRIES = 'NG,GH';
+    const kenya = parsePhone('+254712345678');
+    const ghana = parsePhone('+233241234567');
+    delete process.env.SUPPORTED_COUNTRIES;
+
+    console.log(`  Kenya with NG,GH → ${kenya.valid ? 'valid' : kenya.error}`);
+    console.log(`  Ghana with NG,GH → ${ghana.valid ? 'valid' : ghana.error}`);
+
+    if (kenya.valid || kenya.country !== 'KE' || !ghana.valid) {
+      throw new Error('Allowlist not applied');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Registration from an unsupported country isn't answered
+  console.log('\n✅ Test 5: Unsupported Country Registration');
+  try {
+    const { registrationHandler } = await import('../lib/handlers/registration.handler.js');
+    const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+
+    const sent = [];
+    whatsappService.sendMessage = async (to, message) => {
+      sent.push({ to, message });
+      return { success: true };
+    };
+
+    process.env.SUPPORTED_COUNTRIES = 'NG,GH';
+    const result = await registrationHandler.handleRegistration('+254712345678', 'register');
+    delete process.env.SUPPORTED_COUNTRIES;
+
+    console.log(`  Kenya with NG,GH → ${result.error}`);
+    console.log(`  Replies sent: ${sent.length}`);
+
+    if (result.success || result.error !== 'Invalid phone number' || sent.length !== 0) {
+      throw new Error('Unsupported numbers must be rejected without a reply');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,156 @@
+/**
+ * Test script for Price Service
+ *
+ * Tests rate caching, fiat conversion/formatting and locked quotes
+ * using the fixed-price provider (no network calls)
+ * Run: node scripts/test-prices.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Price Service\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: priceService, FixedPriceProvider } = await import('../lib/services/price.service.js');
+
+  // Count provider calls to check caching
+  const provider = new FixedPriceProvider({ NGN: 2500, USD: 1.6 });
+  let providerCalls = 0;
+  const getRates = provider.getRates.bind(provider);
+  provider.getRates = async () => {
+    providerCalls++;
+    return getRates();
+  };
+  priceService.setProvider(provider);
+
+  // Test 1: Rates and caching
+  console.log('\n✅ Test 1: Rates and Caching');
+  try {
+    const rates = await priceService.getRates();
+    await priceService.getRate('ngn');
+    await priceService.getRate('USD');
+
+    console.log(`  1 STX = ₦${rates.NGN} / $${rates.USD}`);
+    console.log(`  Provider calls: ${providerCalls}`);
+
+    if (rates.NGN !== 2500 || rates.USD !== 1.6 || providerCalls !== 1) {
+      throw new Error('Rates were not cached');
+    }
+
+    priceService.cache.fetchedAt -= (priceService.cacheSeconds + 1) * 1000;
+    await priceService.getRates();
+    console.log(`  After expiry: ${providerCalls} calls`);
+
+    if (providerCalls !== 2) {
+      throw new Error('Expired cache was not refreshed');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Conversion and formatting
+  console.log('\n✅ Test 2: Conversion and Formatting');
+  try {
+    const ngn = await priceService.toFiat(2, 'NGN');
+    const formatted = priceService.formatFiat(5000, 'NGN');
+    const described = await priceService.describeStx(5);
+
+    console.log(`  2 STX → ${ngn} NGN`);
+    console.log(`  5000 NGN → ${formatted}`);
+    console.log(`  5 STX → ${described}`);
+
+    if (ngn !== 5000 || formatted !== '₦5,000.00' || described !== '≈ ₦12,500.00 / $8.00') {
+      throw new Error('Unexpected conversion');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Quotes
+  console.log('\n✅ Test 3: Locked Quotes');
+  try {
+    const quote = await priceService.quote(5000, 'ngn');
+    console.log(`  ₦5000 → ${quote.stxAmount} STX at ${quote.rate}, expires ${quote.expiresAt}`);
+
+    if (quote.stxAmount !== 2 || quote.currency !== 'NGN' || !priceService.isQuoteValid(quote)) {
+      throw new Error('Unexpected quote');
+    }
+
+    const odd = await priceService.quote(1000, 'USD');
+    console.log(`  $1000 → ${odd.stxAmount} STX`);
+    if (odd.stxAmount !== 625) {
+      throw new Error('Unexpected USD quote');
+    }
+
+    const expired = { ...quote, expiresAt: new Date(Date.now() - 1000).toISOString() };
+    console.log(`  Expired quote valid: ${priceService.isQuoteValid(expired)}`);
+    if (priceService.isQuoteValid(expired)) {
+      throw new Error('Expired quote accepted');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Provider failures
+  console.log('\n✅ Test 4: Provider Failures');
+  try {
+    priceService.setProvider({
+      getRates: async () => {
+        throw new Error('offline');
+      },
+    });
+
+    const described = await priceService.describeStx(5);
+    console.log(`  describeStx while offline: "${described}"`);
+
+    let quoteFailed = false;
+    try {
+      await priceService.quote(5000, 'NGN');
+    } catch (error) {
+      quoteFailed = true;
+      console.log(`  quote while offline: ${error.message}`);
+    }
+
+    if (described !== '' || !quoteFailed) {
+      throw new Error('Provider failure not handled');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -54,8 +54,8 @@ async function testRegistration() {
       process.exit(1);
     }
     console.log('   ✓ Registration in progress');
-    console.log('   - State type:', status2.state?.stateType);
-    console.log('   - Awaiting address:', status2.state?.stateData?.awaitingAddress);
+    console.log('   - Flow:', status2.state?.flow);
+    console.log('   - Step:', status2.state?.step);
     console.log('');
 
     // Test 4: Try invalid address (wrong format)
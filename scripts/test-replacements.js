@@ -0,0 +1,181 @@
+/**
+ * Test script for speeding up and cancelling stuck transactions
+ *
+ * Tests replacement fees, building a cancel, and how the confirmation
+ * checker handles a transaction and its replacement (chain stubbed,
+ * transactions kept in memory)
+ * Run: node scripts/test-replacements.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+process.env.STORAGE_BACKEND = 'memory';
+
+console.log('🧪 Testing Transaction Replacement\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: transactionService } = await import('../lib/services/transaction.service.js');
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+  const { default: keyVaultService } = await import('../lib/services/key-vault.service.js');
+  const { repositories } = await import('../lib/repositories/index.js');
+
+  const sender = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+  const original = {
+    tx_id: '0xaaaa1111',
+    sender_phone: '+2348012345678',
+    sender_address: sender,
+    recipient_phone: '+2348087654321',
+    recipient_address: 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE',
+    amount_micro_stx: 5000000,
+    fee_micro_stx: 180,
+    memo: 'Lunch',
+    nonce: 12,
+    status: 'pending',
+    replaces_tx_id: null,
+    replaced_by_tx_id: null,
+  };
+
+  const estimated = [];
+  stacksService.estimateFee = async (payload) => {
+    estimated.push(payload);
+    return { low: 180, medium: 240, high: 360 };
+  };
+
+  // Test 1: Replacement fee
+  console.log('\n✅ Test 1: Replacement Fee');
+  try {
+    const fromLow = await transactionService.getReplacementFee(original, 'speed_up');
+    const fromHigh = await transactionService.getReplacementFee({ ...original, fee_micro_stx: 1000 }, 'cancel');
+    console.log(`  Fee 180 → ${fromLow}, fee 1000 → ${fromHigh}`);
+    console.log(`  Estimated for ${estimated.map(payload => `${Number(payload.amount)} µSTX`).join(', ')}`);
+
+    if (fromLow !== 360 || fromHigh !== 1500) {
+      throw new Error('Replacement fee should be the high estimate or 1.5x the old fee, whichever is more');
+    }
+
+    if (estimated.length !== 2 || Number(estimated[0].amount) !== 5000000 || Number(estimated[1].amount) !== 1) {
+      throw new Error('Replacement fee should be estimated for the replacement itself');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Cancel uses the same nonce and links to the original
+  console.log('\n✅ Test 2: Cancel a Stuck Transaction');
+  try {
+    let recorded = null;
+    stacksService.getTransactionStatus = async () => ({ status: 'pending', confirmed: false, failed: false, dropped: false });
+    keyVaultService.withDecryptedKey = async () => ({ signed: true });
+    transactionService.broadcastTransaction = async () => ({ success: true, txId: '0xbbbb2222' });
+    transactionService.recordTransaction = async (record) => {
+      recorded = record;
+    };
+
+    const result = await transactionService.replaceTransaction(original, { mode: 'cancel', fee: 360 });
+    console.log(`  Cancel → ${result.txId} (nonce ${result.nonce}, fee ${result.feeStx} STX)`);
+    console.log(`  Recorded ${recorded.amountMicroStx} to ${recorded.recipientAddress}, replaces ${recorded.replacesTxId}`);
+
+    // The node refuses zero-amount transfers and transfers to the sender
+    if (result.nonce !== 12 || recorded.amountMicroStx !== 1 || recorded.recipientAddress === sender) {
+      throw new Error('Cancel should be a 1 µSTX transfer to another address with the same nonce');
+    }
+
+    if (recorded.replacesTxId !== original.tx_id || recorded.replacementType !== 'cancel') {
+      throw new Error('Cancel was not linked to the original');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Original pushed out by its replacement
+  console.log('\n✅ Test 3: Original Dropped, Replacement Pending');
+  try {
+    const replacement = { ...original, tx_id: '0xbbbb2222', fee: 360, replaces_tx_id: original.tx_id };
+    const statuses = {};
+    const notified = [];
+
+    repositories.transactions.clear();
+    await repositories.transactions.insert({ ...original, replaced_by_tx_id: replacement.tx_id });
+    stacksService.getTransactionStatus = async () => ({ status: 'dropped_replace_by_fee', dropped: true });
+    transactionService.getReplacementFamily = async () => [{ ...original, replaced_by_tx_id: replacement.tx_id }, replacement];
+    transactionService.updateTransactionStatus = async (txId, status) => {
+      statuses[txId] = status;
+      return { tx_id: txId, status };
+    };
+
+    await transactionService.checkPendingTransactions({ onUpdate: async (update) => notified.push(update) });
+    console.log(`  Original → ${statuses[original.tx_id]}, updates sent: ${notified.length}`);
+
+    if (statuses[original.tx_id] !== 'replaced' || notified.length !== 0) {
+      throw new Error('Original should be marked replaced without telling anyone');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Replacement confirms
+  console.log('\n✅ Test 4: Replacement Confirmed');
+  try {
+    const replacement = { ...original, tx_id: '0xbbbb2222', fee: 360, replaces_tx_id: original.tx_id };
+    const statuses = {};
+    const notified = [];
+
+    repositories.transactions.clear();
+    await repositories.transactions.insert(replacement);
+    stacksService.getTransactionStatus = async () => ({ status: 'success', confirmed: true, blockHeight: 150000 });
+    transactionService.getReplacementFamily = async () => [{ ...original, replaced_by_tx_id: replacement.tx_id }, replacement];
+    transactionService.updateTransactionStatus = async (txId, status) => {
+      statuses[txId] = status;
+      return { tx_id: txId, status };
+    };
+
+    await transactionService.checkPendingTransactions({ onUpdate: async (update) => notified.push(update) });
+    console.log(`  Replacement → ${statuses[replacement.tx_id]}, original → ${statuses[original.tx_id]}`);
+
+    if (statuses[replacement.tx_id] !== 'confirmed' || statuses[original.tx_id] !== 'replaced') {
+      throw new Error('Confirming the replacement should retire the original');
+    }
+
+    if (notified.length !== 1 || notified[0].txId !== replacement.tx_id) {
+      throw new Error('Expected one update for the replacement');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
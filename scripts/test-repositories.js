@@ -0,0 +1,200 @@
+/**
+ * Test script for the storage repositories
+ *
+ * Tests the memory backend (rows, filters, unique columns), the queries
+ * the Supabase backend builds (against a recording client) and services
+ * running on an injected repository - no database needed
+ * Run: node scripts/test-repositories.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Repositories\n');
+console.log('='.repeat(60));
+
+/**
+ * Supabase client that records every call and returns no rows
+ */
+function recordingClient(calls) {
+  const query = new Proxy({}, {
+    get: (target, prop) => (prop === 'then'
+      ? (resolve) => resolve({ data: [], count: 0, error: null })
+      : (...args) => {
+        calls.push([prop, ...args]);
+        return query;
+      }),
+  });
+  return { from: (table) => (calls.push(['from', table]), query) };
+}
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { createRepositories } = await import('../lib/repositories/index.js');
+  const { default: SupabaseRepository } = await import('../lib/repositories/supabase.repository.js');
+  const { default: UserService } = await import('../lib/services/user.service.js');
+  const { default: StateService } = await import('../lib/services/state.service.js');
+
+  // Test 1: Memory rows
+  console.log('\n✅ Test 1: Memory Backend');
+  try {
+    const { users } = createRepositories('memory');
+
+    const inserted = await users.insert({ phone_number: '+2348012345678', stx_address: 'SP1' });
+    await users.update({ phone_number: '+2348012345678' }, { fee_tier: 'fast' });
+    const found = await users.findOne({ phone_number: '+2348012345678' });
+    console.log(`  Inserted id ${inserted.id}, found fee_tier ${found.fee_tier}`);
+
+    let duplicate = null;
+    try {
+      await users.insert({ phone_number: '+2348012345678', stx_address: 'SP2' });
+    } catch (error) {
+      duplicate = error;
+    }
+    console.log(`  Duplicate → ${duplicate && duplicate.code} ${duplicate && duplicate.message}`);
+
+    const deleted = await users.delete({ phone_number: '+2348012345678' });
+
+    if (found.fee_tier !== 'fast' || !duplicate || duplicate.code !== '23505' || !duplicate.message.includes('phone_number')) {
+      throw new Error('Rows or unique columns are not handled like Postgres');
+    }
+
+    if (deleted.length !== 1 || (await users.count()) !== 0) {
+      throw new Error('Delete did not remove the row');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Filters, order and limit
+  console.log('\n✅ Test 2: Filters');
+  try {
+    const { transactions } = createRepositories('memory');
+    const now = new Date().toISOString();
+
+    await transactions.insert({ tx_id: '0xaa01', sender_phone: 'A', status: 'pending', next_check_at: null, created_at: '2026-01-03' });
+    await transactions.insert({ tx_id: '0xaa02', sender_phone: 'A', status: 'pending', next_check_at: '2999-01-01', created_at: '2026-01-01' });
+    await transactions.insert({ tx_id: '0xbb03', sender_phone: 'B', status: 'pending', next_check_at: '2026-01-01', created_at: '2026-01-02' });
+    await transactions.insert({ tx_id: '0xbb04', sender_phone: 'B', status: 'confirmed', created_at: '2026-01-04' });
+
+    const due = await transactions.findMany(
+      { status: 'pending', or: [{ next_check_at: null }, { next_check_at: { lte: now } }] },
+      { orderBy: 'created_at' }
+    );
+    const prefixed = await transactions.findMany({ tx_id: { like: '0xAA%' } });
+    const prefixedAnyCase = await transactions.findMany({ tx_id: { ilike: '0xAA%' } });
+    const latest = await transactions.findMany({ status: { in: ['pending', 'confirmed'] } }, { orderBy: 'created_at', ascending: false, limit: 2 });
+    console.log(`  Due: ${due.map(tx => tx.tx_id).join(', ')}; like 0xAA%: ${prefixed.length}, ilike: ${prefixedAnyCase.length}`);
+    console.log(`  Latest two: ${latest.map(tx => tx.tx_id).join(', ')}`);
+
+    if (due.map(tx => tx.tx_id).join(',') !== '0xbb03,0xaa01') {
+      throw new Error('or / lte / null filters are wrong');
+    }
+
+    if (prefixed.length !== 0 || prefixedAnyCase.length !== 2 || latest.map(tx => tx.tx_id).join(',') !== '0xbb04,0xaa01') {
+      throw new Error('like / in / order / limit are wrong');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Supabase queries
+  console.log('\n✅ Test 3: Supabase Backend');
+  try {
+    const calls = [];
+    const escrows = new SupabaseRepository('escrows', () => recordingClient(calls));
+
+    await escrows.findMany(
+      {
+        status: 'pending',
+        contract_escrow_id: null,
+        tx_id: { not: null },
+        claim_status: { in: ['unclaimed', 'releasing'] },
+        or: [{ next_check_at: null }, { next_check_at: { lte: '2026-01-01' } }],
+      },
+      { orderBy: 'created_at', limit: 25 }
+    );
+    const described = calls.map(([method, ...args]) => `${method}(${args.map(arg => JSON.stringify(arg)).join(', ')})`);
+    described.forEach(call => console.log(`  .${call}`));
+
+    const expected = [
+      'from("escrows")',
+      'select("*")',
+      'eq("status", "pending")',
+      'is("contract_escrow_id", null)',
+      'not("tx_id", "is", null)',
+      'in("claim_status", ["unclaimed","releasing"])',
+      'or("next_check_at.is.null,next_check_at.lte.2026-01-01")',
+      'order("created_at", {"ascending":true})',
+      'limit(25)',
+    ];
+
+    if (described.join('|') !== expected.join('|')) {
+      throw new Error('Unexpected Supabase query');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Services on an injected repository
+  console.log('\n✅ Test 4: Constructor Injection');
+  try {
+    const repositories = createRepositories('memory');
+    const userService = new UserService(repositories.users);
+    const stateService = new StateService(repositories.conversationStates);
+
+    await userService.create({ phoneNumber: '+2348012345678', stxAddress: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' });
+    const duplicate = await userService.create({ phoneNumber: '+2348087654321', stxAddress: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' });
+    const updated = await userService.updateFeeTier('+2348012345678', 'slow');
+    const missing = await userService.getByPhone('+2348000000000');
+    console.log(`  Same address again → ${duplicate.error}; fee tier → ${updated.user.feeTier}; unknown → ${missing.error}`);
+
+    await stateService.setState('+2348012345678', 'payment', 'confirm_send', { amount: 5 });
+    await stateService.setState('+2348012345678', 'payment', 'confirm_send', { amount: 7 });
+    const { state } = await stateService.getState('+2348012345678');
+    console.log(`  State → ${state.flow}.${state.step} (${state.data.amount} STX), rows: ${await repositories.conversationStates.count()}`);
+
+    if (duplicate.error !== 'STX address already registered' || updated.user.feeTier !== 'slow' || missing.error !== 'User not found') {
+      throw new Error('User service did not use the injected repository');
+    }
+
+    if (state.data.amount !== 7 || (await repositories.conversationStates.count()) !== 1) {
+      throw new Error('setState should replace the previous state');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,241 @@
+/**
+ * Test script for Schedule Service
+ *
+ * Tests rule parsing, next-run calculation and the runner against an
+ * injected clock (database, balance and broadcast calls are stubbed)
+ * Run: node scripts/test-schedules.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Schedule Service\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: scheduleService } = await import('../lib/services/schedule.service.js');
+  const { default: stacksService } = await import('../lib/services/stacks.service.js');
+  const { default: transactionService } = await import('../lib/services/transaction.service.js');
+  const { default: keyVaultService } = await import('../lib/services/key-vault.service.js');
+  const { userService } = await import('../lib/services/user.service.js');
+
+  // Thursday 22 Oct 2026, 10:00 UTC
+  let now = new Date('2026-10-22T10:00:00Z');
+  scheduleService.setClock(() => now);
+
+  // Test 1: Rule parsing
+  console.log('\n✅ Test 1: Rule Parsing');
+  try {
+    const cases = [
+      { input: 'daily', expected: 'every day' },
+      { input: 'every friday', expected: 'every Friday' },
+      { input: 'every mon', expected: 'every Monday' },
+      { input: 'weekly', expected: 'every Thursday' },
+      { input: 'every month on the 31st', expected: 'monthly on the 31st' },
+      { input: 'monthly', expected: 'monthly on the 22nd' },
+      { input: 'on 2026-12-24', expected: 'on 2026-12-24' },
+    ];
+
+    for (const { input, expected } of cases) {
+      const description = scheduleService.describeRule(scheduleService.parseRule(input));
+      console.log(`  ${input} → ${description} ${description === expected ? '✅' : '❌'}`);
+      if (description !== expected) {
+        throw new Error(`Wrong rule for ${input}`);
+      }
+    }
+
+    for (const input of ['every fortnight', 'on 2026-02-30', 'every month on the 40th']) {
+      let rejected = false;
+      try {
+        scheduleService.parseRule(input);
+      } catch (error) {
+        rejected = true;
+        console.log(`  ${input} → ${error.message}`);
+      }
+      if (!rejected) {
+        throw new Error(`${input} was accepted`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Next run times
+  console.log('\n✅ Test 2: Next Run Times');
+  try {
+    const next = (text, after) => {
+      const run = scheduleService.nextRunAt(scheduleService.parseRule(text), new Date(after));
+      return run ? run.toISOString() : null;
+    };
+
+    const cases = [
+      { text: 'daily', after: '2026-10-22T07:00:00Z', expected: '2026-10-22T08:00:00.000Z' },
+      { text: 'daily', after: '2026-10-22T08:00:00Z', expected: '2026-10-23T08:00:00.000Z' },
+      { text: 'every friday', after: '2026-10-29T10:00:00Z', expected: '2026-10-30T08:00:00.000Z' },
+      { text: 'every thursday', after: '2026-10-29T10:00:00Z', expected: '2026-11-05T08:00:00.000Z' },
+      { text: 'every month on the 31st', after: '2027-02-01T00:00:00Z', expected: '2027-02-28T08:00:00.000Z' },
+      { text: 'every month on the 15th', after: '2026-12-20T00:00:00Z', expected: '2027-01-15T08:00:00.000Z' },
+      { text: 'on 2026-12-24', after: '2026-12-24T09:00:00Z', expected: null },
+    ];
+
+    for (const { text, after, expected } of cases) {
+      const result = next(text, after);
+      console.log(`  ${text} after ${after} → ${result} ${result === expected ? '✅' : '❌'}`);
+      if (result !== expected) {
+        throw new Error(`Wrong next run for ${text}`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Stubs for the runner
+  const schedules = {
+    1: {
+      id: 1, sender_phone: '+2348012345678', sender_address: 'SP_SENDER', recipient_address: 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE',
+      recipient_phone: '+2348012345679', recipient_name: 'John', amount_micro_stx: 5000000, memo: null,
+      frequency: 'weekly', day_of_week: 4, day_of_month: null, run_date: null,
+      status: 'active', next_run_at: '2026-10-22T08:00:00.000Z', warned_run_at: null,
+    },
+    2: {
+      id: 2, sender_phone: '+2348012345678', sender_address: 'SP_SENDER', recipient_address: 'SP2C2YFP12AJZB4MABJBAJ55XECVS7E4PMMZ89YZR',
+      recipient_phone: null, recipient_name: 'Ada', amount_micro_stx: 50000000, memo: null,
+      frequency: 'once', day_of_week: null, day_of_month: null, run_date: '2026-10-22',
+      status: 'active', next_run_at: '2026-10-22T08:00:00.000Z', warned_run_at: null,
+    },
+  };
+
+  scheduleService.getDue = async () => Object.values(schedules)
+    .filter(s => s.status === 'active' && new Date(s.next_run_at) <= scheduleService.now());
+  scheduleService.getUpcoming = async () => Object.values(schedules)
+    .filter(s => s.status === 'active' && s.warned_run_at !== s.next_run_at);
+  scheduleService.updateSchedule = async (id, updates, expected = {}) => {
+    if (Object.entries(expected).some(([column, value]) => schedules[id][column] !== value)) {
+      return null;
+    }
+    schedules[id] = { ...schedules[id], ...updates };
+    return schedules[id];
+  };
+
+  const sent = [];
+  keyVaultService.hasKey = async () => true;
+  stacksService.getBalance = async () => ({ stx: { balanceStx: 20 } });
+  // Priced at the sender's saved fee tier
+  const pricedPayloads = [];
+  stacksService.estimateFee = async (payload) => {
+    pricedPayloads.push(payload);
+    return { medium: 2000, mediumStx: 0.002, high: 4000, highStx: 0.004 };
+  };
+  userService.getByPhone = async () => ({ success: true, user: { feeTier: 'fast' } });
+  transactionService.sendTransaction = async (params) => {
+    sent.push(params);
+    return { txId: `0x${sent.length}` };
+  };
+
+  // Test 3: Runner
+  console.log('\n✅ Test 3: Running Due Payments');
+  try {
+    const results = await scheduleService.runDue();
+    results.forEach(({ schedule, status, txId }) => {
+      console.log(`  #${schedule.id} → ${status}${txId ? ` (${txId})` : ''}, next: ${schedule.next_run_at} [${schedule.status}]`);
+    });
+
+    // Schedule 1 paid and moved a week on; schedule 2 (50 STX) skipped and finished
+    if (results[0].status !== 'sent' || sent.length !== 1 || sent[0].amountMicroStx !== 5000000 ||
+        schedules[1].next_run_at !== '2026-10-29T08:00:00.000Z' || schedules[1].last_tx_id !== '0x1' ||
+        results[1].status !== 'insufficient' || schedules[2].status !== 'completed') {
+      throw new Error('Unexpected runner result');
+    }
+
+    console.log(`  Fee: ${sent[0].fee} (fast tier, ${pricedPayloads.filter(Boolean).length} payloads priced)`);
+    if (sent[0].fee !== 4000 || pricedPayloads.some(payload => !payload)) {
+      throw new Error('Payment was not priced at the sender\'s fee tier');
+    }
+
+    // Running again at the same time does nothing
+    const again = await scheduleService.runDue();
+    console.log(`  Second run at the same time → ${again.length} payments`);
+    if (again.length !== 0) {
+      throw new Error('Payment sent twice');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Pre-run balance warnings
+  console.log('\n✅ Test 4: Low Balance Warnings');
+  try {
+    now = new Date('2026-10-28T09:00:00Z');
+    stacksService.getBalance = async () => ({ stx: { balanceStx: 3 } });
+
+    const warnings = await scheduleService.checkUpcoming();
+    const repeat = await scheduleService.checkUpcoming();
+
+    warnings.forEach(({ schedule, balanceStx, neededStx }) => {
+      console.log(`  #${schedule.id}: balance ${balanceStx} STX, needs ${neededStx} STX`);
+    });
+    console.log(`  Second check → ${repeat.length} warnings`);
+
+    if (warnings.length !== 1 || warnings[0].schedule.id !== 1 || warnings[0].neededStx !== 5.004 || repeat.length !== 0) {
+      throw new Error('Unexpected warnings');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Overlapping runners
+  console.log('\n✅ Test 5: Overlapping Runs');
+  try {
+    now = new Date('2026-10-29T09:00:00Z');
+    stacksService.getBalance = async () => ({ stx: { balanceStx: 20 } });
+    sent.length = 0;
+
+    // Both runners read schedule 1 as due before either moves it on
+    const [first, second] = await Promise.all([scheduleService.runDue(), scheduleService.runDue()]);
+    console.log(`  Runner 1 → ${first.length} payments, runner 2 → ${second.length} payments`);
+    console.log(`  Sent ${sent.length}x, next: ${schedules[1].next_run_at}`);
+
+    if (sent.length !== 1 || first.length + second.length !== 1 || schedules[1].next_run_at !== '2026-11-05T08:00:00.000Z') {
+      throw new Error('Schedule paid more than once');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,267 @@
+/**
+ * Test script for Signing Service
+ *
+ * Tests signing request links, signed transaction verification and
+ * completing a request once (without database or blockchain calls)
+ * Run: node scripts/test-signing.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Signing Service\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: signingService } = await import('../lib/services/signing.service.js');
+  const { default: transactionsPkg } = await import('@stacks/transactions');
+  const { PayloadType, principalCV, makeContractCall, makeSTXTokenTransfer, serializeTransaction, Pc, randomPrivateKey, privateKeyToAddress } = transactionsPkg;
+
+  const sender = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+  const recipient = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+  // Test 1: Service methods available
+  console.log('\n✅ Test 1: Service Methods Available');
+  try {
+    const methods = [
+      'createTransferRequest',
+      'createContractCallRequest',
+      'buildSigningLink',
+      'getRequest',
+      'completeRequest',
+      'verifyTransaction',
+      'getSignerAddress',
+      'expireStaleRequests',
+    ];
+
+    methods.forEach(method => {
+      const exists = typeof signingService[method] === 'function';
+      console.log(`  ${exists ? '✅' : '❌'} ${method}`);
+      if (!exists) throw new Error(`Missing method: ${method}`);
+    });
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Deep link carries the request payload
+  console.log('\n✅ Test 2: Signing Link Payload');
+  try {
+    const txRequest = { txType: 'token_transfer', recipient, amount: '5000000', memo: 'test' };
+    const link = signingService.buildSigningLink('abc123', txRequest);
+    const url = new URL(link);
+    const decoded = JSON.parse(Buffer.from(url.searchParams.get('payload'), 'base64url').toString());
+
+    console.log('  Link:', link.substring(0, 60) + '...');
+    console.log(`  Token: ${url.searchParams.get('token')} ${url.searchParams.get('token') === 'abc123' ? '✅' : '❌'}`);
+    console.log(`  Amount: ${decoded.amount} ${decoded.amount === '5000000' ? '✅' : '❌'}`);
+
+    if (decoded.recipient !== recipient || url.searchParams.get('token') !== 'abc123') {
+      throw new Error('Payload mismatch');
+    }
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Verification against the saved request
+  console.log('\n✅ Test 3: Signed Transaction Verification');
+  const originalGetSigner = signingService.getSignerAddress;
+  try {
+    const request = {
+      sender_address: sender,
+      tx_request: { txType: 'token_transfer', recipient, amount: '5000000' },
+    };
+
+    const mockTx = (overrides = {}) => ({
+      verifyOrigin: () => {},
+      payload: {
+        payloadType: PayloadType.TokenTransfer,
+        recipient: principalCV(recipient),
+        amount: 5000000n,
+        memo: { content: '' },
+      },
+      ...overrides,
+    });
+
+    signingService.getSignerAddress = () => sender;
+
+    const cases = [
+      { name: 'matching transfer', tx: mockTx(), valid: true },
+      {
+        name: 'bad signature',
+        tx: mockTx({ verifyOrigin: () => { throw new Error('bad'); } }),
+        valid: false,
+      },
+      {
+        name: 'wrong payload type',
+        tx: mockTx({ payload: { payloadType: PayloadType.ContractCall } }),
+        valid: false,
+      },
+      {
+        name: 'different memo',
+        tx: mockTx({ payload: { ...mockTx().payload, memo: { content: 'pay me twice' } } }),
+        valid: false,
+      },
+    ];
+
+    cases.forEach(({ name, tx, valid }) => {
+      const result = signingService.verifyTransaction(tx, request);
+      const passed = result.valid === valid;
+      console.log(`  ${name} → ${result.valid ? 'valid' : result.error} ${passed ? '✅' : '❌'}`);
+      if (!passed) throw new Error(`Unexpected result for ${name}`);
+    });
+
+    signingService.getSignerAddress = () => recipient;
+    const wrongSigner = signingService.verifyTransaction(mockTx(), request);
+    console.log(`  wrong signer → ${wrongSigner.error} ${!wrongSigner.valid ? '✅' : '❌'}`);
+    if (wrongSigner.valid) throw new Error('Wrong signer accepted');
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  } finally {
+    signingService.getSignerAddress = originalGetSigner;
+  }
+
+  // Test 4: Post conditions checked against the saved request
+  console.log('\n✅ Test 4: Contract Call Post Conditions');
+  const originalCreateRequest = signingService.createRequest;
+  try {
+    const { default: escrowService } = await import('../lib/services/escrow.service.js');
+    const senderKey = randomPrivateKey();
+    const senderAddress = privateKeyToAddress(senderKey, signingService.network);
+    const call = escrowService.buildCreateEscrowCall(senderAddress, recipient, 5000000, 144, 'Laptop');
+
+    // Keep the saved tx_request instead of writing it to the database
+    // (the real signer is checked, so getSignerAddress is not stubbed here)
+    signingService.createRequest = async ({ txRequest }) => txRequest;
+    const request = {
+      sender_address: senderAddress,
+      tx_request: await signingService.createContractCallRequest({ phoneNumber: '+2348012345678', senderAddress, call }),
+    };
+
+    const sign = (postConditions) => makeContractCall({
+      ...call,
+      postConditions,
+      senderKey,
+      network: signingService.network,
+      fee: 1000,
+      nonce: 0,
+    });
+
+    const cases = [
+      { name: 'requested post condition', tx: await sign(call.postConditions), valid: true },
+      { name: 'looser post condition', tx: await sign([Pc.principal(senderAddress).willSendLte(500000000).ustx()]), valid: false },
+      { name: 'post condition dropped', tx: await sign([]), valid: false },
+    ];
+
+    console.log(`  Saved post conditions → ${request.tx_request.postConditions.join(', ')}`);
+    cases.forEach(({ name, tx, valid }) => {
+      const result = signingService.verifyTransaction(tx, request);
+      const passed = result.valid === valid;
+      console.log(`  ${name} → ${result.valid ? 'valid' : result.error} ${passed ? '✅' : '❌'}`);
+      if (!passed) throw new Error(`Unexpected result for ${name}`);
+    });
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  } finally {
+    signingService.createRequest = originalCreateRequest;
+  }
+
+  // Test 5: A repeated callback broadcasts once; a failed broadcast can be signed again
+  console.log('\n✅ Test 5: Complete a Request Once');
+  const originals = {
+    getRequest: signingService.getRequest,
+    updateRequestStatus: signingService.updateRequestStatus,
+    verifyTransaction: signingService.verifyTransaction,
+  };
+  const { default: transactionService } = await import('../lib/services/transaction.service.js');
+  const originalBroadcast = transactionService.broadcastTransaction;
+  try {
+    const senderKey = randomPrivateKey();
+    const signedTx = serializeTransaction(await makeSTXTokenTransfer({
+      recipient,
+      amount: 5000000n,
+      senderKey,
+      network: signingService.network,
+      fee: 1000,
+      nonce: 0,
+    }));
+
+    // The saved request, updated the way the conditional database update would
+    const request = {
+      token: 'once123',
+      status: 'pending',
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    };
+    signingService.getRequest = async () => ({ ...request });
+    signingService.verifyTransaction = () => ({ valid: true });
+    signingService.updateRequestStatus = async (token, status, txId = null, expectedStatus = null) => {
+      if (expectedStatus && request.status !== expectedStatus) return null;
+      Object.assign(request, { status }, txId ? { tx_id: txId } : {});
+      return { ...request };
+    };
+
+    let broadcasts = 0;
+    let broadcastResult = { success: false, error: 'ConflictingNonceInMempool' };
+    transactionService.broadcastTransaction = async () => {
+      broadcasts++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return broadcastResult;
+    };
+
+    const failed = await signingService.completeRequest('once123', signedTx);
+    console.log(`  Failed broadcast → ${failed.error}, request ${request.status} ${request.status === 'pending' ? '✅' : '❌'}`);
+
+    broadcastResult = { success: true, txId: '0xonce' };
+    const [first, second] = await Promise.all([
+      signingService.completeRequest('once123', signedTx),
+      signingService.completeRequest('once123', signedTx),
+    ]);
+    console.log(`  Callbacks → ${first.success ? first.txId : first.error}, ${second.success ? second.txId : second.error}`);
+    console.log(`  Broadcasts after retry: ${broadcasts - 1}, request ${request.status}`);
+
+    if (failed.success || broadcasts !== 2 || first.success === second.success ||
+        request.status !== 'broadcast' || request.tx_id !== '0xonce') {
+      throw new Error('Request should broadcast exactly once');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  } finally {
+    Object.assign(signingService, originals);
+    transactionService.broadcastTransaction = originalBroadcast;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
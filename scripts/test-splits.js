@@ -0,0 +1,197 @@
+/**
+ * Test script for Split Service
+ *
+ * Tests participant parsing, dividing amounts (even and by shares,
+ * exact to the microSTX), the split status message and the memo and
+ * fees of the split's transfers (API, balance and messaging are stubbed)
+ * Run: node scripts/test-splits.js
+ */
+
+import('dotenv').then(dotenv => dotenv.config());
+
+console.log('🧪 Testing Split Service\n');
+console.log('='.repeat(60));
+
+async function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  const { default: splitService } = await import('../lib/services/split.service.js');
+
+  // Test 1: Participant parsing
+  console.log('\n✅ Test 1: Participant Parsing');
+  try {
+    const participants = splitService.parseParticipants('John, Ada and Tunde');
+    const shared = splitService.parseParticipants('John:2, +2348012345678:1');
+
+    console.log(`  "John, Ada and Tunde" → ${JSON.stringify(participants)}`);
+    console.log(`  "John:2, +2348012345678:1" → ${JSON.stringify(shared)}`);
+
+    if (participants.map(({ input }) => input).join('|') !== 'John|Ada|Tunde' ||
+        participants.some(({ share }) => share !== 1) ||
+        shared[0].share !== 2 || shared[1].input !== '+2348012345678') {
+      throw new Error('Unexpected participants');
+    }
+
+    for (const input of ['John', 'John:0, Ada']) {
+      let rejected = false;
+      try {
+        splitService.parseParticipants(input);
+      } catch (error) {
+        rejected = true;
+        console.log(`  "${input}" → ${error.message}`);
+      }
+      if (!rejected) {
+        throw new Error(`"${input}" was accepted`);
+      }
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 2: Even split
+  console.log('\n✅ Test 2: Even Split');
+  try {
+    const even = splitService.computeAmounts(30000000, [1, 1, 1]);
+    const uneven = splitService.computeAmounts(10000000, [1, 1, 1]);
+
+    console.log(`  30 STX / 3 → ${even.join(', ')}`);
+    console.log(`  10 STX / 3 → ${uneven.join(', ')}`);
+
+    if (even.join(',') !== '10000000,10000000,10000000' ||
+        uneven.join(',') !== '3333334,3333333,3333333') {
+      throw new Error('Unexpected amounts');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 3: Split by shares
+  console.log('\n✅ Test 3: Split by Shares');
+  try {
+    const amounts = splitService.computeAmounts(10000001, [2, 1, 1.5]);
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+
+    console.log(`  10.000001 STX by 2:1:1.5 → ${amounts.join(', ')} (total ${total})`);
+
+    if (total !== 10000001 || amounts[0] <= amounts[2] || amounts[2] <= amounts[1]) {
+      throw new Error('Shares not applied exactly');
+    }
+
+    let rejected = false;
+    try {
+      splitService.computeAmounts(2, [1, 1, 1]);
+    } catch (error) {
+      rejected = true;
+      console.log(`  2 µSTX / 3 → ${error.message}`);
+    }
+    if (!rejected) {
+      throw new Error('Tiny split accepted');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 4: Status message
+  console.log('\n✅ Test 4: Split Status');
+  try {
+    const split = { id: 2, memo: 'dinner', total_micro_stx: 30000000 };
+    const requests = [
+      { payer_phone: '+2348012345678', amount_micro_stx: 10000000, status: 'paid' },
+      { payer_phone: '+2348012345679', amount_micro_stx: 10000000, status: 'pending' },
+      { payer_phone: '+2348012345670', amount_micro_stx: 10000000, status: 'declined' },
+    ];
+
+    const message = splitService.formatSplitStatus(split, requests);
+    console.log(message.split('\n').map(line => `  ${line}`).join('\n'));
+
+    if (!message.includes('Split #2') || !message.includes('dinner') ||
+        !message.includes('Paid: 1/3 - 10 of 30 STX') || !message.includes('❌ +2348012345670')) {
+      throw new Error('Message is missing details');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Test 5: Split transfers fit the memo limit and are priced at the user's tier
+  console.log('\n✅ Test 5: Split Memo and Fees');
+  try {
+    const { default: paymentHandler } = await import('../lib/services/payment.handler.js');
+    const { default: stacksService } = await import('../lib/services/stacks.service.js');
+    const { default: contactService } = await import('../lib/services/contact.service.js');
+    const { default: conversationService } = await import('../lib/services/conversation.service.js');
+    const { whatsappService } = await import('../lib/services/whatsapp.service.js');
+
+    const memo = paymentHandler.getSplitMemo('jollof rice and 🍛🍛🍛');
+    console.log(`  Memo: "${memo}" (${Buffer.byteLength(memo, 'utf8')} bytes)`);
+
+    const payloads = [];
+    stacksService.estimateFee = async (payload) => {
+      payloads.push(payload);
+      return { low: 1000, medium: 2000, high: 4000, lowStx: 0.001, mediumStx: 0.002, highStx: 0.004 };
+    };
+    stacksService.getBalance = async () => ({ stx: { balanceStx: 100 } });
+    contactService.resolveRecipient = async (phone, input) => ({
+      type: 'contact', name: input, address: 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE',
+    });
+    const states = [];
+    conversationService.start = async (phone, flow, step, data) => states.push(data);
+    const confirmations = [];
+    whatsappService.sendConfirmation = async (to, message) => confirmations.push(message);
+
+    await paymentHandler.handleSplit('+2348012345678', 'split 30 between John, Ada for jollof rice and 🍛🍛🍛', {
+      stxAddress: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7',
+      feeTier: 'fast',
+    });
+    const { parts, txMemo } = states[0];
+    console.log(`  Fees: ${parts.map(part => part.fee).join(', ')} (${payloads.length} payloads priced)`);
+    console.log(`  ${confirmations[0].split('\n').find(line => line.startsWith('Fees:'))}`);
+
+    if (Buffer.byteLength(memo, 'utf8') > 34 || memo.includes('\uFFFD') || memo !== txMemo ||
+        memo !== 'Split: jollof rice and 🍛🍛') {
+      throw new Error('Memo was not cut to whole characters within 34 bytes');
+    }
+
+    if (payloads.length !== 2 || payloads.some(payload => !payload) || parts.some(part => part.fee !== 4000) ||
+        !confirmations[0].includes('Fees: 0.008000 STX (2 payments, fast)')) {
+      throw new Error('Split transfers were not priced per payload at the user\'s tier');
+    }
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  if (failedTests === 0) {
+    console.log('\n🎉 ALL TESTS PASSED!');
+  } else {
+    console.log('\n⚠️  Some tests failed. Check the errors above.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\n💥 Fatal error:', error);
+  process.exit(1);
+});
@@ -32,7 +32,8 @@ async function testState() {
     const setState1 = await stateService.setState(
       testPhone,
       'registration',
-      { step: 1, awaitingAddress: true }
+      'address',
+      { awaitingAddress: true }
     );
     if (!setState1.success) {
       console.error('   ❌ Failed:', setState1.error);
@@ -48,8 +49,9 @@ async function testState() {
       process.exit(1);
     }
     console.log('   ✓ State retrieved');
-    console.log('   - Type:', getState1.state.stateType);
-    console.log('   - Data:', JSON.stringify(getState1.state.stateData));
+    console.log('   - Flow:', getState1.state.flow);
+    console.log('   - Step:', getState1.state.step);
+    console.log('   - Data:', JSON.stringify(getState1.state.data));
     console.log('   - Expires:', new Date(getState1.state.expiresAt).toLocaleString());
     console.log('');
 
@@ -62,21 +64,21 @@ async function testState() {
     }
     console.log('   ✓ State exists (correct)\n');
 
-    // Test 5: Get state type
-    console.log('✓ Test 5: Get state type');
-    const stateType = await stateService.getStateType(testPhone);
-    if (stateType !== 'registration') {
-      console.error('   ❌ Wrong state type:', stateType);
+    // Test 5: Get flow
+    console.log('✓ Test 5: Get flow');
+    const flow = await stateService.getFlow(testPhone);
+    if (flow !== 'registration') {
+      console.error('   ❌ Wrong flow:', flow);
       process.exit(1);
     }
-    console.log('   ✓ State type:', stateType);
+    console.log('   ✓ Flow:', flow);
     console.log('');
 
     // Test 6: Update state data
     console.log('✓ Test 6: Update state data');
     const updateResult = await stateService.updateStateData(
       testPhone,
-      { step: 2, addressReceived: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' }
+      { addressReceived: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' }
     );
     if (!updateResult.success) {
       console.error('   ❌ Failed:', updateResult.error);
@@ -92,34 +94,36 @@ async function testState() {
       process.exit(1);
     }
     console.log('   ✓ Updated data retrieved');
-    console.log('   - step:', getState2.state.stateData.step);
-    console.log('   - awaitingAddress:', getState2.state.stateData.awaitingAddress);
-    console.log('   - addressReceived:', getState2.state.stateData.addressReceived);
+    console.log('   - step:', getState2.state.step);
+    console.log('   - awaitingAddress:', getState2.state.data.awaitingAddress);
+    console.log('   - addressReceived:', getState2.state.data.addressReceived);
     console.log('');
 
-    // Test 8: Change state type
-    console.log('✓ Test 8: Change state type');
+    // Test 8: Change flow
+    console.log('✓ Test 8: Change flow');
     const setState2 = await stateService.setState(
       testPhone,
-      'send_payment',
+      'payment',
+      'confirm_send',
       { recipient: '+2349087654321', amount: 1000000 }
     );
     if (!setState2.success) {
       console.error('   ❌ Failed:', setState2.error);
       process.exit(1);
     }
-    console.log('   ✓ State type changed\n');
+    console.log('   ✓ Flow changed\n');
 
     // Test 9: Verify new state
     console.log('✓ Test 9: Verify new state');
     const getState3 = await stateService.getState(testPhone);
-    if (!getState3.success || getState3.state.stateType !== 'send_payment') {
-      console.error('   ❌ State type not updated correctly');
+    if (!getState3.success || getState3.state.flow !== 'payment' || getState3.state.step !== 'confirm_send') {
+      console.error('   ❌ Flow not updated correctly');
       process.exit(1);
     }
     console.log('   ✓ New state verified');
-    console.log('   - Type:', getState3.state.stateType);
-    console.log('   - Data:', JSON.stringify(getState3.state.stateData));
+    console.log('   - Flow:', getState3.state.flow);
+    console.log('   - Step:', getState3.state.step);
+    console.log('   - Data:', JSON.stringify(getState3.state.data));
     console.log('');
 
     // Test 10: Get all active states
@@ -127,7 +131,7 @@ async function testState() {
     const allStates = await stateService.getAllActiveStates();
     console.log(`   ✓ Found ${allStates.length} active state(s)`);
     if (allStates.length > 0) {
-      console.log('   - First state phone:', allStates[0].phone_number);
+      console.log('   - First state phone:', allStates[0].phoneNumber);
     }
     console.log('');
 
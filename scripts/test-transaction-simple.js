@@ -10,7 +10,7 @@ import stacksService from '../lib/services/stacks.service.js';
 import pkg from '@stacks/transactions';
 const { AnchorMode } = pkg;
 import networkPkg from '@stacks/network';
-const { StacksMainnet, StacksTestnet } = networkPkg;
+const { STACKS_MAINNET, STACKS_TESTNET } = networkPkg;
 
 console.log('🧪 Testing Transaction Service (Simple)\n');
 console.log('⚠️  Note: Testing without database integration\n');
@@ -23,12 +23,12 @@ async function runTests() {
   // Test 1: Network Configuration
   console.log('\n✅ Test 1: Network Configuration');
   try {
-    const network = process.env.STACKS_NETWORK === 'testnet' 
-      ? new StacksTestnet() 
-      : new StacksMainnet();
+    const network = process.env.STACKS_NETWORK === 'testnet'
+      ? STACKS_TESTNET
+      : STACKS_MAINNET;
     
     console.log('Network Type:', process.env.STACKS_NETWORK || 'mainnet');
-    console.log('Network API:', network.coreApiUrl);
+    console.log('Network API:', network.client.baseUrl);
     passedTests++;
   } catch (error) {
     console.error('❌ Failed:', error.message);
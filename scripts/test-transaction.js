@@ -29,7 +29,7 @@ async function runTests() {
   console.log('\n✅ Test 1: Service Initialization');
   try {
     console.log('Network:', transactionService.networkType);
-    console.log('Network Object:', transactionService.network.coreApiUrl);
+    console.log('Network Object:', transactionService.network.client.baseUrl);
     passedTests++;
   } catch (error) {
     console.error('❌ Failed:', error.message);
@@ -176,6 +176,10 @@ async function runTests() {
       'updateTransactionStatus',
       'monitorTransaction',
       'checkPendingTransactions',
+      'resolveStatus',
+      'getBackoffMinutes',
+      'getNextCheck',
+      'scheduleNextCheck',
     ];
 
     console.log('Available methods:');
@@ -190,6 +194,41 @@ async function runTests() {
     failedTests++;
   }
 
+  // Test 9: Confirmation status and backoff
+  console.log('\n✅ Test 9: Confirmation Status and Backoff');
+  try {
+    const justNow = new Date().toISOString();
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+    const cases = [
+      { name: 'success', status: { confirmed: true }, createdAt: justNow, expected: 'confirmed' },
+      { name: 'abort_by_response', status: { failed: true }, createdAt: justNow, expected: 'failed' },
+      { name: 'dropped_replace_by_fee', status: { dropped: true }, createdAt: justNow, expected: 'dropped' },
+      { name: 'pending', status: { status: 'pending' }, createdAt: twoHoursAgo, expected: 'pending' },
+      { name: 'not found (new)', status: { status: 'not_found' }, createdAt: justNow, expected: 'pending' },
+      { name: 'not found (2h old)', status: { status: 'not_found' }, createdAt: twoHoursAgo, expected: 'dropped' },
+    ];
+
+    cases.forEach(({ name, status, createdAt, expected }) => {
+      const result = transactionService.resolveStatus(status, createdAt);
+      console.log(`  ${name} → ${result} ${result === expected ? '✅' : '❌'}`);
+      if (result !== expected) throw new Error(`Unexpected status for ${name}`);
+    });
+
+    const backoff = [1, 2, 3, 6, 10].map(attempts => transactionService.getBackoffMinutes(attempts));
+    console.log(`  Backoff (minutes): ${backoff.join(', ')}`);
+    if (backoff.join(',') !== '2,4,8,60,60') throw new Error('Unexpected backoff');
+
+    const next = transactionService.getNextCheck({ check_attempts: 2 });
+    console.log(`  Next check: attempt ${next.check_attempts} at ${next.next_check_at}`);
+    if (next.check_attempts !== 3) throw new Error('Attempts not incremented');
+
+    passedTests++;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    failedTests++;
+  }
+
   // Summary
   console.log('\n' + '='.repeat(60));
   console.log('📊 TEST SUMMARY');